@@ -1,7 +1,20 @@
 export {
   availability,
+  availabilityFor,
+  dateOverrides,
+  dateOverridesFor,
+  getHost,
   getMeetingType,
+  hosts,
   meetingTypes,
   type AvailabilityConfig,
+  type DateOverride,
+  type Host,
+  type HostStrategy,
+  type IntakeQuestion,
+  type LocationKind,
   type MeetingType,
 } from '../../workers/booking-api/src/config.ts'
+export { mapUrl } from '../../workers/booking-api/src/ics.ts'
+export { resolveDateOverrides } from '../../workers/booking-api/src/slots.ts'
+export { validateAnswers, type IntakeAnswers } from '../../workers/booking-api/src/validate.ts'
@@ -0,0 +1,9 @@
+/** Links into the contact page's booking widget, for pages that offer a call. */
+import type { Lang } from '../types'
+import { presetQuery, type BookingPreset } from '../scripts/booking-preset'
+import { localizeHref } from './localize-href'
+
+/** The contact page's booking section, opened with `preset`. */
+export function bookingHref(lang: Lang, preset: BookingPreset): string {
+  return `${localizeHref(lang, '/contact/')}${presetQuery(preset)}#contact-meeting`
+}
@@ -0,0 +1,127 @@
+// attribution.ts
+// First- and last-touch attribution kept in the visitor's own localStorage: which campaign
+// (utm_*), referrer and landing page brought them here. Nothing is sent anywhere until they
+// submit the contact form or book a meeting, which attach it to the request.
+
+export const ATTRIBUTION_STORAGE_KEY = 'baseet-attribution';
+
+/** A stored attribution whose last touch is older than this is dropped and starts over. */
+export const ATTRIBUTION_DAYS = 90;
+
+const UTM_KEYS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'] as const;
+
+const VALUE_MAX = 200;
+const REFERRER_MAX = 500;
+
+export type Touch = Partial<Record<(typeof UTM_KEYS)[number], string>> & {
+  /** Origin and path of an external referrer; never the query string. */
+  referrer?: string;
+  /** Path of the first page of the visit. */
+  landing_page: string;
+  /** ISO timestamp. */
+  at: string;
+};
+
+export type Attribution = { first_touch: Touch; last_touch: Touch };
+
+type AttributionStorage = Pick<Storage, 'getItem' | 'setItem' | 'removeItem'>;
+
+function externalReferrer(referrer: string, host: string): string | undefined {
+  if (!referrer) return undefined;
+  try {
+    const url = new URL(referrer);
+    return url.host === host ? undefined : `${url.origin}${url.pathname}`.slice(0, REFERRER_MAX);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * The touch a page load counts as, or null for a plain visit: no campaign parameters and no
+ * referrer from another site, such as a reload or a link within the site.
+ */
+export function touchFrom(href: string, referrer: string, now: Date = new Date()): Touch | null {
+  const url = new URL(href);
+  const touch: Touch = { landing_page: url.pathname, at: now.toISOString() };
+  for (const key of UTM_KEYS) {
+    const value = url.searchParams.get(key)?.trim();
+    if (value) touch[key] = value.slice(0, VALUE_MAX);
+  }
+  const from = externalReferrer(referrer, url.host);
+  if (from) touch.referrer = from;
+  return from || UTM_KEYS.some((key) => touch[key]) ? touch : null;
+}
+
+function isExpired(attribution: Attribution, now: Date): boolean {
+  const at = Date.parse(attribution.last_touch.at);
+  return !Number.isFinite(at) || now.getTime() - at > ATTRIBUTION_DAYS * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Where attribution stands after a page load. The first visit is the first touch even when
+ * direct; after that, only campaign links and outside referrers move the last touch.
+ */
+export function nextAttribution(
+  current: Attribution | null,
+  href: string,
+  referrer: string,
+  now: Date = new Date(),
+): Attribution {
+  const live = current && !isExpired(current, now) ? current : null;
+  const touch = touchFrom(href, referrer, now);
+  if (!live) {
+    const first = touch ?? { landing_page: new URL(href).pathname, at: now.toISOString() };
+    return { first_touch: first, last_touch: first };
+  }
+  return touch ? { first_touch: live.first_touch, last_touch: touch } : live;
+}
+
+function parse(raw: string | null): Attribution | null {
+  if (!raw) return null;
+  try {
+    const value = JSON.parse(raw) as Partial<Attribution>;
+    return value?.first_touch?.at && value.last_touch?.at ? (value as Attribution) : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Call once per full page load; view-transition navigations keep the original referrer. */
+export function recordVisit(
+  storage: AttributionStorage,
+  href: string,
+  referrer: string,
+  now: Date = new Date(),
+): void {
+  const current = parse(storage.getItem(ATTRIBUTION_STORAGE_KEY));
+  const next = nextAttribution(current, href, referrer, now);
+  if (next !== current) storage.setItem(ATTRIBUTION_STORAGE_KEY, JSON.stringify(next));
+}
+
+/** What the forms send, or undefined when nothing is stored or it has expired. */
+export function readAttribution(storage: AttributionStorage, now: Date = new Date()): Attribution | undefined {
+  const current = parse(storage.getItem(ATTRIBUTION_STORAGE_KEY));
+  if (!current) return undefined;
+  if (isExpired(current, now)) {
+    storage.removeItem(ATTRIBUTION_STORAGE_KEY);
+    return undefined;
+  }
+  return current;
+}
+
+/** `readAttribution` on localStorage, which throws in some private modes. */
+export function storedAttribution(): Attribution | undefined {
+  try {
+    return readAttribution(localStorage);
+  } catch {
+    return undefined;
+  }
+}
+
+export function init(): void {
+  try {
+    recordVisit(localStorage, window.location.href, document.referrer);
+  } catch {
+    /* localStorage unavailable (private mode) — ignore */
+  }
+}
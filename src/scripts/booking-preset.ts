@@ -0,0 +1,33 @@
+/**
+ * What a page can open the booking widget with: a meeting type to start on, a line for the
+ * notes ("Interested in: Geeb Pro") and a source tag that booking-api keeps with the booking.
+ */
+export type BookingPreset = {
+  meetingType?: string
+  context?: string
+  source?: string
+}
+
+/** Query names on the contact page, which opens with the preset when the dialog could not. */
+const PARAMS = { meetingType: 'type', context: 'context', source: 'source' } as const
+
+/** `?type=…&context=…&source=…` for the fields that are set; empty when none are. */
+export function presetQuery(preset: BookingPreset): string {
+  const query = new URLSearchParams()
+  for (const [key, name] of Object.entries(PARAMS) as [keyof BookingPreset, string][]) {
+    const value = preset[key]
+    if (value) query.set(name, value)
+  }
+  const text = query.toString()
+  return text ? `?${text}` : ''
+}
+
+/** The preset in `params`, each field falling back to `fallback` when the query leaves it out. */
+export function readPreset(params: URLSearchParams, fallback: BookingPreset = {}): BookingPreset {
+  return {
+    meetingType: params.get(PARAMS.meetingType) || fallback.meetingType,
+    context: params.get(PARAMS.context) || fallback.context,
+    source: params.get(PARAMS.source) || fallback.source,
+  }
+}
+
@@ -1,8 +1,10 @@
 import parsePhoneNumberFromString from 'libphonenumber-js/max'
+import { validateAnswers, type IntakeAnswers, type IntakeQuestion } from '../config/booking.ts'
 
 const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/
 
-export type BookingFieldError = 'name' | 'email' | 'phone'
+/** Intake questions report as `answer:<question id>`. */
+export type BookingFieldError = 'name' | 'email' | 'phone' | `answer:${string}`
 
 export type BookingDetails = {
   name: string
@@ -10,6 +12,7 @@ export type BookingDetails = {
   phone: string
   notes: string
   website: string
+  answers?: IntakeAnswers
 }
 
 export type BookingValidation = {
@@ -21,7 +24,12 @@ function trim(value: string | undefined | null): string {
   return (value ?? '').trim()
 }
 
-export function validateBookingDetails(input: BookingDetails): BookingValidation {
+/** `phoneRequired` is for phone calls, where the number is the one we dial. */
+export function validateBookingDetails(
+  input: BookingDetails,
+  questions: readonly IntakeQuestion[] = [],
+  phoneRequired = false,
+): BookingValidation {
   const errors: BookingFieldError[] = []
   const name = trim(input.name)
   const email = trim(input.email)
@@ -32,18 +40,27 @@ export function validateBookingDetails(input: BookingDetails): BookingValidation
   if (phone) {
     const parsed = parsePhoneNumberFromString(phone, 'AE')
     if (!parsed?.isValid()) errors.push('phone')
+  } else if (phoneRequired) {
+    errors.push('phone')
   }
+  const answers = validateAnswers(questions, input.answers)
+  if (!answers.ok) errors.push(...answers.errors.map((id) => `answer:${id}` as const))
 
   return { ok: errors.length === 0, errors }
 }
 
-export function normalizeBookingDetails(input: BookingDetails): Omit<BookingDetails, 'website'> {
+export function normalizeBookingDetails(
+  input: BookingDetails,
+  questions: readonly IntakeQuestion[] = [],
+): Omit<BookingDetails, 'website'> {
   const phone = trim(input.phone)
   const parsed = phone ? parsePhoneNumberFromString(phone, 'AE') : undefined
+  const answers = validateAnswers(questions, input.answers)
   return {
     name: trim(input.name),
     email: trim(input.email).toLowerCase(),
     phone: parsed?.isValid() ? parsed.number : phone,
     notes: trim(input.notes),
+    answers: answers.ok ? answers.value : {},
   }
 }
@@ -1,4 +1,14 @@
-import { validateBookingDetails, normalizeBookingDetails } from './booking-validation'
+import { storedAttribution } from './attribution'
+import { readPreset, type BookingPreset } from './booking-preset'
+import { validateBookingDetails, normalizeBookingDetails, type BookingFieldError } from './booking-validation'
+import {
+  getMeetingType,
+  resolveDateOverrides,
+  type DateOverride,
+  type IntakeAnswers,
+  type IntakeQuestion,
+  type LocationKind,
+} from '../config/booking'
 
 type Copy = {
   timezone: string
@@ -20,10 +30,44 @@ type Copy = {
   errorName: string
   errorEmail: string
   errorPhone: string
+  errorPhoneRequired: string
+  errorAnswer: string
+  errorAnswerUrl: string
   monthPrev: string
   monthNext: string
   dayAvailable: string
   dayUnavailable: string
+  manageLoading: string
+  manageCancelConfirm: string
+  manageCancel: string
+  manageCancelled: string
+  manageMove: string
+  manageMoving: string
+  manageMovedTitle: string
+  manageMovedLead: string
+  errorManageInvalid: string
+  errorManageGone: string
+  errorManageStarted: string
+  waitlistJoin: string
+  waitlistPickDays: string
+  waitlistDone: string
+  holdCountdown: string
+  holdLapsed: string
+  holdUnheld: string
+  errorHoldExpired: string
+  errorAlreadySeated: string
+  errorSeatReschedule: string
+  seatsLeft: string
+  seatLeft: string
+  whereVideo: string
+  wherePhone: string
+  whereWhatsapp: string
+  whereInPerson: string
+  whereJoin: string
+  whereOpenWhatsapp: string
+  whereOpenMap: string
+  whatsappUrl: string
+  mapUrl: string
 }
 
 type BookedEvent = {
@@ -33,20 +77,60 @@ type BookedEvent = {
   end: string
   meetUrl?: string
   hangoutLink?: string
+  /** Missing on bookings from before locations, which were all video calls. */
+  location?: { kind: LocationKind; text?: string }
+}
+
+type CalendarLinks = {
+  ics: string
+  google: string
+  outlook: string
+}
+
+type ManagedBooking = {
+  meetingTypeId: string
+  event: BookedEvent
+  /** A seat in a group session, which can be cancelled but not moved. */
+  seat?: boolean
+}
+
+type HeldSlot = {
+  meetingTypeId: string
+  date: string
+  startTime: string
+  expiresIn: number
+}
+
+type SlotHold = {
+  token: string
+  startTime: string
+  /** Local clock time the hold runs out, from the server's `expiresIn`. */
+  deadline: number
 }
 
 type WidgetState = {
+  mode: 'book' | 'reschedule'
+  manageToken: string | null
   typeId: string
   month: string
   openDays: Set<string>
   date: string | null
   slots: string[]
+  /** Seats left per slot of a group session type; empty for one-to-one types. */
+  seats: Record<string, number>
   slot: string | null
   loadingMonth: boolean
   loadingSlots: boolean
   monthFailed: boolean
+  /** Days picked for the waitlist; null outside the waitlist form. */
+  waitlist: Set<string> | null
+  /** The slot kept for this visitor while they fill in the form; sent with the booking. */
+  hold: SlotHold | null
 }
 
+/** Same cap as booking-api's `validateWaitlistBody`. */
+const MAX_WAITLIST_DATES = 14
+
 let pageAbort: AbortController | null = null
 
 export function destroyBookingWidget(): void {
@@ -61,7 +145,6 @@ export function initBookingWidget(): void {
 
   const apiUrl = root.dataset.apiUrl?.replace(/\/$/, '') ?? ''
   const lang = root.dataset.lang || 'en'
-  const maxDaysAhead = Number(root.dataset.maxDaysAhead || '30')
   const copy = readCopy(root)
   if (!apiUrl || !copy) return
 
@@ -82,29 +165,67 @@ export function initBookingWidget(): void {
   const extra = root.querySelector<HTMLElement>('[data-booking-extra]')
   const extraToggle = root.querySelector<HTMLButtonElement>('[data-booking-extra-toggle]')
   const summaryEl = root.querySelector<HTMLElement>('[data-booking-summary]')
+  const holdEl = root.querySelector<HTMLElement>('[data-booking-hold]')
   const submitBtn = root.querySelector<HTMLButtonElement>('[data-booking-submit]')
   const icsLink = root.querySelector<HTMLAnchorElement>('[data-booking-ics]')
+  const googleLink = root.querySelector<HTMLAnchorElement>('[data-booking-google]')
+  const outlookLink = root.querySelector<HTMLAnchorElement>('[data-booking-outlook]')
   const successWhen = root.querySelector<HTMLElement>('[data-booking-success-when]')
   const successLead = root.querySelector<HTMLElement>('[data-booking-success-lead]')
+  const successWhere = root.querySelector<HTMLElement>('[data-booking-success-where]')
+  const successWhereText = root.querySelector<HTMLElement>('[data-booking-success-where-text]')
+  const successWhereLink = root.querySelector<HTMLAnchorElement>('[data-booking-success-where-link]')
   const prevBtn = root.querySelector<HTMLButtonElement>('[data-booking-prev]')
   const nextBtn = root.querySelector<HTMLButtonElement>('[data-booking-next]')
+  const successTitle = root.querySelector<HTMLElement>('[data-booking-success-title]')
+  const manageLink = root.querySelector<HTMLAnchorElement>('[data-booking-manage-link]')
+  const typesEl = root.querySelector<HTMLFieldSetElement>('[data-booking-types]')
+  const locationEls = root.querySelectorAll<HTMLFieldSetElement>('[data-booking-locations]')
+  const phoneOptional = root.querySelector<HTMLElement>('[data-booking-phone-optional]')
+  const manage = root.querySelector<HTMLElement>('[data-booking-manage]')
+  const manageWhen = root.querySelector<HTMLElement>('[data-booking-manage-when]')
+  const manageLead = root.querySelector<HTMLElement>('[data-booking-manage-lead]')
+  const manageStatus = root.querySelector<HTMLElement>('[data-booking-manage-status]')
+  const manageReschedule = root.querySelector<HTMLButtonElement>('[data-booking-manage-reschedule]')
+  const manageCancel = root.querySelector<HTMLButtonElement>('[data-booking-manage-cancel]')
+  const move = root.querySelector<HTMLElement>('[data-booking-move]')
+  const moveStatus = root.querySelector<HTMLElement>('[data-booking-move-status]')
+  const moveBtn = root.querySelector<HTMLButtonElement>('[data-booking-move-submit]')
+  const waitlistForm = root.querySelector<HTMLFormElement>('[data-booking-waitlist]')
+  const waitlistStatus = root.querySelector<HTMLElement>('[data-booking-waitlist-status]')
+  const waitlistSubmit = root.querySelector<HTMLButtonElement>('[data-booking-waitlist-submit]')
 
   if (!calendarEl || !weekdayEl || !monthLabel || !slotsEl || !form || !details || !statusEl || !success || !panel || !submitBtn) {
     return
   }
 
   const firstType = root.querySelector<HTMLInputElement>('input[name="meetingType"]:checked')
+  const params = new URLSearchParams(window.location.search)
   const state: WidgetState = {
+    mode: 'book',
+    manageToken: params.get('booking'),
     typeId: firstType?.value || 'consultation',
     month: currentMonth(),
     openDays: new Set(),
     date: null,
     slots: [],
+    seats: {},
     slot: null,
     loadingMonth: false,
     loadingSlots: false,
     monthFailed: false,
+    waitlist: null,
+    hold: null,
   }
+  const linkHold = params.get('hold')
+  const preset = readPreset(params, {
+    meetingType: root.dataset.meetingType,
+    context: root.dataset.context,
+    source: root.dataset.source,
+  })
+  let holdTimer: number | undefined
+  /** Buffer the open days on show were worked out with; an in-person pick needs a longer one. */
+  let loadedBuffer = ''
 
   if (tzEl) {
     tzEl.textContent = copy.timezone.replace('{tz}', timezoneLabel(visitorTz, lang))
@@ -112,7 +233,40 @@ export function initBookingWidget(): void {
 
   renderWeekdays(weekdayEl, lang)
 
+  /** Per-type rules the page was built with, so closed days grey out before availability loads. */
+  function typeRules(): { maxDaysAhead: number; workingDays: Set<string>; overrides: DateOverride[] } {
+    const input = root!.querySelector<HTMLInputElement>(`input[name="meetingType"][value="${CSS.escape(state.typeId)}"]`)
+    const days = input?.dataset.workingDays?.split(',').filter(Boolean)
+    return {
+      maxDaysAhead: Number(input?.dataset.maxDaysAhead || '30'),
+      workingDays: new Set(days?.length ? days : WEEKDAYS),
+      overrides: parseOverrides(input?.dataset.dateOverrides),
+    }
+  }
+
+  function closedByRules(date: string, rules: ReturnType<typeof typeRules>): boolean {
+    const override = resolveDateOverrides(date, rules.overrides)
+    if (override.closed) return true
+    return !override.hours && !rules.workingDays.has(weekdayName(date))
+  }
+
+  /** The checked location radio for the current type. */
+  function locationInput(): HTMLInputElement | null {
+    return root!.querySelector<HTMLInputElement>(`input[name="location-${CSS.escape(state.typeId)}"]:checked`)
+  }
+
+  function location(): LocationKind {
+    return (locationInput()?.value as LocationKind | undefined) ?? 'video'
+  }
+
+  /** The location part of an availability query. */
+  function locationQuery(): string {
+    return `&location=${encodeURIComponent(location())}`
+  }
+
   async function loadMonth(): Promise<void> {
+    releaseHold()
+    loadedBuffer = locationInput()?.dataset.bufferMinutes ?? ''
     state.loadingMonth = true
     state.monthFailed = false
     state.openDays = new Set()
@@ -125,7 +279,7 @@ export function initBookingWidget(): void {
     calendarEl!.dataset.state = 'loading'
     try {
       const data = await getJson<{ openDays: string[] }>(
-        `${apiUrl}/availability?month=${state.month}&meetingType=${encodeURIComponent(state.typeId)}`,
+        `${apiUrl}/availability?month=${state.month}&meetingType=${encodeURIComponent(state.typeId)}${locationQuery()}`,
         signal,
       )
       state.openDays = new Set(data.openDays)
@@ -141,17 +295,20 @@ export function initBookingWidget(): void {
   }
 
   async function loadSlots(date: string): Promise<void> {
+    releaseHold()
     state.loadingSlots = true
     state.slots = []
+    state.seats = {}
     state.slot = null
     renderSlots()
     toggleDetails()
     try {
-      const data = await getJson<{ slots: string[] }>(
-        `${apiUrl}/availability?date=${date}&meetingType=${encodeURIComponent(state.typeId)}`,
+      const data = await getJson<{ slots: string[]; seats?: Record<string, number> }>(
+        `${apiUrl}/availability?date=${date}&meetingType=${encodeURIComponent(state.typeId)}${locationQuery()}`,
         signal,
       )
       state.slots = data.slots
+      state.seats = data.seats ?? {}
     } catch (err) {
       if (isAbort(err)) return
       showStatus(copy.errorNetwork, 'error')
@@ -176,7 +333,8 @@ export function initBookingWidget(): void {
     const days = daysInMonth(state.month)
     const startPad = weekdayIndex(`${state.month}-01`, firstDay)
     const today = todayYmd()
-    const maxDate = addDays(today, maxDaysAhead)
+    const rules = typeRules()
+    const maxDate = addDays(today, rules.maxDaysAhead)
 
     if (prevBtn) prevBtn.disabled = state.month <= today.slice(0, 7)
     if (nextBtn) nextBtn.disabled = state.month >= maxDate.slice(0, 7)
@@ -184,10 +342,12 @@ export function initBookingWidget(): void {
     const cells: string[] = []
     for (let i = 0; i < startPad; i++) cells.push('<span class="booking__day booking__day--pad" aria-hidden="true"></span>')
     const dayFmt = new Intl.DateTimeFormat(lang, { weekday: 'long', month: 'long', day: 'numeric' })
+    const waitlist = state.waitlist
     for (const date of days) {
-      const open = state.openDays.has(date)
-      const selected = state.date === date
-      const disabled = !open || date < today || date > maxDate
+      // On the waitlist form, full days can be picked too; that is the point of it.
+      const open = waitlist ? true : state.openDays.has(date)
+      const selected = waitlist ? waitlist.has(date) : state.date === date
+      const disabled = !open || date < today || date > maxDate || closedByRules(date, rules)
       const isToday = date === today
       const label = Number(date.slice(8, 10))
       const [year, month, day] = date.split('-').map(Number)
@@ -200,14 +360,20 @@ export function initBookingWidget(): void {
       )
     }
     calendarEl!.innerHTML = cells.join('')
-    if (!state.loadingMonth && !state.monthFailed && state.openDays.size === 0) {
+    if (!waitlist && !state.loadingMonth && !state.monthFailed && state.openDays.size === 0) {
       calendarEl!.insertAdjacentHTML(
         'beforeend',
-        `<p class="booking__empty">${escapeHtml(copy.noMonthDays)}</p>`,
+        `<p class="booking__empty">${escapeHtml(copy.noMonthDays)}</p>${waitlistJoin()}`,
       )
     }
   }
 
+  /** Offered on empty months and under a day's slots, but not while moving an existing booking. */
+  function waitlistJoin(): string {
+    if (!waitlistForm || state.mode === 'reschedule') return ''
+    return `<button type="button" class="booking__more booking__waitlist-join" data-booking-waitlist-join>${escapeHtml(copy!.waitlistJoin)}</button>`
+  }
+
   function renderSlots(): void {
     slotsEl!.hidden = false
     if (state.loadingSlots) {
@@ -223,7 +389,7 @@ export function initBookingWidget(): void {
       return
     }
     if (!state.slots.length) {
-      slotsEl!.innerHTML = `<p class="booking__hint">${escapeHtml(copy.slotsEmpty)}</p>`
+      slotsEl!.innerHTML = `<p class="booking__hint">${escapeHtml(copy.slotsEmpty)}</p>${waitlistJoin()}`
       renderSummary()
       return
     }
@@ -235,15 +401,20 @@ export function initBookingWidget(): void {
     slotsEl!.innerHTML = state.slots
       .map((iso) => {
         const selected = state.slot === iso
-        return `<button type="button" class="booking__slot${selected ? ' is-selected' : ''}" data-slot="${iso}" aria-pressed="${selected ? 'true' : 'false'}">${timeFmt.format(new Date(iso))}</button>`
+        const seats = state.seats[iso]
+        const seatsLabel =
+          seats === undefined
+            ? ''
+            : `<span class="booking__slot-seats">${escapeHtml(seats === 1 ? copy!.seatLeft : copy!.seatsLeft.replace('{n}', String(seats)))}</span>`
+        return `<button type="button" class="booking__slot${selected ? ' is-selected' : ''}" data-slot="${iso}" aria-pressed="${selected ? 'true' : 'false'}">${timeFmt.format(new Date(iso))}${seatsLabel}</button>`
       })
-      .join('')
+      .join('') + waitlistJoin()
     renderSummary()
   }
 
   function renderSummary(): void {
     if (!summaryEl) return
-    if (!state.date) {
+    if (!state.date || state.waitlist) {
       summaryEl.hidden = true
       summaryEl.textContent = ''
       return
@@ -268,26 +439,326 @@ export function initBookingWidget(): void {
   }
 
   function toggleDetails(): void {
-    details!.hidden = !state.slot
+    const rescheduling = state.mode === 'reschedule'
+    const waitlisting = state.waitlist !== null
+    details!.hidden = !state.slot || rescheduling || waitlisting
+    if (move) move.hidden = !state.slot || !rescheduling || waitlisting
+    if (waitlistForm) waitlistForm.hidden = !waitlisting
+    slotsEl!.hidden = waitlisting
     renderSummary()
   }
 
+  function openWaitlist(): void {
+    releaseHold()
+    state.waitlist = new Set(state.date ? [state.date] : [])
+    state.slot = null
+    if (waitlistStatus) setStatus(waitlistStatus, '', '')
+    if (waitlistSubmit) waitlistSubmit.hidden = false
+    showStatus('', '')
+    renderCalendar()
+    toggleDetails()
+    waitlistForm?.querySelector<HTMLInputElement>('input[name="name"]')?.focus()
+  }
+
+  function closeWaitlist(): void {
+    state.waitlist = null
+    renderCalendar()
+    renderSlots()
+    toggleDetails()
+  }
+
+  /** A waitlist offer link; the held slot is shown picked, with the form open. */
+  async function openHold(holdToken: string): Promise<void> {
+    dropParam('hold')
+    try {
+      const data = await getJson<{ hold: HeldSlot }>(`${apiUrl}/hold/${encodeURIComponent(holdToken)}`, signal)
+      const { hold } = data
+      selectType(hold.meetingTypeId)
+      state.month = hold.date.slice(0, 7)
+      state.openDays = new Set([hold.date])
+      state.date = hold.date
+      state.slots = [hold.startTime]
+      state.slot = hold.startTime
+      calendarEl!.dataset.state = 'ready'
+      renderCalendar()
+      renderSlots()
+      toggleDetails()
+      startHold({ token: holdToken, startTime: hold.startTime, deadline: Date.now() + hold.expiresIn * 1000 })
+    } catch (err) {
+      if (isAbort(err)) return
+      await loadMonth()
+      showStatus(messageForError(err, copy!), 'error')
+    }
+  }
+
+  function renderHold(): void {
+    if (!holdEl) return
+    const hold = state.hold
+    if (!hold || hold.startTime !== state.slot) {
+      holdEl.hidden = true
+      return
+    }
+    const left = hold.deadline - Date.now()
+    holdEl.hidden = false
+    if (left <= 0) {
+      // The slot may well still be free; /book checks it either way.
+      clearHold()
+      holdEl.hidden = false
+      holdEl.dataset.state = 'lapsed'
+      holdEl.textContent = copy!.holdLapsed
+      return
+    }
+    holdEl.dataset.state = 'held'
+    holdEl.textContent = copy!.holdCountdown.replace('{time}', formatCountdown(left))
+  }
+
+  function startHold(hold: SlotHold): void {
+    window.clearInterval(holdTimer)
+    state.hold = hold
+    holdTimer = window.setInterval(renderHold, 1000)
+    renderHold()
+  }
+
+  /** Forgets the hold without telling booking-api, for when the booking used it up. */
+  function clearHold(): void {
+    window.clearInterval(holdTimer)
+    state.hold = null
+    if (holdEl) holdEl.hidden = true
+  }
+
+  /** Hands the slot back to everyone else. */
+  function releaseHold(leaving = false): void {
+    const hold = state.hold
+    clearHold()
+    if (hold) sendRelease(apiUrl, hold.token, leaving)
+  }
+
+  /** Picking a slot in the booking form keeps it for this visitor for a few minutes. */
+  async function holdSlot(startTime: string): Promise<void> {
+    if (state.hold?.startTime === startTime) {
+      renderHold()
+      return
+    }
+    // booking-api gives up the hold it replaces only once the new one is placed.
+    const previous = state.hold
+    clearHold()
+    try {
+      const data = await postJson<{ holdToken: string; expiresIn: number }>(
+        `${apiUrl}/hold`,
+        { meetingTypeId: state.typeId, startTime, replaces: previous?.token },
+        signal,
+      )
+      const hold = { token: data.holdToken, startTime, deadline: Date.now() + data.expiresIn * 1000 }
+      if (state.slot !== startTime || state.mode !== 'book') {
+        sendRelease(apiUrl, hold.token, false)
+        return
+      }
+      startHold(hold)
+    } catch (err) {
+      if (previous) sendRelease(apiUrl, previous.token, false)
+      if (isAbort(err)) return
+      if (err instanceof ApiError && err.code === 'slot_taken' && state.slot === startTime) {
+        state.slots = state.slots.filter((slot) => slot !== startTime)
+        state.slot = null
+        renderSlots()
+        toggleDetails()
+        showStatus(copy!.errorSlotTaken, 'error')
+      } else if (state.slot === startTime && holdEl) {
+        // Carry on without a hold; /book re-checks the slot anyway. Say so, so nobody counts on one.
+        holdEl.hidden = false
+        holdEl.dataset.state = 'unheld'
+        holdEl.textContent = copy!.holdUnheld
+      }
+    }
+  }
+
   function showStatus(message: string, type: 'error' | 'pending' | ''): void {
-    statusEl!.textContent = message
-    statusEl!.hidden = !message
-    statusEl!.dataset.type = type
+    setStatus(statusEl!, message, type)
+  }
+
+  function showSuccess(
+    event: BookedEvent,
+    title: string,
+    lead: string,
+    manageToken?: string,
+    calendar?: CalendarLinks,
+  ): void {
+    panel!.hidden = true
+    if (manage) manage.hidden = true
+    success!.hidden = false
+    if (successTitle) successTitle.textContent = title
+    if (successWhen) successWhen.textContent = formatRange(event.start, event.end, lang, visitorTz)
+    if (successLead) successLead.textContent = lead
+    showWhere(event)
+    setCalendarLink(icsLink, calendar?.ics)
+    setCalendarLink(googleLink, calendar?.google)
+    setCalendarLink(outlookLink, calendar?.outlook)
+    if (manageLink) {
+      manageLink.hidden = !manageToken
+      if (manageToken) manageLink.href = manageHref(manageToken)
+    }
+  }
+
+  /** Where the booking happens, with the call, chat or map link when there is one. */
+  function showWhere(event: BookedEvent): void {
+    if (!successWhere || !successWhereText || !successWhereLink) return
+    const kind = event.location?.kind ?? 'video'
+    const meetUrl = event.meetUrl || event.hangoutLink
+    const where: Record<LocationKind, { text: string; href?: string; label?: string }> = {
+      video: { text: copy!.whereVideo, href: meetUrl, label: copy!.whereJoin },
+      phone: { text: copy!.wherePhone.replace('{phone}', event.location?.text ?? '') },
+      whatsapp: { text: copy!.whereWhatsapp, href: copy!.whatsappUrl, label: copy!.whereOpenWhatsapp },
+      'in-person': { text: copy!.whereInPerson, href: copy!.mapUrl, label: copy!.whereOpenMap },
+    }
+    const shown = where[kind]
+    successWhere.hidden = false
+    successWhereText.textContent = shown.text
+    successWhereLink.hidden = !shown.href
+    if (shown.href) {
+      successWhereLink.href = shown.href
+      successWhereLink.textContent = shown.label ?? ''
+    }
+  }
+
+  function selectType(typeId: string): void {
+    state.typeId = typeId
+    root!.querySelectorAll<HTMLInputElement>('input[name="meetingType"]').forEach((input) => {
+      input.checked = input.value === typeId
+    })
+    showQuestions()
+    showLocations()
+  }
+
+  /** Picks `kind` for the current type, if the type offers it. */
+  function selectLocation(kind: LocationKind): void {
+    const input = root!.querySelector<HTMLInputElement>(
+      `input[name="location-${CSS.escape(state.typeId)}"][value="${CSS.escape(kind)}"]`,
+    )
+    if (input) input.checked = true
+    syncPhone()
+  }
+
+  function showLocations(): void {
+    locationEls.forEach((box) => {
+      box.hidden = box.dataset.bookingLocations !== state.typeId
+    })
+    syncPhone()
+  }
+
+  /** A phone call needs the number, so the phone field opens and stops saying it is optional. */
+  function syncPhone(): void {
+    const required = location() === 'phone'
+    if (phoneOptional) phoneOptional.hidden = required
+    if (required) openExtra()
+  }
+
+  function openExtra(): void {
+    if (!extra?.hidden) return
+    extra.hidden = false
+    extraToggle?.setAttribute('aria-expanded', 'true')
+    if (extraToggle) extraToggle.textContent = copy!.less
+  }
+
+  /** Starts on the preset's meeting type, with its context already in the notes. */
+  function applyPreset(next: BookingPreset): void {
+    const type = next.meetingType
+    if (type && root!.querySelector(`input[name="meetingType"][value="${CSS.escape(type)}"]`)) selectType(type)
+    fillContext(next.context)
+  }
+
+  function fillContext(context: string | undefined): void {
+    const notes = form!.elements.namedItem('notes')
+    if (!context || !(notes instanceof HTMLTextAreaElement) || notes.value) return
+    notes.value = context
+    openExtra()
+  }
+
+  function questions(): IntakeQuestion[] {
+    return getMeetingType(state.typeId)?.questions ?? []
+  }
+
+  function showQuestions(): void {
+    form!.querySelectorAll<HTMLElement>('[data-booking-questions]').forEach((box) => {
+      box.hidden = box.dataset.bookingQuestions !== state.typeId
+    })
+  }
+
+  function readAnswers(): IntakeAnswers {
+    const box = form!.querySelector(`[data-booking-questions="${CSS.escape(state.typeId)}"]`)
+    const answers: IntakeAnswers = {}
+    if (!box) return answers
+    for (const question of questions()) {
+      const name = `answer-${question.id}`
+      if (question.kind === 'multi-select') {
+        answers[question.id] = [...box.querySelectorAll<HTMLInputElement>(`input[name="${name}"]:checked`)].map(
+          (input) => input.value,
+        )
+      } else {
+        const field = box.querySelector(`[name="${name}"]`)
+        if (field instanceof HTMLInputElement || field instanceof HTMLTextAreaElement || field instanceof HTMLSelectElement) {
+          answers[question.id] = field.value
+        }
+      }
+    }
+    return answers
+  }
+
+  function errorMessage(name: BookingFieldError): string {
+    if (name === 'name') return copy!.errorName
+    if (name === 'email') return copy!.errorEmail
+    if (name === 'phone') return value(form!, 'phone') ? copy!.errorPhone : copy!.errorPhoneRequired
+    const question = questions().find((entry) => `answer:${entry.id}` === name)
+    return question?.kind === 'url' ? copy!.errorAnswerUrl : copy!.errorAnswer
+  }
+
+  async function openManage(manageToken: string): Promise<void> {
+    panel!.hidden = true
+    success!.hidden = true
+    if (!manage) return
+    manage.hidden = false
+    if (manageReschedule) manageReschedule.hidden = true
+    if (manageCancel) manageCancel.hidden = true
+    if (manageWhen) manageWhen.textContent = ''
+    if (manageStatus) setStatus(manageStatus, copy!.manageLoading, 'pending')
+    try {
+      const data = await getJson<{ booking: ManagedBooking }>(
+        `${apiUrl}/booking/${encodeURIComponent(manageToken)}`,
+        signal,
+      )
+      selectType(data.booking.meetingTypeId)
+      selectLocation(data.booking.event.location?.kind ?? 'video')
+      if (manageWhen) manageWhen.textContent = formatRange(data.booking.event.start, data.booking.event.end, lang, visitorTz)
+      if (manageStatus) setStatus(manageStatus, '', '')
+      if (manageReschedule) manageReschedule.hidden = Boolean(data.booking.seat)
+      if (manageCancel) {
+        manageCancel.hidden = false
+        manageCancel.textContent = copy!.manageCancel
+        delete manageCancel.dataset.armed
+      }
+    } catch (err) {
+      if (isAbort(err)) return
+      if (manageLead) manageLead.hidden = true
+      if (manageStatus) setStatus(manageStatus, messageForError(err, copy!), 'error')
+    }
+  }
+
+  function leaveManage(): void {
+    state.mode = 'book'
+    state.manageToken = null
+    if (typesEl) typesEl.disabled = false
+    locationEls.forEach((box) => (box.disabled = false))
+    if (manage) manage.hidden = true
+    dropParam('booking')
   }
 
-  function fieldError(name: 'name' | 'email' | 'phone', on: boolean): void {
+  function fieldError(name: BookingFieldError, on: boolean): void {
     const field = form!.querySelector(`[data-field="${name}"]`)
     if (field instanceof HTMLElement) field.dataset.invalid = on ? 'true' : 'false'
     const hint = form!.querySelector(`[data-error="${name}"]`)
-    if (hint instanceof HTMLElement) {
-      const message = name === 'email' ? copy.errorEmail : name === 'phone' ? copy.errorPhone : copy.errorName
-      hint.textContent = on ? message : ''
-    }
-    const input = form!.querySelector(`[data-field="${name}"] input`)
-    if (input instanceof HTMLInputElement) input.setAttribute('aria-invalid', on ? 'true' : 'false')
+    if (hint instanceof HTMLElement) hint.textContent = on ? errorMessage(name) : ''
+    form!.querySelectorAll(`[data-field="${name}"] :is(input, select, textarea)`).forEach((input) => {
+      input.setAttribute('aria-invalid', on ? 'true' : 'false')
+    })
   }
 
   root.querySelectorAll<HTMLInputElement>('input[name="meetingType"]').forEach((input) => {
@@ -296,6 +767,8 @@ export function initBookingWidget(): void {
       () => {
         if (!input.checked) return
         state.typeId = input.value
+        showQuestions()
+        showLocations()
         void loadMonth()
         renderSummary()
       },
@@ -303,6 +776,18 @@ export function initBookingWidget(): void {
     )
   })
 
+  root.querySelectorAll<HTMLInputElement>('[data-booking-locations] input').forEach((input) => {
+    input.addEventListener(
+      'change',
+      () => {
+        if (!input.checked) return
+        syncPhone()
+        if (input.dataset.bufferMinutes !== loadedBuffer) void loadMonth()
+      },
+      { signal },
+    )
+  })
+
   prevBtn?.addEventListener(
     'click',
     () => {
@@ -323,8 +808,19 @@ export function initBookingWidget(): void {
   calendarEl.addEventListener(
     'click',
     (event) => {
+      if ((event.target as HTMLElement).closest('[data-booking-waitlist-join]')) {
+        openWaitlist()
+        return
+      }
       const btn = (event.target as HTMLElement).closest<HTMLButtonElement>('button[data-date]')
       if (!btn || btn.disabled) return
+      if (state.waitlist) {
+        const date = btn.dataset.date ?? ''
+        if (state.waitlist.has(date)) state.waitlist.delete(date)
+        else if (state.waitlist.size < MAX_WAITLIST_DATES) state.waitlist.add(date)
+        renderCalendar()
+        return
+      }
       state.date = btn.dataset.date ?? null
       renderCalendar()
       if (state.date) void loadSlots(state.date)
@@ -335,12 +831,17 @@ export function initBookingWidget(): void {
   slotsEl.addEventListener(
     'click',
     (event) => {
+      if ((event.target as HTMLElement).closest('[data-booking-waitlist-join]')) {
+        openWaitlist()
+        return
+      }
       const btn = (event.target as HTMLElement).closest<HTMLButtonElement>('button[data-slot]')
       if (!btn) return
       state.slot = btn.dataset.slot ?? null
       renderSlots()
       toggleDetails()
       showStatus('', '')
+      if (state.slot && state.mode === 'book') void holdSlot(state.slot)
     },
     { signal },
   )
@@ -356,50 +857,54 @@ export function initBookingWidget(): void {
         phone: value(form, 'phone'),
         notes: value(form, 'notes'),
         website: value(form, 'website'),
+        answers: readAnswers(),
       }
-      const result = validateBookingDetails(raw)
-      fieldError('name', result.errors.includes('name'))
-      fieldError('email', result.errors.includes('email'))
-      fieldError('phone', result.errors.includes('phone'))
+      const asked = questions()
+      const result = validateBookingDetails(raw, asked, location() === 'phone')
+      const fields: BookingFieldError[] = ['name', 'email', 'phone', ...asked.map((question) => `answer:${question.id}` as const)]
+      fields.forEach((name) => fieldError(name, result.errors.includes(name)))
       if (!result.ok) {
         const first = result.errors[0]
-        showStatus(
-          first === 'email' ? copy.errorEmail : first === 'phone' ? copy.errorPhone : copy.errorName,
-          'error',
-        )
-        const focus = form.querySelector(`[data-field="${first}"] input`)
-        if (focus instanceof HTMLInputElement) focus.focus()
+        showStatus(errorMessage(first), 'error')
+        const focus = form.querySelector(`[data-field="${first}"] :is(input, select, textarea)`)
+        if (focus instanceof HTMLElement) focus.focus()
         return
       }
 
-      const detailsNorm = normalizeBookingDetails(raw)
+      const detailsNorm = normalizeBookingDetails(raw, asked)
       submitBtn.disabled = true
       submitBtn.textContent = copy.submitting
       showStatus(copy.submitting, 'pending')
 
       try {
-        const data = await postJson<{ event: BookedEvent }>(`${apiUrl}/book`, {
+        const data = await postJson<{ event: BookedEvent; manageToken?: string; calendar?: CalendarLinks }>(`${apiUrl}/book`, {
           meetingTypeId: state.typeId,
           startTime: state.slot,
           name: detailsNorm.name,
           email: detailsNorm.email,
           phone: detailsNorm.phone || undefined,
           notes: detailsNorm.notes || undefined,
+          location: location(),
+          answers: detailsNorm.answers,
+          timeZone: visitorTz,
+          lang,
           website: raw.website,
+          holdToken: state.hold?.token,
+          attribution: storedAttribution(),
+          source: preset.source,
         }, signal)
+        clearHold()
         showStatus('', '')
-        panel.hidden = true
-        success.hidden = false
-        const when = formatRange(data.event.start, data.event.end, lang, visitorTz)
-        if (successWhen) successWhen.textContent = when
-        if (successLead) successLead.textContent = copy.successLead.replace('{email}', detailsNorm.email)
-        if (icsLink) {
-          const href = makeIcs(data.event)
-          icsLink.href = href
-          icsLink.download = 'baseet-studio.ics'
-        }
+        showSuccess(
+          data.event,
+          copy.successTitle,
+          copy.successLead.replace('{email}', detailsNorm.email),
+          data.manageToken,
+          data.calendar,
+        )
       } catch (err) {
         if (isAbort(err)) return
+        if (err instanceof ApiError && err.code === 'slot_taken') clearHold()
         showStatus(messageForError(err, copy), 'error')
       } finally {
         submitBtn.disabled = false
@@ -409,9 +914,61 @@ export function initBookingWidget(): void {
     { signal },
   )
 
+  waitlistForm?.addEventListener(
+    'submit',
+    async (event) => {
+      event.preventDefault()
+      if (!state.waitlist || !waitlistStatus || !waitlistSubmit) return
+      const raw = {
+        name: value(waitlistForm, 'name'),
+        email: value(waitlistForm, 'email'),
+        phone: '',
+        notes: '',
+        website: value(waitlistForm, 'website'),
+      }
+      const result = validateBookingDetails(raw)
+      if (!result.ok) {
+        setStatus(waitlistStatus, errorMessage(result.errors[0]), 'error')
+        return
+      }
+      if (state.waitlist.size === 0) {
+        setStatus(waitlistStatus, copy.waitlistPickDays, 'error')
+        return
+      }
+
+      const detailsNorm = normalizeBookingDetails(raw)
+      const partOfDay = waitlistForm.elements.namedItem('partOfDay')
+      waitlistSubmit.disabled = true
+      setStatus(waitlistStatus, copy.submitting, 'pending')
+      try {
+        await postJson(`${apiUrl}/waitlist`, {
+          meetingTypeId: state.typeId,
+          dates: [...state.waitlist].sort(),
+          partOfDay: partOfDay instanceof HTMLSelectElement ? partOfDay.value : 'any',
+          name: detailsNorm.name,
+          email: detailsNorm.email,
+          timeZone: visitorTz,
+          lang,
+          website: raw.website,
+        }, signal)
+        waitlistSubmit.hidden = true
+        setStatus(waitlistStatus, copy.waitlistDone.replace('{email}', detailsNorm.email), '')
+      } catch (err) {
+        if (isAbort(err)) return
+        setStatus(waitlistStatus, messageForError(err, copy), 'error')
+      } finally {
+        waitlistSubmit.disabled = false
+      }
+    },
+    { signal },
+  )
+
+  root.querySelector('[data-booking-waitlist-back]')?.addEventListener('click', () => closeWaitlist(), { signal })
+
   root.querySelector('[data-booking-reset]')?.addEventListener(
     'click',
     () => {
+      if (state.mode === 'reschedule') leaveManage()
       success.hidden = true
       panel.hidden = false
       form.reset()
@@ -420,9 +977,12 @@ export function initBookingWidget(): void {
         extraToggle.setAttribute('aria-expanded', 'false')
         extraToggle.textContent = copy.more
       }
+      syncPhone()
+      fillContext(preset.context)
       state.date = null
       state.slot = null
       state.slots = []
+      state.waitlist = null
       renderCalendar()
       renderSlots()
       toggleDetails()
@@ -443,7 +1003,151 @@ export function initBookingWidget(): void {
     { signal },
   )
 
-  void loadMonth()
+  manageReschedule?.addEventListener(
+    'click',
+    () => {
+      state.mode = 'reschedule'
+      if (typesEl) typesEl.disabled = true
+      locationEls.forEach((box) => (box.disabled = true))
+      if (manage) manage.hidden = true
+      panel.hidden = false
+      if (moveStatus) setStatus(moveStatus, '', '')
+      void loadMonth()
+    },
+    { signal },
+  )
+
+  manageCancel?.addEventListener(
+    'click',
+    async () => {
+      if (!state.manageToken) return
+      if (manageCancel.dataset.armed !== 'true') {
+        manageCancel.dataset.armed = 'true'
+        manageCancel.textContent = copy.manageCancelConfirm
+        return
+      }
+      manageCancel.disabled = true
+      if (manageReschedule) manageReschedule.disabled = true
+      try {
+        await postJson(`${apiUrl}/booking/${encodeURIComponent(state.manageToken)}`, { action: 'cancel' }, signal)
+        manageCancel.hidden = true
+        if (manageReschedule) manageReschedule.hidden = true
+        if (manageLead) manageLead.hidden = true
+        if (manageStatus) setStatus(manageStatus, copy.manageCancelled, '')
+      } catch (err) {
+        if (isAbort(err)) return
+        if (manageStatus) setStatus(manageStatus, messageForError(err, copy), 'error')
+      } finally {
+        manageCancel.disabled = false
+        if (manageReschedule) manageReschedule.disabled = false
+        delete manageCancel.dataset.armed
+        manageCancel.textContent = copy.manageCancel
+      }
+    },
+    { signal },
+  )
+
+  root.querySelector('[data-booking-manage-new]')?.addEventListener(
+    'click',
+    () => {
+      leaveManage()
+      if (manageLead) manageLead.hidden = false
+      panel.hidden = false
+      void loadMonth()
+    },
+    { signal },
+  )
+
+  moveBtn?.addEventListener(
+    'click',
+    async () => {
+      if (!state.slot || !state.manageToken) return
+      moveBtn.disabled = true
+      moveBtn.textContent = copy.manageMoving
+      if (moveStatus) setStatus(moveStatus, copy.manageMoving, 'pending')
+      try {
+        const data = await postJson<{ event: BookedEvent; calendar?: CalendarLinks }>(
+          `${apiUrl}/booking/${encodeURIComponent(state.manageToken)}`,
+          { action: 'reschedule', startTime: state.slot },
+          signal,
+        )
+        if (moveStatus) setStatus(moveStatus, '', '')
+        showSuccess(data.event, copy.manageMovedTitle, copy.manageMovedLead, state.manageToken, data.calendar)
+      } catch (err) {
+        if (isAbort(err)) return
+        if (moveStatus) setStatus(moveStatus, messageForError(err, copy), 'error')
+      } finally {
+        moveBtn.disabled = false
+        moveBtn.textContent = copy.manageMove
+      }
+    },
+    { signal },
+  )
+
+  function start(): void {
+    if (state.manageToken) {
+      void openManage(state.manageToken)
+    } else if (linkHold) {
+      void openHold(linkHold)
+    } else {
+      void loadMonth()
+    }
+  }
+
+  applyPreset(preset)
+  // A widget in a dialog waits to be opened before it asks for availability.
+  if (root.hasAttribute('data-booking-deferred')) {
+    root.addEventListener('booking:open', start, { once: true, signal })
+  } else {
+    start()
+  }
+
+  // Leaving the page, or navigating away within the site, gives the slot back straight away.
+  window.addEventListener('pagehide', () => releaseHold(true), { signal })
+  signal.addEventListener('abort', () => releaseHold(true))
+}
+
+/** A beacon survives the page unloading; otherwise a keepalive fetch does the same job. */
+function sendRelease(apiUrl: string, holdToken: string, leaving: boolean): void {
+  const url = `${apiUrl}/hold/${encodeURIComponent(holdToken)}/release`
+  if (leaving && navigator.sendBeacon?.(url)) return
+  void fetch(url, { method: 'POST', keepalive: true }).catch(() => undefined)
+}
+
+function formatCountdown(ms: number): string {
+  const seconds = Math.ceil(ms / 1000)
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+}
+
+/** Takes a one-off link parameter out of the address bar once it has been used. */
+function dropParam(name: string): void {
+  const url = new URL(window.location.href)
+  if (!url.searchParams.has(name)) return
+  url.searchParams.delete(name)
+  window.history.replaceState(window.history.state, '', url)
+}
+
+function setStatus(el: HTMLElement, message: string, type: 'error' | 'pending' | ''): void {
+  el.textContent = message
+  el.hidden = !message
+  el.dataset.type = type
+}
+
+function manageHref(manageToken: string): string {
+  const url = new URL(window.location.href)
+  url.searchParams.set('booking', manageToken)
+  url.hash = 'contact-meeting'
+  return url.toString()
+}
+
+function parseOverrides(raw: string | undefined): DateOverride[] {
+  if (!raw) return []
+  try {
+    const parsed = JSON.parse(raw) as unknown
+    return Array.isArray(parsed) ? (parsed as DateOverride[]) : []
+  } catch {
+    return []
+  }
 }
 
 function readCopy(root: HTMLElement): Copy | null {
@@ -479,6 +1183,13 @@ function weekStart(lang: string): number {
   }
 }
 
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+function weekdayName(ymd: string): string {
+  const [year, month, day] = ymd.split('-').map(Number)
+  return WEEKDAYS[new Date(Date.UTC(year, month - 1, day, 12)).getUTCDay()]
+}
+
 function weekdayIndex(ymd: string, firstDay: number): number {
   const [year, month, day] = ymd.split('-').map(Number)
   const utcDay = new Date(Date.UTC(year, month - 1, day, 12)).getUTCDay()
@@ -583,42 +1294,21 @@ function messageForError(err: unknown, copy: Copy): string {
   if (err instanceof ApiError) {
     if (err.code === 'slot_taken') return copy.errorSlotTaken
     if (err.code === 'rate_limit') return copy.errorRateLimit
+    if (err.code === 'invalid_token') return copy.errorManageInvalid
+    if (err.code === 'booking_gone') return copy.errorManageGone
+    if (err.code === 'booking_started') return copy.errorManageStarted
+    if (err.code === 'hold_expired') return copy.errorHoldExpired
+    if (err.code === 'already_seated') return copy.errorAlreadySeated
+    if (err.code === 'seat_reschedule') return copy.errorSeatReschedule
     if (err.code === 'validation') return err.message || copy.errorGeneric
     return err.message || copy.errorGeneric
   }
   return copy.errorNetwork
 }
 
-function makeIcs(event: BookedEvent): string {
-  const stamp = toIcsUtc(new Date().toISOString())
-  const start = toIcsUtc(event.start)
-  const end = toIcsUtc(event.end)
-  const meet = event.meetUrl || event.hangoutLink || ''
-  const lines = [
-    'BEGIN:VCALENDAR',
-    'VERSION:2.0',
-    'PRODID:-//Baseet Studio//Booking//EN',
-    'CALSCALE:GREGORIAN',
-    'METHOD:PUBLISH',
-    'BEGIN:VEVENT',
-    `UID:${event.id || start}@baseetstudio.com`,
-    `DTSTAMP:${stamp}`,
-    `DTSTART:${start}`,
-    `DTEND:${end}`,
-    `SUMMARY:${icsEscape(event.summary || 'Baseet Studio meeting')}`,
-    meet ? `LOCATION:${icsEscape(meet)}` : '',
-    meet ? `URL:${icsEscape(meet)}` : '',
-    'END:VEVENT',
-    'END:VCALENDAR',
-  ].filter(Boolean)
-  const blob = new Blob([lines.join('\r\n')], { type: 'text/calendar;charset=utf-8' })
-  return URL.createObjectURL(blob)
-}
-
-function toIcsUtc(iso: string): string {
-  return iso.replace(/[-:]/g, '').replace(/\.\d{3}/, '').replace(/Z$/, 'Z')
-}
-
-function icsEscape(value: string): string {
-  return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/[,;]/g, '\\$&')
+/** Links come from booking-api; a link it did not send stays hidden. */
+function setCalendarLink(link: HTMLAnchorElement | null, href: string | undefined): void {
+  if (!link) return
+  link.hidden = !href
+  if (href) link.href = href
 }
@@ -7,6 +7,7 @@ import parsePhoneNumberFromString, {
   type CountryCode,
   type PhoneNumber,
 } from 'libphonenumber-js/max';
+import type { Attribution } from './attribution';
 
 export type FieldStatus =
   | 'empty'
@@ -34,6 +35,39 @@ export type ContactValidation = {
   warnings: ContactWarning[];
 };
 
+/** Read by the Worker's spam checks; see workers/form-handler/src/spam.ts. */
+export type ContactSpamFields = {
+  website?: string;
+  form_token?: string;
+  turnstile_token?: string;
+};
+
+/** Per-field codes in the Worker's `validation` error; see workers/form-handler/src/validate.ts. */
+export type ServerFieldError =
+  | 'name_invalid'
+  | 'email_invalid'
+  | 'phone_invalid'
+  | 'contact_missing'
+  | 'subject_too_long'
+  | 'message_too_short'
+  | 'message_too_long'
+  | 'intent_invalid'
+  | 'attachments_too_many'
+  | 'attachment_too_large'
+  | 'attachment_type';
+
+export type ServerFieldErrors = Partial<
+  Record<'name' | 'email' | 'phone' | 'subject' | 'message' | 'intent' | 'attachments', ServerFieldError>
+>;
+
+/** Same limits as the Worker (workers/form-handler/src/validate.ts). */
+export const MAX_ATTACHMENTS = 5;
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+export const ATTACHMENT_EXTENSIONS = [
+  'pdf', 'png', 'jpg', 'jpeg', 'webp', 'gif', 'txt', 'md',
+  'doc', 'docx', 'ppt', 'pptx', 'xls', 'xlsx',
+];
+
 export type ContactPayloadExtras = {
   email_is_placeholder?: boolean;
   contact_warnings?: ContactWarning[];
@@ -211,7 +245,10 @@ export type WorkerContactPayload = {
   lang: string;
   language: string;
   page: string;
-} & ContactPayloadExtras;
+  /** Full address of the page, for the Worker to read `utm_*` parameters from. */
+  landing_url?: string;
+  attribution?: Attribution;
+} & ContactSpamFields & ContactPayloadExtras;
 
 export function buildWorkerPayload(
   base: {
@@ -223,7 +260,9 @@ export function buildWorkerPayload(
     intent: string[];
     lang: string;
     page?: string;
-  },
+    landing_url?: string;
+    attribution?: Attribution;
+  } & ContactSpamFields,
   validation: ContactValidation,
 ): WorkerContactPayload {
   const extras: ContactPayloadExtras = {};
@@ -344,6 +383,43 @@ export function getFieldState(
   return '';
 }
 
+/** Checked before upload so a visitor is not left waiting on a file the Worker will refuse. */
+export function checkAttachments(
+  files: ReadonlyArray<{ name: string; size: number }>,
+): ServerFieldError | undefined {
+  if (files.length > MAX_ATTACHMENTS) return 'attachments_too_many';
+  const extension = (name: string) => name.slice(name.lastIndexOf('.') + 1).toLowerCase();
+  if (files.some((file) => !file.name.includes('.') || !ATTACHMENT_EXTENSIONS.includes(extension(file.name)))) {
+    return 'attachment_type';
+  }
+  if (files.some((file) => file.size > MAX_ATTACHMENT_BYTES)) return 'attachment_too_large';
+  return undefined;
+}
+
+/** The JSON payload as multipart fields, for when there are files to send with it. Objects go as JSON. */
+export function buildMultipartPayload(payload: WorkerContactPayload, files: ReadonlyArray<Blob & { name: string }>): FormData {
+  const body = new FormData();
+  for (const [key, value] of Object.entries(payload)) {
+    if (value === undefined) continue;
+    if (typeof value === 'object' && !Array.isArray(value)) {
+      body.append(key, JSON.stringify(value));
+      continue;
+    }
+    for (const item of Array.isArray(value) ? value : [value]) body.append(key, String(item));
+  }
+  for (const file of files) body.append('attachments', file, file.name);
+  return body;
+}
+
+/** A Worker field code as a FieldResult, so getFieldState styles it like a local check. */
+export function serverFieldResult(
+  code: ServerFieldError | undefined,
+  hints: Partial<Record<ServerFieldError, string>>,
+): FieldResult {
+  if (!code) return { status: 'empty' };
+  return { status: 'invalid', hint: hints[code] };
+}
+
 export function shouldResetForm(warnings: ContactWarning[]): boolean {
   const blockingWarnings = warnings.filter(
     (w) => w === 'email_invalid' || w === 'phone_invalid',
@@ -1,6 +1,7 @@
 // contact-form.ts — client-side submit handler for ContactForm.astro
 
-import type { ContactWarning } from './contact-form-validation';
+import { storedAttribution } from './attribution';
+import type { ContactWarning, ServerFieldError, ServerFieldErrors } from './contact-form-validation';
 
 type ValidationModule = typeof import('./contact-form-validation');
 
@@ -36,6 +37,44 @@ function liveHint(field: 'email' | 'phone', value: string): string | undefined {
   return undefined;
 }
 
+/** Localized hints from ContactForm.astro, keyed by the Worker's error codes. */
+type ContactCopy = {
+  fields: Partial<Record<ServerFieldError, string>>;
+  errors: Record<string, string>;
+};
+
+function readCopy(form: HTMLFormElement): ContactCopy {
+  const raw = form.querySelector('[data-contact-copy]')?.textContent;
+  try {
+    if (raw) return JSON.parse(raw) as ContactCopy;
+  } catch {
+    /* fall back to the Worker's English messages */
+  }
+  return { fields: {}, errors: {} };
+}
+
+function formatSize(bytes: number): string {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+declare global {
+  interface Window {
+    turnstile?: { reset(widget?: string | HTMLElement): void };
+  }
+}
+
+/**
+ * The fill-time token, fetched once the visitor starts on the form. A failed fetch sends
+ * the message without one; the Worker scores that but still keeps the message.
+ */
+function fetchFormToken(actionUrl: string): Promise<string> {
+  return fetch(`${actionUrl.replace(/\/$/, '')}/token`, { signal: AbortSignal.timeout(8000) })
+    .then((res) => (res.ok ? res.json() : null))
+    .then((body: { token?: string | null } | null) => body?.token ?? '')
+    .catch(() => '');
+}
+
 export function initContactForm(): void {
   const form = document.getElementById('contact-form') as HTMLFormElement | null;
   const statusEl = document.getElementById('contact-form-status');
@@ -43,14 +82,31 @@ export function initContactForm(): void {
 
   const emailInput = form?.querySelector<HTMLInputElement>('[name="email"]');
   const phoneInput = form?.querySelector<HTMLInputElement>('[name="phone"]');
-  const emailField = emailInput?.closest('.contact-form__field');
-  const phoneField = phoneInput?.closest('.contact-form__field');
+  const emailField = emailInput?.closest<HTMLElement>('.contact-form__field');
+  const phoneField = phoneInput?.closest<HTMLElement>('.contact-form__field');
   const emailHint = document.getElementById('contact-email-hint');
   const phoneHint = document.getElementById('contact-phone-hint');
+  const dropZone = form?.querySelector<HTMLElement>('[data-contact-drop]');
+  const fileInput = form?.querySelector<HTMLInputElement>('[name="attachments"]');
+  const fileList = form?.querySelector<HTMLUListElement>('[data-contact-files]');
+  const attachmentsField = dropZone?.closest<HTMLElement>('.contact-form__field');
+  const attachmentsHint = document.getElementById('contact-attachments-hint');
+  const attachmentsNote = attachmentsHint?.textContent?.trim() ?? '';
 
   if (!form || !statusEl) return;
 
+  const copy = readCopy(form);
   let lastWarnings: ContactWarning[] = [];
+  let files: File[] = [];
+  let formToken: Promise<string> | null = null;
+
+  form.addEventListener(
+    'focusin',
+    () => {
+      if (!formToken && actionUrl) formToken = fetchFormToken(actionUrl);
+    },
+    { once: true },
+  );
 
   function showStatus(message: string, type: string) {
     statusEl.textContent = message;
@@ -83,6 +139,62 @@ export function initContactForm(): void {
     if (phoneWarn) setFieldHint(phoneHint, phoneField, undefined, 'warn');
   }
 
+  /** Puts the limits note back, or the reason the chosen files will be refused. */
+  async function checkFiles(): Promise<boolean> {
+    const { checkAttachments } = await loadValidation();
+    const error = checkAttachments(files);
+    setFieldHint(attachmentsHint, attachmentsField, error ? copy.fields[error] : attachmentsNote, error ? 'error' : '');
+    return !error;
+  }
+
+  function renderFiles() {
+    if (!fileList) return;
+    fileList.replaceChildren(
+      ...files.map((file, index) => {
+        const item = document.createElement('li');
+        const name = document.createElement('span');
+        name.textContent = `${file.name} · ${formatSize(file.size)}`;
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.textContent = 'Remove';
+        remove.setAttribute('aria-label', `Remove ${file.name}`);
+        remove.addEventListener('click', () => {
+          files = files.filter((_, i) => i !== index);
+          renderFiles();
+        });
+        item.append(name, remove);
+        return item;
+      }),
+    );
+    fileList.hidden = !files.length;
+    void checkFiles();
+  }
+
+  function addFiles(list: FileList | null | undefined) {
+    if (!list?.length) return;
+    files = [...files, ...Array.from(list)];
+    renderFiles();
+  }
+
+  fileInput?.addEventListener('change', () => {
+    addFiles(fileInput.files);
+    // Cleared so picking the same file again after removing it still fires `change`.
+    fileInput.value = '';
+  });
+
+  dropZone?.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    dropZone.dataset.dragging = '';
+  });
+  dropZone?.addEventListener('dragleave', () => {
+    delete dropZone.dataset.dragging;
+  });
+  dropZone?.addEventListener('drop', (e) => {
+    e.preventDefault();
+    delete dropZone.dataset.dragging;
+    addFiles(e.dataTransfer?.files);
+  });
+
   const onLiveInput = debounce((field: 'email' | 'phone') => {
     const input = field === 'email' ? emailInput : phoneInput;
     const hintEl = field === 'email' ? emailHint : phoneHint;
@@ -112,6 +224,8 @@ export function initContactForm(): void {
       getSuccessMessage: successMsg,
       shouldResetForm: canReset,
       getFieldState: fieldState,
+      serverFieldResult: serverResult,
+      buildMultipartPayload: toMultipart,
     } = mod;
 
     const intentEls = form.querySelectorAll<HTMLInputElement>('input[name="intent"]:checked');
@@ -126,6 +240,10 @@ export function initContactForm(): void {
       intent,
       lang: document.body.dataset.lang || 'en',
       page: window.location.pathname || 'Unknown',
+      landing_url: window.location.href,
+      attribution: storedAttribution(),
+      website: form.querySelector<HTMLInputElement>('[name="website"]')?.value ?? '',
+      turnstile_token: form.querySelector<HTMLInputElement>('[name="cf-turnstile-response"]')?.value,
     };
 
     if (!raw.name || raw.name.length < 2) {
@@ -159,6 +277,11 @@ export function initContactForm(): void {
       return;
     }
 
+    if (!(await checkFiles())) {
+      showStatus(attachmentsHint?.textContent || 'Check the attached files.', 'error');
+      return;
+    }
+
     if (!actionUrl) {
       showStatus(
         'Form endpoint not configured. Please email us directly at baseet.socials@gmail.com.',
@@ -167,17 +290,22 @@ export function initContactForm(): void {
       return;
     }
 
-    const formData = buildPayload(raw, validation);
     showStatus('Sending…', 'pending');
+    if (!formToken) formToken = fetchFormToken(actionUrl);
+    const formData = buildPayload({ ...raw, form_token: (await formToken) || undefined }, validation);
 
     try {
+      // Files go up as multipart; the browser sets that content type and its boundary itself.
       const response = await fetch(actionUrl, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(formData),
-        signal: AbortSignal.timeout(15000),
+        headers: files.length ? undefined : { 'Content-Type': 'application/json' },
+        body: files.length ? toMultipart(formData, files) : JSON.stringify(formData),
+        signal: AbortSignal.timeout(files.length ? 60000 : 15000),
       });
 
+      // A Turnstile token is good for one check; the next send needs a fresh one.
+      window.turnstile?.reset();
+
       if (response.ok) {
         const activeWarnings = formData.contact_warnings ?? [];
         const { message, type } = successMsg(activeWarnings);
@@ -185,6 +313,8 @@ export function initContactForm(): void {
 
         if (canReset(activeWarnings)) {
           form.reset();
+          files = [];
+          renderFiles();
           lastWarnings = [];
           setFieldHint(emailHint, emailField, undefined, '');
           setFieldHint(phoneHint, phoneField, undefined, '');
@@ -192,16 +322,31 @@ export function initContactForm(): void {
           applyWarningHighlights(activeWarnings);
         }
       } else {
-        let errBody: { error?: string } | null = null;
+        let errBody: { error?: { code?: string; message?: string; fields?: ServerFieldErrors } } | null = null;
         try {
           errBody = await response.json();
         } catch {
           /* not JSON */
         }
-        showStatus(
-          errBody?.error ?? `Worker returned ${response.status}. Please try again or email us directly.`,
-          'error',
-        );
+        const error = errBody?.error;
+        if (error?.fields) {
+          const email = serverResult(error.fields.email, copy.fields);
+          const phone = serverResult(error.fields.phone, copy.fields);
+          setFieldHint(emailHint, emailField, email.hint, fieldState(email, false));
+          setFieldHint(phoneHint, phoneField, phone.hint, fieldState(phone, false));
+          if (error.fields.attachments) {
+            setFieldHint(attachmentsHint, attachmentsField, copy.fields[error.fields.attachments], 'error');
+          }
+          const first = Object.values(error.fields)[0];
+          showStatus((first && copy.fields[first]) || error.message || 'Please check the form and try again.', 'error');
+        } else {
+          showStatus(
+            (error?.code && copy.errors[error.code]) ||
+              error?.message ||
+              `Worker returned ${response.status}. Please try again or email us directly.`,
+            'error',
+          );
+        }
       }
     } catch (err) {
       const name = err instanceof Error ? err.name : 'Error';
@@ -0,0 +1,202 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'node:fs'
+import { DatabaseSync } from 'node:sqlite'
+import { isSameOrigin, passwordAdmin, verifyAccessToken, type AccessKey } from '../workers/admin/src/auth.ts'
+import { toCsv } from '../workers/admin/src/csv.ts'
+import {
+  bookingFilter,
+  bookingWhere,
+  filterQuery,
+  submissionFilter,
+  submissionWhere,
+} from '../workers/admin/src/filters.ts'
+import { splitStoredMessage } from '../workers/admin/src/message.ts'
+
+function schema(worker: string): string {
+  return readFileSync(new URL(`../workers/${worker}/schema.sql`, import.meta.url), 'utf8')
+}
+
+describe('splitStoredMessage', () => {
+  it('takes the subject and intent lines back out', () => {
+    const stored = 'Subject: New site\n\nIntent: branding, mobile\n\nHello there.\n\nSecond paragraph.'
+    assert.deepEqual(splitStoredMessage(stored), {
+      subject: 'New site',
+      intent: ['branding', 'mobile'],
+      body: 'Hello there.\n\nSecond paragraph.',
+    })
+  })
+
+  it('leaves a plain message alone', () => {
+    assert.deepEqual(splitStoredMessage('Just a note.'), { subject: '', intent: [], body: 'Just a note.' })
+  })
+})
+
+describe('submission filters', () => {
+  const db = new DatabaseSync(':memory:')
+  db.exec(schema('form-handler'))
+  const insert = db.prepare(
+    `INSERT INTO submissions (page, language, name, email, message, created_at) VALUES (?, ?, ?, ?, ?, ?)`,
+  )
+  insert.run('/contact/', 'en', 'Sara', 'sara@example.com', 'Intent: branding, mobile\n\nA new brand.', '2026-08-17 09:00:00')
+  insert.run('/ar/contact/', 'ar', 'Omar', 'omar@example.com', 'Subject: App\n\nIntent: digital\n\nWe need mobile help.', '2026-08-18 23:30:00')
+  insert.run('/contact/', 'en', 'Lee', 'lee_1@example.com', 'Nothing ticked, 100% sure.', '2026-08-19 08:00:00')
+  db.exec(
+    `INSERT INTO submissions (page, language, name, email, message, spam_score, spam_reasons)
+     VALUES ('/contact/', 'en', 'Bot', 'bot@example.com', 'Cheap links', 10, 'honeypot')`,
+  )
+  db.exec(`INSERT INTO submission_leads (submission_id, status, updated_by) VALUES (2, 'won', 'Hana')`)
+
+  function names(query: string): string[] {
+    const where = submissionWhere(submissionFilter(new URLSearchParams(query)))
+    return db
+      .prepare(
+        `SELECT s.name FROM submissions s LEFT JOIN submission_leads l ON l.submission_id = s.id
+         ${where.sql} ORDER BY s.id`,
+      )
+      .all(...where.binds)
+      .map((row) => String(row.name))
+  }
+
+  it('returns everything but suspected spam without a filter', () => {
+    assert.deepEqual(names(''), ['Sara', 'Omar', 'Lee'])
+    assert.deepEqual(names('spam=include'), ['Sara', 'Omar', 'Lee', 'Bot'])
+    assert.deepEqual(names('spam=only'), ['Bot'])
+  })
+
+  it('matches intent on the intent line only', () => {
+    assert.deepEqual(names('intent=mobile'), ['Sara'])
+    assert.deepEqual(names('intent=digital'), ['Omar'])
+  })
+
+  it('treats untouched submissions as new leads', () => {
+    assert.deepEqual(names('lead=new'), ['Sara', 'Lee'])
+    assert.deepEqual(names('lead=won'), ['Omar'])
+  })
+
+  it('searches literally, including LIKE wildcards', () => {
+    assert.deepEqual(names('q=100%25'), ['Lee'])
+    assert.deepEqual(names('q=lee_'), ['Lee'])
+    assert.deepEqual(names('q=_'), ['Lee'])
+  })
+
+  it('includes the whole of the last day', () => {
+    assert.deepEqual(names('from=2026-08-18&to=2026-08-18'), ['Omar'])
+    assert.deepEqual(names('language=en&page=%2Fcontact%2F'), ['Sara', 'Lee'])
+  })
+
+  it('drops values it does not know', () => {
+    const filter = submissionFilter(new URLSearchParams('lead=maybe&intent=x&from=18-08-2026&offset=-5'))
+    assert.equal(filter.lead, '')
+    assert.equal(filter.intent, '')
+    assert.equal(filter.from, '')
+    assert.equal(filter.offset, 0)
+  })
+})
+
+describe('booking filters', () => {
+  const db = new DatabaseSync(':memory:')
+  db.exec(schema('booking-api'))
+  const insert = db.prepare(
+    `INSERT INTO bookings (id, meeting_type_id, google_event_id, name, email, lang, start_time, end_time, status)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+  )
+  insert.run('a', 'consultation', 'ev1', 'Sara', 'sara@example.com', 'en', '2026-08-18T15:00:00.000Z', '2026-08-18T15:30:00.000Z', 'confirmed')
+  insert.run('b', 'discovery', 'ev2', 'Omar', 'omar@example.com', 'ar', '2026-08-18T23:30:00.000Z', '2026-08-19T00:00:00.000Z', 'cancelled')
+  insert.run('c', 'consultation', 'ev3', 'Lee', 'lee@example.com', 'en', '2026-08-19T00:00:00.000Z', '2026-08-19T00:30:00.000Z', 'confirmed')
+  db.exec(`INSERT INTO booking_leads (booking_id, status) VALUES ('c', 'qualified')`)
+
+  function ids(query: string): string[] {
+    const where = bookingWhere(bookingFilter(new URLSearchParams(query)))
+    return db
+      .prepare(`SELECT b.id FROM bookings b LEFT JOIN booking_leads l ON l.booking_id = b.id ${where.sql} ORDER BY b.id`)
+      .all(...where.binds)
+      .map((row) => String(row.id))
+  }
+
+  it('filters by meeting day in UTC, status, lead and type together', () => {
+    assert.deepEqual(ids('from=2026-08-18&to=2026-08-18'), ['a', 'b'])
+    assert.deepEqual(ids('status=confirmed&meetingType=consultation'), ['a', 'c'])
+    assert.deepEqual(ids('q=omar&lang=ar&status=cancelled'), ['b'])
+    assert.deepEqual(ids('lead=qualified'), ['c'])
+  })
+})
+
+describe('filterQuery', () => {
+  it('keeps only what is set, so links and exports carry the filter', () => {
+    const filter = submissionFilter(new URLSearchParams('q=sara&lead=won&offset=50'))
+    assert.equal(filterQuery(filter), '?q=sara&lead=won&offset=50')
+    assert.equal(filterQuery(filter, { offset: 0 }), '?q=sara&lead=won')
+  })
+})
+
+describe('toCsv', () => {
+  it('quotes what needs quoting and defuses formulas', () => {
+    const out = toCsv(['name', 'message', 'phone'], [['Sara, CEO', 'Line one\n"two"', '+971 50 000 0000'], ['=HYPERLINK("x")', null, 3]])
+    assert.equal(
+      out,
+      'name,message,phone\r\n"Sara, CEO","Line one\n""two""",\'+971 50 000 0000\r\n"\'=HYPERLINK(""x"")",,3\r\n',
+    )
+  })
+})
+
+describe('passwordAdmin', () => {
+  const basic = (credentials: string) =>
+    `Basic ${btoa(String.fromCharCode(...new TextEncoder().encode(credentials)))}`
+
+  it('lets the right password in under any name', () => {
+    assert.deepEqual(passwordAdmin(basic('Hana:s3cret'), 's3cret'), { name: 'Hana' })
+    assert.deepEqual(passwordAdmin(basic('حنان:s3cret'), 's3cret'), { name: 'حنان' })
+    assert.deepEqual(passwordAdmin(basic(':s3cret'), 's3cret'), { name: 'team' })
+  })
+
+  it('refuses a wrong, missing or unset password', () => {
+    assert.equal(passwordAdmin(basic('Hana:guess'), 's3cret'), null)
+    assert.equal(passwordAdmin(null, 's3cret'), null)
+    assert.equal(passwordAdmin(basic('Hana:'), ''), null)
+    assert.equal(passwordAdmin('Bearer s3cret', 's3cret'), null)
+  })
+})
+
+describe('verifyAccessToken', async () => {
+  const now = Date.parse('2026-08-18T12:00:00Z')
+  const pair = (await crypto.subtle.generateKey(
+    { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+    true,
+    ['sign', 'verify'],
+  )) as CryptoKeyPair
+  const keys: AccessKey[] = [{ ...(await crypto.subtle.exportKey('jwk', pair.publicKey)), kid: 'k1' }]
+
+  const encode = (value: unknown) => Buffer.from(JSON.stringify(value)).toString('base64url')
+  async function token(claims: Record<string, unknown>, kid = 'k1'): Promise<string> {
+    const unsigned = `${encode({ alg: 'RS256', kid })}.${encode(claims)}`
+    const signature = await crypto.subtle.sign('RSASSA-PKCS1-v1_5', pair.privateKey, new TextEncoder().encode(unsigned))
+    return `${unsigned}.${Buffer.from(signature).toString('base64url')}`
+  }
+  const claims = { aud: ['aud-1'], email: 'hana@baseetstudio.com', exp: now / 1000 + 60 }
+
+  it('accepts a token for our audience signed by a team key', async () => {
+    assert.deepEqual(await verifyAccessToken(await token(claims), keys, 'aud-1', now), { name: 'hana@baseetstudio.com' })
+  })
+
+  it('refuses other audiences, expired tokens, unknown keys and tampering', async () => {
+    assert.equal(await verifyAccessToken(await token(claims), keys, 'aud-2', now), null)
+    assert.equal(await verifyAccessToken(await token({ ...claims, exp: now / 1000 }), keys, 'aud-1', now), null)
+    assert.equal(await verifyAccessToken(await token(claims, 'k2'), keys, 'aud-1', now), null)
+    const [header, , signature] = (await token(claims)).split('.')
+    const forged = `${header}.${encode({ ...claims, email: 'someone@else.com' })}.${signature}`
+    assert.equal(await verifyAccessToken(forged, keys, 'aud-1', now), null)
+  })
+})
+
+describe('isSameOrigin', () => {
+  const post = (headers: Record<string, string>) =>
+    new Request('https://admin.example.com/submissions/1/notes', { method: 'POST', headers })
+
+  it('only lets writes through from the console itself', () => {
+    assert.equal(isSameOrigin(post({ Origin: 'https://admin.example.com' })), true)
+    assert.equal(isSameOrigin(post({ Origin: 'https://evil.example' })), false)
+    assert.equal(isSameOrigin(post({ 'Sec-Fetch-Site': 'same-origin' })), true)
+    assert.equal(isSameOrigin(post({})), false)
+  })
+})
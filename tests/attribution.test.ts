@@ -0,0 +1,125 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  ATTRIBUTION_STORAGE_KEY,
+  nextAttribution,
+  readAttribution,
+  recordVisit,
+  touchFrom,
+} from '../src/scripts/attribution.ts'
+import { buildMultipartPayload } from '../src/scripts/contact-form-validation.ts'
+import { parseAttribution, touchJson } from '../workers/booking-api/src/attribution.ts'
+import { enrichLead } from '../workers/form-handler/src/enrich.ts'
+
+function memoryStorage() {
+  const items = new Map<string, string>()
+  return {
+    getItem: (key: string) => items.get(key) ?? null,
+    setItem: (key: string, value: string) => void items.set(key, value),
+    removeItem: (key: string) => void items.delete(key),
+  }
+}
+
+const day = 24 * 60 * 60 * 1000
+const start = new Date('2026-09-01T10:00:00Z')
+const later = (days: number) => new Date(start.getTime() + days * day)
+
+describe('touchFrom', () => {
+  it('keeps campaign parameters and outside referrers, never their queries', () => {
+    assert.deepEqual(
+      touchFrom('https://baseetstudio.com/services/?utm_source=linkedin&utm_medium=paid&gclid=x', 'https://www.google.com/search?q=apps', start),
+      {
+        landing_page: '/services/',
+        at: start.toISOString(),
+        utm_source: 'linkedin',
+        utm_medium: 'paid',
+        referrer: 'https://www.google.com/search',
+      },
+    )
+  })
+
+  it('ignores reloads and links within the site', () => {
+    assert.equal(touchFrom('https://baseetstudio.com/contact/', 'https://baseetstudio.com/', start), null)
+    assert.equal(touchFrom('https://baseetstudio.com/contact/', '', start), null)
+  })
+})
+
+describe('nextAttribution', () => {
+  it('makes the first visit both touches, even when direct', () => {
+    const first = nextAttribution(null, 'https://baseetstudio.com/ar/', '', start)
+    assert.deepEqual(first.first_touch, { landing_page: '/ar/', at: start.toISOString() })
+    assert.equal(first.last_touch, first.first_touch)
+  })
+
+  it('moves only the last touch on a later campaign', () => {
+    const first = nextAttribution(null, 'https://baseetstudio.com/?utm_source=newsletter', '', start)
+    const second = nextAttribution(first, 'https://baseetstudio.com/projects/?utm_source=x.com', '', later(3))
+    assert.equal(second.first_touch.utm_source, 'newsletter')
+    assert.equal(second.last_touch.utm_source, 'x.com')
+    assert.equal(nextAttribution(second, 'https://baseetstudio.com/contact/', '', later(4)), second)
+  })
+
+  it('starts over once the last touch is older than the window', () => {
+    const first = nextAttribution(null, 'https://baseetstudio.com/?utm_source=newsletter', '', start)
+    const fresh = nextAttribution(first, 'https://baseetstudio.com/contact/', '', later(91))
+    assert.equal(fresh.first_touch.utm_source, undefined)
+    assert.equal(fresh.first_touch.landing_page, '/contact/')
+  })
+})
+
+describe('stored attribution', () => {
+  it('survives between page loads and expires with its window', () => {
+    const storage = memoryStorage()
+    recordVisit(storage, 'https://baseetstudio.com/?utm_campaign=launch', '', start)
+    recordVisit(storage, 'https://baseetstudio.com/contact/', '', later(1))
+    assert.equal(readAttribution(storage, later(1))?.first_touch.utm_campaign, 'launch')
+    assert.equal(readAttribution(storage, later(91)), undefined)
+    assert.equal(storage.getItem(ATTRIBUTION_STORAGE_KEY), null)
+  })
+
+  it('ignores whatever else ended up under its key', () => {
+    const storage = memoryStorage()
+    storage.setItem(ATTRIBUTION_STORAGE_KEY, '{not json')
+    assert.equal(readAttribution(storage, start), undefined)
+  })
+})
+
+describe('parseAttribution', () => {
+  const sent = {
+    first_touch: { utm_source: 'newsletter', landing_page: '/', at: start.toISOString() },
+    last_touch: { utm_source: 'linkedin', referrer: 'https://www.linkedin.com/', landing_page: '/contact/', at: later(2).toISOString() },
+  }
+
+  it('reads what the site sends, as an object or multipart JSON', () => {
+    const parsed = parseAttribution(sent)
+    assert.deepEqual(parsed, { firstTouch: sent.first_touch, lastTouch: sent.last_touch })
+    const multipart = buildMultipartPayload(
+      { name: 'Sara', email: 'sara@example.com', message: 'Hello there', intent: [], lang: 'en', language: 'en', page: '/contact/', attribution: sent },
+      [],
+    )
+    assert.deepEqual(parseAttribution(multipart.get('attribution')), parsed)
+    assert.equal(touchJson(parsed.firstTouch), JSON.stringify(sent.first_touch))
+  })
+
+  it('drops what does not fit instead of refusing the request', () => {
+    assert.deepEqual(parseAttribution('{nope'), { firstTouch: null, lastTouch: null })
+    assert.deepEqual(
+      parseAttribution({
+        first_touch: { utm_source: 42, referrer: 'javascript:alert(1)', landing_page: 'https://evil.example/', at: 'soon' },
+        last_touch: { utm_medium: ` ${'x'.repeat(300)} ` },
+      }),
+      { firstTouch: null, lastTouch: { utm_medium: 'x'.repeat(200) } },
+    )
+  })
+
+  it('gives the form-handler row the last touch’s campaign', () => {
+    const lead = enrichLead({
+      email: 'sara@example.com',
+      phone: '',
+      landingUrl: 'https://baseetstudio.com/contact/?utm_source=footer',
+      lastTouch: parseAttribution(sent).lastTouch,
+      ipCountry: null,
+    })
+    assert.deepEqual(lead.utm, { utm_source: 'linkedin' })
+  })
+})
@@ -0,0 +1,144 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  BUSY_TTL_MS,
+  busyKey,
+  cachedBusy,
+  utcDays,
+  type BusyCache,
+  type BusyFetcher,
+  type CachedDay,
+} from '../workers/booking-api/src/cache.ts'
+import type { BusyBlock } from '../workers/booking-api/src/slots.ts'
+
+/** Same rules as the Durable Object storage cache, kept in a Map. */
+function memoryCache(): BusyCache & { entries: Map<string, CachedDay> } {
+  const entries = new Map<string, CachedDay>()
+  const invalidated = new Map<string, number>()
+  return {
+    entries,
+    async get(keys) {
+      return new Map(keys.filter((key) => entries.has(key)).map((key) => [key, entries.get(key)!]))
+    },
+    async put(written, startedAt) {
+      for (const [key, value] of written) {
+        if ((invalidated.get(key.split(':')[1]) ?? 0) < startedAt) entries.set(key, value)
+      }
+    },
+    async invalidate(days, at) {
+      for (const day of days) {
+        invalidated.set(day, at)
+        for (const key of [...entries.keys()]) if (key.startsWith(`busy:${day}:`)) entries.delete(key)
+      }
+    },
+    async prune() {},
+  }
+}
+
+function block(start: string, end: string): BusyBlock {
+  return { start: new Date(start), end: new Date(end) }
+}
+
+function countingFetcher(busy: Record<string, BusyBlock[]>) {
+  const calls: { ids: string[]; timeMin: Date; timeMax: Date }[] = []
+  const fetcher: BusyFetcher = async (ids, timeMin, timeMax) => {
+    calls.push({ ids, timeMin, timeMax })
+    return new Map(ids.map((id) => [id, busy[id] ?? []]))
+  }
+  return { calls, fetcher }
+}
+
+const now = Date.parse('2026-08-10T08:00:00Z')
+
+describe('utcDays', () => {
+  it('lists every UTC day the range touches', () => {
+    assert.deepEqual(utcDays(new Date('2026-08-18T22:00:00Z'), new Date('2026-08-20T01:00:00Z')), [
+      '2026-08-18',
+      '2026-08-19',
+      '2026-08-20',
+    ])
+  })
+
+  it('treats the end as exclusive', () => {
+    assert.deepEqual(utcDays(new Date('2026-08-18T10:00:00Z'), new Date('2026-08-19T00:00:00Z')), ['2026-08-18'])
+  })
+})
+
+describe('cachedBusy', () => {
+  const busy = {
+    'agency@example.com': [
+      block('2026-08-18T09:00:00Z', '2026-08-18T10:00:00Z'),
+      block('2026-08-18T23:00:00Z', '2026-08-19T01:00:00Z'),
+    ],
+  }
+  const ids = ['agency@example.com']
+  const timeMin = new Date('2026-08-18T00:00:00Z')
+  const timeMax = new Date('2026-08-20T00:00:00Z')
+
+  it('fetches once, then serves repeat views from the cache', async () => {
+    const cache = memoryCache()
+    const { calls, fetcher } = countingFetcher(busy)
+    const first = await cachedBusy(cache, fetcher, ids, timeMin, timeMax, now)
+    const second = await cachedBusy(cache, fetcher, ids, timeMin, timeMax, now + 60_000)
+    assert.equal(calls.length, 1)
+    assert.deepEqual(second, first)
+  })
+
+  it('keeps one copy of a block that crosses midnight', async () => {
+    const { fetcher } = countingFetcher(busy)
+    const result = await cachedBusy(memoryCache(), fetcher, ids, timeMin, timeMax, now)
+    assert.equal(result.get('agency@example.com')?.length, 2)
+  })
+
+  it('only returns blocks inside the range asked for', async () => {
+    const { fetcher } = countingFetcher(busy)
+    const result = await cachedBusy(
+      memoryCache(),
+      fetcher,
+      ids,
+      new Date('2026-08-18T08:00:00Z'),
+      new Date('2026-08-18T12:00:00Z'),
+      now,
+    )
+    assert.deepEqual(result.get('agency@example.com'), [busy['agency@example.com'][0]])
+  })
+
+  it('refetches once the cached day is older than the TTL', async () => {
+    const cache = memoryCache()
+    const { calls, fetcher } = countingFetcher(busy)
+    await cachedBusy(cache, fetcher, ids, timeMin, timeMax, now)
+    await cachedBusy(cache, fetcher, ids, timeMin, timeMax, now + BUSY_TTL_MS)
+    assert.equal(calls.length, 2)
+  })
+
+  it('fetches only the days and calendars that are missing', async () => {
+    const cache = memoryCache()
+    const { calls, fetcher } = countingFetcher(busy)
+    await cachedBusy(cache, fetcher, ids, timeMin, timeMax, now)
+    await cache.invalidate(['2026-08-19'], now + 1)
+    await cachedBusy(cache, fetcher, [...ids, 'host@example.com'], timeMin, timeMax, now + 2)
+    assert.equal(calls.length, 2)
+    assert.deepEqual(calls[1].ids, ['agency@example.com', 'host@example.com'])
+    assert.equal(calls[1].timeMin.toISOString(), '2026-08-18T00:00:00.000Z')
+
+    await cache.invalidate(['2026-08-19'], now + 3)
+    await cachedBusy(cache, fetcher, [...ids, 'host@example.com'], timeMin, timeMax, now + 4)
+    assert.equal(calls[2].timeMin.toISOString(), '2026-08-19T00:00:00.000Z')
+    assert.equal(calls[2].timeMax.toISOString(), '2026-08-20T00:00:00.000Z')
+  })
+
+  it('does not write back a read that started before an invalidation', async () => {
+    const cache = memoryCache()
+    let release = () => {}
+    const slow: BusyFetcher = async (fetchIds) => {
+      await new Promise<void>((resolve) => (release = resolve))
+      return new Map(fetchIds.map((id) => [id, []]))
+    }
+    const pending = cachedBusy(cache, slow, ids, timeMin, timeMax, now)
+    await cache.invalidate(['2026-08-18'], now + 10)
+    release()
+    await pending
+    assert.equal(cache.entries.has(busyKey('2026-08-18', 'agency@example.com')), false)
+    assert.equal(cache.entries.has(busyKey('2026-08-19', 'agency@example.com')), true)
+  })
+})
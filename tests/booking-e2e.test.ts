@@ -0,0 +1,500 @@
+import { after, before, beforeEach, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'node:fs'
+import { register } from 'node:module'
+import type { CalendarEvent } from '../workers/booking-api/src/calendar.ts'
+import type { FakeCalendar } from '../workers/booking-api/src/calendar-fake.ts'
+import { meetingTypes, type MeetingType } from '../workers/booking-api/src/config.ts'
+import { durableObjectNamespace, durableObjectState, memoryKv, sqliteD1 } from './support/workers.ts'
+
+// The Worker imports its siblings without extensions, as wrangler bundles them.
+register('./support/worker-modules.mjs', import.meta.url)
+
+type Worker = {
+  default: { fetch(request: Request, env: unknown): Promise<Response> }
+  BookingLock: new (ctx: unknown, env: unknown) => { fetch(request: Request): Promise<Response> }
+}
+
+const { resetFakeCalendar, sharedFakeCalendar } = await import('../workers/booking-api/src/calendar-fake.ts')
+// Loaded by URL so the root type-check does not follow it into Workers-only types.
+const worker = (await import(new URL('../workers/booking-api/src/index.ts', import.meta.url).href)) as Worker
+
+const schema = readFileSync(new URL('../workers/booking-api/schema.sql', import.meta.url), 'utf8')
+const AGENCY = 'bookings@calendar.example'
+const MINUTE = 60 * 1000
+
+// Nothing here may reach the network; a stray call fails the test instead of hanging it.
+globalThis.fetch = async (input) => {
+  throw new Error(`unexpected fetch: ${String(input)}`)
+}
+
+let calendar: FakeCalendar
+let db: ReturnType<typeof sqliteD1>
+let lockState: ReturnType<typeof durableObjectState>
+let env: Record<string, unknown>
+
+function setup(extra: Record<string, unknown> = {}) {
+  resetFakeCalendar()
+  calendar = sharedFakeCalendar(AGENCY)
+  db = sqliteD1(schema)
+  lockState = durableObjectState()
+  env = {
+    CALENDAR_PROVIDER: 'fake',
+    GOOGLE_CALENDAR_ID: AGENCY,
+    AGENCY_TIMEZONE: 'Asia/Dubai',
+    BOOKING_TOKEN_SECRET: 'test-secret',
+    MAIL_TRANSPORT: 'console',
+    BOOKING_LIMITS: memoryKv(),
+    DB: db,
+    ...extra,
+  }
+  env.BOOKING_LOCK = durableObjectNamespace(new worker.BookingLock(lockState, env))
+}
+
+/** booking-api's JSON answers, as far as these tests read them; each answer has only some of the fields. */
+type ApiBody = {
+  error?: { code: string; message: string }
+  openDays: string[]
+  slots: string[]
+  seats: Record<string, number>
+  event: CalendarEvent
+  manageToken: string
+  holdToken: string
+  booking: { seat: boolean }
+} & Record<string, unknown>
+
+async function call(path: string, body?: unknown): Promise<{ status: number; body: ApiBody }> {
+  const response = await worker.default.fetch(
+    new Request(`https://booking.example${path}`, {
+      method: body === undefined ? 'GET' : 'POST',
+      headers: { Origin: 'https://baseetstudio.com', 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    }),
+    env,
+  )
+  await lockState.settled()
+  return { status: response.status, body: (await response.json()) as ApiBody }
+}
+
+/** The open slots of the first open day from ten days out, so the minimum notice never gets in the way. */
+async function openSlots(meetingType = 'consultation'): Promise<{ date: string; slots: string[] }> {
+  const month = new Date(Date.now() + 10 * 24 * 60 * MINUTE).toISOString().slice(0, 7)
+  const { body: days } = await call(`/availability?month=${month}&meetingType=${meetingType}`)
+  const later = days.openDays.filter((day: string) => Date.parse(day) > Date.now() + 9 * 24 * 60 * MINUTE)
+  const date = later[0] ?? days.openDays.at(-1)
+  const { body } = await call(`/availability?date=${date}&meetingType=${meetingType}`)
+  return { date, slots: body.slots }
+}
+
+function booking(startTime: string, email = 'sara@example.com') {
+  return {
+    meetingTypeId: 'consultation',
+    startTime,
+    name: 'Sara Ahmed',
+    email,
+    lang: 'en',
+    timeZone: 'Asia/Dubai',
+    answers: { services: ['web'], stage: 'idea' },
+  }
+}
+
+const bookingRows = () => db.sqlite.prepare('SELECT * FROM bookings').all() as Record<string, unknown>[]
+
+describe('booking-api end to end on the fake calendar', () => {
+  beforeEach(() => setup())
+
+  it('leaves busy time out of availability', async () => {
+    const { date, slots } = await openSlots()
+    assert.ok(slots.length > 1)
+    setup()
+    const busyEnd = Date.parse(slots[0]) + 30 * MINUTE
+    calendar.addBusy(AGENCY, new Date(slots[0]), new Date(busyEnd))
+    const { body } = await call(`/availability?date=${date}&meetingType=consultation`)
+    assert.ok(body.slots.length > 0)
+    assert.ok(body.slots.every((slot: string) => Date.parse(slot) >= busyEnd))
+  })
+
+  it('books a slot onto the calendar and into D1, then stops offering it', async () => {
+    const { date, slots } = await openSlots()
+    const booked = await call('/book', booking(slots[0]))
+    assert.equal(booked.status, 201)
+    assert.equal(booked.body.event.start, slots[0])
+    assert.ok(booked.body.manageToken)
+
+    const [event] = calendar.events()
+    assert.equal(event.id, booked.body.event.id)
+    assert.ok(event.attendees.some((attendee) => attendee.email === 'sara@example.com'))
+
+    const [row] = bookingRows()
+    assert.equal(row.google_event_id, event.id)
+    assert.equal(row.meeting_type_id, 'consultation')
+    assert.equal(row.email, 'sara@example.com')
+
+    const { body } = await call(`/availability?date=${date}&meetingType=consultation`)
+    assert.ok(!body.slots.includes(slots[0]))
+  })
+
+  it('books an in-person meeting at the office, with no Meet link, and keeps its source', async () => {
+    const { slots } = await openSlots()
+    const booked = await call('/book', { ...booking(slots[0]), location: 'in-person', source: 'service:cloud' })
+    assert.equal(booked.status, 201)
+    assert.equal(booked.body.event.meetUrl, undefined)
+
+    const [event] = calendar.events()
+    assert.equal(event.location?.kind, 'in-person')
+    assert.ok(event.location?.text)
+    assert.match(event.description, /In person at our office/)
+
+    const [row] = bookingRows()
+    assert.equal(row.location, 'in-person')
+    assert.equal(row.location_text, event.location?.text)
+    assert.equal(row.source, 'service:cloud')
+  })
+
+  it('keeps calls clear of the trip back from an in-person meeting', async () => {
+    const { date, slots } = await openSlots()
+    await call('/book', { ...booking(slots[0]), location: 'in-person' })
+    const back = Date.parse(slots[0]) + 30 * MINUTE + 60 * MINUTE
+
+    const { body } = await call(`/availability?date=${date}&meetingType=consultation`)
+    const later = body.slots.filter((slot: string) => Date.parse(slot) > Date.parse(slots[0]))
+    assert.ok(later.length > 0)
+    assert.ok(later.every((slot: string) => Date.parse(slot) >= back))
+
+    const early = slots.find((slot) => Date.parse(slot) > Date.parse(slots[0]) && Date.parse(slot) < back)
+    assert.ok(early)
+    const result = await call('/book', { ...booking(early, 'omar@example.com'), location: 'phone', phone: '0507566474' })
+    assert.equal(result.status, 409)
+  })
+
+  it('refuses a location the meeting type does not offer', async () => {
+    const { slots } = await openSlots()
+    const result = await call('/book', { ...booking(slots[0]), meetingTypeId: 'demo', location: 'phone', phone: '0507566474' })
+    assert.equal(result.status, 400)
+    assert.equal(result.body.error?.message, 'Choose one of the offered ways to meet.')
+    assert.equal(calendar.events().length, 0)
+  })
+
+  it('refuses a quarter-hour start the picker never offered', async () => {
+    const { slots } = await openSlots()
+    const between = new Date(Date.parse(slots[0]) + 15 * MINUTE).toISOString()
+    assert.ok(!slots.includes(between))
+    const result = await call('/book', booking(between))
+    assert.equal(result.status, 400)
+    assert.equal(result.body.error?.code, 'invalid_slot')
+    assert.equal(calendar.events().length, 0)
+    assert.equal(bookingRows().length, 0)
+  })
+
+  it('keeps the holds of visitors behind one address apart', async () => {
+    const { slots } = await openSlots()
+    const first = await call('/hold', { meetingTypeId: 'consultation', startTime: slots.at(-1) })
+    const second = await call('/hold', { meetingTypeId: 'consultation', startTime: slots[0] })
+    assert.equal(first.status, 201)
+    assert.equal(second.status, 201)
+    assert.equal((await call(`/hold/${first.body.holdToken}`)).status, 200)
+
+    // Only the hold a visitor names is given up for their new one.
+    const moved = await call('/hold', {
+      meetingTypeId: 'consultation',
+      startTime: slots[2],
+      replaces: second.body.holdToken,
+    })
+    assert.equal(moved.status, 201)
+    assert.equal((await call(`/hold/${second.body.holdToken}`)).status, 410)
+    assert.equal((await call(`/hold/${first.body.holdToken}`)).status, 200)
+  })
+
+  it('limits new holds from one address, but not a visitor moving theirs', async () => {
+    const { slots } = await openSlots()
+    const hold = (startTime: string, replaces?: string) => call('/hold', { meetingTypeId: 'consultation', startTime, replaces })
+    let holdToken = (await hold(slots[0])).body.holdToken
+    for (let i = 1; i <= 12; i += 1) {
+      const moved = await hold(slots[i % 2], holdToken)
+      assert.equal(moved.status, 201)
+      holdToken = moved.body.holdToken
+    }
+
+    // A released hold is nothing to move, so the one after it is new.
+    for (let i = 1; i < 10; i += 1) {
+      assert.equal((await call(`/hold/${holdToken}/release`, {})).status, 200)
+      const placed = await hold(slots[0], holdToken)
+      assert.equal(placed.status, 201)
+      holdToken = placed.body.holdToken
+    }
+    const limited = await hold(slots[1], crypto.randomUUID())
+    assert.equal(limited.status, 429)
+    assert.equal(limited.body.error?.code, 'rate_limit')
+  })
+
+  it('gives the slot to one of two simultaneous bookings', async () => {
+    const { slots } = await openSlots()
+    // Each post-insert check waits a moment for the other, as two Google round trips overlap.
+    // Both would then see the other's event and back out, unless the lock keeps them apart.
+    let arrived = 0
+    let bothIn = () => {}
+    const together = new Promise<void>((resolve) => (bothIn = resolve))
+    const meet = () => {
+      if (++arrived === 2) bothIn()
+      return Promise.race([together, new Promise<void>((resolve) => setTimeout(resolve, 50))])
+    }
+    calendar.before('listEvents', meet)
+    calendar.before('listEvents', meet)
+    const results = await Promise.all([
+      call('/book', booking(slots[0], 'first@example.com')),
+      call('/book', booking(slots[0], 'second@example.com')),
+    ])
+    assert.deepEqual(results.map((result) => result.status).sort(), [201, 409])
+    assert.equal(calendar.events().length, 1)
+    assert.equal(bookingRows().length, 1)
+  })
+
+  it('takes its event back out when the slot filled while it was being inserted', async () => {
+    const { slots } = await openSlots()
+    const start = new Date(slots[0])
+    calendar.before('insertEvent', () => {
+      calendar.addEvent({ start, end: new Date(start.getTime() + 30 * MINUTE) })
+    })
+    const result = await call('/book', booking(slots[0]))
+    assert.equal(result.status, 409)
+    assert.equal(result.body.error?.code, 'slot_taken')
+    assert.deepEqual(calendar.events().map((event) => event.summary), ['Busy'])
+    assert.equal(bookingRows().length, 0)
+  })
+
+  for (const status of [401, 403, 429, 503]) {
+    it(`reports a calendar ${status} as google_failure and books nothing`, async () => {
+      const { slots } = await openSlots()
+      calendar.failNext('insertEvent', status)
+      const result = await call('/book', booking(slots[0]))
+      assert.equal(result.status, 502)
+      assert.equal(result.body.error?.code, 'google_failure')
+      assert.equal(calendar.events().length, 0)
+      assert.equal(bookingRows().length, 0)
+    })
+  }
+
+  it('says the token secret is missing instead of blaming the calendar', async () => {
+    const { slots } = await openSlots()
+    setup({ BOOKING_TOKEN_SECRET: '' })
+    const result = await call('/book', booking(slots[0]))
+    assert.equal(result.status, 500)
+    assert.equal(result.body.error?.code, 'misconfigured')
+    assert.equal(calendar.events().length, 0)
+    assert.equal(bookingRows().length, 0)
+  })
+
+  it('does not cache a failed free/busy read', async () => {
+    const month = new Date(Date.now() + 10 * 24 * 60 * MINUTE).toISOString().slice(0, 7)
+    calendar.failNext('freeBusy', 500)
+    const failed = await call(`/availability?month=${month}&meetingType=consultation`)
+    assert.equal(failed.status, 502)
+    assert.equal(failed.body.error?.code, 'google_failure')
+    const retried = await call(`/availability?month=${month}&meetingType=consultation`)
+    assert.equal(retried.status, 200)
+    assert.ok(retried.body.openDays.length > 0)
+  })
+
+  it('cancels through the manage link and frees the slot', async () => {
+    const { date, slots } = await openSlots()
+    const { body } = await call('/book', booking(slots[0]))
+    const token = encodeURIComponent(body.manageToken)
+
+    assert.equal((await call(`/booking/${token}`, { action: 'cancel' })).status, 200)
+    assert.equal(calendar.events().length, 0)
+    assert.equal((await call(`/booking/${token}`)).status, 410)
+    const { body: after } = await call(`/availability?date=${date}&meetingType=consultation`)
+    assert.ok(after.slots.includes(slots[0]))
+  })
+
+  it('answers 404 for a token that does not URL-decode', async () => {
+    for (const path of ['/booking/%E0', '/booking/%E0.ics', '/hold/%E0']) {
+      const result = await call(path)
+      assert.equal(result.status, 404, path)
+      assert.equal(result.body.error?.code, 'not_found')
+    }
+    assert.equal((await call('/hold/%E0/release', {})).status, 404)
+  })
+
+  it('still cancels through the .ics feed once the calendar has deleted the event', async () => {
+    const { slots } = await openSlots()
+    const { body } = await call('/book', booking(slots[0]))
+    const token = encodeURIComponent(body.manageToken)
+    assert.equal((await call(`/booking/${token}`, { action: 'cancel' })).status, 200)
+    calendar.purge(body.event.id)
+
+    const response = await worker.default.fetch(new Request(`https://booking.example/booking/${token}.ics`), env)
+    assert.equal(response.status, 200)
+    const ics = await response.text()
+    assert.match(ics, /METHOD:CANCEL/)
+    assert.match(ics, /STATUS:CANCELLED/)
+    assert.match(ics, new RegExp(`UID:${body.event.iCalUID}`))
+    assert.match(ics, new RegExp(`SEQUENCE:${body.event.sequence + 1}`))
+  })
+})
+
+describe('group sessions on the fake calendar', () => {
+  // The shipped config has no group type, so the suite adds one to the config module the worker reads.
+  const officeHours: MeetingType = {
+    id: 'office-hours',
+    label: 'Office Hours',
+    durationMinutes: 60,
+    description: 'An hour of open questions with the team, shared with a few others.',
+    locations: ['video'],
+    availability: {
+      workingDays: ['Thu'],
+      workingHours: { start: '18:00', end: '20:00' },
+      minNoticeHours: 24,
+      slotStepMinutes: 60,
+    },
+    capacity: 6,
+  }
+  before(() => meetingTypes.push(officeHours))
+  after(() => meetingTypes.splice(meetingTypes.indexOf(officeHours), 1))
+  beforeEach(() => setup())
+
+  const seat = (startTime: string, email: string) => ({ ...booking(startTime, email), meetingTypeId: 'office-hours', answers: {} })
+
+  it('seats later bookings in the first one\'s session and counts down its seats', async () => {
+    const { date, slots } = await openSlots('office-hours')
+    const before = await call(`/availability?date=${date}&meetingType=office-hours`)
+    assert.equal(before.body.seats[slots[0]], 6)
+
+    const first = await call('/book', seat(slots[0], 'first@example.com'))
+    const second = await call('/book', seat(slots[0], 'second@example.com'))
+    assert.equal(first.status, 201)
+    assert.equal(second.status, 201)
+    assert.equal(second.body.event.id, first.body.event.id)
+
+    const [event] = calendar.events()
+    assert.equal(calendar.events().length, 1)
+    assert.equal(event.session, 'office-hours')
+    assert.deepEqual(
+      event.attendees.map((attendee) => attendee.email),
+      [AGENCY, 'first@example.com', 'second@example.com'],
+    )
+    // Each seat sees the team and itself, never the other guests.
+    assert.deepEqual(
+      second.body.event.attendees.map((attendee: { email: string }) => attendee.email),
+      [AGENCY, 'second@example.com'],
+    )
+    assert.doesNotMatch(event.description, /first@example\.com|Reschedule or cancel:/)
+
+    const rows = bookingRows()
+    assert.equal(rows.length, 2)
+    assert.ok(rows.every((row) => row.google_event_id === event.id))
+
+    const { body } = await call(`/availability?date=${date}&meetingType=office-hours`)
+    assert.ok(body.slots.includes(slots[0]))
+    assert.equal(body.seats[slots[0]], 4)
+  })
+
+  it('stops offering a full session and refuses another seat in it', async () => {
+    const { date, slots } = await openSlots('office-hours')
+    const first = await call('/book', seat(slots[0], 'first@example.com'))
+    assert.equal(first.status, 201)
+    const [event] = calendar.events()
+    const others = ['b', 'c', 'd', 'e', 'f'].map((name) => ({ email: `${name}@example.com` }))
+    await calendar.setAttendees(event.id, [...event.attendees, ...others])
+
+    const { body } = await call(`/availability?date=${date}&meetingType=office-hours`)
+    assert.ok(!body.slots.includes(slots[0]))
+    const late = await call('/book', seat(slots[0], 'late@example.com'))
+    assert.equal(late.status, 409)
+    assert.equal(late.body.error?.code, 'slot_taken')
+    assert.equal(calendar.events().length, 1)
+  })
+
+  it('refuses a second seat for the same visitor', async () => {
+    const { slots } = await openSlots('office-hours')
+    await call('/book', seat(slots[0], 'first@example.com'))
+    const again = await call('/book', seat(slots[0], 'first@example.com'))
+    assert.equal(again.status, 409)
+    assert.equal(again.body.error?.code, 'already_seated')
+    assert.equal(bookingRows().length, 1)
+  })
+
+  it('gives up one seat on cancel, and the session with the last one', async () => {
+    const { date, slots } = await openSlots('office-hours')
+    const first = await call('/book', seat(slots[0], 'first@example.com'))
+    const second = await call('/book', seat(slots[0], 'second@example.com'))
+    const firstToken = encodeURIComponent(first.body.manageToken)
+    const secondToken = encodeURIComponent(second.body.manageToken)
+
+    const managed = await call(`/booking/${secondToken}`)
+    assert.equal(managed.body.booking.seat, true)
+    assert.equal((await call(`/booking/${firstToken}`, { action: 'cancel' })).status, 200)
+    assert.deepEqual(
+      calendar.events()[0].attendees.map((attendee) => attendee.email),
+      [AGENCY, 'second@example.com'],
+    )
+    assert.equal((await call(`/booking/${firstToken}`)).status, 410)
+    assert.equal((await call(`/booking/${secondToken}`)).status, 200)
+    const statuses = Object.fromEntries(bookingRows().map((row) => [row.email, row.status]))
+    assert.deepEqual(statuses, { 'first@example.com': 'cancelled', 'second@example.com': 'confirmed' })
+    const { body } = await call(`/availability?date=${date}&meetingType=office-hours`)
+    assert.equal(body.seats[slots[0]], 5)
+
+    assert.equal((await call(`/booking/${secondToken}`, { action: 'cancel' })).status, 200)
+    assert.equal(calendar.events().length, 0)
+  })
+
+  it('lets the team cancel one seat from its Telegram notice and leaves the others', async () => {
+    setup({ TELEGRAM_BOT_TOKEN: 'bot-token', TELEGRAM_CHAT_ID: '42', TELEGRAM_WEBHOOK_SECRET: 'hook-secret' })
+    const posted: Record<string, unknown>[] = []
+    const offline = globalThis.fetch
+    globalThis.fetch = async (input, init) => {
+      assert.match(String(input), /^https:\/\/api\.telegram\.org\//)
+      posted.push(JSON.parse(String(init?.body)))
+      return Response.json({ ok: true })
+    }
+    try {
+      const { slots } = await openSlots('office-hours')
+      await call('/book', seat(slots[0], 'first@example.com'))
+      await call('/book', seat(slots[0], 'second@example.com'))
+      const notices = posted.filter((body) => body.reply_markup)
+      assert.equal(notices.length, 2)
+      assert.match(String(notices[1].text), /second@example\.com/)
+
+      const keyboard = notices[1].reply_markup as { inline_keyboard: { callback_data: string }[][] }
+      const cancel = keyboard.inline_keyboard[0].find((button) => button.callback_data.startsWith('cancel:'))
+      const pressed = await worker.default.fetch(
+        new Request('https://booking.example/telegram/webhook', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'X-Telegram-Bot-Api-Secret-Token': 'hook-secret' },
+          body: JSON.stringify({
+            callback_query: {
+              id: 'press-1',
+              data: cancel?.callback_data,
+              from: { username: 'team' },
+              message: { message_id: 7, chat: { id: 42 } },
+            },
+          }),
+        }),
+        env,
+      )
+      await lockState.settled()
+      assert.equal(pressed.status, 200)
+    } finally {
+      globalThis.fetch = offline
+    }
+
+    assert.deepEqual(
+      calendar.events()[0].attendees.map((attendee) => attendee.email),
+      [AGENCY, 'first@example.com'],
+    )
+    const statuses = Object.fromEntries(bookingRows().map((row) => [row.email, row.status]))
+    assert.deepEqual(statuses, { 'first@example.com': 'confirmed', 'second@example.com': 'cancelled' })
+  })
+
+  it('will not move a seat to another time', async () => {
+    const { slots } = await openSlots('office-hours')
+    const first = await call('/book', seat(slots[0], 'first@example.com'))
+    const moved = await call(`/booking/${encodeURIComponent(first.body.manageToken)}`, {
+      action: 'reschedule',
+      startTime: slots[1],
+    })
+    assert.equal(moved.status, 409)
+    assert.equal(moved.body.error?.code, 'seat_reschedule')
+  })
+})
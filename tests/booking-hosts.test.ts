@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { getMeetingType, hosts } from '../src/config/booking.ts'
+import { parseHostCalendars, pickHosts, teamFor } from '../workers/booking-api/src/hosts.ts'
+
+const team = ['mohamed', 'asadur', 'dibakar']
+
+describe('parseHostCalendars', () => {
+  it('reads id=calendar pairs and lower-cases emails', () => {
+    const calendars = parseHostCalendars(' mohamed=Mohamed@Example.com , asadur=team_abc123@group.calendar.google.com,broken')
+    assert.equal(calendars.get('mohamed'), 'mohamed@example.com')
+    assert.equal(calendars.get('asadur'), 'team_abc123@group.calendar.google.com')
+    assert.equal(calendars.size, 2)
+  })
+
+  it('is empty when unset', () => {
+    assert.equal(parseHostCalendars(undefined).size, 0)
+  })
+})
+
+describe('teamFor', () => {
+  it('keeps config order and skips hosts without a calendar', () => {
+    const consultation = getMeetingType('consultation')
+    assert.ok(consultation)
+    const calendars = parseHostCalendars('dibakar=d@example.com,mohamed=m@example.com')
+    assert.deepEqual(
+      teamFor({ ...consultation, hosts: team }, hosts, calendars).map((host) => host.id),
+      ['mohamed', 'dibakar'],
+    )
+  })
+
+  it('is empty for a type whose hosts are not set up', () => {
+    const demo = getMeetingType('demo')
+    assert.ok(demo)
+    assert.deepEqual(teamFor({ ...demo, hosts: ['mohamed', 'asadur'] }, hosts, new Map()), [])
+  })
+
+  it('only lists people from the team page', () => {
+    const consultation = getMeetingType('consultation')
+    assert.ok(consultation)
+    assert.deepEqual(
+      teamFor({ ...consultation, hosts: ['nobody'] }, hosts, parseHostCalendars('nobody=n@example.com')),
+      [],
+    )
+  })
+})
+
+describe('pickHosts', () => {
+  it('needs every host for collective', () => {
+    assert.deepEqual(pickHosts('collective', team, new Set(team)), team)
+    assert.equal(pickHosts('collective', team, new Set(['mohamed', 'asadur'])), null)
+  })
+
+  it('takes the first free host for any', () => {
+    assert.deepEqual(pickHosts('any', team, new Set(['asadur', 'dibakar'])), ['asadur'])
+    assert.equal(pickHosts('any', team, new Set()), null)
+  })
+
+  it('takes the least recently booked free host for round-robin', () => {
+    const lastBooked = new Map([
+      ['mohamed', '2026-08-10 10:00:00'],
+      ['asadur', '2026-08-12 09:00:00'],
+      ['dibakar', '2026-08-11 18:30:00'],
+    ])
+    assert.deepEqual(pickHosts('round-robin', team, new Set(team), lastBooked), ['mohamed'])
+    assert.deepEqual(pickHosts('round-robin', team, new Set(['asadur', 'dibakar']), lastBooked), ['dibakar'])
+  })
+
+  it('puts never-booked hosts first and breaks ties in config order', () => {
+    const lastBooked = new Map([['mohamed', '2026-08-10 10:00:00']])
+    assert.deepEqual(pickHosts('round-robin', team, new Set(team), lastBooked), ['asadur'])
+    assert.deepEqual(pickHosts('round-robin', team, new Set(team)), ['mohamed'])
+  })
+
+  it('keeps the current host on a reschedule while they are free', () => {
+    const lastBooked = new Map([['dibakar', '2026-08-12 09:00:00']])
+    assert.deepEqual(pickHosts('round-robin', team, new Set(team), lastBooked, ['dibakar']), ['dibakar'])
+    assert.deepEqual(pickHosts('round-robin', team, new Set(['asadur']), lastBooked, ['dibakar']), ['asadur'])
+  })
+})
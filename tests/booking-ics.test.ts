@@ -0,0 +1,142 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import type { CalendarEvent } from '../workers/booking-api/src/calendar.ts'
+import { buildIcs, calendarLinks } from '../workers/booking-api/src/ics.ts'
+
+const event: CalendarEvent = {
+  id: 'evt123',
+  meetUrl: 'https://meet.google.com/abc-defg-hij',
+  summary: 'Free consultation — Sara',
+  description: 'Stage: Idea\nNotes: Budget; timeline, scope',
+  start: '2026-08-18T13:00:00.000Z',
+  end: '2026-08-18T13:30:00.000Z',
+  status: 'confirmed',
+  iCalUID: 'evt123@google.com',
+  sequence: 2,
+  organizer: { email: 'studio@baseetstudio.com' },
+  hosts: ['mohamed'],
+  attendees: [
+    { email: 'studio@baseetstudio.com' },
+    { email: 'mohamed@baseetstudio.com' },
+    { email: 'sara@example.com', name: 'Sara, PM' },
+  ],
+}
+
+const now = new Date('2026-08-01T09:00:00Z')
+
+function unfold(ics: string): string[] {
+  return ics.replace(/\r\n /g, '').split('\r\n')
+}
+
+describe('buildIcs', () => {
+  it('writes a PUBLISH event with the Google UID and sequence', () => {
+    const lines = unfold(buildIcs(event, now))
+    assert.ok(lines.includes('METHOD:PUBLISH'))
+    assert.ok(lines.includes('UID:evt123@google.com'))
+    assert.ok(lines.includes('SEQUENCE:2'))
+    assert.ok(lines.includes('DTSTAMP:20260801T090000Z'))
+    assert.ok(lines.includes('DTSTART:20260818T130000Z'))
+    assert.ok(lines.includes('DTEND:20260818T133000Z'))
+    assert.ok(lines.includes('STATUS:CONFIRMED'))
+  })
+
+  it('puts the Meet link in LOCATION and URL', () => {
+    const lines = unfold(buildIcs(event, now))
+    assert.ok(lines.includes('LOCATION:https://meet.google.com/abc-defg-hij'))
+    assert.ok(lines.includes('URL:https://meet.google.com/abc-defg-hij'))
+  })
+
+  it('puts the office address in LOCATION and its map in URL for an in-person meeting', () => {
+    const office = { kind: 'in-person' as const, text: 'Office 12, Abu Dhabi' }
+    const lines = unfold(buildIcs({ ...event, meetUrl: undefined, location: office }, now))
+    assert.ok(lines.includes('LOCATION:Office 12\\, Abu Dhabi'))
+    assert.ok(lines.includes('URL:https://www.google.com/maps/search/?api=1&query=Office%2012%2C%20Abu%20Dhabi'))
+  })
+
+  it('leaves URL out of a phone call, which only has a number', () => {
+    const lines = unfold(buildIcs({ ...event, meetUrl: undefined, location: { kind: 'phone', text: '+971 50 123 4567' } }, now))
+    assert.ok(lines.includes('LOCATION:+971 50 123 4567'))
+    assert.ok(!lines.some((line) => line.startsWith('URL:')))
+  })
+
+  it('names the organizer and lists everyone else as attendees', () => {
+    const lines = unfold(buildIcs(event, now))
+    assert.ok(lines.includes('ORGANIZER;CN=Baseet Studio:mailto:studio@baseetstudio.com'))
+    assert.deepEqual(
+      lines.filter((line) => line.startsWith('ATTENDEE')),
+      [
+        'ATTENDEE;ROLE=REQ-PARTICIPANT:mailto:mohamed@baseetstudio.com',
+        'ATTENDEE;CN="Sara, PM";ROLE=REQ-PARTICIPANT:mailto:sara@example.com',
+      ],
+    )
+  })
+
+  it('escapes text values', () => {
+    const lines = unfold(buildIcs(event, now))
+    assert.ok(lines.includes('DESCRIPTION:Stage: Idea\\nNotes: Budget\\; timeline\\, scope'))
+  })
+
+  it('adds a reminder while the booking stands', () => {
+    const ics = buildIcs(event, now)
+    assert.match(ics, /BEGIN:VALARM\r\nACTION:DISPLAY\r\n.*\r\nTRIGGER:-PT15M\r\nEND:VALARM/)
+  })
+
+  it('cancels with METHOD:CANCEL and no reminder', () => {
+    const ics = buildIcs({ ...event, status: 'cancelled' }, now)
+    const lines = unfold(ics)
+    assert.ok(lines.includes('METHOD:CANCEL'))
+    assert.ok(lines.includes('STATUS:CANCELLED'))
+    assert.ok(lines.includes('UID:evt123@google.com'))
+    assert.doesNotMatch(ics, /VALARM/)
+  })
+
+  it('folds long lines at 75 octets without splitting characters', () => {
+    const long = { ...event, description: 'مرحبا '.repeat(40) }
+    const ics = buildIcs(long, now)
+    for (const line of ics.split('\r\n')) {
+      assert.ok(Buffer.byteLength(line) <= 75, line)
+    }
+    assert.ok(unfold(ics).includes(`DESCRIPTION:${long.description}`))
+    assert.doesNotMatch(ics, /�/)
+  })
+
+  it('ends every line with CRLF', () => {
+    const ics = buildIcs(event, now)
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'))
+    assert.doesNotMatch(ics.replace(/\r\n/g, ''), /\n/)
+  })
+})
+
+describe('calendarLinks', () => {
+  const links = calendarLinks('https://booking.example.com', 'payload.signature', event)
+
+  it('points the feed at the booking token', () => {
+    assert.equal(links.ics, 'https://booking.example.com/booking/payload.signature.ics')
+  })
+
+  it('builds a Google Calendar template link', () => {
+    const url = new URL(links.google)
+    assert.equal(url.origin + url.pathname, 'https://calendar.google.com/calendar/render')
+    assert.equal(url.searchParams.get('action'), 'TEMPLATE')
+    assert.equal(url.searchParams.get('text'), event.summary)
+    assert.equal(url.searchParams.get('dates'), '20260818T130000Z/20260818T133000Z')
+    assert.equal(url.searchParams.get('details'), event.description)
+    assert.equal(url.searchParams.get('location'), event.meetUrl)
+  })
+
+  it('builds an Outlook.com compose link', () => {
+    const url = new URL(links.outlook)
+    assert.equal(url.origin + url.pathname, 'https://outlook.live.com/calendar/0/deeplink/compose')
+    assert.equal(url.searchParams.get('rru'), 'addevent')
+    assert.equal(url.searchParams.get('subject'), event.summary)
+    assert.equal(url.searchParams.get('startdt'), '2026-08-18T13:00:00.000Z')
+    assert.equal(url.searchParams.get('enddt'), '2026-08-18T13:30:00.000Z')
+    assert.equal(url.searchParams.get('location'), event.meetUrl)
+  })
+
+  it('leaves location out when there is no meeting link', () => {
+    const plain = calendarLinks('https://booking.example.com', 't.s', { ...event, meetUrl: undefined })
+    assert.equal(new URL(plain.google).searchParams.has('location'), false)
+    assert.equal(new URL(plain.outlook).searchParams.has('location'), false)
+  })
+})
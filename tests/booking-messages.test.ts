@@ -0,0 +1,159 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, readdirSync, readFileSync } from 'node:fs'
+import { writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { fileTransport } from '../workers/shared/mail.ts'
+import {
+  composeMessage,
+  dueMessages,
+  messageHorizon,
+  type MessageContext,
+  type MessageKind,
+} from '../workers/booking-api/src/messages.ts'
+
+const HOUR = 60 * 60 * 1000
+
+function copyFor(lang: string): Record<string, string> {
+  return JSON.parse(readFileSync(new URL(`../src/content/locales/${lang}/ui.json`, import.meta.url), 'utf8'))
+}
+
+const start = new Date('2026-08-18T13:00:00Z')
+const end = new Date('2026-08-18T13:30:00Z')
+
+function timing(scheduledAt: Date, sent: MessageKind[] = []) {
+  return { start, end, scheduledAt, sent: new Set(sent) }
+}
+
+function at(offsetFromStart: number): Date {
+  return new Date(start.getTime() + offsetFromStart)
+}
+
+describe('dueMessages', () => {
+  const bookedEarly = at(-3 * 24 * HOUR)
+
+  it('confirms a new booking straight away', () => {
+    assert.deepEqual(dueMessages(timing(bookedEarly), bookedEarly), ['confirmation'])
+  })
+
+  it('sends nothing twice', () => {
+    assert.deepEqual(dueMessages(timing(bookedEarly, ['confirmation']), at(-48 * HOUR)), [])
+  })
+
+  it('sends the 24-hour reminder inside its window', () => {
+    const sent: MessageKind[] = ['confirmation']
+    assert.deepEqual(dueMessages(timing(bookedEarly, sent), at(-24 * HOUR)), ['reminder_24h'])
+    assert.deepEqual(dueMessages(timing(bookedEarly, sent), at(-2 * HOUR)), ['reminder_24h'])
+    assert.deepEqual(dueMessages(timing(bookedEarly, sent), at(-HOUR)), ['reminder_1h'])
+  })
+
+  it('sends the 1-hour reminder until the call starts', () => {
+    const sent: MessageKind[] = ['confirmation', 'reminder_24h']
+    assert.deepEqual(dueMessages(timing(bookedEarly, sent), at(-10 * 60 * 1000)), ['reminder_1h'])
+    assert.deepEqual(dueMessages(timing(bookedEarly, sent), at(0)), [])
+  })
+
+  it('skips reminders whose window opened before the booking was made', () => {
+    const bookedLate = at(-3 * HOUR)
+    assert.deepEqual(dueMessages(timing(bookedLate, ['confirmation']), at(-2 * HOUR)), [])
+    assert.deepEqual(dueMessages(timing(bookedLate, ['confirmation']), at(-HOUR)), ['reminder_1h'])
+  })
+
+  it('does not confirm a booking that has already started', () => {
+    assert.deepEqual(dueMessages(timing(bookedEarly), at(5 * 60 * 1000)), [])
+  })
+
+  it('follows up two hours after the call, but not days later', () => {
+    const sent: MessageKind[] = ['confirmation', 'reminder_24h', 'reminder_1h']
+    const afterEnd = (ms: number) => new Date(end.getTime() + ms)
+    assert.deepEqual(dueMessages(timing(bookedEarly, sent), afterEnd(HOUR)), [])
+    assert.deepEqual(dueMessages(timing(bookedEarly, sent), afterEnd(2 * HOUR)), ['follow_up'])
+    assert.deepEqual(dueMessages(timing(bookedEarly, sent), afterEnd(3 * 24 * HOUR)), [])
+  })
+
+  it('keeps finished calls in range until their follow-up window closes', () => {
+    const now = new Date(end.getTime() + 2 * HOUR)
+    assert.ok(messageHorizon(now) < end)
+  })
+})
+
+describe('composeMessage', () => {
+  const context: MessageContext = {
+    lang: 'en',
+    name: 'Sara',
+    email: 'sara@example.com',
+    meeting: 'Consultation call',
+    start,
+    timeZone: 'Europe/London',
+    meetUrl: 'https://meet.google.com/abc-defg-hij',
+    manageUrl: 'https://baseetstudio.com/contact/?booking=t.s#contact-meeting',
+    projectsUrl: 'https://baseetstudio.com/projects/',
+  }
+
+  it('fills the confirmation from ui.json', () => {
+    const message = composeMessage('confirmation', context, copyFor('en'))
+    assert.equal(message.to, 'sara@example.com')
+    assert.equal(message.subject, 'Booked: Consultation call with Baseet Studio')
+    assert.match(message.text, /^Hi Sara,/)
+    assert.match(message.text, /Tuesday, August 18, 2026 at 2:00 PM \(Europe\/London\)/)
+    assert.match(message.text, /https:\/\/meet\.google\.com\/abc-defg-hij/)
+    assert.match(message.text, /\?booking=t\.s/)
+    assert.doesNotMatch(message.text, /\{\w+\}/)
+  })
+
+  it('puts the Meet link in reminders and links it in the HTML', () => {
+    const message = composeMessage('reminder_1h', context, copyFor('en'))
+    assert.match(message.subject, /^Starting in an hour/)
+    assert.match(message.html, /<a href="https:\/\/meet\.google\.com\/abc-defg-hij">/)
+  })
+
+  it('leaves out the join line when there is no Meet link', () => {
+    const message = composeMessage('reminder_24h', { ...context, meetUrl: undefined }, copyFor('en'))
+    assert.doesNotMatch(message.text, /Google Meet/)
+  })
+
+  it('says where to meet instead of how to join when the meeting is not a video call', () => {
+    const office = { kind: 'in-person' as const, text: 'Office 12, Abu Dhabi' }
+    const message = composeMessage('reminder_24h', { ...context, meetUrl: undefined, location: office }, copyFor('en'))
+    assert.match(message.text, /We will meet at our office, Office 12, Abu Dhabi\./)
+    assert.doesNotMatch(message.text, /Google Meet/)
+  })
+
+  it('links projects, not the manage page, in the follow-up', () => {
+    const message = composeMessage('follow_up', context, copyFor('en'))
+    assert.match(message.text, /https:\/\/baseetstudio\.com\/projects\//)
+    assert.doesNotMatch(message.text, /booking=/)
+  })
+
+  it('drops the confirmation into a folder through the file sink', async () => {
+    const directory = mkdtempSync(join(tmpdir(), 'booking-mail-'))
+    const transport = fileTransport(directory, (path, contents) => writeFile(path, contents))
+    await transport.send(composeMessage('confirmation', context, copyFor('en')))
+
+    const [name] = readdirSync(directory)
+    assert.equal(name, '001-sara@example.com.eml')
+    const eml = readFileSync(join(directory, name), 'utf8')
+    assert.match(eml, /\r\nSubject: Booked: Consultation call with Baseet Studio\r\n/)
+    assert.match(eml, /https:\/\/meet\.google\.com\/abc-defg-hij/)
+  })
+
+  it('writes in the visitor language and direction', () => {
+    const message = composeMessage('confirmation', { ...context, lang: 'ar' }, copyFor('ar'))
+    assert.match(message.subject, /^تم الحجز/)
+    assert.match(message.html, /dir="rtl"/)
+  })
+
+  it('escapes names in the HTML body', () => {
+    const message = composeMessage('confirmation', { ...context, name: '<b>Sara</b>' }, copyFor('en'))
+    assert.match(message.html, /&lt;b&gt;Sara&lt;\/b&gt;/)
+  })
+
+  it('has every email key in every locale', () => {
+    const keys = Object.keys(copyFor('en')).filter((key) => key.startsWith('email_'))
+    for (const lang of ['ar', 'ur', 'hi', 'fil']) {
+      const copy = copyFor(lang)
+      assert.deepEqual(keys.filter((key) => !copy[key]), [], lang)
+    }
+  })
+})
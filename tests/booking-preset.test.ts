@@ -0,0 +1,23 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { presetQuery, readPreset } from '../src/scripts/booking-preset.ts'
+
+describe('booking presets', () => {
+  const preset = { meetingType: 'demo', context: 'Interested in: Geeb Pro', source: 'project:geeb' }
+
+  it('round-trips through the contact page query', () => {
+    const query = presetQuery(preset)
+    assert.equal(query, '?type=demo&context=Interested+in%3A+Geeb+Pro&source=project%3Ageeb')
+    assert.deepEqual(readPreset(new URLSearchParams(query)), preset)
+  })
+
+  it('leaves out what is not set', () => {
+    assert.equal(presetQuery({}), '')
+    assert.equal(presetQuery({ source: 'service:cloud' }), '?source=service%3Acloud')
+  })
+
+  it('lets the query override the page preset field by field', () => {
+    const read = readPreset(new URLSearchParams('type=consultation'), preset)
+    assert.deepEqual(read, { ...preset, meetingType: 'consultation' })
+  })
+})
@@ -1,14 +1,20 @@
 import { describe, it } from 'node:test'
 import assert from 'node:assert/strict'
-import { availability } from '../src/config/booking.ts'
+import { availability, availabilityFor, getMeetingType } from '../src/config/booking.ts'
 import {
   addCalendarDays,
   datesInMonth,
+  dayUtcRange,
+  isOnSlotGrid,
+  isSlotStart,
   isYearMonth,
   isYearMonthDay,
   openDaysForMonth,
   overlapsBusy,
+  resolveDateOverrides,
   slotsForDate,
+  slotStatus,
+  subtractBusy,
   weekdayShort,
   ymdInZone,
   zonedLocalToUtc,
@@ -133,6 +139,21 @@ describe('slotsForDate', () => {
     assert.equal(isos.includes('2026-08-18T16:00:00.000Z'), true)
   })
 
+  it('starts slots every slotStepMinutes when set', () => {
+    const slots = slotsForDate({
+      ...base,
+      durationMinutes: 45,
+      slotStepMinutes: 30,
+      date: '2026-08-18',
+      now: new Date('2026-08-01T00:00:00.000Z'),
+    })
+    assert.deepEqual(
+      slots.slice(0, 3).map((slot) => slot.toISOString()),
+      ['2026-08-18T13:00:00.000Z', '2026-08-18T13:30:00.000Z', '2026-08-18T14:00:00.000Z'],
+    )
+    assert.equal(slots.at(-1)?.toISOString(), '2026-08-18T17:00:00.000Z')
+  })
+
   it('returns nothing beyond maxDaysAhead', () => {
     const slots = slotsForDate({
       ...base,
@@ -143,6 +164,224 @@ describe('slotsForDate', () => {
   })
 })
 
+describe('slot alignment', () => {
+  const base = {
+    durationMinutes: 30,
+    timeZone: dubai,
+    workingDays: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
+    workingHours: { start: '17:00', end: '22:00' },
+    bufferMinutes: 15,
+    minNoticeHours: 4,
+    maxDaysAhead: 30,
+    date: '2026-08-18',
+    now: new Date('2026-08-01T00:00:00.000Z'),
+    // 17:00–17:20 Dubai, so the buffer runs out at 17:35.
+    busy: [{ start: new Date('2026-08-18T13:00:00.000Z'), end: new Date('2026-08-18T13:20:00.000Z') }],
+  }
+
+  it('waits for the next fixed step without alignment', () => {
+    assert.equal(slotsForDate(base)[0]?.toISOString(), '2026-08-18T14:00:00.000Z')
+  })
+
+  it('realigns to the next quarter hour after a busy block', () => {
+    const slots = slotsForDate({ ...base, slotAlignMinutes: 15 })
+    assert.deepEqual(
+      slots.slice(0, 3).map((slot) => slot.toISOString()),
+      ['2026-08-18T13:45:00.000Z', '2026-08-18T14:15:00.000Z', '2026-08-18T14:45:00.000Z'],
+    )
+  })
+
+  it('skips whole steps past the notice period instead of realigning', () => {
+    const slots = slotsForDate({ ...base, busy: [], slotAlignMinutes: 15, now: new Date('2026-08-18T09:07:00.000Z') })
+    assert.equal(slots[0]?.toISOString(), '2026-08-18T13:30:00.000Z')
+  })
+
+  it('still takes a start a few minutes after the picker listed it', () => {
+    const input = { ...base, slotAlignMinutes: 15, now: new Date('2026-08-18T09:07:00.000Z') }
+    const listed = slotsForDate(input)
+    assert.equal(listed[0]?.toISOString(), '2026-08-18T13:45:00.000Z')
+    const later = { ...input, now: new Date('2026-08-18T09:16:00.000Z') }
+    assert.ok(listed.every((slot) => isSlotStart(later, slot)))
+    assert.deepEqual(slotsForDate(later), listed)
+  })
+
+  it('steps a 45 minute meeting by a shorter interval', () => {
+    const slots = slotsForDate({ ...base, busy: [], durationMinutes: 45, slotStepMinutes: 15 })
+    assert.equal(slots[1]?.toISOString(), '2026-08-18T13:15:00.000Z')
+    assert.equal(slots.at(-1)?.toISOString(), '2026-08-18T17:15:00.000Z')
+    assert.equal(slots.length, 18)
+  })
+
+  it('accepts only the starts slotsForDate offers', () => {
+    const input = { ...base, slotAlignMinutes: 15 }
+    assert.equal(isSlotStart(input, new Date('2026-08-18T13:45:00.000Z')), true)
+    assert.equal(isSlotStart(input, new Date('2026-08-18T14:15:00.000Z')), true)
+    assert.equal(isSlotStart(input, new Date('2026-08-18T14:00:00.000Z')), false)
+    // Nothing busy before it, so the day keeps to the half hours and a quarter to was never offered.
+    assert.equal(isSlotStart({ ...input, busy: [] }, new Date('2026-08-18T13:45:00.000Z')), false)
+    assert.equal(isSlotStart({ ...input, busy: [] }, new Date('2026-08-18T14:00:00.000Z')), true)
+  })
+
+  it('tells a start the grid never reaches from one that is taken', () => {
+    const input = { ...base, slotAlignMinutes: 15 }
+    assert.equal(slotStatus(input, new Date('2026-08-18T13:45:00.000Z')), 'open')
+    assert.equal(slotStatus(input, new Date('2026-08-18T13:00:00.000Z')), 'taken')
+    assert.equal(slotStatus(input, new Date('2026-08-18T14:00:00.000Z')), 'off-grid')
+    assert.equal(slotStatus(input, new Date('2026-08-18T13:50:00.000Z')), 'off-grid')
+  })
+
+  it('puts aligned starts on the grid before the calendar is read', () => {
+    const input = { ...base, slotAlignMinutes: 15 }
+    assert.equal(isOnSlotGrid(input, new Date('2026-08-18T13:45:00.000Z')), true)
+    assert.equal(isOnSlotGrid(input, new Date('2026-08-18T13:50:00.000Z')), false)
+    assert.equal(isOnSlotGrid({ ...input, slotAlignMinutes: undefined }, new Date('2026-08-18T13:45:00.000Z')), false)
+  })
+
+  it('rejects starts outside the window or inside the notice period', () => {
+    const input = { ...base, busy: [], slotAlignMinutes: 15 }
+    assert.equal(isSlotStart(input, new Date('2026-08-18T12:45:00.000Z')), false)
+    assert.equal(isSlotStart(input, new Date('2026-08-18T17:45:00.000Z')), false)
+    assert.equal(isSlotStart({ ...input, now: new Date('2026-08-18T09:30:00.000Z') }, new Date('2026-08-18T13:15:00.000Z')), false)
+  })
+})
+
+describe('slots across DST changes', () => {
+  const base = {
+    durationMinutes: 30,
+    workingDays: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
+    workingHours: { start: '00:00', end: '04:00' },
+    bufferMinutes: 15,
+    minNoticeHours: 4,
+    maxDaysAhead: 60,
+    busy: [] as { start: Date; end: Date }[],
+    now: new Date('2026-03-01T00:00:00.000Z'),
+  }
+
+  it('loses the skipped hour when London springs forward', () => {
+    const slots = slotsForDate({ ...base, timeZone: 'Europe/London', date: '2026-03-29' })
+    assert.deepEqual(
+      slots.map((slot) => slot.toISOString()),
+      [
+        '2026-03-29T00:00:00.000Z',
+        '2026-03-29T00:30:00.000Z',
+        '2026-03-29T01:00:00.000Z',
+        '2026-03-29T01:30:00.000Z',
+        '2026-03-29T02:00:00.000Z',
+        '2026-03-29T02:30:00.000Z',
+      ],
+    )
+  })
+
+  it('gains the repeated hour when New York falls back', () => {
+    const slots = slotsForDate({
+      ...base,
+      timeZone: 'America/New_York',
+      date: '2026-11-01',
+      now: new Date('2026-10-01T00:00:00.000Z'),
+    })
+    assert.equal(slots[0]?.toISOString(), '2026-11-01T04:00:00.000Z')
+    assert.equal(slots.at(-1)?.toISOString(), '2026-11-01T08:30:00.000Z')
+    assert.equal(slots.length, 10)
+  })
+
+  it('keeps realigned starts on local quarter hours in summer time', () => {
+    const slots = slotsForDate({
+      ...base,
+      timeZone: 'Europe/London',
+      workingHours: { start: '17:00', end: '22:00' },
+      date: '2026-08-18',
+      now: new Date('2026-08-01T00:00:00.000Z'),
+      slotAlignMinutes: 15,
+      // 17:00–17:20 BST.
+      busy: [{ start: new Date('2026-08-18T16:00:00.000Z'), end: new Date('2026-08-18T16:20:00.000Z') }],
+    })
+    assert.equal(slots[0]?.toISOString(), '2026-08-18T16:45:00.000Z')
+  })
+
+  it('keeps the same local grid on both sides of the change', () => {
+    const input = { ...base, timeZone: 'Europe/London', workingHours: { start: '17:00', end: '22:00' } }
+    const winter = slotsForDate({ ...input, date: '2026-03-28' })
+    const summer = slotsForDate({ ...input, date: '2026-03-30' })
+    assert.equal(winter[0]?.toISOString(), '2026-03-28T17:00:00.000Z')
+    assert.equal(summer[0]?.toISOString(), '2026-03-30T16:00:00.000Z')
+    assert.equal(winter.length, summer.length)
+  })
+})
+
+describe('date overrides', () => {
+  const base = {
+    durationMinutes: 30,
+    timeZone: dubai,
+    workingDays: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'],
+    workingHours: { start: '17:00', end: '22:00' },
+    bufferMinutes: 15,
+    minNoticeHours: 4,
+    maxDaysAhead: 400,
+    busy: [] as { start: Date; end: Date }[],
+    now: new Date('2026-08-01T00:00:00.000Z'),
+  }
+
+  it('matches yearly entries in any year and fixed ones only on their dates', () => {
+    const overrides = [
+      { label: 'National Day', date: '12-02', until: '12-03', closed: true },
+      { label: 'Eid', date: '2027-03-09', until: '2027-03-12', closed: true },
+    ]
+    assert.equal(resolveDateOverrides('2026-12-03', overrides).closed, true)
+    assert.equal(resolveDateOverrides('2031-12-02', overrides).closed, true)
+    assert.equal(resolveDateOverrides('2026-12-04', overrides).closed, false)
+    assert.equal(resolveDateOverrides('2027-03-10', overrides).closed, true)
+    assert.equal(resolveDateOverrides('2028-03-10', overrides).closed, false)
+  })
+
+  it('wraps a yearly range across the new year', () => {
+    const overrides = [{ label: 'Year end', date: '12-30', until: '01-02', closed: true }]
+    assert.equal(resolveDateOverrides('2026-12-31', overrides).closed, true)
+    assert.equal(resolveDateOverrides('2027-01-02', overrides).closed, true)
+    assert.equal(resolveDateOverrides('2027-01-03', overrides).closed, false)
+  })
+
+  it('closes a holiday completely', () => {
+    const slots = slotsForDate({
+      ...base,
+      date: '2026-12-02',
+      overrides: [{ label: 'UAE National Day', date: '12-02', closed: true }],
+    })
+    assert.equal(slots.length, 0)
+  })
+
+  it('drops slots inside a partial blackout without padding it', () => {
+    const slots = slotsForDate({
+      ...base,
+      date: '2026-08-18',
+      overrides: [{ label: 'Offsite', date: '2026-08-18', blackouts: [{ start: '18:00', end: '19:00' }] }],
+    })
+    const isos = slots.map((slot) => slot.toISOString())
+    assert.equal(isos.includes('2026-08-18T13:30:00.000Z'), true)
+    assert.equal(isos.includes('2026-08-18T14:00:00.000Z'), false)
+    assert.equal(isos.includes('2026-08-18T14:30:00.000Z'), false)
+    assert.equal(isos.includes('2026-08-18T15:00:00.000Z'), true)
+  })
+
+  it('opens extra hours on a day that is normally closed', () => {
+    const overrides = [{ label: 'Launch Saturday', date: '2026-08-22', hours: { start: '10:00', end: '12:00' } }]
+    const slots = slotsForDate({ ...base, date: '2026-08-22', overrides })
+    assert.equal(slots[0]?.toISOString(), '2026-08-22T06:00:00.000Z')
+    assert.equal(slots.length, 4)
+    const range = dayUtcRange('2026-08-22', dubai, base.workingHours, 15, undefined, overrides)
+    assert.equal(range.timeMin.toISOString(), '2026-08-22T05:45:00.000Z')
+  })
+
+  it('keeps closed days out of openDaysForMonth', () => {
+    const open = openDaysForMonth('2026-12', {
+      ...base,
+      overrides: [{ label: 'UAE National Day', date: '12-02', until: '12-03', closed: true }],
+    })
+    assert.equal(open.includes('2026-12-01'), true)
+    assert.equal(open.includes('2026-12-02'), false)
+    assert.equal(open.includes('2026-12-03'), false)
+  })
+})
+
 describe('openDaysForMonth', () => {
   it('marks weekdays and weekends open when the calendar is empty', () => {
     const open = openDaysForMonth('2026-08', {
@@ -162,6 +401,30 @@ describe('openDaysForMonth', () => {
   })
 })
 
+describe('availabilityFor', () => {
+  it('layers a meeting type override over the shared rules', () => {
+    const demo = getMeetingType('demo')
+    assert.ok(demo)
+    const rules = availabilityFor({ ...demo, availability: { minNoticeHours: 48, workingDays: ['Sat'] } })
+    assert.equal(rules.minNoticeHours, 48)
+    assert.deepEqual(rules.workingDays, ['Sat'])
+    assert.deepEqual(rules.workingHours, availability.workingHours)
+  })
+
+  it('falls back to the shared rules without an override', () => {
+    const consultation = getMeetingType('consultation')
+    assert.ok(consultation)
+    assert.deepEqual(availabilityFor(consultation), availability)
+  })
+
+  it('widens the buffer for an in-person meeting only', () => {
+    const consultation = getMeetingType('consultation')
+    assert.ok(consultation)
+    assert.equal(availabilityFor(consultation, 'in-person').bufferMinutes, availability.inPersonBufferMinutes)
+    assert.equal(availabilityFor(consultation, 'phone').bufferMinutes, availability.bufferMinutes)
+  })
+})
+
 describe('overlapsBusy', () => {
   it('treats touching ranges as overlap once buffer is applied', () => {
     const start = new Date('2026-08-18T05:30:00.000Z')
@@ -172,6 +435,29 @@ describe('overlapsBusy', () => {
   })
 })
 
+describe('subtractBusy', () => {
+  it('frees the moved booking but keeps a merged neighbour', () => {
+    const busy = [{ start: new Date('2026-08-18T13:00:00.000Z'), end: new Date('2026-08-18T14:30:00.000Z') }]
+    const left = subtractBusy(
+      busy,
+      new Date('2026-08-18T13:30:00.000Z'),
+      new Date('2026-08-18T14:00:00.000Z'),
+    )
+    assert.deepEqual(
+      left.map((block) => [block.start.toISOString(), block.end.toISOString()]),
+      [
+        ['2026-08-18T13:00:00.000Z', '2026-08-18T13:30:00.000Z'],
+        ['2026-08-18T14:00:00.000Z', '2026-08-18T14:30:00.000Z'],
+      ],
+    )
+  })
+
+  it('leaves unrelated blocks alone', () => {
+    const busy = [{ start: new Date('2026-08-18T10:00:00.000Z'), end: new Date('2026-08-18T11:00:00.000Z') }]
+    assert.deepEqual(subtractBusy(busy, new Date('2026-08-18T13:00:00.000Z'), new Date('2026-08-18T14:00:00.000Z')), busy)
+  })
+})
+
 describe('ymdInZone', () => {
   it('keeps the Dubai calendar date for a 05:00 UTC instant', () => {
     assert.equal(ymdInZone(new Date('2026-08-18T05:00:00.000Z'), dubai), '2026-08-18')
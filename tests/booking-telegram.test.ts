@@ -0,0 +1,141 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  bookingKeyboard,
+  formatBookingNotice,
+  hasWebhookSecret,
+  parseCallbackData,
+  teamActionError,
+  type BookingNotice,
+} from '../workers/booking-api/src/telegram.ts'
+
+const eventId = 'a1b2c3d4e5f60718293a4b5c6d7e8f90'
+
+const notice: BookingNotice = {
+  kind: 'booked',
+  eventId,
+  meeting: 'Consultation',
+  name: 'Sara <Admin>',
+  email: 'sara@example.com',
+  phone: '+971 50 123 4567',
+  notes: 'Budget & timeline',
+  hosts: ['Mohamed'],
+  start: new Date('2026-08-18T13:00:00Z'),
+  end: new Date('2026-08-18T13:30:00Z'),
+  agencyTimeZone: 'Asia/Dubai',
+  visitorTimeZone: 'Europe/London',
+  meetUrl: 'https://meet.google.com/abc-defg-hij',
+}
+
+describe('formatBookingNotice', () => {
+  it('lists the booking in agency time with the visitor time alongside', () => {
+    const text = formatBookingNotice(notice)
+    assert.match(text, /^📅 <b>New booking<\/b>/)
+    assert.match(text, /<b>When:<\/b> Tue 18 Aug, 17:00–17:30 \(Asia\/Dubai\)/)
+    assert.match(text, /<b>Their time:<\/b> Tue 18 Aug, 14:00 \(Europe\/London\)/)
+    assert.match(text, /<b>Hosts:<\/b> Mohamed/)
+    assert.match(text, /meet\.google\.com/)
+  })
+
+  it('escapes visitor input', () => {
+    const text = formatBookingNotice(notice)
+    assert.match(text, /Sara &lt;Admin&gt;/)
+    assert.match(text, /Budget &amp; timeline/)
+  })
+
+  it('drops the visitor time when it matches ours, and the Meet link once cancelled', () => {
+    const text = formatBookingNotice({ ...notice, kind: 'cancelled', visitorTimeZone: 'Asia/Dubai' })
+    assert.match(text, /^🚫 <b>Booking cancelled<\/b>/)
+    assert.doesNotMatch(text, /Their time/)
+    assert.doesNotMatch(text, /meet\.google\.com/)
+  })
+
+  it('names the page the booking came from', () => {
+    assert.match(formatBookingNotice({ ...notice, source: 'project:geeb' }), /🔖 <b>From:<\/b> project:geeb/)
+    assert.doesNotMatch(formatBookingNotice(notice), /From:/)
+  })
+
+  it('says where the meeting is unless it is a video call', () => {
+    assert.doesNotMatch(formatBookingNotice({ ...notice, location: { kind: 'video' } }), /Where:/)
+    const text = formatBookingNotice({ ...notice, meetUrl: undefined, location: { kind: 'in-person', text: 'Office 12 & 13' } })
+    assert.match(text, /📍 <b>Where:<\/b> At the office \(Office 12 &amp; 13\)/)
+  })
+})
+
+describe('booking keyboard', () => {
+  it('offers confirm, cancel and no-show on a new notice', () => {
+    const [row] = bookingKeyboard({ eventId }).inline_keyboard
+    assert.deepEqual(
+      row.map((button) => button.callback_data),
+      [`confirm:${eventId}`, `cancel:${eventId}`, `no-show:${eventId}`],
+    )
+    for (const button of row) assert.ok(Buffer.byteLength(button.callback_data) <= 64)
+  })
+
+  it('keeps cancel and no-show after a confirm, and nothing after the rest', () => {
+    assert.equal(bookingKeyboard({ eventId }, 'confirm').inline_keyboard[0].length, 2)
+    assert.deepEqual(bookingKeyboard({ eventId }, 'cancel').inline_keyboard, [])
+    assert.deepEqual(bookingKeyboard({ eventId }, 'no-show').inline_keyboard, [])
+  })
+
+  it('round-trips callback data', () => {
+    for (const button of bookingKeyboard({ eventId }).inline_keyboard[0]) {
+      const [action] = button.callback_data.split(':')
+      assert.deepEqual(parseCallbackData(button.callback_data), { action, eventId })
+    }
+    assert.deepEqual(parseCallbackData(`no-show:${eventId}`), { action: 'no-show', eventId })
+  })
+
+  it('points a seat\'s buttons at its booking, not the shared event', () => {
+    const seatId = '0f8e2c5a-7b1d-4e3f-9a6c-2d4b8e1f7a30'
+    for (const button of bookingKeyboard({ seatId }).inline_keyboard[0]) {
+      assert.ok(Buffer.byteLength(button.callback_data) <= 64)
+      const [action] = button.callback_data.split(':')
+      assert.deepEqual(parseCallbackData(button.callback_data), { action, seatId })
+    }
+  })
+
+  it('ignores callback data it did not write', () => {
+    assert.equal(parseCallbackData(undefined), null)
+    assert.equal(parseCallbackData('delete:abc123'), null)
+    assert.equal(parseCallbackData(`confirm:${eventId}; DROP TABLE`), null)
+  })
+})
+
+describe('teamActionError', () => {
+  const start = new Date('2026-08-18T13:00:00Z')
+  const before = new Date('2026-08-18T12:00:00Z')
+  const after = new Date('2026-08-18T13:40:00Z')
+
+  it('allows confirm and cancel before the call, no-show after it', () => {
+    assert.equal(teamActionError('confirm', 'confirmed', start, before), null)
+    assert.equal(teamActionError('cancel', 'rescheduled', start, before), null)
+    assert.equal(teamActionError('no-show', 'confirmed', start, after), null)
+  })
+
+  it('refuses moves that make no sense', () => {
+    assert.match(teamActionError('cancel', 'confirmed', start, after) ?? '', /already started/)
+    assert.match(teamActionError('no-show', 'confirmed', start, before) ?? '', /not started/)
+    assert.match(teamActionError('confirm', 'cancelled', start, before) ?? '', /already cancelled/)
+    assert.match(teamActionError('no-show', 'no-show', start, after) ?? '', /no-show/)
+  })
+})
+
+describe('hasWebhookSecret', () => {
+  const request = (secret?: string) =>
+    new Request('https://booking-api.example/telegram/webhook', {
+      method: 'POST',
+      headers: secret ? { 'X-Telegram-Bot-Api-Secret-Token': secret } : {},
+    })
+
+  it('accepts the configured secret only', () => {
+    assert.equal(hasWebhookSecret(request('s3cret-token'), 's3cret-token'), true)
+    assert.equal(hasWebhookSecret(request('s3cret-tokem'), 's3cret-token'), false)
+    assert.equal(hasWebhookSecret(request(), 's3cret-token'), false)
+  })
+
+  it('rejects everything while no secret is configured', () => {
+    assert.equal(hasWebhookSecret(request(''), undefined), false)
+    assert.equal(hasWebhookSecret(request('anything'), ''), false)
+  })
+})
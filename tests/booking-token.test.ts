@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { signManageToken, verifyManageToken } from '../workers/booking-api/src/token.ts'
+
+const secret = 'test-secret-do-not-use'
+const claims = { eventId: 'a1b2c3d4e5f60718293a4b5c6d7e8f90', meetingTypeId: 'consultation' }
+
+describe('manage tokens', () => {
+  it('round-trips the claims', async () => {
+    const token = await signManageToken(secret, claims)
+    assert.deepEqual(await verifyManageToken(secret, token), claims)
+  })
+
+  it('round-trips the attendee of a seat in a group session', async () => {
+    const seat = { ...claims, meetingTypeId: 'office-hours', attendee: 'sara@example.com' }
+    const token = await signManageToken(secret, seat)
+    assert.deepEqual(await verifyManageToken(secret, token), seat)
+  })
+
+  it('is URL-safe', async () => {
+    const token = await signManageToken(secret, claims)
+    assert.match(token, /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/)
+  })
+
+  it('rejects a token signed with another secret', async () => {
+    const token = await signManageToken('another-secret', claims)
+    assert.equal(await verifyManageToken(secret, token), null)
+  })
+
+  it('rejects tampered claims', async () => {
+    const token = await signManageToken(secret, claims)
+    const [, signature] = token.split('.')
+    const forged = Buffer.from(JSON.stringify({ e: 'someone-elses-event', m: 'consultation' }))
+      .toString('base64url')
+    assert.equal(await verifyManageToken(secret, `${forged}.${signature}`), null)
+  })
+
+  it('rejects malformed input', async () => {
+    assert.equal(await verifyManageToken(secret, ''), null)
+    assert.equal(await verifyManageToken(secret, 'no-dot'), null)
+    assert.equal(await verifyManageToken(secret, 'a.b.c'), null)
+    assert.equal(await verifyManageToken(secret, '!!!.???'), null)
+  })
+
+  it('refuses to sign without a secret', async () => {
+    await assert.rejects(() => signManageToken('', claims), /missing_token_secret/)
+  })
+})
@@ -1,7 +1,12 @@
 import { describe, it } from 'node:test'
 import assert from 'node:assert/strict'
+import { getMeetingType } from '../src/config/booking.ts'
 import { normalizeBookingDetails, validateBookingDetails } from '../src/scripts/booking-validation.ts'
-import { validateBookBody } from '../workers/booking-api/src/validate.ts'
+import { validateAnswers, validateBookBody } from '../workers/booking-api/src/validate.ts'
+
+const consultation = getMeetingType('consultation')?.questions ?? []
+const demo = getMeetingType('demo')?.questions ?? []
+const questionsFor = (id: string) => getMeetingType(id)?.questions ?? []
 
 describe('validateBookingDetails', () => {
   it('requires name and email', () => {
@@ -49,6 +54,12 @@ describe('validateBookingDetails', () => {
     })
     assert.equal(result.ok, true)
   })
+
+  it('asks for the phone when we are to call it', () => {
+    const details = { name: 'Sara Ali', email: 'sara@example.com', phone: '', notes: '', website: '' }
+    assert.equal(validateBookingDetails(details).ok, true)
+    assert.deepEqual(validateBookingDetails(details, [], true).errors, ['phone'])
+  })
 })
 
 describe('normalizeBookingDetails', () => {
@@ -94,4 +105,123 @@ describe('validateBookBody — worker', () => {
     const result = validateBookBody({ ...valid, name: 'A' })
     assert.equal(result.ok, false)
   })
+
+  it('keeps a valid visitor timezone', () => {
+    const result = validateBookBody({ ...valid, timeZone: 'Asia/Karachi' })
+    assert.equal(result.ok && result.value.timeZone, 'Asia/Karachi')
+  })
+
+  it('keeps a source tag and drops a malformed one', () => {
+    const tagged = validateBookBody({ ...valid, source: 'Project:geeb' })
+    assert.equal(tagged.ok && tagged.value.source, 'project:geeb')
+    const junk = validateBookBody({ ...valid, source: '<script>' })
+    assert.equal(junk.ok, true)
+    assert.equal(junk.ok && junk.value.source, undefined)
+  })
+
+  it('drops an unknown timezone instead of rejecting the booking', () => {
+    const result = validateBookBody({ ...valid, timeZone: 'Mars/Olympus' })
+    assert.equal(result.ok, true)
+    assert.equal(result.ok && result.value.timeZone, undefined)
+  })
+})
+
+describe('validateBookBody — locations', () => {
+  const valid = {
+    meetingTypeId: 'consultation',
+    startTime: '2026-08-18T05:00:00.000Z',
+    name: 'Sara Ali',
+    email: 'sara@example.com',    answers: { services: ['web'], stage: 'idea' },
+  }
+  const locationsFor = (id: string) => getMeetingType(id)?.locations ?? []
+
+  it('falls back to the first location the type offers', () => {
+    const result = validateBookBody(valid, questionsFor, locationsFor)
+    assert.equal(result.ok && result.value.location, 'video')
+  })
+
+  it('rejects a location the type does not offer', () => {
+    const result = validateBookBody({ ...valid, meetingTypeId: 'demo', location: 'whatsapp' }, questionsFor, locationsFor)
+    assert.equal(result.ok, false)
+  })
+
+  it('needs a phone number for a phone call', () => {
+    const withoutPhone = validateBookBody({ ...valid, location: 'phone' }, questionsFor, locationsFor)
+    assert.equal(withoutPhone.ok, false)
+    const withPhone = validateBookBody({ ...valid, location: 'phone', phone: '0507566474' }, questionsFor, locationsFor)
+    assert.equal(withPhone.ok && withPhone.value.location, 'phone')
+  })
+})
+
+describe('validateAnswers', () => {
+  it('accepts choices and keeps multi-select answers in option order', () => {
+    const result = validateAnswers(consultation, { services: ['design', 'web', 'web'], stage: 'mvp' })
+    assert.deepEqual(result, { ok: true, value: { services: ['web', 'design'], stage: 'mvp' } })
+  })
+
+  it('reports missing required answers by question id', () => {
+    assert.deepEqual(validateAnswers(consultation, {}), { ok: false, errors: ['services', 'stage'] })
+    assert.deepEqual(validateAnswers(consultation, { services: [], stage: '' }), {
+      ok: false,
+      errors: ['services', 'stage'],
+    })
+  })
+
+  it('rejects values that are not among the options', () => {
+    const result = validateAnswers(consultation, { services: ['web', 'crypto'], stage: 'mvp', budget: '1m' })
+    assert.deepEqual(result, { ok: false, errors: ['services', 'budget'] })
+  })
+
+  it('adds https to a bare link and rejects anything that is not a web address', () => {
+    const ok = validateAnswers(demo, { product_url: 'example.com/app', focus: 'Onboarding' })
+    assert.equal(ok.ok && ok.value.product_url, 'https://example.com/app')
+    assert.deepEqual(validateAnswers(demo, { product_url: 'javascript:alert(1)', focus: 'x' }), {
+      ok: false,
+      errors: ['product_url'],
+    })
+    assert.deepEqual(validateAnswers(demo, { product_url: 'localhost', focus: 'x' }), {
+      ok: false,
+      errors: ['product_url'],
+    })
+  })
+
+  it('caps long text at maxLength', () => {
+    assert.deepEqual(validateAnswers(demo, { focus: 'x'.repeat(1001) }), { ok: false, errors: ['focus'] })
+  })
+
+  it('drops answers to questions the type does not ask', () => {
+    const result = validateAnswers(demo, { focus: 'Billing flow', stage: 'idea' })
+    assert.deepEqual(result, { ok: true, value: { focus: 'Billing flow' } })
+  })
+})
+
+describe('intake questions — both sides', () => {
+  const details = { name: 'Sara Ali', email: 'sara@example.com', phone: '', notes: '', website: '' }
+  const body = {
+    meetingTypeId: 'consultation',
+    startTime: '2026-08-18T05:00:00.000Z',
+    name: 'Sara Ali',
+    email: 'sara@example.com',
+  }
+
+  it('flags unanswered questions in the widget', () => {
+    const result = validateBookingDetails({ ...details, answers: { services: ['web'] } }, consultation)
+    assert.deepEqual(result.errors, ['answer:stage'])
+  })
+
+  it('normalizes answers for the request', () => {
+    const out = normalizeBookingDetails({ ...details, answers: { product_url: ' example.com ', focus: ' Admin ' } }, demo)
+    assert.deepEqual(out.answers, { product_url: 'https://example.com/', focus: 'Admin' })
+  })
+
+  it('rejects a booking that skips a required question', () => {
+    const result = validateBookBody(body, questionsFor)
+    assert.equal(result.ok, false)
+    assert.equal(!result.ok && result.message, 'Check your answer to "Services".')
+  })
+
+  it('passes checked answers on to the booking', () => {
+    const result = validateBookBody({ ...body, answers: { services: ['mobile'], stage: 'idea' } }, questionsFor)
+    assert.deepEqual(result.ok && result.value.answers, { services: ['mobile'], stage: 'idea' })
+  })
 })
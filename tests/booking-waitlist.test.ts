@@ -0,0 +1,199 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'node:fs'
+import { findHold, heldBlocks, VISITOR_HOLD_MS, type SlotHold } from '../workers/booking-api/src/holds.ts'
+import { composeWaitlistOffer } from '../workers/booking-api/src/messages.ts'
+import type { WaitlistEntry } from '../workers/booking-api/src/store.ts'
+import { validateBookBody, validateHoldBody, validateWaitlistBody } from '../workers/booking-api/src/validate.ts'
+import { nextInLine, partOfDay, wantsSlot } from '../workers/booking-api/src/waitlist.ts'
+
+function copyFor(lang: string): Record<string, string> {
+  return JSON.parse(readFileSync(new URL(`../src/content/locales/${lang}/ui.json`, import.meta.url), 'utf8'))
+}
+
+const agency = 'Asia/Dubai'
+// 19:00 in Dubai, 16:00 in London.
+const evening = new Date('2026-08-18T15:00:00Z')
+const day = '2026-08-18'
+
+function entry(id: string, overrides: Partial<WaitlistEntry> = {}): WaitlistEntry {
+  return {
+    id,
+    meetingTypeId: 'consultation',
+    name: 'Sara',
+    email: `${id}@example.com`,
+    lang: 'en',
+    dates: [day],
+    partOfDay: 'any',
+    ...overrides,
+  }
+}
+
+describe('partOfDay', () => {
+  it('reads the hour in the given zone', () => {
+    assert.equal(partOfDay(evening, agency), 'evening')
+    assert.equal(partOfDay(evening, 'Europe/London'), 'afternoon')
+    assert.equal(partOfDay(new Date('2026-08-18T05:00:00Z'), agency), 'morning')
+  })
+})
+
+describe('wantsSlot', () => {
+  it('needs the day and, when set, the part of day in the visitor zone', () => {
+    assert.equal(wantsSlot(entry('a'), evening, day, agency), true)
+    assert.equal(wantsSlot(entry('a', { dates: ['2026-08-19'] }), evening, day, agency), false)
+    assert.equal(wantsSlot(entry('a', { partOfDay: 'evening' }), evening, day, agency), true)
+    assert.equal(
+      wantsSlot(entry('a', { partOfDay: 'evening', visitorTimeZone: 'Europe/London' }), evening, day, agency),
+      false,
+    )
+  })
+})
+
+describe('nextInLine', () => {
+  const entries = [
+    entry('first', { partOfDay: 'morning' }),
+    entry('second'),
+    entry('third', { email: 'second@example.com' }),
+    entry('fourth'),
+  ]
+
+  it('takes the earliest sign-up that wants the slot', () => {
+    assert.equal(nextInLine(entries, evening, day, agency)?.id, 'second')
+  })
+
+  it('moves on past people who already had the offer, including their other entries', () => {
+    assert.equal(nextInLine(entries, evening, day, agency, ['second'])?.id, 'fourth')
+    assert.equal(nextInLine(entries, evening, day, agency, ['second', 'fourth']), undefined)
+  })
+})
+
+describe('holds', () => {
+  const now = Date.parse('2026-08-10T08:00:00Z')
+  const holds: SlotHold[] = [
+    { id: 'live', meetingTypeId: 'consultation', start: evening.toISOString(), end: '2026-08-18T15:30:00.000Z', expiresAt: now + 1000 },
+    { id: 'gone', meetingTypeId: 'consultation', start: '2026-08-18T16:00:00.000Z', end: '2026-08-18T16:30:00.000Z', expiresAt: now },
+  ]
+
+  it('blocks live holds for everyone but their holder', () => {
+    assert.deepEqual(heldBlocks(holds, now), [{ start: evening, end: new Date('2026-08-18T15:30:00Z') }])
+    assert.deepEqual(heldBlocks(holds, now, 'live'), [])
+  })
+
+  it('blocks a visitor hold for other visitors too', () => {
+    const visitor: SlotHold = { ...holds[0], id: 'visitor', expiresAt: now + VISITOR_HOLD_MS }
+    assert.equal(heldBlocks([visitor], now).length, 1)
+    assert.deepEqual(heldBlocks([visitor], now + VISITOR_HOLD_MS), [])
+  })
+
+  it('finds a live hold by its token only', () => {
+    assert.equal(findHold(holds, 'live', now)?.id, 'live')
+    assert.equal(findHold(holds, 'gone', now), undefined)
+    assert.equal(findHold(holds, undefined, now), undefined)
+  })
+})
+
+describe('validateWaitlistBody', () => {
+  const body = {
+    meetingTypeId: 'consultation',
+    name: 'Sara',
+    email: 'Sara@Example.com',
+    dates: ['2026-08-19', '2026-08-18', '2026-08-19'],
+    partOfDay: 'evening',
+    timeZone: 'Europe/London',
+    lang: 'ar',
+  }
+
+  it('normalizes a good entry', () => {
+    const result = validateWaitlistBody(body)
+    assert.ok(result.ok)
+    assert.deepEqual(result.value.dates, ['2026-08-18', '2026-08-19'])
+    assert.equal(result.value.email, 'sara@example.com')
+    assert.equal(result.value.lang, 'ar')
+  })
+
+  it('defaults the part of day to any', () => {
+    const result = validateWaitlistBody({ ...body, partOfDay: undefined })
+    assert.ok(result.ok)
+    assert.equal(result.value.partOfDay, 'any')
+  })
+
+  it('rejects bad days and parts of day', () => {
+    assert.equal(validateWaitlistBody({ ...body, dates: [] }).ok, false)
+    assert.equal(validateWaitlistBody({ ...body, dates: ['18/08/2026'] }).ok, false)
+    assert.equal(validateWaitlistBody({ ...body, dates: Array.from({ length: 15 }, (_, i) => `2026-09-${String(i + 1).padStart(2, '0')}`) }).ok, false)
+    assert.equal(validateWaitlistBody({ ...body, partOfDay: 'night' }).ok, false)
+  })
+
+  it('flags the honeypot', () => {
+    assert.equal(validateWaitlistBody({ ...body, website: 'spam' }).honeypot, true)
+  })
+})
+
+describe('hold tokens on /book', () => {
+  const body = {
+    meetingTypeId: 'consultation',
+    startTime: '2026-08-18T15:00:00Z',
+    name: 'Sara',
+    email: 'sara@example.com',
+  }
+
+  it('keeps a well-formed token and drops anything else', () => {
+    const token = '0b6f3c1e-8a2d-4c5e-9f10-1a2b3c4d5e6f'
+    const kept = validateBookBody({ ...body, holdToken: token })
+    assert.ok(kept.ok)
+    assert.equal(kept.value.holdToken, token)
+    const dropped = validateBookBody({ ...body, holdToken: 'hold:../../x' })
+    assert.ok(dropped.ok)
+    assert.equal(dropped.value.holdToken, undefined)
+  })
+})
+
+describe('validateHoldBody', () => {
+  it('needs a meeting type and a UTC start', () => {
+    const result = validateHoldBody({ meetingTypeId: 'consultation', startTime: '2026-08-18T15:00:00Z' })
+    assert.ok(result.ok)
+    assert.deepEqual(result.value, { meetingTypeId: 'consultation', startTime: '2026-08-18T15:00:00Z' })
+    assert.equal(validateHoldBody({ startTime: '2026-08-18T15:00:00Z' }).ok, false)
+    assert.equal(validateHoldBody({ meetingTypeId: 'consultation', startTime: '2026-08-18 19:00' }).ok, false)
+    assert.equal(validateHoldBody(null).ok, false)
+  })
+
+  it('keeps the token of the hold it replaces only when well-formed', () => {
+    const hold = { meetingTypeId: 'consultation', startTime: '2026-08-18T15:00:00Z' }
+    const token = '0b6f3c1e-8a2d-4c5e-9f10-1a2b3c4d5e6f'
+    const kept = validateHoldBody({ ...hold, replaces: token })
+    assert.ok(kept.ok)
+    assert.equal(kept.value.replaces, token)
+    const dropped = validateHoldBody({ ...hold, replaces: 'hold:../../x' })
+    assert.ok(dropped.ok)
+    assert.equal(dropped.value.replaces, undefined)
+  })
+})
+
+describe('composeWaitlistOffer', () => {
+  const context = {
+    lang: 'en' as const,
+    name: 'Sara',
+    email: 'sara@example.com',
+    meeting: 'Consultation call',
+    start: evening,
+    timeZone: 'Europe/London',
+    until: new Date('2026-08-10T08:30:00Z'),
+    holdUrl: 'https://baseetstudio.com/contact/?hold=abc#contact-meeting',
+  }
+
+  it('names the slot, the deadline and the link', () => {
+    const message = composeWaitlistOffer(context, copyFor('en'))
+    assert.equal(message.subject, 'A Consultation call time just opened up')
+    assert.match(message.text, /Tuesday, August 18, 2026 at 4:00 PM \(Europe\/London\)/)
+    assert.match(message.text, /until 9:30 AM/)
+    assert.match(message.html, /<a href="https:\/\/baseetstudio\.com\/contact\/\?hold=abc#contact-meeting">/)
+    assert.doesNotMatch(message.text, /\{\w+\}/)
+  })
+
+  it('writes right to left in Arabic', () => {
+    const message = composeWaitlistOffer({ ...context, lang: 'ar' }, copyFor('ar'))
+    assert.match(message.html, /dir="rtl"/)
+    assert.doesNotMatch(message.text, /\{\w+\}/)
+  })
+})
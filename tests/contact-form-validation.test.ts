@@ -8,6 +8,11 @@ import {
   getSuccessMessage,
   shouldResetForm,
   getLiveFieldHint,
+  getFieldState,
+  serverFieldResult,
+  checkAttachments,
+  buildMultipartPayload,
+  MAX_ATTACHMENT_BYTES,
 } from '../src/scripts/contact-form-validation.ts';
 
 describe('validateContactFields — UAE phone formats', () => {
@@ -185,3 +190,40 @@ describe('buildWorkerPayload', () => {
     assert.ok(payload.contact_warnings?.includes('phone_invalid'));
   });
 });
+
+describe('serverFieldResult', () => {
+  const hints = { email_invalid: 'Revisa tu correo.' };
+
+  it('styles a Worker field code as an error with its localized hint', () => {
+    const result = serverFieldResult('email_invalid', hints);
+    assert.deepEqual(result, { status: 'invalid', hint: 'Revisa tu correo.' });
+    assert.equal(getFieldState(result, false), 'error');
+  });
+
+  it('clears fields the Worker did not complain about', () => {
+    assert.equal(getFieldState(serverFieldResult(undefined, hints), false), '');
+  });
+});
+
+describe('attachments', () => {
+  it('accepts the same files the Worker does', () => {
+    assert.equal(checkAttachments([{ name: 'brief.PDF', size: 1000 }, { name: 'shot.png', size: 1000 }]), undefined);
+    assert.equal(checkAttachments([{ name: 'setup.exe', size: 1000 }]), 'attachment_type');
+    assert.equal(checkAttachments([{ name: 'README', size: 1000 }]), 'attachment_type');
+    assert.equal(checkAttachments([{ name: 'big.pdf', size: MAX_ATTACHMENT_BYTES + 1 }]), 'attachment_too_large');
+    assert.equal(checkAttachments(Array.from({ length: 6 }, () => ({ name: 'a.txt', size: 1 }))), 'attachments_too_many');
+  });
+
+  it('sends the payload as multipart fields next to the files', () => {
+    const validation = validateContactFields('user@example.com', '');
+    const payload = buildWorkerPayload(
+      { name: 'Sara', email: 'user@example.com', message: 'Hello there, team', intent: ['branding', 'mobile'], lang: 'en' },
+      validation,
+    );
+    const body = buildMultipartPayload(payload, [new File(['x'], 'brief.pdf')]);
+    assert.deepEqual(body.getAll('intent'), ['branding', 'mobile']);
+    assert.equal(body.get('email'), 'user@example.com');
+    assert.equal(body.has('phone'), false);
+    assert.equal((body.get('attachments') as File).name, 'brief.pdf');
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, readdirSync, readFileSync } from 'node:fs'
+import { writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import {
+  bookingUrl,
+  canAutoReply,
+  composeAutoReply,
+  languages,
+  replyLanguage,
+  type AutoReplyContext,
+} from '../workers/form-handler/src/auto-reply.ts'
+import { fileTransport } from '../workers/shared/mail.ts'
+
+function copyFor(lang: string): Record<string, string> {
+  const en = JSON.parse(readFileSync(new URL('../src/content/locales/en/ui.json', import.meta.url), 'utf8'))
+  const own = JSON.parse(readFileSync(new URL(`../src/content/locales/${lang}/ui.json`, import.meta.url), 'utf8'))
+  return { ...en, ...own }
+}
+
+const context: AutoReplyContext = {
+  lang: 'en',
+  name: 'Sara',
+  email: 'sara@example.com',
+  subject: 'A new brand',
+  intent: ['branding', 'mobile'],
+  bookingUrl: bookingUrl('https://baseetstudio.com', 'en'),
+}
+
+describe('composeAutoReply', () => {
+  it('sums up what they sent and points at the booking widget', () => {
+    const message = composeAutoReply(context, copyFor('en'))
+    assert.equal(message.to, 'sara@example.com')
+    assert.equal(message.subject, 'We got your message — Baseet Studio')
+    assert.match(message.text, /^Hi Sara,/)
+    assert.match(message.text, /Subject: A new brand/)
+    assert.match(message.text, /You're interested in: Branding, Mobile/)
+    assert.match(message.text, /one working day/)
+    assert.match(message.html, /<a href="https:\/\/baseetstudio.com\/contact\/#contact-meeting">/)
+  })
+
+  it('writes in the sender’s language, right to left where it should', () => {
+    const message = composeAutoReply(
+      { ...context, lang: 'ar', bookingUrl: bookingUrl('https://baseetstudio.com', 'ar') },
+      copyFor('ar'),
+    )
+    assert.match(message.subject, /وصلتنا رسالتك/)
+    assert.match(message.text, /الهوية البصرية، تطبيقات الجوال/)
+    assert.match(message.text, /baseetstudio\.com\/ar\/contact\/#contact-meeting/)
+    assert.match(message.html, /^<div lang="ar" dir="rtl">/)
+  })
+
+  it('leaves out the summary lines it has nothing for', () => {
+    const message = composeAutoReply({ ...context, subject: '', intent: [] }, copyFor('en'))
+    assert.doesNotMatch(message.text, /Subject:|interested in/)
+  })
+
+  it('has every template in every locale', () => {
+    const keys = Object.keys(copyFor('en')).filter((key) => key.startsWith('email_contact_reply_'))
+    for (const lang of languages) {
+      const own = JSON.parse(readFileSync(new URL(`../src/content/locales/${lang}/ui.json`, import.meta.url), 'utf8'))
+      assert.deepEqual(keys.filter((key) => !own[key]), [], lang)
+    }
+  })
+})
+
+describe('who gets one', () => {
+  it('falls back to English for languages the site does not have', () => {
+    assert.equal(replyLanguage('ar'), 'ar')
+    assert.equal(replyLanguage('fil-PH'), 'fil')
+    assert.equal(replyLanguage('unknown'), 'en')
+  })
+
+  it('skips the placeholder address made for phone-only senders', () => {
+    assert.equal(canAutoReply('971507566474@hehadnoemail.com'), false)
+    assert.equal(canAutoReply('sara@example.com'), true)
+  })
+})
+
+describe('fileTransport', () => {
+  it('drops each message into the folder as an .eml', async () => {
+    const directory = mkdtempSync(join(tmpdir(), 'auto-reply-'))
+    const transport = fileTransport(directory, (path, contents) => writeFile(path, contents))
+    await transport.send(composeAutoReply(context, copyFor('en')))
+
+    const [name] = readdirSync(directory)
+    assert.equal(name, '001-sara@example.com.eml')
+    const eml = readFileSync(join(directory, name), 'utf8')
+    assert.match(eml, /^From: Baseet Studio <hello@baseetstudio.com>\r\nTo: Sara <sara@example.com>\r\n/)
+    assert.match(eml, /Subject: We got your message/)
+  })
+})
@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { enrichLead, ipCountry, isFreeMail, utmParameters } from '../workers/form-handler/src/enrich.ts'
+import {
+  parseTelegramRoutes,
+  routeSubmission,
+  routingPath,
+  telegramDestination,
+  type RoutingLead,
+  type RoutingRule,
+} from '../workers/form-handler/src/routing.ts'
+
+const rules: RoutingRule[] = [
+  { id: 'geeb', pages: ['/projects/geeb/pro'], route: 'geeb' },
+  { id: 'mobile', intents: ['mobile'], route: 'mobile' },
+  { id: 'gulf-arabic', languages: ['ar'], countries: ['AE', 'SA'] },
+  { id: 'home', pages: ['/'] },
+]
+
+const lead: RoutingLead = { intent: [], page: '/contact/', language: 'en', country: null }
+
+describe('routeSubmission', () => {
+  it('tags every matching rule and routes by the first that has a route', () => {
+    assert.deepEqual(routeSubmission({ ...lead, intent: ['branding', 'mobile'], page: '/ar/projects/geeb/pro/' }, rules), {
+      tags: ['geeb', 'mobile'],
+      route: 'geeb',
+    })
+    assert.deepEqual(routeSubmission({ ...lead, intent: ['mobile'] }, rules), { tags: ['mobile'], route: 'mobile' })
+  })
+
+  it('needs every condition of a rule', () => {
+    assert.deepEqual(routeSubmission({ ...lead, language: 'ar', country: 'AE' }, rules).tags, ['gulf-arabic'])
+    assert.deepEqual(routeSubmission({ ...lead, language: 'ar' }, rules).tags, [])
+    assert.deepEqual(routeSubmission({ ...lead, language: 'en', country: 'SA' }, rules).tags, [])
+  })
+
+  it('matches whole path segments, and the home page only as itself', () => {
+    assert.deepEqual(routeSubmission({ ...lead, page: '/projects/geeb/professional' }, rules), { tags: [], route: null })
+    assert.deepEqual(routeSubmission({ ...lead, page: '/fil/' }, rules).tags, ['home'])
+    assert.equal(routingPath('/hi/services/?ref=x#form'), '/services')
+  })
+})
+
+describe('Telegram destinations', () => {
+  const routes = parseTelegramRoutes('geeb=-1001234567890:12, mobile = -1009876543210,broken=,=123')
+
+  it('reads chats and forum topics', () => {
+    assert.deepEqual([...routes.keys()], ['geeb', 'mobile'])
+    assert.deepEqual(telegramDestination('geeb', routes, '-100'), { chatId: '-1001234567890', topicId: 12 })
+    assert.deepEqual(telegramDestination('mobile', routes, '-100'), { chatId: '-1009876543210' })
+  })
+
+  it('falls back to the default chat', () => {
+    assert.deepEqual(telegramDestination('design', routes, '-100'), { chatId: '-100' })
+    assert.deepEqual(telegramDestination(null, routes, '-100'), { chatId: '-100' })
+  })
+})
+
+describe('enrichLead', () => {
+  it('derives the company domain, phone country and campaign', () => {
+    assert.deepEqual(
+      enrichLead({
+        email: 'sara@clinic.ae',
+        phone: '+442079460958',
+        landingUrl: 'https://baseetstudio.com/contact/?utm_source=linkedin&utm_campaign=clinics&utm_medium=',
+        ipCountry: 'AE',
+      }),
+      {
+        emailDomain: 'clinic.ae',
+        freeMail: false,
+        phoneCountry: 'GB',
+        country: 'GB',
+        utm: { utm_source: 'linkedin', utm_campaign: 'clinics' },
+      },
+    )
+  })
+
+  it('falls back to the IP country and knows the free-mail providers', () => {
+    const result = enrichLead({ email: 'sara@gmail.com', phone: '0000', landingUrl: '', ipCountry: 'SA' })
+    assert.equal(result.freeMail, true)
+    assert.equal(result.phoneCountry, null)
+    assert.equal(result.country, 'SA')
+    assert.equal(isFreeMail('yahoo.co.uk'), true)
+    assert.equal(ipCountry('XX'), null)
+    assert.equal(ipCountry('T1'), null)
+  })
+
+  it('has no domain for the placeholder address of a phone-only sender', () => {
+    const result = enrichLead({
+      email: '971507566474@hehadnoemail.com',
+      phone: '+971507566474',
+      landingUrl: '/contact/',
+      ipCountry: null,
+    })
+    assert.equal(result.emailDomain, null)
+    assert.equal(result.freeMail, false)
+    assert.equal(result.country, 'AE')
+    assert.deepEqual(utmParameters('http://['), {})
+  })
+})
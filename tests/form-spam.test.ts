@@ -0,0 +1,123 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { consumeContactLimits, consumeLimit, EMAIL_LIMIT, IP_LIMIT, type LimitStore } from '../workers/form-handler/src/rate-limit.ts'
+import {
+  checkFormToken,
+  MAX_TOKEN_AGE_MS,
+  MIN_FILL_MS,
+  signFormToken,
+  SPAM_THRESHOLD,
+  spamScore,
+} from '../workers/form-handler/src/spam.ts'
+import { siteverifyVerifier, stubVerifier, turnstileVerifier } from '../workers/form-handler/src/turnstile.ts'
+
+const secret = 'test-form-secret'
+const started = Date.parse('2026-08-18T12:00:00Z')
+
+function memoryStore(): LimitStore {
+  const data = new Map<string, string>()
+  return {
+    async get(key) {
+      return data.get(key) ?? null
+    },
+    async put(key, value) {
+      data.set(key, value)
+    },
+  }
+}
+
+describe('form token', () => {
+  it('passes once the visitor has had time to type', async () => {
+    const token = await signFormToken(secret, started)
+    assert.equal(await checkFormToken(secret, token, started + MIN_FILL_MS), 'ok')
+  })
+
+  it('flags a form sent too quickly after it was started', async () => {
+    const token = await signFormToken(secret, started)
+    assert.equal(await checkFormToken(secret, token, started + 800), 'too_fast')
+  })
+
+  it('rejects forged, stale and garbled tokens', async () => {
+    const token = await signFormToken(secret, started)
+    const [, signature] = token.split('.')
+    const backdated = `${(started - 60_000).toString(36)}.${signature}`
+    assert.equal(await checkFormToken(secret, backdated, started + MIN_FILL_MS), 'invalid')
+    assert.equal(await checkFormToken('another-secret', token, started + MIN_FILL_MS), 'invalid')
+    assert.equal(await checkFormToken(secret, token, started + MAX_TOKEN_AGE_MS + 1), 'invalid')
+    assert.equal(await checkFormToken(secret, 'not-a-token', started), 'invalid')
+  })
+
+  it('tells a missing token apart, and skips the check without a secret', async () => {
+    assert.equal(await checkFormToken(secret, '', started), 'missing')
+    assert.equal(await checkFormToken(undefined, '', started), 'unchecked')
+  })
+})
+
+describe('spamScore', () => {
+  const clean = { honeypot: '', token: 'ok' as const, message: 'We need a new website for our clinic.' }
+
+  it('lets an ordinary message through', () => {
+    assert.deepEqual(spamScore(clean), { score: 0, reasons: [] })
+  })
+
+  it('treats the honeypot alone as spam', () => {
+    assert.ok(spamScore({ ...clean, honeypot: 'https://spam.example' }).score >= SPAM_THRESHOLD)
+  })
+
+  it('gives a missing token the benefit of the doubt, but not a missing token with a pile of links', () => {
+    assert.ok(spamScore({ ...clean, token: 'missing' }).score < SPAM_THRESHOLD)
+    const linky = spamScore({ ...clean, token: 'missing', message: 'http://a.example www.b.example https://c.example' })
+    assert.ok(linky.score >= SPAM_THRESHOLD)
+    assert.deepEqual(linky.reasons, ['no_token', 'links'])
+  })
+
+  it('treats a forged or rushed token as spam', () => {
+    assert.ok(spamScore({ ...clean, token: 'invalid' }).score >= SPAM_THRESHOLD)
+    assert.ok(spamScore({ ...clean, token: 'too_fast' }).score >= SPAM_THRESHOLD)
+  })
+})
+
+describe('contact rate limits', () => {
+  it('stops an IP after its hourly allowance and starts again next window', async () => {
+    const store = memoryStore()
+    for (let i = 0; i < IP_LIMIT; i += 1) {
+      assert.equal(await consumeLimit(store, 'contact:ip:1.2.3.4', IP_LIMIT, started), 'ok')
+    }
+    assert.equal(await consumeLimit(store, 'contact:ip:1.2.3.4', IP_LIMIT, started), 'limited')
+    assert.equal(await consumeLimit(store, 'contact:ip:1.2.3.4', IP_LIMIT, started + 60 * 60 * 1000), 'ok')
+  })
+
+  it('also limits one email address across IPs, whatever its case', async () => {
+    const store = memoryStore()
+    for (let i = 0; i < EMAIL_LIMIT; i += 1) {
+      assert.equal(await consumeContactLimits(store, `10.0.0.${i}`, 'Sara@Example.com', started), 'ok')
+    }
+    assert.equal(await consumeContactLimits(store, '10.0.0.9', 'sara@example.com', started), 'limited')
+    assert.equal(await consumeContactLimits(store, '10.0.0.9', 'omar@example.com', started), 'ok')
+  })
+})
+
+describe('Turnstile', () => {
+  it('stays off without a secret, and the stub needs no network', async () => {
+    assert.equal(turnstileVerifier({}), null)
+    const stub = turnstileVerifier({ TURNSTILE_MODE: 'stub' })
+    assert.ok(stub)
+    assert.equal(await stub.verify('XXXX.DUMMY.TOKEN.XXXX', '1.2.3.4'), true)
+    assert.equal(await stubVerifier().verify('fail', '1.2.3.4'), false)
+    assert.equal(await stubVerifier().verify('', '1.2.3.4'), false)
+  })
+
+  it('asks siteverify with the secret, token and address', async () => {
+    let sent: FormData | undefined
+    const fetcher = (async (_url: string | URL | Request, init?: RequestInit) => {
+      sent = init?.body as FormData
+      return Response.json({ success: sent.get('response') === 'good' })
+    }) as typeof fetch
+    const verifier = siteverifyVerifier('secret-key', fetcher)
+    assert.equal(await verifier.verify('good', '1.2.3.4'), true)
+    assert.equal(sent?.get('secret'), 'secret-key')
+    assert.equal(sent?.get('remoteip'), '1.2.3.4')
+    assert.equal(await verifier.verify('bad', '1.2.3.4'), false)
+    assert.equal(await verifier.verify('', '1.2.3.4'), false)
+  })
+})
@@ -0,0 +1,196 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { register } from 'node:module'
+import {
+  attachmentExpiry,
+  contentDisposition,
+  RETENTION_DAYS,
+  signDownloadUrl,
+  verifyDownloadUrl,
+} from '../workers/form-handler/src/attachments.ts'
+import { corsHeaders, jsonError } from '../workers/form-handler/src/http.ts'
+import {
+  MAX_ATTACHMENT_BYTES,
+  normalizePhone,
+  safeFilename,
+  validateContact,
+  type ContactInput,
+} from '../workers/form-handler/src/validate.ts'
+
+// The Worker imports its siblings without extensions, as wrangler bundles them.
+register('./support/worker-modules.mjs', import.meta.url)
+
+type Worker = { default: { fetch(request: Request, env: unknown, ctx: unknown): Promise<Response> } }
+
+// Loaded by URL so the root type-check does not follow it into Workers-only types.
+const worker = (await import(new URL('../workers/form-handler/src/index.ts', import.meta.url).href)) as Worker
+
+const input: ContactInput = {
+  name: 'Sara',
+  email: 'Sara@Example.com',
+  phone: '',
+  subject: '',
+  message: 'We need a new website for our clinic.',
+  intent: [],
+  page: '/contact/',
+  language: 'en',
+  landingUrl: '',
+  attribution: { firstTouch: null, lastTouch: null },
+  website: '',
+  formToken: '',
+  turnstileToken: '',
+  attachments: [],
+}
+
+const file = (name: string, size = 100) => new File([new Uint8Array(size)], name)
+
+describe('normalizePhone', () => {
+  it('turns the formats the form accepts into E.164', () => {
+    assert.equal(normalizePhone('050 756 6474'), '+971507566474')
+    assert.equal(normalizePhone('00971 50 756 6474'), '+971507566474')
+    assert.equal(normalizePhone('971507566474'), '+971507566474')
+    assert.equal(normalizePhone('+44 20 7946 0958'), '+442079460958')
+  })
+
+  it('gives up on numbers that cannot exist', () => {
+    assert.equal(normalizePhone('12345'), null)
+    assert.equal(normalizePhone('call me'), null)
+  })
+})
+
+describe('validateContact', () => {
+  it('accepts a plain message and tidies it up', () => {
+    const result = validateContact({ ...input, phone: '050 756 6474', intent: ['Branding', 'mobile', 'branding'] })
+    assert.ok(result.ok)
+    assert.equal(result.value.email, 'sara@example.com')
+    assert.equal(result.value.phone, '+971507566474')
+    assert.equal(result.value.intent, 'branding, mobile')
+  })
+
+  it('needs one way to reach the visitor, like the form', () => {
+    assert.deepEqual(validateContact({ ...input, email: '' }), { ok: false, fields: { email: 'contact_missing' } })
+    assert.deepEqual(validateContact({ ...input, email: 'sara@', phone: '123' }), {
+      ok: false,
+      fields: { email: 'email_invalid', phone: 'phone_invalid' },
+    })
+  })
+
+  it('lets a bad field through when the other one works', () => {
+    const phoneOnly = validateContact({ ...input, email: 'sara@', phone: '+971507566474' })
+    assert.ok(phoneOnly.ok)
+    assert.equal(phoneOnly.value.email, '971507566474@hehadnoemail.com')
+
+    const emailOnly = validateContact({ ...input, phone: '0000' })
+    assert.ok(emailOnly.ok)
+    assert.equal(emailOnly.value.phone, '0000')
+  })
+
+  it('reports every field that is out of bounds', () => {
+    const result = validateContact({
+      ...input,
+      name: 'S',
+      subject: 'x'.repeat(201),
+      message: 'Hi',
+      intent: ['branding', 'seo'],
+    })
+    assert.deepEqual(result, {
+      ok: false,
+      fields: {
+        name: 'name_invalid',
+        subject: 'subject_too_long',
+        message: 'message_too_short',
+        intent: 'intent_invalid',
+      },
+    })
+    assert.deepEqual(validateContact({ ...input, message: 'x'.repeat(5001) }), {
+      ok: false,
+      fields: { message: 'message_too_long' },
+    })
+  })
+})
+
+describe('attachments', () => {
+  it('stores allowed files under their own type and a safe name', () => {
+    const result = validateContact({ ...input, attachments: [file('Brief v2 (final).PDF'), file('empty.txt', 0)] })
+    assert.ok(result.ok)
+    assert.equal(result.value.attachments.length, 1)
+    assert.equal(result.value.attachments[0].filename, 'Brief_v2_final_.PDF')
+    assert.equal(result.value.attachments[0].contentType, 'application/pdf')
+  })
+
+  it('refuses too many, too large and unknown files', () => {
+    const six = Array.from({ length: 6 }, (_, i) => file(`shot-${i}.png`))
+    assert.deepEqual(validateContact({ ...input, attachments: six }), { ok: false, fields: { attachments: 'attachments_too_many' } })
+    assert.deepEqual(validateContact({ ...input, attachments: [file('setup.exe')] }), {
+      ok: false,
+      fields: { attachments: 'attachment_type' },
+    })
+    assert.deepEqual(validateContact({ ...input, attachments: [file('big.pdf', MAX_ATTACHMENT_BYTES + 1)] }), {
+      ok: false,
+      fields: { attachments: 'attachment_too_large' },
+    })
+  })
+
+  it('keeps names in any script but nothing that could break out of a path or header', () => {
+    assert.equal(safeFilename('../../etc/passwd'), 'etc_passwd')
+    assert.equal(safeFilename('عرض تقديمي.pptx'), 'عرض_تقديمي.pptx')
+    assert.equal(safeFilename('...'), 'attachment')
+  })
+
+  it('signs download links that expire with the file', async () => {
+    const now = Date.parse('2026-08-18T12:00:00Z')
+    const id = '3f2b8c1e-5d4a-4b6c-9e7f-0a1b2c3d4e5f'
+    const expiresAt = attachmentExpiry(now)
+    assert.equal(expiresAt.getTime() - now, RETENTION_DAYS * 24 * 60 * 60 * 1000)
+
+    const link = new URL(await signDownloadUrl('https://forms.example', 'secret', id, expiresAt))
+    assert.equal(link.pathname, `/attachments/${id}`)
+    assert.equal(await verifyDownloadUrl('secret', link, now), id)
+    assert.equal(await verifyDownloadUrl('secret', link, expiresAt.getTime()), null)
+    assert.equal(await verifyDownloadUrl('other', link, now), null)
+
+    const stretched = new URL(link)
+    stretched.searchParams.set('expires', String(Number(link.searchParams.get('expires')) + 86400))
+    assert.equal(await verifyDownloadUrl('secret', stretched, now), null)
+  })
+
+  it('always downloads rather than renders', () => {
+    assert.equal(
+      contentDisposition('عرض.pdf'),
+      `attachment; filename="___.pdf"; filename*=UTF-8''${encodeURIComponent('عرض.pdf')}`,
+    )
+  })
+})
+
+describe('form-handler responses', () => {
+  const from = (origin: string) => new Request('https://forms.example/', { method: 'POST', headers: { Origin: origin } })
+
+  it('only opens CORS to the site', () => {
+    assert.equal(corsHeaders(from('https://baseetstudio.com'))['Access-Control-Allow-Origin'], 'https://baseetstudio.com')
+    assert.equal(corsHeaders(from('https://evil.example'))['Access-Control-Allow-Origin'], undefined)
+  })
+
+  it('answers 400 for a JSON body that is not a form', async () => {
+    for (const body of ['{"name":', 'null', '[]']) {
+      const request = new Request('https://forms.example/', {
+        method: 'POST',
+        headers: { Origin: 'https://baseetstudio.com', 'Content-Type': 'application/json' },
+        body,
+      })
+      const res = await worker.default.fetch(request, {}, {})
+      assert.equal(res.status, 400, body)
+      assert.equal(((await res.json()) as { error: { code: string } }).error.code, 'bad_request')
+    }
+  })
+
+  it('answers errors with a code, a message and any field codes', async () => {
+    const res = jsonError(from('https://baseetstudio.com'), 400, 'validation', 'Check it.', { email: 'email_invalid' })
+    assert.equal(res.status, 400)
+    assert.deepEqual(await res.json(), {
+      error: { code: 'validation', message: 'Check it.', fields: { email: 'email_invalid' } },
+    })
+    assert.deepEqual(await jsonError(from('https://baseetstudio.com'), 429, 'rate_limit', 'Slow down.').json(), {
+      error: { code: 'rate_limit', message: 'Slow down.' },
+    })
+  })
+})
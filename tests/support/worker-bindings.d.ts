@@ -0,0 +1,7 @@
+// The root type-check follows tests into Worker source, whose `Env` names these Workers runtime
+// bindings. `@cloudflare/workers-types` would clash with the DOM types the site is checked
+// against, so here each binding is the stand-in from `workers.ts` that the tests pass in.
+
+type D1Database = ReturnType<typeof import('./workers.ts').sqliteD1>
+type KVNamespace = ReturnType<typeof import('./workers.ts').memoryKv>
+type DurableObjectNamespace = ReturnType<typeof import('./workers.ts').durableObjectNamespace>
@@ -0,0 +1,22 @@
+// Module hooks that let node load Worker source the way Wrangler's bundler does: relative
+// imports without an extension resolve to the `.ts` file, and JSON imports need no
+// `with { type: 'json' }`. Registered by tests that import a Worker's entry point.
+
+import { readFile } from 'node:fs/promises'
+
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context)
+  } catch (err) {
+    if (err?.code !== 'ERR_MODULE_NOT_FOUND' || !/^\.{1,2}\//.test(specifier) || /\.\w+$/.test(specifier)) throw err
+    return nextResolve(`${specifier}.ts`, context)
+  }
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith('file:') && url.endsWith('.json') && context.importAttributes?.type !== 'json') {
+    const source = await readFile(new URL(url), 'utf8')
+    return { format: 'module', source: `export default ${source}`, shortCircuit: true }
+  }
+  return nextLoad(url, context)
+}
@@ -0,0 +1,98 @@
+// Just enough of the Workers runtime to run a Worker's `fetch` in node: D1 on node:sqlite,
+// KV and Durable Object storage in memory, and a namespace that hands every stub the same
+// object, like `idFromName('global')` does.
+
+import { DatabaseSync, type SQLInputValue } from 'node:sqlite'
+
+type Row = Record<string, unknown>
+
+export function sqliteD1(schema: string) {
+  const db = new DatabaseSync(':memory:')
+  db.exec(schema)
+
+  function statement(sql: string, binds: SQLInputValue[] = []) {
+    const run = () => {
+      const result = db.prepare(sql).run(...binds)
+      return { success: true, meta: { changes: Number(result.changes), last_row_id: Number(result.lastInsertRowid) } }
+    }
+    return {
+      bind: (...values: SQLInputValue[]) => statement(sql, values),
+      first: async <T = Row>() => (db.prepare(sql).get(...binds) ?? null) as T | null,
+      all: async <T = Row>() => ({ success: true, results: db.prepare(sql).all(...binds) as T[] }),
+      run: async () => run(),
+      runNow: run,
+    }
+  }
+
+  return {
+    /** The database underneath, for tests to read what the Worker wrote. */
+    sqlite: db,
+    prepare: (sql: string) => statement(sql),
+    /** One transaction, as D1 runs a batch. */
+    async batch(statements: ReturnType<typeof statement>[]) {
+      db.exec('BEGIN')
+      try {
+        const results = statements.map((entry) => entry.runNow())
+        db.exec('COMMIT')
+        return results
+      } catch (err) {
+        db.exec('ROLLBACK')
+        throw err
+      }
+    },
+  }
+}
+
+export function memoryKv() {
+  const values = new Map<string, string>()
+  return {
+    get: async (key: string) => values.get(key) ?? null,
+    put: async (key: string, value: string) => void values.set(key, value),
+    delete: async (key: string) => void values.delete(key),
+  }
+}
+
+/** `ctx` for a Durable Object: storage, an alarm slot, and `waitUntil` work to wait for. */
+export function durableObjectState() {
+  const data = new Map<string, unknown>()
+  const pending: Promise<unknown>[] = []
+  let alarm: number | null = null
+
+  const storage = {
+    async get(key: string | string[]) {
+      if (!Array.isArray(key)) return structuredClone(data.get(key))
+      return new Map(key.filter((entry) => data.has(entry)).map((entry) => [entry, structuredClone(data.get(entry))]))
+    },
+    async put(key: string | Record<string, unknown>, value?: unknown) {
+      const entries = typeof key === 'string' ? [[key, value] as const] : Object.entries(key)
+      for (const [entry, stored] of entries) data.set(entry, structuredClone(stored))
+    },
+    async delete(key: string | string[]) {
+      if (!Array.isArray(key)) return data.delete(key)
+      return key.filter((entry) => data.delete(entry)).length
+    },
+    async list(options: { prefix?: string; limit?: number } = {}) {
+      const keys = [...data.keys()].filter((key) => key.startsWith(options.prefix ?? '')).sort()
+      return new Map(keys.slice(0, options.limit ?? keys.length).map((key) => [key, structuredClone(data.get(key))]))
+    },
+    getAlarm: async () => alarm,
+    setAlarm: async (at: number | Date) => void (alarm = typeof at === 'number' ? at : at.getTime()),
+    deleteAlarm: async () => void (alarm = null),
+  }
+
+  return {
+    storage,
+    waitUntil: (promise: Promise<unknown>) => void pending.push(promise.catch(() => undefined)),
+    /** Resolves once the work handed to `waitUntil` so far has finished. */
+    async settled() {
+      while (pending.length) await pending.shift()
+    },
+  }
+}
+
+export function durableObjectNamespace(instance: { fetch(request: Request): Promise<Response> }) {
+  return {
+    idFromName: (name: string) => ({ name }),
+    get: () => ({ fetch: (request: Request) => instance.fetch(request) }),
+  }
+}
@@ -0,0 +1,130 @@
+/** The sign-in part of `Env`; kept apart so this module needs no Workers types. */
+export type AuthConfig = { ADMIN_PASSWORD?: string; ACCESS_TEAM_DOMAIN?: string; ACCESS_AUD?: string }
+
+/** Who is signed in. `name` is recorded on notes and lead status changes. */
+export type Admin = { name: string }
+
+/** A public key from the Access team's certs endpoint. */
+export type AccessKey = JsonWebKey & { kid?: string }
+
+const ACCESS_KEYS_TTL_MS = 60 * 60 * 1000
+
+const decoder = new TextDecoder()
+
+let accessKeys: { teamDomain: string; keys: AccessKey[]; fetchedAt: number } | null = null
+
+function fromBase64(value: string): Uint8Array<ArrayBuffer> | null {
+  const padded = value.replace(/-/g, '+').replace(/_/g, '/') + '='.repeat((4 - (value.length % 4)) % 4)
+  try {
+    return Uint8Array.from(atob(padded), (char) => char.charCodeAt(0))
+  } catch {
+    return null
+  }
+}
+
+/** Compared in constant time, like the Telegram webhook secret in booking-api. */
+function sameSecret(given: string, secret: string): boolean {
+  if (given.length !== secret.length) return false
+  let diff = 0
+  for (let i = 0; i < secret.length; i += 1) diff |= secret.charCodeAt(i) ^ given.charCodeAt(i)
+  return diff === 0
+}
+
+/**
+ * HTTP Basic against `ADMIN_PASSWORD`. The user name is not checked; it only says who wrote
+ * a note. An unset password lets nobody in.
+ */
+export function passwordAdmin(authorization: string | null, password: string | undefined): Admin | null {
+  if (!password || !authorization?.startsWith('Basic ')) return null
+  const bytes = fromBase64(authorization.slice('Basic '.length).trim())
+  if (!bytes) return null
+  const credentials = decoder.decode(bytes)
+  const colon = credentials.indexOf(':')
+  if (colon < 0 || !sameSecret(credentials.slice(colon + 1), password)) return null
+  return { name: credentials.slice(0, colon).trim().slice(0, 80) || 'team' }
+}
+
+/**
+ * Checks a Cloudflare Access token (`Cf-Access-Jwt-Assertion`): RS256, signed by one of the
+ * team's keys, issued for this application's audience tag and not expired. The header alone
+ * proves nothing, since the workers.dev URL can be reached without going through Access.
+ */
+export async function verifyAccessToken(
+  token: string,
+  keys: readonly AccessKey[],
+  audience: string,
+  now = Date.now(),
+): Promise<Admin | null> {
+  const [header, payload, signature, extra] = token.split('.')
+  if (!header || !payload || !signature || extra !== undefined) return null
+  const signatureBytes = fromBase64(signature)
+  const headerBytes = fromBase64(header)
+  const payloadBytes = fromBase64(payload)
+  if (!signatureBytes || !headerBytes || !payloadBytes) return null
+
+  let claims: { aud?: unknown; exp?: unknown; nbf?: unknown; email?: unknown }
+  let kid: unknown
+  try {
+    const parsed = JSON.parse(decoder.decode(headerBytes)) as { alg?: unknown; kid?: unknown }
+    if (parsed.alg !== 'RS256') return null
+    kid = parsed.kid
+    claims = JSON.parse(decoder.decode(payloadBytes))
+  } catch {
+    return null
+  }
+
+  const key = keys.find((candidate) => candidate.kid === kid)
+  if (!key) return null
+  const publicKey = await crypto.subtle.importKey(
+    'jwk',
+    key,
+    { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    false,
+    ['verify'],
+  )
+  const signed = new TextEncoder().encode(`${header}.${payload}`)
+  if (!(await crypto.subtle.verify('RSASSA-PKCS1-v1_5', publicKey, signatureBytes, signed))) return null
+
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud]
+  if (!audiences.includes(audience)) return null
+  if (typeof claims.exp !== 'number' || claims.exp * 1000 <= now) return null
+  if (typeof claims.nbf === 'number' && claims.nbf * 1000 > now) return null
+  return { name: typeof claims.email === 'string' && claims.email ? claims.email : 'team' }
+}
+
+/** The team's signing keys, kept per isolate for an hour; Access rotates them every few weeks. */
+async function loadAccessKeys(teamDomain: string, now: number): Promise<AccessKey[]> {
+  if (accessKeys?.teamDomain === teamDomain && now - accessKeys.fetchedAt < ACCESS_KEYS_TTL_MS) return accessKeys.keys
+  const res = await fetch(`https://${teamDomain}/cdn-cgi/access/certs`)
+  if (!res.ok) throw new Error(`access_certs_${res.status}`)
+  const { keys } = (await res.json()) as { keys: AccessKey[] }
+  accessKeys = { teamDomain, keys, fetchedAt: now }
+  return keys
+}
+
+/**
+ * A valid Access token wins when Access is configured; otherwise the Basic password. Either
+ * can be left unset, but with neither the console stays shut.
+ */
+export async function authenticate(request: Request, env: AuthConfig, now = Date.now()): Promise<Admin | null> {
+  const token = request.headers.get('Cf-Access-Jwt-Assertion')
+  if (token && env.ACCESS_TEAM_DOMAIN && env.ACCESS_AUD) {
+    try {
+      const admin = await verifyAccessToken(token, await loadAccessKeys(env.ACCESS_TEAM_DOMAIN, now), env.ACCESS_AUD, now)
+      if (admin) return admin
+    } catch (err) {
+      console.error('[admin] could not check Access token', err)
+    }
+  }
+  return passwordAdmin(request.headers.get('Authorization'), env.ADMIN_PASSWORD)
+}
+
+/**
+ * Browsers send Basic credentials with any request to this origin, so a form posted from
+ * another site would carry them too. Writes must come from our own pages.
+ */
+export function isSameOrigin(request: Request): boolean {
+  const origin = request.headers.get('Origin')
+  if (origin) return origin === new URL(request.url).origin
+  return request.headers.get('Sec-Fetch-Site') === 'same-origin'
+}
@@ -0,0 +1,16 @@
+export type CsvValue = string | number | null | undefined
+
+/**
+ * Quotes a cell when it needs it. Cells that a spreadsheet would read as a formula get a
+ * leading `'`, since visitors write most of what goes in here.
+ */
+function cell(value: CsvValue): string {
+  let text = value == null ? '' : String(value)
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/** RFC 4180 with CRLF line ends, which Excel and Google Sheets both open as-is. */
+export function toCsv(header: readonly string[], rows: readonly (readonly CsvValue[])[]): string {
+  return [header, ...rows].map((row) => row.map(cell).join(',')).join('\r\n') + '\r\n'
+}
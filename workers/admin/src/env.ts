@@ -0,0 +1,10 @@
+export interface Env {
+  /** form-handler's D1 database (`submissions`). */
+  FORM_DB: D1Database
+  /** booking-api's D1 database (`bookings`, `booking_events`). */
+  BOOKING_DB: D1Database
+  ADMIN_PASSWORD?: string
+  /** `<team>.cloudflareaccess.com`; with `ACCESS_AUD`, lets Cloudflare Access sign people in. */
+  ACCESS_TEAM_DOMAIN?: string
+  ACCESS_AUD?: string
+}
@@ -0,0 +1,207 @@
+/** Where the team has got to with a lead. A submission or booking nobody has touched is `new`. */
+export const leadStatuses = ['new', 'qualified', 'won', 'lost'] as const
+export type LeadStatus = (typeof leadStatuses)[number]
+
+/** Mirrors the `bookings.status` check in booking-api's schema.sql. */
+export const bookingStatuses = ['confirmed', 'rescheduled', 'cancelled', 'no-show'] as const
+export type BookingStatus = (typeof bookingStatuses)[number]
+
+/** Options the contact form offers; stored as an `Intent:` line in the message. */
+export const intents = ['branding', 'digital', 'mobile', 'strategy'] as const
+
+/** form-handler's `SPAM_THRESHOLD`: rows scored at or above it never reached Telegram. */
+export const SPAM_THRESHOLD = 5
+
+/** Suspected spam is hidden unless asked for. */
+export const spamViews = ['include', 'only'] as const
+export type SpamView = (typeof spamViews)[number]
+
+export const PAGE_SIZE = 50
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/
+
+export type SubmissionFilter = {
+  q: string
+  lead: LeadStatus | ''
+  language: string
+  page: string
+  intent: string
+  spam: SpamView | ''
+  /** Inclusive UTC days, `YYYY-MM-DD`. */
+  from: string
+  to: string
+  offset: number
+}
+
+export type BookingFilter = {
+  q: string
+  status: BookingStatus | ''
+  lead: LeadStatus | ''
+  meetingType: string
+  lang: string
+  /** Inclusive UTC days of the meeting start, `YYYY-MM-DD`. */
+  from: string
+  to: string
+  offset: number
+}
+
+/** A `WHERE` clause and its bound values; empty `sql` means no filter. */
+export type Where = { sql: string; binds: (string | number)[] }
+
+function oneOf<T extends string>(options: readonly T[], value: string | null): T | '' {
+  return options.includes(value as T) ? (value as T) : ''
+}
+
+function param(params: URLSearchParams, name: string, max = 200): string {
+  return (params.get(name) ?? '').trim().slice(0, max)
+}
+
+function day(params: URLSearchParams, name: string): string {
+  const value = param(params, name)
+  return DATE_RE.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`)) ? value : ''
+}
+
+function offset(params: URLSearchParams): number {
+  const value = Number(params.get('offset'))
+  return Number.isInteger(value) && value > 0 ? value : 0
+}
+
+export function submissionFilter(params: URLSearchParams): SubmissionFilter {
+  return {
+    q: param(params, 'q'),
+    lead: oneOf(leadStatuses, params.get('lead')),
+    language: param(params, 'language', 20),
+    page: param(params, 'page'),
+    intent: oneOf(intents, params.get('intent')),
+    spam: oneOf(spamViews, params.get('spam')),
+    from: day(params, 'from'),
+    to: day(params, 'to'),
+    offset: offset(params),
+  }
+}
+
+export function bookingFilter(params: URLSearchParams): BookingFilter {
+  return {
+    q: param(params, 'q'),
+    status: oneOf(bookingStatuses, params.get('status')),
+    lead: oneOf(leadStatuses, params.get('lead')),
+    meetingType: param(params, 'meetingType', 80),
+    lang: param(params, 'lang', 20),
+    from: day(params, 'from'),
+    to: day(params, 'to'),
+    offset: offset(params),
+  }
+}
+
+/** The filter as query parameters, without the defaults; used for links and the CSV export. */
+export function filterQuery(filter: SubmissionFilter | BookingFilter, overrides: { offset?: number } = {}): string {
+  const params = new URLSearchParams()
+  for (const [key, value] of Object.entries({ ...filter, ...overrides })) {
+    if (value !== '' && value !== 0) params.set(key, String(value))
+  }
+  const query = params.toString()
+  return query ? `?${query}` : ''
+}
+
+/** `YYYY-MM-DD` of the day after, so `to` can include the whole of its day. */
+export function nextDay(ymd: string): string {
+  const date = new Date(`${ymd}T00:00:00Z`)
+  date.setUTCDate(date.getUTCDate() + 1)
+  return date.toISOString().slice(0, 10)
+}
+
+/** A `LIKE` pattern that matches `text` literally anywhere; pair it with `ESCAPE '\'`. */
+export function containsPattern(text: string): string {
+  return `%${text.replace(/[\\%_]/g, (char) => `\\${char}`)}%`
+}
+
+function join(clauses: string[], binds: (string | number)[]): Where {
+  return { sql: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', binds }
+}
+
+// The `Intent:` line of a stored message, without the label: `branding, mobile`.
+const INTENT_REST = `substr(s.message, instr(s.message, 'Intent: ') + 8)`
+const INTENT_LINE = `substr(${INTENT_REST}, 1, instr(${INTENT_REST} || char(10), char(10)) - 1)`
+
+/** Reads `submissions s LEFT JOIN submission_leads l`. */
+export function submissionWhere(filter: SubmissionFilter): Where {
+  const clauses: string[] = []
+  const binds: (string | number)[] = []
+  // Search is always the first value, so it can be `?1` in every place it is used.
+  if (filter.q) {
+    clauses.push(
+      `(s.name LIKE ?1 ESCAPE '\\' OR s.email LIKE ?1 ESCAPE '\\' OR s.phone LIKE ?1 ESCAPE '\\'
+        OR s.message LIKE ?1 ESCAPE '\\')`,
+    )
+    binds.push(containsPattern(filter.q))
+  }
+  if (filter.lead) {
+    clauses.push(`COALESCE(l.status, 'new') = ?${binds.length + 1}`)
+    binds.push(filter.lead)
+  }
+  if (filter.language) {
+    clauses.push(`s.language = ?${binds.length + 1}`)
+    binds.push(filter.language)
+  }
+  if (filter.page) {
+    clauses.push(`s.page = ?${binds.length + 1}`)
+    binds.push(filter.page)
+  }
+  if (filter.intent) {
+    clauses.push(
+      `instr(s.message, 'Intent: ') > 0 AND (',' || replace(${INTENT_LINE}, ', ', ',') || ',') LIKE ?${binds.length + 1}`,
+    )
+    binds.push(`%,${filter.intent},%`)
+  }
+  if (filter.spam !== 'include') {
+    clauses.push(`s.spam_score ${filter.spam === 'only' ? '>=' : '<'} ?${binds.length + 1}`)
+    binds.push(SPAM_THRESHOLD)
+  }
+  if (filter.from) {
+    clauses.push(`s.created_at >= ?${binds.length + 1}`)
+    binds.push(filter.from)
+  }
+  if (filter.to) {
+    clauses.push(`s.created_at < ?${binds.length + 1}`)
+    binds.push(nextDay(filter.to))
+  }
+  return join(clauses, binds)
+}
+
+/** Reads `bookings b LEFT JOIN booking_leads l`. */
+export function bookingWhere(filter: BookingFilter): Where {
+  const clauses: string[] = []
+  const binds: (string | number)[] = []
+  if (filter.q) {
+    clauses.push(
+      `(b.name LIKE ?1 ESCAPE '\\' OR b.email LIKE ?1 ESCAPE '\\' OR b.phone LIKE ?1 ESCAPE '\\'
+        OR b.notes LIKE ?1 ESCAPE '\\')`,
+    )
+    binds.push(containsPattern(filter.q))
+  }
+  if (filter.status) {
+    clauses.push(`b.status = ?${binds.length + 1}`)
+    binds.push(filter.status)
+  }
+  if (filter.lead) {
+    clauses.push(`COALESCE(l.status, 'new') = ?${binds.length + 1}`)
+    binds.push(filter.lead)
+  }
+  if (filter.meetingType) {
+    clauses.push(`b.meeting_type_id = ?${binds.length + 1}`)
+    binds.push(filter.meetingType)
+  }
+  if (filter.lang) {
+    clauses.push(`b.lang = ?${binds.length + 1}`)
+    binds.push(filter.lang)
+  }
+  if (filter.from) {
+    clauses.push(`b.start_time >= ?${binds.length + 1}`)
+    binds.push(filter.from)
+  }
+  if (filter.to) {
+    clauses.push(`b.start_time < ?${binds.length + 1}`)
+    binds.push(nextDay(filter.to))
+  }
+  return join(clauses, binds)
+}
@@ -0,0 +1,241 @@
+import { authenticate, isSameOrigin, type Admin } from './auth'
+import { toCsv } from './csv'
+import type { Env } from './env'
+import { bookingFilter, leadStatuses, PAGE_SIZE, submissionFilter, type LeadStatus } from './filters'
+import { splitStoredMessage } from './message'
+import {
+  addBookingNote,
+  addSubmissionNote,
+  bookingFacets,
+  EXPORT_LIMIT,
+  getBooking,
+  getSubmission,
+  listBookings,
+  listSubmissions,
+  setBookingLead,
+  setSubmissionLead,
+  submissionFacets,
+} from './store'
+import { bookingPage, bookingsPage, notFoundPage, submissionPage, submissionsPage } from './views'
+
+const NOTE_MAX = 4000
+
+/** Nothing here is cacheable, framable or meant for search engines. */
+const BASE_HEADERS = {
+  'Cache-Control': 'no-store',
+  'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; form-action 'self'; frame-ancestors 'none'",
+  'Referrer-Policy': 'no-referrer',
+  'X-Content-Type-Options': 'nosniff',
+  'X-Robots-Tag': 'noindex',
+}
+
+function html(body: string, status = 200): Response {
+  return new Response(body, { status, headers: { ...BASE_HEADERS, 'Content-Type': 'text/html; charset=utf-8' } })
+}
+
+function csv(body: string, name: string): Response {
+  const day = new Date().toISOString().slice(0, 10)
+  return new Response(body, {
+    headers: {
+      ...BASE_HEADERS,
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${name}-${day}.csv"`,
+    },
+  })
+}
+
+function text(body: string, status: number, headers: Record<string, string> = {}): Response {
+  return new Response(body, { status, headers: { ...BASE_HEADERS, 'Content-Type': 'text/plain; charset=utf-8', ...headers } })
+}
+
+/** Post/redirect/get, so a reload does not post the form again. */
+function seeOther(location: string): Response {
+  return new Response(null, { status: 303, headers: { ...BASE_HEADERS, Location: location } })
+}
+
+async function formField(request: Request, name: string): Promise<string> {
+  const value = (await request.formData()).get(name)
+  return typeof value === 'string' ? value.trim() : ''
+}
+
+function isLeadStatus(value: string): value is LeadStatus {
+  return (leadStatuses as readonly string[]).includes(value)
+}
+
+async function submissionsCsv(env: Env, params: URLSearchParams): Promise<Response> {
+  const rows = await listSubmissions(env, { ...submissionFilter(params), offset: 0 }, EXPORT_LIMIT)
+  return csv(
+    toCsv(
+      [
+        'id',
+        'received_utc',
+        'name',
+        'email',
+        'phone',
+        'locale',
+        'page',
+        'intent',
+        'subject',
+        'message',
+        'lead',
+        'lead_updated_by',
+        'note_count',
+        'spam_score',
+        'spam_reasons',
+      ],
+      rows.map((row) => {
+        const message = splitStoredMessage(row.message)
+        return [
+          row.id,
+          row.createdAt,
+          row.name,
+          row.email,
+          row.phone,
+          row.language,
+          row.page,
+          message.intent.join(', '),
+          message.subject,
+          message.body,
+          row.lead.status,
+          row.lead.updatedBy,
+          row.noteCount,
+          row.spamScore,
+          row.spamReasons.join(','),
+        ]
+      }),
+    ),
+    'contact-submissions',
+  )
+}
+
+async function bookingsCsv(env: Env, params: URLSearchParams): Promise<Response> {
+  const rows = await listBookings(env, { ...bookingFilter(params), offset: 0 }, EXPORT_LIMIT)
+  return csv(
+    toCsv(
+      [
+        'id',
+        'start_utc',
+        'end_utc',
+        'meeting_type',
+        'hosts',
+        'status',
+        'name',
+        'email',
+        'phone',
+        'locale',
+        'visitor_timezone',
+        'answers',
+        'lead',
+        'lead_updated_by',
+        'note_count',
+        'booked_utc',
+      ],
+      rows.map((row) => [
+        row.id,
+        row.start,
+        row.end,
+        row.meetingTypeId,
+        row.hostIds.join(' '),
+        row.status,
+        row.name,
+        row.email,
+        row.phone,
+        row.lang,
+        row.visitorTimeZone,
+        row.notes,
+        row.lead.status,
+        row.lead.updatedBy,
+        row.noteCount,
+        row.createdAt,
+      ]),
+    ),
+    'bookings',
+  )
+}
+
+async function handleSubmissions(request: Request, env: Env, admin: Admin, rest: string[]): Promise<Response> {
+  const url = new URL(request.url)
+  if (rest.length === 0) {
+    const filter = submissionFilter(url.searchParams)
+    const [rows, facets] = await Promise.all([listSubmissions(env, filter, PAGE_SIZE + 1), submissionFacets(env)])
+    return html(submissionsPage(admin, filter, rows, facets))
+  }
+
+  const id = Number(rest[0])
+  if (!Number.isInteger(id) || id <= 0) return html(notFoundPage(admin), 404)
+  const base = `/submissions/${id}`
+  const found = await getSubmission(env, id)
+  if (!found) return html(notFoundPage(admin), 404)
+
+  if (request.method === 'POST' && rest[1] === 'lead') {
+    const status = await formField(request, 'status')
+    if (!isLeadStatus(status)) return text('Unknown lead status.', 400)
+    await setSubmissionLead(env, id, status, admin.name)
+    return seeOther(base)
+  }
+  if (request.method === 'POST' && rest[1] === 'notes') {
+    const body = await formField(request, 'body')
+    if (!body || body.length > NOTE_MAX) return text(`A note needs 1 to ${NOTE_MAX} characters.`, 400)
+    await addSubmissionNote(env, id, body, admin.name)
+    return seeOther(base)
+  }
+  if (rest.length > 1) return html(notFoundPage(admin), 404)
+  return html(submissionPage(admin, found.submission, found.notes))
+}
+
+async function handleBookings(request: Request, env: Env, admin: Admin, rest: string[]): Promise<Response> {
+  const url = new URL(request.url)
+  if (rest.length === 0) {
+    const filter = bookingFilter(url.searchParams)
+    const [rows, facets] = await Promise.all([listBookings(env, filter, PAGE_SIZE + 1), bookingFacets(env)])
+    return html(bookingsPage(admin, filter, rows, facets))
+  }
+
+  // booking-api ids are UUIDs.
+  const id = rest[0]
+  if (!/^[\w-]{1,64}$/.test(id)) return html(notFoundPage(admin), 404)
+  const base = `/bookings/${id}`
+  const found = await getBooking(env, id)
+  if (!found) return html(notFoundPage(admin), 404)
+
+  if (request.method === 'POST' && rest[1] === 'lead') {
+    const status = await formField(request, 'status')
+    if (!isLeadStatus(status)) return text('Unknown lead status.', 400)
+    await setBookingLead(env, id, status, admin.name)
+    return seeOther(base)
+  }
+  if (request.method === 'POST' && rest[1] === 'notes') {
+    const body = await formField(request, 'body')
+    if (!body || body.length > NOTE_MAX) return text(`A note needs 1 to ${NOTE_MAX} characters.`, 400)
+    await addBookingNote(env, id, body, admin.name)
+    return seeOther(base)
+  }
+  if (rest.length > 1) return html(notFoundPage(admin), 404)
+  return html(bookingPage(admin, found.booking, found.history, found.notes, found.attendees))
+}
+
+export default {
+  async fetch(request: Request, env: Env): Promise<Response> {
+    const admin = await authenticate(request, env)
+    if (!admin) {
+      return text('Sign in to continue.', 401, { 'WWW-Authenticate': 'Basic realm="Baseet admin", charset="UTF-8"' })
+    }
+    if (request.method !== 'GET' && request.method !== 'POST') return text('Method not allowed', 405)
+    if (request.method === 'POST' && !isSameOrigin(request)) return text('Cross-site request refused.', 403)
+
+    const url = new URL(request.url)
+    const [section, ...rest] = url.pathname.split('/').filter(Boolean)
+
+    try {
+      if (!section) return seeOther('/submissions')
+      if (request.method === 'GET' && section === 'submissions.csv') return await submissionsCsv(env, url.searchParams)
+      if (request.method === 'GET' && section === 'bookings.csv') return await bookingsCsv(env, url.searchParams)
+      if (section === 'submissions') return await handleSubmissions(request, env, admin, rest)
+      if (section === 'bookings') return await handleBookings(request, env, admin, rest)
+      return html(notFoundPage(admin), 404)
+    } catch (err) {
+      console.error('[admin]', url.pathname, err)
+      return text('Something went wrong; see the Worker logs.', 500)
+    }
+  },
+}
@@ -0,0 +1,26 @@
+export type StoredMessage = {
+  subject: string
+  /** Intent chips, in the order the visitor ticked them. */
+  intent: string[]
+  body: string
+}
+
+/**
+ * form-handler keeps the subject and intent as leading `Subject:` and `Intent:` paragraphs of
+ * `submissions.message` (`composeStoredMessage`). This takes them back out.
+ */
+export function splitStoredMessage(message: string): StoredMessage {
+  const parts = message.split('\n\n')
+  let subject = ''
+  let intent: string[] = []
+  if (parts[0]?.startsWith('Subject: ')) subject = parts.shift()!.slice('Subject: '.length).trim()
+  if (parts[0]?.startsWith('Intent: ')) {
+    intent = parts
+      .shift()!
+      .slice('Intent: '.length)
+      .split(',')
+      .map((value) => value.trim())
+      .filter(Boolean)
+  }
+  return { subject, intent, body: parts.join('\n\n') }
+}
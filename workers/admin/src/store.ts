@@ -0,0 +1,305 @@
+import type { Env } from './env'
+import {
+  bookingWhere,
+  submissionWhere,
+  type BookingFilter,
+  type BookingStatus,
+  type LeadStatus,
+  type SubmissionFilter,
+} from './filters'
+
+/** Rows a CSV export reads at most; well past the volume the studio sees in a year. */
+export const EXPORT_LIMIT = 10_000
+
+export type Note = { id: number; body: string; author: string; createdAt: string }
+
+export type LeadState = { status: LeadStatus; updatedBy?: string; updatedAt?: string }
+
+export type Submission = {
+  id: number
+  page: string
+  language: string
+  name: string
+  email: string
+  phone?: string
+  message: string
+  spamScore: number
+  spamReasons: string[]
+  createdAt: string
+  lead: LeadState
+  noteCount: number
+}
+
+export type Booking = {
+  id: string
+  meetingTypeId: string
+  name: string
+  email: string
+  phone?: string
+  notes?: string
+  visitorTimeZone?: string
+  lang: string
+  hostIds: string[]
+  start: string
+  end: string
+  status: BookingStatus
+  createdAt: string
+  lead: LeadState
+  noteCount: number
+}
+
+/** One visitor's row on a calendar event; a group session has one per seat. */
+export type Attendee = { id: string; name: string; email: string; status: BookingStatus }
+
+export type BookingHistory = {
+  fromStatus?: string
+  toStatus: string
+  start?: string
+  actor: string
+  createdAt: string
+}
+
+type LeadColumns = { lead_status: LeadStatus | null; lead_updated_by: string | null; lead_updated_at: string | null }
+
+type SubmissionRow = LeadColumns & {
+  id: number
+  page: string | null
+  language: string | null
+  name: string
+  email: string
+  phone: string | null
+  message: string
+  spam_score: number
+  spam_reasons: string | null
+  created_at: string
+  note_count: number
+}
+
+type BookingRow = LeadColumns & {
+  id: string
+  meeting_type_id: string
+  name: string
+  email: string
+  phone: string | null
+  notes: string | null
+  visitor_timezone: string | null
+  lang: string | null
+  host_ids: string | null
+  start_time: string
+  end_time: string
+  status: BookingStatus
+  created_at: string
+  note_count: number
+}
+
+type NoteRow = { id: number; body: string; author: string; created_at: string }
+
+type AttendeeRow = { id: string; name: string; email: string; status: BookingStatus }
+
+type HistoryRow = {
+  from_status: string | null
+  to_status: string
+  start_time: string | null
+  actor: string
+  created_at: string
+}
+
+const SUBMISSION_COLUMNS = `s.id, s.page, s.language, s.name, s.email, s.phone, s.message, s.spam_score,
+  s.spam_reasons, s.created_at,
+  l.status AS lead_status, l.updated_by AS lead_updated_by, l.updated_at AS lead_updated_at,
+  (SELECT COUNT(*) FROM submission_notes n WHERE n.submission_id = s.id) AS note_count`
+
+const BOOKING_COLUMNS = `b.id, b.meeting_type_id, b.name, b.email, b.phone, b.notes, b.visitor_timezone, b.lang,
+  b.host_ids, b.start_time, b.end_time, b.status, b.created_at,
+  l.status AS lead_status, l.updated_by AS lead_updated_by, l.updated_at AS lead_updated_at,
+  (SELECT COUNT(*) FROM booking_notes n WHERE n.booking_id = b.id) AS note_count`
+
+function leadState(row: LeadColumns): LeadState {
+  return {
+    status: row.lead_status ?? 'new',
+    updatedBy: row.lead_updated_by ?? undefined,
+    updatedAt: row.lead_updated_at ?? undefined,
+  }
+}
+
+function toSubmission(row: SubmissionRow): Submission {
+  return {
+    id: row.id,
+    page: row.page ?? '',
+    language: row.language ?? '',
+    name: row.name,
+    email: row.email,
+    phone: row.phone ?? undefined,
+    message: row.message,
+    spamScore: row.spam_score,
+    spamReasons: row.spam_reasons ? row.spam_reasons.split(',') : [],
+    createdAt: row.created_at,
+    lead: leadState(row),
+    noteCount: row.note_count,
+  }
+}
+
+function toBooking(row: BookingRow): Booking {
+  return {
+    id: row.id,
+    meetingTypeId: row.meeting_type_id,
+    name: row.name,
+    email: row.email,
+    phone: row.phone ?? undefined,
+    notes: row.notes ?? undefined,
+    visitorTimeZone: row.visitor_timezone ?? undefined,
+    lang: row.lang ?? 'en',
+    hostIds: row.host_ids ? row.host_ids.split(',') : [],
+    start: row.start_time,
+    end: row.end_time,
+    status: row.status,
+    createdAt: row.created_at,
+    lead: leadState(row),
+    noteCount: row.note_count,
+  }
+}
+
+function toNote(row: NoteRow): Note {
+  return { id: row.id, body: row.body, author: row.author, createdAt: row.created_at }
+}
+
+/** Newest first. */
+export async function listSubmissions(env: Env, filter: SubmissionFilter, limit: number): Promise<Submission[]> {
+  const where = submissionWhere(filter)
+  const n = where.binds.length
+  const { results } = await env.FORM_DB.prepare(
+    `SELECT ${SUBMISSION_COLUMNS}
+     FROM submissions s LEFT JOIN submission_leads l ON l.submission_id = s.id
+     ${where.sql}
+     ORDER BY s.created_at DESC, s.id DESC
+     LIMIT ?${n + 1} OFFSET ?${n + 2}`,
+  )
+    .bind(...where.binds, limit, filter.offset)
+    .all<SubmissionRow>()
+  return results.map(toSubmission)
+}
+
+export async function getSubmission(env: Env, id: number): Promise<{ submission: Submission; notes: Note[] } | null> {
+  const [submission, notes] = await env.FORM_DB.batch([
+    env.FORM_DB.prepare(
+      `SELECT ${SUBMISSION_COLUMNS}
+       FROM submissions s LEFT JOIN submission_leads l ON l.submission_id = s.id
+       WHERE s.id = ?`,
+    ).bind(id),
+    env.FORM_DB.prepare(
+      `SELECT id, body, author, created_at FROM submission_notes WHERE submission_id = ? ORDER BY id`,
+    ).bind(id),
+  ])
+  const row = (submission.results as SubmissionRow[])[0]
+  if (!row) return null
+  return { submission: toSubmission(row), notes: (notes.results as NoteRow[]).map(toNote) }
+}
+
+export async function setSubmissionLead(env: Env, id: number, status: LeadStatus, author: string): Promise<void> {
+  await env.FORM_DB.prepare(
+    `INSERT INTO submission_leads (submission_id, status, updated_by) VALUES (?, ?, ?)
+     ON CONFLICT (submission_id) DO UPDATE
+       SET status = excluded.status, updated_by = excluded.updated_by, updated_at = datetime('now')`,
+  )
+    .bind(id, status, author)
+    .run()
+}
+
+export async function addSubmissionNote(env: Env, id: number, body: string, author: string): Promise<void> {
+  await env.FORM_DB.prepare(`INSERT INTO submission_notes (submission_id, body, author) VALUES (?, ?, ?)`)
+    .bind(id, body, author)
+    .run()
+}
+
+/** Values that have come in so far, for the filter dropdowns. */
+export async function submissionFacets(env: Env): Promise<{ pages: string[]; languages: string[] }> {
+  const [pages, languages] = await env.FORM_DB.batch([
+    env.FORM_DB.prepare(`SELECT DISTINCT page AS value FROM submissions WHERE page IS NOT NULL ORDER BY page`),
+    env.FORM_DB.prepare(
+      `SELECT DISTINCT language AS value FROM submissions WHERE language IS NOT NULL ORDER BY language`,
+    ),
+  ])
+  const values = (result: D1Result) => (result.results as { value: string }[]).map((row) => row.value)
+  return { pages: values(pages), languages: values(languages) }
+}
+
+/** Latest meeting first. */
+export async function listBookings(env: Env, filter: BookingFilter, limit: number): Promise<Booking[]> {
+  const where = bookingWhere(filter)
+  const n = where.binds.length
+  const { results } = await env.BOOKING_DB.prepare(
+    `SELECT ${BOOKING_COLUMNS}
+     FROM bookings b LEFT JOIN booking_leads l ON l.booking_id = b.id
+     ${where.sql}
+     ORDER BY b.start_time DESC, b.id
+     LIMIT ?${n + 1} OFFSET ?${n + 2}`,
+  )
+    .bind(...where.binds, limit, filter.offset)
+    .all<BookingRow>()
+  return results.map(toBooking)
+}
+
+/** A booking with its history, notes and everyone booked onto the same event, itself included. */
+export async function getBooking(
+  env: Env,
+  id: string,
+): Promise<{ booking: Booking; history: BookingHistory[]; notes: Note[]; attendees: Attendee[] } | null> {
+  const [booking, history, notes, attendees] = await env.BOOKING_DB.batch([
+    env.BOOKING_DB.prepare(
+      `SELECT ${BOOKING_COLUMNS}
+       FROM bookings b LEFT JOIN booking_leads l ON l.booking_id = b.id
+       WHERE b.id = ?`,
+    ).bind(id),
+    env.BOOKING_DB.prepare(
+      `SELECT from_status, to_status, start_time, actor, created_at
+       FROM booking_events WHERE booking_id = ? ORDER BY id`,
+    ).bind(id),
+    env.BOOKING_DB.prepare(`SELECT id, body, author, created_at FROM booking_notes WHERE booking_id = ? ORDER BY id`).bind(
+      id,
+    ),
+    env.BOOKING_DB.prepare(
+      `SELECT id, name, email, status FROM bookings
+       WHERE google_event_id = (SELECT google_event_id FROM bookings WHERE id = ?)
+       ORDER BY created_at, id`,
+    ).bind(id),
+  ])
+  const row = (booking.results as BookingRow[])[0]
+  if (!row) return null
+  return {
+    booking: toBooking(row),
+    history: (history.results as HistoryRow[]).map((event) => ({
+      fromStatus: event.from_status ?? undefined,
+      toStatus: event.to_status,
+      start: event.start_time ?? undefined,
+      actor: event.actor,
+      createdAt: event.created_at,
+    })),
+    notes: (notes.results as NoteRow[]).map(toNote),
+    attendees: attendees.results as AttendeeRow[],
+  }
+}
+
+export async function setBookingLead(env: Env, id: string, status: LeadStatus, author: string): Promise<void> {
+  await env.BOOKING_DB.prepare(
+    `INSERT INTO booking_leads (booking_id, status, updated_by) VALUES (?, ?, ?)
+     ON CONFLICT (booking_id) DO UPDATE
+       SET status = excluded.status, updated_by = excluded.updated_by, updated_at = datetime('now')`,
+  )
+    .bind(id, status, author)
+    .run()
+}
+
+export async function addBookingNote(env: Env, id: string, body: string, author: string): Promise<void> {
+  await env.BOOKING_DB.prepare(`INSERT INTO booking_notes (booking_id, body, author) VALUES (?, ?, ?)`)
+    .bind(id, body, author)
+    .run()
+}
+
+export async function bookingFacets(env: Env): Promise<{ meetingTypes: string[]; langs: string[] }> {
+  const [meetingTypes, langs] = await env.BOOKING_DB.batch([
+    env.BOOKING_DB.prepare(`SELECT DISTINCT meeting_type_id AS value FROM bookings ORDER BY meeting_type_id`),
+    env.BOOKING_DB.prepare(`SELECT DISTINCT lang AS value FROM bookings ORDER BY lang`),
+  ])
+  const values = (result: D1Result) => (result.results as { value: string }[]).map((row) => row.value)
+  return { meetingTypes: values(meetingTypes), langs: values(langs) }
+}
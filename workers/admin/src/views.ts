@@ -0,0 +1,335 @@
+import type { Admin } from './auth'
+import {
+  bookingStatuses,
+  filterQuery,
+  intents,
+  leadStatuses,
+  PAGE_SIZE,
+  SPAM_THRESHOLD,
+  type BookingFilter,
+  type SubmissionFilter,
+} from './filters'
+import { splitStoredMessage } from './message'
+import type { Attendee, Booking, BookingHistory, Note, Submission } from './store'
+
+export function escapeHtml(value: string): string {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+const STYLE = `
+  :root { color-scheme: light dark; --line: color-mix(in srgb, currentColor 15%, transparent); }
+  body { margin: 0; font: 14px/1.45 system-ui, sans-serif; }
+  header { display: flex; gap: 1.5rem; align-items: baseline; padding: 0.75rem 1.5rem; border-bottom: 1px solid var(--line); }
+  header strong { margin-inline-end: auto; }
+  header a[aria-current] { font-weight: 600; text-decoration: none; }
+  main { padding: 1rem 1.5rem 3rem; max-width: 80rem; }
+  form.filters { display: flex; flex-wrap: wrap; gap: 0.5rem; align-items: end; margin-block-end: 1rem; }
+  form.filters label { display: flex; flex-direction: column; gap: 0.15rem; font-size: 12px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: start; padding: 0.4rem 0.5rem; border-bottom: 1px solid var(--line); vertical-align: top; }
+  th { font-size: 12px; font-weight: 600; }
+  td.clip { max-width: 28rem; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .badge { display: inline-block; padding: 0 0.4rem; border-radius: 0.6rem; border: 1px solid var(--line); font-size: 12px; }
+  .badge[data-lead='qualified'] { border-color: #b58a00; }
+  .badge[data-lead='won'] { border-color: #1a7f37; }
+  .badge[data-lead='lost'] { border-color: #a40e26; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.3rem 1rem; }
+  dt { font-weight: 600; }
+  dd { margin: 0; }
+  pre { white-space: pre-wrap; font: inherit; margin: 0; }
+  .notes li { margin-block-end: 0.75rem; }
+  .muted { opacity: 0.7; font-size: 12px; }
+  .pager { display: flex; gap: 1rem; margin-block-start: 1rem; }
+`
+
+function layout(title: string, admin: Admin, section: 'submissions' | 'bookings', body: string): string {
+  const current = (name: string) => (name === section ? ' aria-current="page"' : '')
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)} · Baseet admin</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<header>
+  <strong>Baseet admin</strong>
+  <a href="/submissions"${current('submissions')}>Contact submissions</a>
+  <a href="/bookings"${current('bookings')}>Bookings</a>
+  <span class="muted">${escapeHtml(admin.name)}</span>
+</header>
+<main>
+${body}
+</main>
+</body>
+</html>`
+}
+
+function options(values: readonly string[], selected: string, anyLabel: string): string {
+  return [`<option value="">${escapeHtml(anyLabel)}</option>`]
+    .concat(
+      values.map(
+        (value) =>
+          `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(value)}</option>`,
+      ),
+    )
+    .join('')
+}
+
+function select(name: string, label: string, values: readonly string[], selected: string): string {
+  return `<label>${label}<select name="${name}">${options(values, selected, 'Any')}</select></label>`
+}
+
+function dateInputs(filter: { from: string; to: string }): string {
+  return `<label>From (UTC)<input type="date" name="from" value="${filter.from}"></label>
+    <label>To (UTC)<input type="date" name="to" value="${filter.to}"></label>`
+}
+
+function leadBadge(status: string): string {
+  return `<span class="badge" data-lead="${escapeHtml(status)}">${escapeHtml(status)}</span>`
+}
+
+/** `rows` holds one more than a page when there is a next one. */
+function pager(path: string, filter: SubmissionFilter | BookingFilter, rowCount: number): string {
+  const links: string[] = []
+  if (filter.offset > 0) {
+    links.push(`<a href="${path}${escapeHtml(filterQuery(filter, { offset: Math.max(0, filter.offset - PAGE_SIZE) }))}">← Newer</a>`)
+  }
+  if (rowCount > PAGE_SIZE) {
+    links.push(`<a href="${path}${escapeHtml(filterQuery(filter, { offset: filter.offset + PAGE_SIZE }))}">Older →</a>`)
+  }
+  return links.length ? `<nav class="pager">${links.join('')}</nav>` : ''
+}
+
+function exportLink(path: string, filter: SubmissionFilter | BookingFilter): string {
+  return `<a href="${path}.csv${escapeHtml(filterQuery(filter, { offset: 0 }))}">Export CSV</a>`
+}
+
+function notesSection(action: string, notes: readonly Note[]): string {
+  const list = notes.length
+    ? `<ul class="notes">${notes
+        .map(
+          (note) =>
+            `<li><pre>${escapeHtml(note.body)}</pre><span class="muted">${escapeHtml(note.author)} · ${escapeHtml(note.createdAt)} UTC</span></li>`,
+        )
+        .join('')}</ul>`
+    : '<p class="muted">No notes yet.</p>'
+  return `<h2>Internal notes</h2>
+${list}
+<form method="post" action="${action}">
+  <textarea name="body" rows="3" cols="60" required maxlength="4000"></textarea><br>
+  <button type="submit">Add note</button>
+</form>`
+}
+
+function leadForm(action: string, lead: Submission['lead']): string {
+  const changed = lead.updatedBy ? ` <span class="muted">by ${escapeHtml(lead.updatedBy)}, ${escapeHtml(lead.updatedAt ?? '')} UTC</span>` : ''
+  return `<form method="post" action="${action}">
+  <label>Lead <select name="status">${leadStatuses
+    .map((status) => `<option${status === lead.status ? ' selected' : ''}>${status}</option>`)
+    .join('')}</select></label>
+  <button type="submit">Save</button>${changed}
+</form>`
+}
+
+export function submissionsPage(
+  admin: Admin,
+  filter: SubmissionFilter,
+  rows: readonly Submission[],
+  facets: { pages: string[]; languages: string[] },
+): string {
+  const body = rows
+    .slice(0, PAGE_SIZE)
+    .map((row) => {
+      const message = splitStoredMessage(row.message)
+      return `<tr>
+  <td>${escapeHtml(row.createdAt)}</td>
+  <td><a href="/submissions/${row.id}">${escapeHtml(row.name)}</a><br><span class="muted">${escapeHtml(row.email)}</span></td>
+  <td>${leadBadge(row.lead.status)}${row.noteCount ? ` <span class="muted">${row.noteCount} notes</span>` : ''}${
+    row.spamScore >= SPAM_THRESHOLD ? ' <span class="badge" data-lead="lost">spam</span>' : ''
+  }</td>
+  <td>${escapeHtml(row.language)}</td>
+  <td>${escapeHtml(row.page)}</td>
+  <td>${escapeHtml(message.intent.join(', '))}</td>
+  <td class="clip">${escapeHtml(message.subject || message.body)}</td>
+</tr>`
+    })
+    .join('\n')
+
+  return layout(
+    'Contact submissions',
+    admin,
+    'submissions',
+    `<form class="filters" method="get" action="/submissions">
+  <label>Search<input type="search" name="q" value="${escapeHtml(filter.q)}" placeholder="Name, email, phone, message"></label>
+  ${select('lead', 'Lead', leadStatuses, filter.lead)}
+  ${select('language', 'Locale', facets.languages, filter.language)}
+  ${select('page', 'Page', facets.pages, filter.page)}
+  ${select('intent', 'Intent', intents, filter.intent)}
+  <label>Spam<select name="spam">
+    <option value="">Hidden</option>
+    <option value="include"${filter.spam === 'include' ? ' selected' : ''}>Included</option>
+    <option value="only"${filter.spam === 'only' ? ' selected' : ''}>Only spam</option>
+  </select></label>
+  ${dateInputs(filter)}
+  <button type="submit">Filter</button>
+  <a href="/submissions">Clear</a>
+  ${exportLink('/submissions', filter)}
+</form>
+<table>
+<thead><tr><th>Received (UTC)</th><th>From</th><th>Lead</th><th>Locale</th><th>Page</th><th>Intent</th><th>Message</th></tr></thead>
+<tbody>
+${body || '<tr><td colspan="7">Nothing matches.</td></tr>'}
+</tbody>
+</table>
+${pager('/submissions', filter, rows.length)}`,
+  )
+}
+
+export function submissionPage(admin: Admin, submission: Submission, notes: readonly Note[]): string {
+  const message = splitStoredMessage(submission.message)
+  const base = `/submissions/${submission.id}`
+  return layout(
+    submission.name,
+    admin,
+    'submissions',
+    `<p><a href="/submissions">← All submissions</a></p>
+<h1>${escapeHtml(submission.name)}</h1>
+<dl>
+  <dt>Email</dt><dd><a href="mailto:${escapeHtml(submission.email)}">${escapeHtml(submission.email)}</a></dd>
+  ${submission.phone ? `<dt>Phone</dt><dd>${escapeHtml(submission.phone)}</dd>` : ''}
+  <dt>Received</dt><dd>${escapeHtml(submission.createdAt)} UTC</dd>
+  <dt>Locale</dt><dd>${escapeHtml(submission.language)}</dd>
+  <dt>Page</dt><dd>${escapeHtml(submission.page)}</dd>
+  <dt>Intent</dt><dd>${escapeHtml(message.intent.join(', ') || '—')}</dd>
+  <dt>Subject</dt><dd>${escapeHtml(message.subject || '—')}</dd>
+  <dt>Message</dt><dd><pre>${escapeHtml(message.body)}</pre></dd>
+  <dt>Spam score</dt><dd>${submission.spamScore}${
+      submission.spamReasons.length ? ` <span class="muted">(${escapeHtml(submission.spamReasons.join(', '))})</span>` : ''
+    }${submission.spamScore >= SPAM_THRESHOLD ? ' — not sent to Telegram' : ''}</dd>
+</dl>
+${leadForm(`${base}/lead`, submission.lead)}
+${notesSection(`${base}/notes`, notes)}`,
+  )
+}
+
+export function bookingsPage(
+  admin: Admin,
+  filter: BookingFilter,
+  rows: readonly Booking[],
+  facets: { meetingTypes: string[]; langs: string[] },
+): string {
+  const body = rows
+    .slice(0, PAGE_SIZE)
+    .map(
+      (row) => `<tr>
+  <td>${escapeHtml(utcMinute(row.start))}</td>
+  <td><a href="/bookings/${encodeURIComponent(row.id)}">${escapeHtml(row.name)}</a><br><span class="muted">${escapeHtml(row.email)}</span></td>
+  <td>${escapeHtml(row.meetingTypeId)}</td>
+  <td>${escapeHtml(row.status)}</td>
+  <td>${leadBadge(row.lead.status)}${row.noteCount ? ` <span class="muted">${row.noteCount} notes</span>` : ''}</td>
+  <td>${escapeHtml(row.lang)}</td>
+  <td class="clip">${escapeHtml(row.notes ?? '')}</td>
+</tr>`,
+    )
+    .join('\n')
+
+  return layout(
+    'Bookings',
+    admin,
+    'bookings',
+    `<form class="filters" method="get" action="/bookings">
+  <label>Search<input type="search" name="q" value="${escapeHtml(filter.q)}" placeholder="Name, email, phone, answers"></label>
+  ${select('status', 'Status', bookingStatuses, filter.status)}
+  ${select('lead', 'Lead', leadStatuses, filter.lead)}
+  ${select('meetingType', 'Meeting', facets.meetingTypes, filter.meetingType)}
+  ${select('lang', 'Locale', facets.langs, filter.lang)}
+  ${dateInputs(filter)}
+  <button type="submit">Filter</button>
+  <a href="/bookings">Clear</a>
+  ${exportLink('/bookings', filter)}
+</form>
+<table>
+<thead><tr><th>Starts (UTC)</th><th>Who</th><th>Meeting</th><th>Status</th><th>Lead</th><th>Locale</th><th>Notes from the form</th></tr></thead>
+<tbody>
+${body || '<tr><td colspan="7">Nothing matches.</td></tr>'}
+</tbody>
+</table>
+${pager('/bookings', filter, rows.length)}`,
+  )
+}
+
+/** Everyone with a seat in the same group session; nothing for a one-to-one booking. */
+function attendeesSection(booking: Booking, attendees: readonly Attendee[]): string {
+  if (attendees.length < 2) return ''
+  const seated = attendees.filter((attendee) => attendee.status !== 'cancelled').length
+  const list = attendees
+    .map((attendee) => {
+      const name =
+        attendee.id === booking.id
+          ? `<strong>${escapeHtml(attendee.name)}</strong>`
+          : `<a href="/bookings/${encodeURIComponent(attendee.id)}">${escapeHtml(attendee.name)}</a>`
+      return `<li>${name} <span class="muted">${escapeHtml(attendee.email)} · ${escapeHtml(attendee.status)}</span></li>`
+    })
+    .join('')
+  return `<h2>Attendees <span class="muted">${seated} seated</span></h2>
+<ul>${list}</ul>`
+}
+
+export function bookingPage(
+  admin: Admin,
+  booking: Booking,
+  history: readonly BookingHistory[],
+  notes: readonly Note[],
+  attendees: readonly Attendee[],
+): string {
+  const base = `/bookings/${encodeURIComponent(booking.id)}`
+  const events = history
+    .map(
+      (event) =>
+        `<li>${escapeHtml(event.fromStatus ? `${event.fromStatus} → ${event.toStatus}` : event.toStatus)}${
+          event.start ? ` for ${escapeHtml(utcMinute(event.start))} UTC` : ''
+        } <span class="muted">by ${escapeHtml(event.actor)}, ${escapeHtml(event.createdAt)} UTC</span></li>`,
+    )
+    .join('')
+  return layout(
+    booking.name,
+    admin,
+    'bookings',
+    `<p><a href="/bookings">← All bookings</a></p>
+<h1>${escapeHtml(booking.name)}</h1>
+<dl>
+  <dt>Email</dt><dd><a href="mailto:${escapeHtml(booking.email)}">${escapeHtml(booking.email)}</a></dd>
+  ${booking.phone ? `<dt>Phone</dt><dd>${escapeHtml(booking.phone)}</dd>` : ''}
+  <dt>Meeting</dt><dd>${escapeHtml(booking.meetingTypeId)}${booking.hostIds.length ? ` with ${escapeHtml(booking.hostIds.join(', '))}` : ''}</dd>
+  <dt>Time</dt><dd>${escapeHtml(utcMinute(booking.start))} – ${escapeHtml(utcMinute(booking.end).slice(11))} UTC${
+      booking.visitorTimeZone ? ` <span class="muted">(visitor in ${escapeHtml(booking.visitorTimeZone)})</span>` : ''
+    }</dd>
+  <dt>Status</dt><dd>${escapeHtml(booking.status)}</dd>
+  <dt>Locale</dt><dd>${escapeHtml(booking.lang)}</dd>
+  <dt>Booked</dt><dd>${escapeHtml(booking.createdAt)} UTC</dd>
+  <dt>From the form</dt><dd><pre>${escapeHtml(booking.notes ?? '—')}</pre></dd>
+</dl>
+${attendeesSection(booking, attendees)}
+${leadForm(`${base}/lead`, booking.lead)}
+<h2>History</h2>
+<ul>${events}</ul>
+${notesSection(`${base}/notes`, notes)}`,
+  )
+}
+
+export function notFoundPage(admin: Admin): string {
+  return layout('Not found', admin, 'submissions', '<p>Nothing here. <a href="/submissions">Back to submissions</a></p>')
+}
+
+/** `2026-08-18T15:00:00.000Z` → `2026-08-18 15:00`. */
+function utcMinute(iso: string): string {
+  return iso.slice(0, 16).replace('T', ' ')
+}
@@ -0,0 +1,106 @@
+CREATE TABLE IF NOT EXISTS bookings (
+  id TEXT PRIMARY KEY,
+  meeting_type_id TEXT NOT NULL,
+  google_event_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  email TEXT NOT NULL,
+  phone TEXT,
+  notes TEXT,
+  visitor_timezone TEXT,
+  -- Site locale the visitor booked from; picks the language of booking emails.
+  lang TEXT NOT NULL DEFAULT 'en',
+  meet_url TEXT,
+  -- How the meeting happens (config.ts LocationKind) and the calendar's location line for it:
+  -- the number we call, the WhatsApp link or the office address. NULL kind: a video call.
+  location TEXT,
+  location_text TEXT,
+  -- Comma-separated host ids from config.ts; NULL for types without hosts.
+  host_ids TEXT,
+  start_time TEXT NOT NULL,
+  end_time TEXT NOT NULL,
+  -- JSON from src/attribution.ts (utm_*, referrer, landing_page, at); NULL when the browser sent none.
+  first_touch TEXT,
+  last_touch TEXT,
+  -- Where on the site the booking started (`project:<slug>`, `service:<slug>`); NULL from the contact page.
+  source TEXT,
+  -- The invite's UID and SEQUENCE as cancelled, so the .ics feed can cancel it once the calendar
+  -- has deleted the event. NULL until the booking is cancelled.
+  ical_uid TEXT,
+  ical_sequence INTEGER,
+  status TEXT NOT NULL DEFAULT 'confirmed'
+    CHECK (status IN ('confirmed', 'rescheduled', 'cancelled', 'no-show')),
+  created_at TEXT DEFAULT (datetime('now')),
+  updated_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS bookings_google_event_id ON bookings (google_event_id);
+CREATE INDEX IF NOT EXISTS bookings_start_time ON bookings (start_time);
+
+-- One row per status change, including the initial `confirmed`.
+CREATE TABLE IF NOT EXISTS booking_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  booking_id TEXT NOT NULL REFERENCES bookings (id),
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  start_time TEXT,
+  end_time TEXT,
+  actor TEXT NOT NULL,
+  created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS booking_events_booking_id ON booking_events (booking_id);
+
+-- One row per email sent for a booking's start time, so a reschedule gets a fresh set.
+CREATE TABLE IF NOT EXISTS booking_messages (
+  booking_id TEXT NOT NULL REFERENCES bookings (id),
+  kind TEXT NOT NULL
+    CHECK (kind IN ('confirmation', 'reminder_24h', 'reminder_1h', 'follow_up')),
+  start_time TEXT NOT NULL,
+  sent_at TEXT DEFAULT (datetime('now')),
+  PRIMARY KEY (booking_id, kind, start_time)
+);
+
+-- Visitors waiting for a slot on days that were full. A cancel offers the freed slot to the
+-- first matching entry through a short hold in BookingLock.
+CREATE TABLE IF NOT EXISTS waitlist (
+  id TEXT PRIMARY KEY,
+  meeting_type_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  email TEXT NOT NULL,
+  lang TEXT NOT NULL DEFAULT 'en',
+  visitor_timezone TEXT,
+  -- Comma-separated agency-timezone days (YYYY-MM-DD).
+  dates TEXT NOT NULL,
+  part_of_day TEXT NOT NULL DEFAULT 'any'
+    CHECK (part_of_day IN ('any', 'morning', 'afternoon', 'evening')),
+  status TEXT NOT NULL DEFAULT 'waiting'
+    CHECK (status IN ('waiting', 'booked')),
+  offers INTEGER NOT NULL DEFAULT 0,
+  last_offered_at TEXT,
+  -- The booking made from an offer.
+  google_event_id TEXT,
+  created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS waitlist_meeting_type_status ON waitlist (meeting_type_id, status);
+
+-- Admin console (workers/admin). A booking without a row here is a `new` lead; the lead
+-- status is the team's sales view and separate from the booking's own `status`.
+CREATE TABLE IF NOT EXISTS booking_leads (
+  booking_id TEXT PRIMARY KEY REFERENCES bookings (id),
+  status TEXT NOT NULL DEFAULT 'new'
+    CHECK (status IN ('new', 'qualified', 'won', 'lost')),
+  updated_by TEXT,
+  updated_at TEXT DEFAULT (datetime('now'))
+);
+
+-- Internal notes; never shown to the visitor or written to the invite.
+CREATE TABLE IF NOT EXISTS booking_notes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  booking_id TEXT NOT NULL REFERENCES bookings (id),
+  body TEXT NOT NULL,
+  author TEXT NOT NULL,
+  created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS booking_notes_booking_id ON booking_notes (booking_id);
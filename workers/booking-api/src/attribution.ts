@@ -0,0 +1,56 @@
+/** Same list and limits as the site's `src/scripts/attribution.ts`, which collects these. */
+const UTM_KEYS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'] as const
+const VALUE_MAX = 200
+const URL_MAX = 500
+
+export type Touch = Partial<Record<(typeof UTM_KEYS)[number], string>> & {
+  referrer?: string
+  landing_page?: string
+  at?: string
+}
+
+/** Either touch is null when the visitor's browser sent nothing usable for it. */
+export type Attribution = { firstTouch: Touch | null; lastTouch: Touch | null }
+
+function text(value: unknown, max: number): string | undefined {
+  return typeof value === 'string' && value.trim() ? value.trim().slice(0, max) : undefined
+}
+
+function readTouch(raw: unknown): Touch | null {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null
+  const input = raw as Record<string, unknown>
+  const touch: Touch = {}
+  for (const key of UTM_KEYS) {
+    const value = text(input[key], VALUE_MAX)
+    if (value) touch[key] = value
+  }
+  const referrer = text(input.referrer, URL_MAX)
+  if (referrer && /^https?:\/\//i.test(referrer)) touch.referrer = referrer
+  const landing = text(input.landing_page, URL_MAX)
+  if (landing?.startsWith('/')) touch.landing_page = landing
+  const at = text(input.at, 40)
+  if (at && !Number.isNaN(Date.parse(at))) touch.at = new Date(at).toISOString()
+  return Object.keys(touch).length ? touch : null
+}
+
+/**
+ * Reads the request's `attribution`: an object, or its JSON when the form sent multipart. It is
+ * the visitor's own claim about how they found us, so anything malformed is dropped, never refused.
+ */
+export function parseAttribution(raw: unknown): Attribution {
+  let value = raw
+  if (typeof raw === 'string') {
+    try {
+      value = JSON.parse(raw)
+    } catch {
+      value = null
+    }
+  }
+  const input = value && typeof value === 'object' ? (value as Record<string, unknown>) : {}
+  return { firstTouch: readTouch(input.first_touch), lastTouch: readTouch(input.last_touch) }
+}
+
+/** How a touch is stored in D1; `json_extract(first_touch, '$.utm_source')` reads it back. */
+export function touchJson(touch: Touch | null | undefined): string | null {
+  return touch ? JSON.stringify(touch) : null
+}
@@ -1,46 +1,226 @@
-import { availability, getMeetingType } from './config'
-import type { Env } from './env'
+import links from '../../../src/content/data/links.json'
 import {
-  deleteEvent,
-  insertEvent,
-  listEvents,
-  mintAccessToken,
-  queryFreeBusy,
-  type CalendarEvent,
-} from './google'
+  availabilityFor,
+  capacityOf,
+  dateOverridesFor,
+  getMeetingType,
+  hosts,
+  type HostStrategy,
+  type LocationKind,
+  type MeetingType,
+} from './config'
+import type { Env } from './env'
+import { cachedBusy, type BusyCache } from './cache'
+import type { CalendarEvent, CalendarProvider, EventAttendee, EventLocation } from './calendar'
+import { mapUrl } from './ics'
+import { needsEveryHost, parseHostCalendars, pickHosts, teamFor, type CalendarHost } from './hosts'
 import {
   dayUtcRange,
   eventsOverlap,
+  isOnSlotGrid,
   monthUtcRange,
   openDaysForMonth,
   slotsForDate,
+  slotStatus,
+  subtractBusy,
   ymdInZone,
   type BusyBlock,
 } from './slots'
-import type { BookPayload } from './validate'
+import { calendarFor } from './providers'
+import {
+  findBooking,
+  insertBooking,
+  lastBookedByHost,
+  recordCancelledInvite,
+  transitionBooking,
+  type BookingActor,
+  type BookingRecord,
+  type CancelledInvite,
+} from './store'
+import { signManageToken, type ManageClaims } from './token'
+import type { BookPayload, IntakeAnswers } from './validate'
 
 export function agencyTimeZone(env: Env): string {
   return env.AGENCY_TIMEZONE || 'Asia/Dubai'
 }
 
+/** The booking widget on the contact page, opened with one query parameter. */
+function widgetUrl(env: Env, param: string, value: string): string {
+  const base = env.BOOKING_MANAGE_URL || 'https://baseetstudio.com/contact/'
+  const url = new URL(base)
+  url.searchParams.set(param, value)
+  url.hash = 'contact-meeting'
+  return url.toString()
+}
+
+export function manageUrl(env: Env, manageToken: string): string {
+  return widgetUrl(env, 'booking', manageToken)
+}
+
+/** Where a waitlist offer sends the visitor to book the slot it holds. */
+export function holdUrl(env: Env, holdId: string): string {
+  return widgetUrl(env, 'hold', holdId)
+}
+
 function slotWindow(
   timeZone: string,
-  durationMinutes: number,
+  meetingType: MeetingType,
   now: Date,
   busy: BusyBlock[],
 ) {
+  const rules = availabilityFor(meetingType)
   return {
-    durationMinutes,
+    durationMinutes: meetingType.durationMinutes,
     timeZone,
     now,
     busy,
-    workingDays: availability.workingDays,
-    workingHours: availability.workingHours,
-    weekendHours: availability.weekendHours,
-    bufferMinutes: availability.bufferMinutes,
-    minNoticeHours: availability.minNoticeHours,
-    maxDaysAhead: availability.maxDaysAhead,
+    workingDays: rules.workingDays,
+    workingHours: rules.workingHours,
+    weekendHours: rules.weekendHours,
+    bufferMinutes: rules.bufferMinutes,
+    minNoticeHours: rules.minNoticeHours,
+    maxDaysAhead: rules.maxDaysAhead,
+    slotStepMinutes: rules.slotStepMinutes,
+    slotAlignMinutes: rules.slotAlignMinutes,
+    overrides: dateOverridesFor(meetingType),
+  }
+}
+
+/** The type with the buffer its location needs, so every slot check below keeps to it. */
+function atLocation(meetingType: MeetingType, location?: LocationKind): MeetingType {
+  return { ...meetingType, availability: availabilityFor(meetingType, location) }
+}
+
+function strategyFor(meetingType: MeetingType): HostStrategy {
+  return meetingType.hostStrategy ?? 'any'
+}
+
+function teamOf(env: Env, meetingType: MeetingType): CalendarHost[] {
+  return teamFor(meetingType, hosts, parseHostCalendars(env.HOST_CALENDAR_IDS))
+}
+
+/** Free/busy by calendar id; either straight from the calendar or through the availability cache. */
+type BusySource = (ids: string[], timeMin: Date, timeMax: Date) => Promise<Map<string, BusyBlock[]>>
+
+function calendarBusy(calendar: CalendarProvider): BusySource {
+  return (ids, timeMin, timeMax) => calendar.freeBusy(ids, timeMin, timeMax)
+}
+
+/** For availability views. The calendar is only asked when the cache misses. */
+function cachedCalendarBusy(calendar: CalendarProvider, cache?: BusyCache): BusySource {
+  const fetchBusy = calendarBusy(calendar)
+  if (!cache) return fetchBusy
+  return (ids, timeMin, timeMax) => cachedBusy(cache, fetchBusy, ids, timeMin, timeMax)
+}
+
+/**
+ * The trip to and from each in-person booking on the calendar, as busy time for its hosts. Free/busy
+ * has no location, so every booking would otherwise keep only the type's own buffer clear of one.
+ * The blocks reach past the meeting by what `inPersonBufferMinutes` adds to that buffer; none are
+ * needed when the buffer already covers the trip, as it does for an in-person booking.
+ */
+async function travelTime(
+  calendar: CalendarProvider,
+  meetingType: MeetingType,
+  team: CalendarHost[],
+  timeMin: Date,
+  timeMax: Date,
+): Promise<Map<string, BusyBlock[]>> {
+  const rules = availabilityFor(meetingType)
+  const tripMs = ((rules.inPersonBufferMinutes ?? 0) - rules.bufferMinutes) * 60 * 1000
+  const travel = new Map<string, BusyBlock[]>()
+  if (tripMs <= 0) return travel
+  const listed = await calendar.listEvents(new Date(timeMin.getTime() - tripMs), new Date(timeMax.getTime() + tripMs))
+  for (const event of listed) {
+    if (event.location !== 'in-person') continue
+    const block = { start: new Date(event.start.getTime() - tripMs), end: new Date(event.end.getTime() + tripMs) }
+    for (const id of team.length === 0 ? [''] : event.hosts) travel.set(id, [...(travel.get(id) ?? []), block])
   }
+  return travel
+}
+
+/** Busy time per host id, or for the agency calendar under `''` when the type has no hosts set up. */
+async function busyByHost(
+  calendar: CalendarProvider,
+  source: BusySource,
+  meetingType: MeetingType,
+  team: CalendarHost[],
+  timeMin: Date,
+  timeMax: Date,
+): Promise<Map<string, BusyBlock[]>> {
+  const travel = await travelTime(calendar, meetingType, team, timeMin, timeMax)
+  const withTravel = (id: string, blocks: BusyBlock[] = []): [string, BusyBlock[]] => [
+    id,
+    [...blocks, ...(travel.get(id) ?? [])],
+  ]
+  if (team.length === 0) {
+    const agency = calendar.calendarId
+    const busy = await source([agency], timeMin, timeMax)
+    return new Map([withTravel('', busy.get(agency))])
+  }
+  const byCalendar = await source(
+    team.map((host) => host.calendarId),
+    timeMin,
+    timeMax,
+  )
+  return new Map(team.map((host) => withTravel(host.id, byCalendar.get(host.calendarId))))
+}
+
+/** Held slots are busy for every host: a hold keeps the time, not a particular person. */
+function withHeld(busy: Map<string, BusyBlock[]>, held: BusyBlock[]): Map<string, BusyBlock[]> {
+  if (held.length === 0) return busy
+  return new Map([...busy].map(([id, blocks]) => [id, [...blocks, ...held]] as const))
+}
+
+/** One merged busy list when every host must be free, otherwise one list per host to union over. */
+function busyLists(meetingType: MeetingType, busy: Map<string, BusyBlock[]>): BusyBlock[][] {
+  const lists = [...busy.values()]
+  return needsEveryHost(strategyFor(meetingType)) ? [lists.flat()] : lists
+}
+
+/** Whether the type seats several visitors in one shared session. */
+export function isGroup(meetingType: MeetingType): boolean {
+  return capacityOf(meetingType) > 1
+}
+
+/** A group session already on the calendar. */
+type Session = { id: string; start: Date; seatsLeft: number }
+
+/** The agency calendar and the team's: everyone on a session who does not hold a seat. */
+function staffOf(calendar: CalendarProvider, team: CalendarHost[]): Set<string> {
+  return new Set([calendar.calendarId, ...team.map((host) => host.calendarId)].map((email) => email.toLowerCase()))
+}
+
+function seatHolders(emails: string[], staff: Set<string>): string[] {
+  return emails.map((email) => email.toLowerCase()).filter((email) => !staff.has(email))
+}
+
+/** The type's sessions overlapping the window, with the seats still free in each. */
+async function sessionsBetween(
+  calendar: CalendarProvider,
+  meetingType: MeetingType,
+  team: CalendarHost[],
+  timeMin: Date,
+  timeMax: Date,
+): Promise<Session[]> {
+  if (!isGroup(meetingType)) return []
+  const staff = staffOf(calendar, team)
+  const listed = await calendar.listEvents(timeMin, timeMax)
+  return listed
+    .filter((event) => event.session === meetingType.id)
+    .map((event) => ({
+      id: event.id,
+      start: event.start,
+      seatsLeft: capacityOf(meetingType) - seatHolders(event.attendees, staff).length,
+    }))
+}
+
+/**
+ * Sessions a visitor can still join: a seat left and a start the type's rules still offer.
+ * The session's own event is what makes its time busy, so busy time and holds do not apply.
+ */
+function joinableSessions(sessions: Session[], timeZone: string, meetingType: MeetingType, now: Date): Session[] {
+  return sessions.filter((session) => session.seatsLeft > 0 && isOnGrid(timeZone, meetingType, session.start, now))
 }
 
 export async function monthAvailability(
@@ -48,15 +228,30 @@ export async function monthAvailability(
   month: string,
   meetingTypeId: string,
   now = new Date(),
+  cache?: BusyCache,
+  held: BusyBlock[] = [],
+  location?: LocationKind,
 ): Promise<{ openDays: string[] }> {
-  const meetingType = getMeetingType(meetingTypeId)
-  if (!meetingType) throw new Error('unknown_meeting_type')
+  const type = getMeetingType(meetingTypeId)
+  if (!type) throw new Error('unknown_meeting_type')
+  const meetingType = atLocation(type, location)
   const timeZone = agencyTimeZone(env)
   const range = monthUtcRange(month, timeZone)
-  const token = await mintAccessToken(env)
-  const busy = await queryFreeBusy(env, token, range.timeMin, range.timeMax)
-  const openDays = openDaysForMonth(month, slotWindow(timeZone, meetingType.durationMinutes, now, busy))
-  return { openDays }
+  const calendar = calendarFor(env)
+  const source = cachedCalendarBusy(calendar, cache)
+  const team = teamOf(env, meetingType)
+  const busy = withHeld(await busyByHost(calendar, source, meetingType, team, range.timeMin, range.timeMax), held)
+  const openDays = new Set(
+    busyLists(meetingType, busy).flatMap((blocks) =>
+      openDaysForMonth(month, slotWindow(timeZone, meetingType, now, blocks)),
+    ),
+  )
+  const sessions = await sessionsBetween(calendar, meetingType, team, range.timeMin, range.timeMax)
+  for (const session of joinableSessions(sessions, timeZone, meetingType, now)) {
+    const day = ymdInZone(session.start, timeZone)
+    if (day.startsWith(`${month}-`)) openDays.add(day)
+  }
+  return { openDays: [...openDays].sort() }
 }
 
 export async function dateAvailability(
@@ -64,24 +259,59 @@ export async function dateAvailability(
   date: string,
   meetingTypeId: string,
   now = new Date(),
-): Promise<{ slots: string[] }> {
-  const meetingType = getMeetingType(meetingTypeId)
-  if (!meetingType) throw new Error('unknown_meeting_type')
+  cache?: BusyCache,
+  held: BusyBlock[] = [],
+  location?: LocationKind,
+): Promise<{ slots: string[]; seats?: Record<string, number> }> {
+  const type = getMeetingType(meetingTypeId)
+  if (!type) throw new Error('unknown_meeting_type')
+  const meetingType = atLocation(type, location)
   const timeZone = agencyTimeZone(env)
+  const rules = availabilityFor(meetingType)
   const range = dayUtcRange(
     date,
     timeZone,
-    availability.workingHours,
-    availability.bufferMinutes,
-    availability.weekendHours,
+    rules.workingHours,
+    rules.bufferMinutes,
+    rules.weekendHours,
+    dateOverridesFor(meetingType),
   )
-  const token = await mintAccessToken(env)
-  const busy = await queryFreeBusy(env, token, range.timeMin, range.timeMax)
-  const slots = slotsForDate({
-    date,
-    ...slotWindow(timeZone, meetingType.durationMinutes, now, busy),
-  })
-  return { slots: slots.map((slot) => slot.toISOString()) }
+  const calendar = calendarFor(env)
+  const source = cachedCalendarBusy(calendar, cache)
+  const team = teamOf(env, meetingType)
+  const busy = withHeld(await busyByHost(calendar, source, meetingType, team, range.timeMin, range.timeMax), held)
+  const slots = new Set(
+    busyLists(meetingType, busy).flatMap((blocks) =>
+      slotsForDate({ date, ...slotWindow(timeZone, meetingType, now, blocks) }).map((slot) => slot.toISOString()),
+    ),
+  )
+  if (!isGroup(meetingType)) return { slots: [...slots].sort() }
+
+  // A free slot starts a new session with every seat open; an existing session shows what is left.
+  const seats = new Map([...slots].map((slot) => [slot, capacityOf(meetingType)]))
+  const sessions = await sessionsBetween(calendar, meetingType, team, range.timeMin, range.timeMax)
+  for (const session of joinableSessions(sessions, timeZone, meetingType, now)) {
+    if (ymdInZone(session.start, timeZone) !== date) continue
+    slots.add(session.start.toISOString())
+    seats.set(session.start.toISOString(), session.seatsLeft)
+  }
+  const sorted = [...slots].sort()
+  return { slots: sorted, seats: Object.fromEntries(sorted.map((slot) => [slot, seats.get(slot) ?? 0])) }
+}
+
+/** Whether `start` is still on offer for the type, exactly as the availability view would show it. */
+export async function isBookable(
+  env: Env,
+  meetingTypeId: string,
+  start: Date,
+  now = new Date(),
+  cache?: BusyCache,
+  held: BusyBlock[] = [],
+  location?: LocationKind,
+): Promise<boolean> {
+  const day = ymdInZone(start, agencyTimeZone(env))
+  const { slots } = await dateAvailability(env, day, meetingTypeId, now, cache, held, location)
+  return slots.includes(start.toISOString())
 }
 
 export class SlotTakenError extends Error {
@@ -91,66 +321,522 @@ export class SlotTakenError extends Error {
   }
 }
 
-export async function executeBook(env: Env, payload: BookPayload, now = new Date()): Promise<CalendarEvent> {
-  const meetingType = getMeetingType(payload.meetingTypeId)
-  if (!meetingType) throw new Error('unknown_meeting_type')
+export class BookingGoneError extends Error {
+  constructor() {
+    super('This booking was cancelled or no longer exists.')
+    this.name = 'BookingGoneError'
+  }
+}
+
+export class AlreadySeatedError extends Error {
+  constructor() {
+    super('You already have a seat in this session.')
+    this.name = 'AlreadySeatedError'
+  }
+}
+
+export type BookResult = {
+  event: CalendarEvent
+  manageToken: string
+}
+
+export type RescheduleResult = {
+  event: CalendarEvent
+  /** The event as it was before the move. */
+  previous: CalendarEvent
+}
+
+/** `busy` covers the slot's whole day, as availability reads it. */
+function statusOf(
+  timeZone: string,
+  meetingType: MeetingType,
+  start: Date,
+  now: Date,
+  busy: BusyBlock[],
+): ReturnType<typeof slotStatus> {
+  return slotStatus({ date: ymdInZone(start, timeZone), ...slotWindow(timeZone, meetingType, now, busy) }, start)
+}
+
+/** Whether the type's rules could ever offer `start`, before any calendar is read. */
+function isOnGrid(timeZone: string, meetingType: MeetingType, start: Date, now: Date): boolean {
+  return isOnSlotGrid({ date: ymdInZone(start, timeZone), ...slotWindow(timeZone, meetingType, now, []) }, start)
+}
+
+/**
+ * Bookings always read the calendar directly; the cache only serves availability views. The
+ * whole day is read, since a busy block before the slot can move the grid it sits on.
+ */
+async function busyOnDay(
+  calendar: CalendarProvider,
+  meetingType: MeetingType,
+  team: CalendarHost[],
+  timeZone: string,
+  start: Date,
+): Promise<Map<string, BusyBlock[]>> {
+  const rules = availabilityFor(meetingType)
+  const range = dayUtcRange(
+    ymdInZone(start, timeZone),
+    timeZone,
+    rules.workingHours,
+    rules.bufferMinutes,
+    rules.weekendHours,
+    dateOverridesFor(meetingType),
+  )
+  return busyByHost(calendar, calendarBusy(calendar), meetingType, team, range.timeMin, range.timeMax)
+}
+
+/** Round-robin order comes from D1; if it cannot be read, hosts are tried in config order. */
+async function recentHosts(env: Env, meetingType: MeetingType): Promise<Map<string, string>> {
+  try {
+    return await lastBookedByHost(env, meetingType.id)
+  } catch (err) {
+    console.error('[booking-api] could not read round-robin history', err)
+    return new Map()
+  }
+}
+
+/**
+ * Who takes the slot, given which keys of `busy` are free at `start`. An empty list means the
+ * agency calendar alone; null means nobody can.
+ */
+async function assignHosts(
+  env: Env,
+  meetingType: MeetingType,
+  team: CalendarHost[],
+  timeZone: string,
+  start: Date,
+  now: Date,
+  busy: Map<string, BusyBlock[]>,
+  current: string[] = [],
+): Promise<CalendarHost[] | null> {
+  const status = [...busy].map(([id, blocks]) => [id, statusOf(timeZone, meetingType, start, now, blocks)] as const)
+  // No calendar's grid reaches the start, so no picker offered it: a bad request, not a taken slot.
+  if (status.every(([, state]) => state === 'off-grid')) throw new Error('invalid_slot')
+  const free = new Set(status.filter(([, state]) => state === 'open').map(([id]) => id))
+  if (team.length === 0) return free.has('') ? [] : null
+
+  const strategy = strategyFor(meetingType)
+  const lastBooked = strategy === 'round-robin' ? await recentHosts(env, meetingType) : undefined
+  const picked = pickHosts(
+    strategy,
+    team.map((host) => host.id),
+    free,
+    lastBooked,
+    current,
+  )
+  return picked && team.filter((host) => picked.includes(host.id))
+}
+
+async function hasConflict(
+  calendar: CalendarProvider,
+  meetingType: MeetingType,
+  eventId: string,
+  start: Date,
+  end: Date,
+  hostIds: string[],
+): Promise<boolean> {
+  const bufferMs = availabilityFor(meetingType).bufferMinutes * 60 * 1000
+  const listed = await calendar.listEvents(new Date(start.getTime() - bufferMs), new Date(end.getTime() + bufferMs))
+  // Every booking lands on the agency calendar; with hosts, only bookings sharing one of them clash.
+  return listed.some(
+    (event) =>
+      event.id !== eventId &&
+      eventsOverlap(start, end, event.start, event.end) &&
+      (hostIds.length === 0 || event.hosts.some((id) => hostIds.includes(id))),
+  )
+}
+
+/** D1 is our record, not the calendar: a failed write is logged rather than undoing the booking. */
+async function persist(label: string, write: Promise<void>): Promise<void> {
+  try {
+    await write
+  } catch (err) {
+    console.error(`[booking-api] ${label}`, err)
+  }
+}
+
+/** Intake answers as `Label: answer` lines for the invite, with option values swapped for their labels. */
+function describeAnswers(meetingType: MeetingType, answers: IntakeAnswers = {}): string {
+  return (meetingType.questions ?? [])
+    .flatMap((question) => {
+      const answer = answers[question.id]
+      if (answer === undefined) return []
+      const shown = (Array.isArray(answer) ? answer : [answer]).map(
+        (value) => question.options?.find((option) => option.value === value)?.label ?? value,
+      )
+      return [`${question.label}: ${shown.join(', ')}`]
+    })
+    .join('\n')
+}
+
+/** The calendar's location line, from the visitor's number or the contact details in `links.json`. */
+function eventLocation(kind: LocationKind, phone?: string): EventLocation {
+  if (kind === 'phone') return { kind, text: phone }
+  if (kind === 'whatsapp') return { kind, text: links.contact.whatsapp_link }
+  if (kind === 'in-person') return { kind, text: links.contact.address }
+  return { kind }
+}
+
+/** Where to meet, for the invite; a video call's link comes with the event itself. */
+function describeLocation(location: EventLocation): string {
+  if (location.kind === 'phone') return `Phone call: we will call ${location.text}`
+  if (location.kind === 'whatsapp') return `WhatsApp call: ${location.text}`
+  if (location.kind === 'in-person' && location.text) {
+    return `In person at our office: ${location.text}\nMap: ${mapUrl(location.text)}`
+  }
+  return ''
+}
+
+/** Google accepts client ids made of base32hex characters; hex is a subset. */
+function newEventId(): string {
+  return crypto.randomUUID().replace(/-/g, '')
+}
+
+/** Every guest of a session reads its invite, so it only says where to meet and how to manage a seat. */
+const SESSION_NOTE = 'Cancel your seat from the link in your confirmation email.'
+
+/**
+ * What the visitor asked and told us. A session's invite is shared, so a seat keeps its
+ * answers here rather than in the invite.
+ */
+function bookingNotes(meetingType: MeetingType, payload: BookPayload): string | undefined {
+  if (!isGroup(meetingType)) return payload.notes
+  return [describeAnswers(meetingType, payload.answers), payload.notes ?? ''].filter(Boolean).join('\n\n') || undefined
+}
+
+function bookingRecord(
+  meetingType: MeetingType,
+  payload: BookPayload,
+  event: CalendarEvent,
+  slot: { location: EventLocation; hostIds: string[]; start: Date; end: Date },
+): BookingRecord {
+  return {
+    id: crypto.randomUUID(),
+    meetingTypeId: meetingType.id,
+    googleEventId: event.id,
+    name: payload.name,
+    email: payload.email,
+    phone: payload.phone,
+    notes: bookingNotes(meetingType, payload),
+    visitorTimeZone: payload.timeZone,
+    lang: payload.lang,
+    meetUrl: event.meetUrl ?? event.hangoutLink,
+    attribution: payload.attribution,
+    source: payload.source,
+    ...slot,
+  }
+}
+
+/** A session as one seat holder sees it: the team and themselves, not the other guests. */
+function asSeat(env: Env, calendar: CalendarProvider, claims: ManageClaims, event: CalendarEvent): CalendarEvent {
+  const attendee = claims.attendee
+  if (!attendee) return event
+  const meetingType = getMeetingType(claims.meetingTypeId)
+  const staff = staffOf(calendar, meetingType ? teamOf(env, meetingType) : [])
+  const kept = (guest: EventAttendee) => staff.has(guest.email.toLowerCase()) || guest.email.toLowerCase() === attendee
+  return { ...event, attendees: event.attendees.filter(kept) }
+}
+
+/** A seat is given up by leaving the guest list; a one-to-one booking holds its event until it goes. */
+function holdsSeat(claims: ManageClaims, event: CalendarEvent): boolean {
+  return !claims.attendee || event.attendees.some((guest) => guest.email.toLowerCase() === claims.attendee)
+}
+
+/** Seats the visitor in a session with room left. The booking lock keeps two joins from racing. */
+async function joinSession(
+  env: Env,
+  calendar: CalendarProvider,
+  meetingType: MeetingType,
+  team: CalendarHost[],
+  sessionId: string,
+  payload: BookPayload,
+): Promise<BookResult> {
+  const session = await liveEvent(calendar, sessionId)
+  if (!session) throw new SlotTakenError()
+  const seated = seatHolders(session.attendees.map((guest) => guest.email), staffOf(calendar, team))
+  if (seated.includes(payload.email)) throw new AlreadySeatedError()
+  if (seated.length >= capacityOf(meetingType)) throw new SlotTakenError()
+
+  const claims: ManageClaims = { eventId: session.id, meetingTypeId: meetingType.id, attendee: payload.email }
+  const manageToken = await signManageToken(env.BOOKING_TOKEN_SECRET, claims)
+  const joined = await calendar.setAttendees(session.id, [
+    ...session.attendees,
+    { email: payload.email, name: payload.name },
+  ])
+
+  await persist(
+    'could not record booking',
+    insertBooking(
+      env,
+      bookingRecord(meetingType, payload, joined, {
+        // The session's place wins over the visitor's pick; a group type normally offers one.
+        location: session.location ?? eventLocation(payload.location, payload.phone),
+        hostIds: session.hosts,
+        start: new Date(session.start),
+        end: new Date(session.end),
+      }),
+      'visitor',
+    ),
+  )
+
+  return { event: asSeat(env, calendar, claims, joined), manageToken }
+}
+
+export async function executeBook(
+  env: Env,
+  payload: BookPayload,
+  now = new Date(),
+  held: BusyBlock[] = [],
+): Promise<BookResult> {
+  const type = getMeetingType(payload.meetingTypeId)
+  if (!type) throw new Error('unknown_meeting_type')
+  const meetingType = atLocation(type, payload.location)
+  const location = eventLocation(payload.location, payload.phone)
 
   const start = new Date(payload.startTime)
   const end = new Date(start.getTime() + meetingType.durationMinutes * 60 * 1000)
   const timeZone = agencyTimeZone(env)
 
-  const date = ymdInZone(start, timeZone)
-  const grid = slotsForDate({
-    date,
-    ...slotWindow(timeZone, meetingType.durationMinutes, now, []),
-  })
-  const startMs = start.getTime()
-  if (!grid.some((slot) => slot.getTime() === startMs)) {
+  if (!isOnGrid(timeZone, meetingType, start, now)) {
     throw new Error('invalid_slot')
   }
 
-  const token = await mintAccessToken(env)
-  const bufferMs = availability.bufferMinutes * 60 * 1000
-  const busy = await queryFreeBusy(
-    env,
-    token,
-    new Date(start.getTime() - bufferMs),
-    new Date(end.getTime() + bufferMs),
-  )
-  const stillFree = slotsForDate({
-    date,
-    ...slotWindow(timeZone, meetingType.durationMinutes, now, busy),
-  }).some((slot) => slot.getTime() === startMs)
+  const calendar = calendarFor(env)
+  const team = teamOf(env, meetingType)
+  const group = isGroup(meetingType)
+  if (group) {
+    const sessions = await sessionsBetween(calendar, meetingType, team, start, end)
+    const open = sessions.find((session) => session.start.getTime() === start.getTime() && session.seatsLeft > 0)
+    if (open) return joinSession(env, calendar, meetingType, team, open.id, payload)
+  }
+
+  const busy = withHeld(await busyOnDay(calendar, meetingType, team, timeZone, start), held)
+  const assigned = await assignHosts(env, meetingType, team, timeZone, start, now, busy)
+  if (!assigned) throw new SlotTakenError()
+  const hostIds = assigned.map((host) => host.id)
 
-  if (!stillFree) throw new SlotTakenError()
+  const eventId = newEventId()
+  const claims: ManageClaims = {
+    eventId,
+    meetingTypeId: meetingType.id,
+    ...(group ? { attendee: payload.email } : {}),
+  }
+  const manageToken = await signManageToken(env.BOOKING_TOKEN_SECRET, claims)
 
-  const descriptionParts = [
-    payload.phone ? `Phone: ${payload.phone}` : '',
-    payload.notes ? payload.notes : '',
-  ].filter(Boolean)
+  const descriptionParts = group
+    ? [describeLocation(location), SESSION_NOTE]
+    : [
+        describeLocation(location),
+        describeAnswers(meetingType, payload.answers),
+        payload.phone && location.kind !== 'phone' ? `Phone: ${payload.phone}` : '',
+        payload.notes ? payload.notes : '',
+        `Reschedule or cancel: ${manageUrl(env, manageToken)}`,
+      ]
 
-  const created = await insertEvent(env, token, {
-    summary: `${meetingType.label} — ${payload.name}`,
-    description: descriptionParts.join('\n\n'),
+  const created = await calendar.insertEvent({
+    id: eventId,
+    summary: group ? meetingType.label : `${meetingType.label} — ${payload.name}`,
+    description: descriptionParts.filter(Boolean).join('\n\n'),
     start,
     end,
     attendeeEmail: payload.email,
-    virtual: meetingType.virtual,
+    attendeeName: payload.name,
+    location,
+    hosts: assigned,
+    ...(group ? { session: meetingType.id } : {}),
   })
 
-  const listed = await listEvents(
-    env,
-    token,
-    new Date(start.getTime() - bufferMs),
-    new Date(end.getTime() + bufferMs),
+  if (await hasConflict(calendar, meetingType, created.id, start, end, hostIds)) {
+    await calendar.deleteEvent(created.id)
+    throw new SlotTakenError()
+  }
+
+  await persist(
+    'could not record booking',
+    insertBooking(env, bookingRecord(meetingType, payload, created, { location, hostIds, start, end }), 'visitor'),
+  )
+
+  return { event: asSeat(env, calendar, claims, created), manageToken }
+}
+
+/** Null when the event is gone or was cancelled. */
+async function liveEvent(calendar: CalendarProvider, eventId: string): Promise<CalendarEvent | null> {
+  const event = await calendar.getEvent(eventId)
+  return event?.status === 'cancelled' ? null : event
+}
+
+export async function loadBooking(env: Env, claims: ManageClaims): Promise<CalendarEvent> {
+  const calendar = calendarFor(env)
+  const event = await liveEvent(calendar, claims.eventId)
+  if (!event || !holdsSeat(claims, event)) throw new BookingGoneError()
+  return asSeat(env, calendar, claims, event)
+}
+
+/**
+ * Like `loadBooking`, but a cancelled booking still loads so its calendar feed can say so. Google
+ * keeps cancelled events; Graph and CalDAV delete them, so those come back from our record.
+ */
+export async function loadBookingCalendar(env: Env, claims: ManageClaims): Promise<CalendarEvent> {
+  const calendar = calendarFor(env)
+  const event = await calendar.getEvent(claims.eventId)
+  if (!event) return cancelledFromRecord(env, calendar, claims)
+  if (!event.start || !event.end) throw new BookingGoneError()
+  const seen = asSeat(env, calendar, claims, event)
+  return holdsSeat(claims, event) ? seen : { ...seen, status: 'cancelled' }
+}
+
+/** A deleted event rebuilt from its cancelled booking, enough for a `METHOD:CANCEL` feed. */
+async function cancelledFromRecord(
+  env: Env,
+  calendar: CalendarProvider,
+  claims: ManageClaims,
+): Promise<CalendarEvent> {
+  const booking = await findBooking(env, claims.eventId, claims.attendee)
+  if (!booking?.invite || booking.status !== 'cancelled') throw new BookingGoneError()
+  const meetingType = getMeetingType(booking.meetingTypeId)
+  const label = meetingType?.label ?? booking.meetingTypeId
+  return {
+    id: booking.googleEventId,
+    summary: meetingType && isGroup(meetingType) ? label : `${label} — ${booking.name}`,
+    description: '',
+    start: booking.start.toISOString(),
+    end: booking.end.toISOString(),
+    status: 'cancelled',
+    iCalUID: booking.invite.iCalUID,
+    sequence: booking.invite.sequence,
+    organizer: { email: calendar.calendarId },
+    location: booking.location,
+    hosts: booking.hostIds,
+    attendees: [{ email: calendar.calendarId }, { email: booking.email, name: booking.name }],
+  }
+}
+
+/** The calendar's cancellation replaces the invite only if it comes with a later sequence. */
+function cancelledInvite(event: CalendarEvent): CancelledInvite {
+  return { iCalUID: event.iCalUID, sequence: event.sequence + 1 }
+}
+
+function hasStarted(event: CalendarEvent, now: Date): boolean {
+  return new Date(event.start).getTime() <= now.getTime()
+}
+
+export async function executeReschedule(
+  env: Env,
+  claims: ManageClaims,
+  startTime: string,
+  now = new Date(),
+  held: BusyBlock[] = [],
+): Promise<RescheduleResult> {
+  const meetingType = getMeetingType(claims.meetingTypeId)
+  if (!meetingType) throw new Error('unknown_meeting_type')
+  // Moving the session would move everyone in it; a seat is cancelled and booked again instead.
+  if (claims.attendee) throw new Error('seat_reschedule')
+
+  const start = new Date(startTime)
+  const end = new Date(start.getTime() + meetingType.durationMinutes * 60 * 1000)
+  const timeZone = agencyTimeZone(env)
+
+  if (!isOnGrid(timeZone, meetingType, start, now)) {
+    throw new Error('invalid_slot')
+  }
+
+  const calendar = calendarFor(env)
+  const current = await liveEvent(calendar, claims.eventId)
+  if (!current) throw new BookingGoneError()
+  if (hasStarted(current, now)) throw new Error('booking_started')
+
+  const previousStart = new Date(current.start)
+  const previousEnd = new Date(current.end)
+  if (previousStart.getTime() === start.getTime()) return { event: current, previous: current }
+
+  // The booking's own block must not stop it from moving into its neighbouring slots.
+  const placed = atLocation(meetingType, current.location?.kind)
+  const team = teamOf(env, placed)
+  const around = await busyOnDay(calendar, placed, team, timeZone, start)
+  const busy = withHeld(
+    new Map([...around].map(([id, blocks]) => [id, subtractBusy(blocks, previousStart, previousEnd)] as const)),
+    held,
   )
-  const conflict = listed.some(
-    (event) => event.id !== created.id && eventsOverlap(start, end, event.start, event.end),
+  const assigned = await assignHosts(env, placed, team, timeZone, start, now, busy, current.hosts)
+  if (!assigned) throw new SlotTakenError()
+  const hostIds = assigned.map((host) => host.id)
+
+  // A round-robin host who is busy at the new time hands the booking to another host.
+  const reassigned = hostIds.join(',') !== current.hosts.join(',')
+  const previousHostEmails = new Set(
+    team.filter((host) => current.hosts.includes(host.id)).map((host) => host.calendarId),
   )
-  if (conflict) {
-    await deleteEvent(env, token, created.id)
+  const guests = [
+    ...current.attendees.filter((attendee) => !previousHostEmails.has(attendee.email.toLowerCase())),
+    ...assigned.map((host) => ({ email: host.calendarId })),
+  ]
+  const moved = await calendar.patchEvent(claims.eventId, {
+    start,
+    end,
+    sequence: current.sequence + 1,
+    ...(reassigned ? { hostIds, attendees: guests } : {}),
+  })
+
+  if (await hasConflict(calendar, placed, claims.eventId, start, end, hostIds)) {
+    await calendar.patchEvent(claims.eventId, {
+      start: previousStart,
+      end: previousEnd,
+      sequence: current.sequence + 2,
+      ...(reassigned ? { hostIds: current.hosts, attendees: current.attendees } : {}),
+    })
     throw new SlotTakenError()
   }
 
-  return created
+  await persist(
+    'could not record reschedule',
+    transitionBooking(env, claims.eventId, 'rescheduled', 'visitor', { start, end, hostIds }),
+  )
+
+  return { event: moved, previous: current }
+}
+
+export async function executeCancel(
+  env: Env,
+  claims: ManageClaims,
+  now = new Date(),
+  actor: BookingActor = 'visitor',
+): Promise<CalendarEvent> {
+  const calendar = calendarFor(env)
+  const current = await liveEvent(calendar, claims.eventId)
+  if (!current || !holdsSeat(claims, current)) throw new BookingGoneError()
+  if (hasStarted(current, now)) throw new Error('booking_started')
+  if (claims.attendee) return cancelSeat(env, calendar, claims, current, actor)
+  await calendar.deleteEvent(claims.eventId)
+  await persist(
+    'could not record cancellation',
+    transitionBooking(env, claims.eventId, 'cancelled', actor).then(() =>
+      recordCancelledInvite(env, claims.eventId, cancelledInvite(current)),
+    ),
+  )
+  return current
+}
+
+/** Takes one visitor off a session. The last seat given up takes the session with it. */
+async function cancelSeat(
+  env: Env,
+  calendar: CalendarProvider,
+  claims: ManageClaims,
+  session: CalendarEvent,
+  actor: BookingActor,
+): Promise<CalendarEvent> {
+  const meetingType = getMeetingType(claims.meetingTypeId)
+  const staff = staffOf(calendar, meetingType ? teamOf(env, meetingType) : [])
+  const remaining = session.attendees.filter((guest) => guest.email.toLowerCase() !== claims.attendee)
+  if (seatHolders(remaining.map((guest) => guest.email), staff).length === 0) {
+    await calendar.deleteEvent(claims.eventId)
+  } else {
+    await calendar.setAttendees(claims.eventId, remaining)
+  }
+  await persist(
+    'could not record cancellation',
+    transitionBooking(env, claims.eventId, 'cancelled', actor, undefined, claims.attendee).then(() =>
+      recordCancelledInvite(env, claims.eventId, cancelledInvite(session), claims.attendee),
+    ),
+  )
+  return asSeat(env, calendar, claims, session)
 }
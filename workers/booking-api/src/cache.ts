@@ -0,0 +1,102 @@
+import type { BusyBlock } from './slots'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/** How long a cached day of free/busy is trusted; changes made straight in Google show up after this. */
+export const BUSY_TTL_MS = 5 * 60 * 1000
+
+export type CachedDay = {
+  fetchedAt: number
+  blocks: { start: string; end: string }[]
+}
+
+export type BusyFetcher = (ids: string[], timeMin: Date, timeMax: Date) => Promise<Map<string, BusyBlock[]>>
+
+export interface BusyCache {
+  get(keys: string[]): Promise<Map<string, CachedDay>>
+  /** Skips days invalidated at or after `startedAt`, so a slow read cannot restore what a booking cleared. */
+  put(entries: Map<string, CachedDay>, startedAt: number): Promise<void>
+  invalidate(days: string[], at: number): Promise<void>
+  /** Drops entries too old to be served. */
+  prune(now: number): Promise<void>
+}
+
+/** UTC days (`YYYY-MM-DD`) that overlap `[timeMin, timeMax)`. */
+export function utcDays(timeMin: Date, timeMax: Date): string[] {
+  const days: string[] = []
+  const first = Math.floor(timeMin.getTime() / DAY_MS) * DAY_MS
+  for (let t = first; t < timeMax.getTime(); t += DAY_MS) {
+    days.push(new Date(t).toISOString().slice(0, 10))
+  }
+  return days
+}
+
+export function busyKey(day: string, calendarId: string): string {
+  return `busy:${day}:${calendarId}`
+}
+
+function dayStart(day: string): Date {
+  return new Date(`${day}T00:00:00.000Z`)
+}
+
+function overlaps(block: BusyBlock, from: Date, to: Date): boolean {
+  return block.start < to && block.end > from
+}
+
+/**
+ * Free/busy for `ids` over `[timeMin, timeMax)`, read from whole cached days. Days that are
+ * missing or stale are fetched in one request spanning them and written back.
+ */
+export async function cachedBusy(
+  cache: BusyCache,
+  fetchBusy: BusyFetcher,
+  ids: readonly string[],
+  timeMin: Date,
+  timeMax: Date,
+  now = Date.now(),
+): Promise<Map<string, BusyBlock[]>> {
+  const calendars = [...new Set(ids)]
+  const days = utcDays(timeMin, timeMax)
+  const stored = await cache.get(calendars.flatMap((id) => days.map((day) => busyKey(day, id))))
+  const isFresh = (day: string, id: string) => {
+    const hit = stored.get(busyKey(day, id))
+    return hit !== undefined && now - hit.fetchedAt < BUSY_TTL_MS
+  }
+
+  const staleIds = calendars.filter((id) => days.some((day) => !isFresh(day, id)))
+  const staleDays = days.filter((day) => calendars.some((id) => !isFresh(day, id)))
+  if (staleIds.length > 0) {
+    const from = dayStart(staleDays[0])
+    const to = new Date(dayStart(staleDays[staleDays.length - 1]).getTime() + DAY_MS)
+    const fetched = await fetchBusy(staleIds, from, to)
+    const entries = new Map<string, CachedDay>()
+    for (const id of staleIds) {
+      for (const day of utcDays(from, to)) {
+        const dayEnd = new Date(dayStart(day).getTime() + DAY_MS)
+        const blocks = (fetched.get(id) ?? []).filter((block) => overlaps(block, dayStart(day), dayEnd))
+        entries.set(busyKey(day, id), {
+          fetchedAt: now,
+          blocks: blocks.map((block) => ({ start: block.start.toISOString(), end: block.end.toISOString() })),
+        })
+      }
+    }
+    await cache.put(entries, now)
+    for (const [key, entry] of entries) stored.set(key, entry)
+  }
+
+  return new Map(
+    calendars.map((id) => {
+      // A block spanning midnight is stored under both days; keep one copy.
+      const unique = new Map<string, BusyBlock>()
+      for (const day of days) {
+        for (const block of stored.get(busyKey(day, id))?.blocks ?? []) {
+          unique.set(`${block.start}/${block.end}`, { start: new Date(block.start), end: new Date(block.end) })
+        }
+      }
+      const blocks = [...unique.values()]
+        .filter((block) => overlaps(block, timeMin, timeMax))
+        .sort((a, b) => a.start.getTime() - b.start.getTime())
+      return [id, blocks] as const
+    }),
+  )
+}
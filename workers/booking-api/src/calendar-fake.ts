@@ -0,0 +1,215 @@
+import {
+  CalendarError,
+  type CalendarEvent,
+  type CalendarProvider,
+  type InsertEventInput,
+  type PatchEventInput,
+} from './calendar'
+import type { BusyBlock } from './slots'
+
+export type CalendarOperation = keyof Omit<CalendarProvider, 'calendarId'>
+
+/** Messages the Google Calendar API sends with each status, so logs read the same offline. */
+const failures: Record<number, string> = {
+  401: 'Invalid Credentials',
+  403: 'Calendar usage limits exceeded.',
+  404: 'Not Found',
+  429: 'Rate Limit Exceeded',
+  500: 'Backend Error',
+  503: 'The service is currently unavailable.',
+}
+
+type StoredEvent = CalendarEvent & { busyOn: string[] }
+
+/**
+ * An in-memory calendar for `wrangler dev` without Google and for the end-to-end tests. Events
+ * sit on `calendarId` and make every invited host busy too, the way accepted invites do. Deleted
+ * events stay readable as cancelled, as on Google; `purge` drops one the way Graph does.
+ * `failNext` and `before` stand in for the outages and the concurrent edits a real calendar has.
+ */
+export type FakeCalendar = CalendarProvider & {
+  /** Busy time that is not an event we can see, e.g. a host's private appointment. */
+  addBusy(calendarId: string, start: Date, end: Date): void
+  /** An event someone created straight in the calendar. */
+  addEvent(input: { start: Date; end: Date; summary?: string; hosts?: { id: string; calendarId: string }[] }): CalendarEvent
+  /** Events that are not cancelled, by start time. */
+  events(): CalendarEvent[]
+  /** Forgets an event entirely, as Graph and CalDAV do when they delete one. */
+  purge(eventId: string): void
+  /** The next `times` calls to `operation` fail with `status` before touching anything. */
+  failNext(operation: CalendarOperation, status: number, times?: number): void
+  /** Runs `hook` once, just before the next call to `operation`; a returned promise is waited for, like latency. */
+  before(operation: CalendarOperation, hook: () => void | Promise<void>): void
+}
+
+function overlaps(block: BusyBlock, timeMin: Date, timeMax: Date): boolean {
+  return block.start < timeMax && block.end > timeMin
+}
+
+export function fakeCalendar(calendarId: string): FakeCalendar {
+  const stored = new Map<string, StoredEvent>()
+  const busy: Array<BusyBlock & { calendarId: string }> = []
+  const failing = new Map<CalendarOperation, number[]>()
+  const hooks = new Map<CalendarOperation, Array<() => void | Promise<void>>>()
+
+  async function call(operation: CalendarOperation): Promise<void> {
+    await hooks.get(operation)?.shift()?.()
+    const status = failing.get(operation)?.shift()
+    if (status) throw new CalendarError(failures[status] ?? `HTTP ${status}`, status)
+  }
+
+  function create(input: InsertEventInput): StoredEvent {
+    const id = input.id ?? crypto.randomUUID().replace(/-/g, '')
+    if (stored.has(id)) throw new CalendarError('The requested identifier already exists.', 409)
+    const hosts = input.hosts ?? []
+    const event: StoredEvent = {
+      id,
+      htmlLink: `https://calendar.example/event?eid=${id}`,
+      meetUrl: input.location?.kind === 'video' ? `https://meet.example/${id.slice(0, 10)}` : undefined,
+      summary: input.summary,
+      description: input.description ?? '',
+      start: input.start.toISOString(),
+      end: input.end.toISOString(),
+      status: 'confirmed',
+      iCalUID: `${id}@calendar.example`,
+      sequence: 0,
+      organizer: { email: calendarId },
+      location: input.location,
+      hosts: hosts.map((host) => host.id),
+      attendees: [
+        { email: calendarId },
+        ...hosts.map((host) => ({ email: host.calendarId })),
+        ...(input.attendeeEmail
+          ? [{ email: input.attendeeEmail, ...(input.attendeeName ? { name: input.attendeeName } : {}) }]
+          : []),
+      ],
+      busyOn: [calendarId, ...hosts.map((host) => host.calendarId)],
+      ...(input.session ? { session: input.session } : {}),
+    }
+    stored.set(id, event)
+    return event
+  }
+
+  const visible = ({ busyOn: _busyOn, ...event }: StoredEvent): CalendarEvent => ({ ...event })
+  const live = () => [...stored.values()].filter((event) => event.status !== 'cancelled')
+
+  return {
+    calendarId,
+
+    async freeBusy(ids, timeMin, timeMax) {
+      await call('freeBusy')
+      const result = new Map<string, BusyBlock[]>()
+      for (const id of ids) {
+        const blocks = [
+          ...busy.filter((block) => block.calendarId === id),
+          ...live()
+            .filter((event) => event.busyOn.includes(id))
+            .map((event) => ({ start: new Date(event.start), end: new Date(event.end) })),
+        ]
+        result.set(
+          id,
+          blocks
+            .filter((block) => overlaps(block, timeMin, timeMax))
+            .map(({ start, end }) => ({ start, end }))
+            .sort((a, b) => a.start.getTime() - b.start.getTime()),
+        )
+      }
+      return result
+    },
+
+    async insertEvent(input) {
+      await call('insertEvent')
+      return visible(create(input))
+    },
+
+    async listEvents(timeMin, timeMax) {
+      await call('listEvents')
+      return live()
+        .map((event) => ({
+          id: event.id,
+          start: new Date(event.start),
+          end: new Date(event.end),
+          hosts: event.hosts,
+          session: event.session,
+          attendees: event.attendees.map((attendee) => attendee.email.toLowerCase()),
+          location: event.location?.kind,
+        }))
+        .filter((event) => overlaps(event, timeMin, timeMax))
+        .sort((a, b) => a.start.getTime() - b.start.getTime())
+    },
+
+    async getEvent(eventId) {
+      await call('getEvent')
+      const event = stored.get(eventId)
+      return event ? visible(event) : null
+    },
+
+    async patchEvent(eventId, input: PatchEventInput) {
+      await call('patchEvent')
+      const event = stored.get(eventId)
+      if (!event) throw new CalendarError(failures[404], 404)
+      event.start = input.start.toISOString()
+      event.end = input.end.toISOString()
+      event.sequence = input.sequence
+      if (input.hostIds) {
+        event.hosts = input.hostIds
+        event.attendees = input.attendees ?? []
+        event.busyOn = event.attendees.map((attendee) => attendee.email)
+      }
+      return visible(event)
+    },
+
+    async setAttendees(eventId, attendees) {
+      await call('setAttendees')
+      const event = stored.get(eventId)
+      if (!event) throw new CalendarError(failures[404], 404)
+      event.attendees = attendees
+      return visible(event)
+    },
+
+    async deleteEvent(eventId) {
+      await call('deleteEvent')
+      const event = stored.get(eventId)
+      if (event) event.status = 'cancelled'
+    },
+
+    addBusy(id, start, end) {
+      busy.push({ calendarId: id, start, end })
+    },
+
+    addEvent(input) {
+      return visible(create({ ...input, summary: input.summary ?? 'Busy', description: '', attendeeEmail: '' }))
+    },
+
+    events() {
+      return live()
+        .map(visible)
+        .sort((a, b) => a.start.localeCompare(b.start))
+    },
+
+    purge(eventId) {
+      stored.delete(eventId)
+    },
+
+    failNext(operation, status, times = 1) {
+      failing.set(operation, [...(failing.get(operation) ?? []), ...Array<number>(times).fill(status)])
+    },
+
+    before(operation, hook) {
+      hooks.set(operation, [...(hooks.get(operation) ?? []), hook])
+    },
+  }
+}
+
+let shared: FakeCalendar | null = null
+
+/** The one fake every request in this isolate sees; it starts empty and lasts until the isolate goes. */
+export function sharedFakeCalendar(calendarId: string): FakeCalendar {
+  if (!shared || shared.calendarId !== calendarId) shared = fakeCalendar(calendarId)
+  return shared
+}
+
+/** Drops the shared fake, so the next request starts from an empty calendar. */
+export function resetFakeCalendar(): void {
+  shared = null
+}
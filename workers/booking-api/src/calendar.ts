@@ -0,0 +1,125 @@
+import type { LocationKind } from './config'
+import type { Env } from './env'
+import type { BusyBlock } from './slots'
+
+/**
+ * A calendar backend refused or failed a call. `status` is the backend's own HTTP status when it
+ * answered (401, 403, 429, 5xx…); the API reports every one of them as `google_failure`.
+ */
+export class CalendarError extends Error {
+  readonly status: number | undefined
+
+  constructor(message: string, status?: number) {
+    super(message)
+    this.name = 'CalendarError'
+    this.status = status
+  }
+}
+
+export type EventHost = { id: string; calendarId: string }
+
+export type EventAttendee = { email: string; name?: string }
+
+/**
+ * Where a booking happens. `text` is the calendar's location line: the number we call, the
+ * WhatsApp link or the office address. Video calls have none; their link comes with the event.
+ */
+export type EventLocation = { kind: LocationKind; text?: string }
+
+export type InsertEventInput = {
+  /** Optional client-chosen id (base32hex, 5–1024 chars) so links can be built before insert. */
+  id?: string
+  summary: string
+  description: string
+  start: Date
+  end: Date
+  attendeeEmail: string
+  attendeeName?: string
+  /** Video calls get a Meet (or Teams) link. Left out, the event has no location at all. */
+  location?: EventLocation
+  /** Assigned team members: invited as guests and recorded on the event so later edits know them. */
+  hosts?: EventHost[]
+  /** Marks a group session of this meeting type id; guests then cannot see each other. */
+  session?: string
+}
+
+export type PatchEventInput = {
+  start: Date
+  end: Date
+  /** Bumped on every move so calendars that imported the .ics replace the old time. */
+  sequence: number
+  /** Replaces the assigned hosts; `attendees` must then be the full guest list to keep. */
+  hostIds?: string[]
+  attendees?: EventAttendee[]
+}
+
+export type CalendarEvent = {
+  id: string
+  htmlLink?: string
+  hangoutLink?: string
+  meetUrl?: string
+  summary: string
+  description: string
+  start: string
+  end: string
+  status: string
+  /** Shared with the invites the calendar sends, so our .ics updates the same calendar entry. */
+  iCalUID: string
+  sequence: number
+  organizer?: EventAttendee
+  /** Missing on events we did not book, and on bookings from before locations, which were all video calls. */
+  location?: EventLocation
+  /** Host ids the booking was assigned to; empty for agency-calendar-only types. */
+  hosts: string[]
+  attendees: EventAttendee[]
+  /** The meeting type id, when the event is a group session. */
+  session?: string
+}
+
+/**
+ * What the post-insert conflict check needs of each event on the agency calendar, and what
+ * availability needs to count the seats taken in a group session and to keep clear of the
+ * trips to in-person meetings. Emails are lower case.
+ */
+export type ListedEvent = {
+  id: string
+  start: Date
+  end: Date
+  hosts: string[]
+  session?: string
+  attendees: string[]
+  /** Our location kind, on bookings that have one. */
+  location?: LocationKind
+}
+
+/**
+ * Everything booking-api asks of a calendar. Events always live on the agency calendar
+ * (`calendarId`); free/busy can also read the hosts' own calendars.
+ */
+export interface CalendarProvider {
+  readonly calendarId: string
+  /** Busy time keyed by the ids passed in. */
+  freeBusy(ids: readonly string[], timeMin: Date, timeMax: Date): Promise<Map<string, BusyBlock[]>>
+  insertEvent(input: InsertEventInput): Promise<CalendarEvent>
+  /** Events overlapping the window, cancelled ones left out. */
+  listEvents(timeMin: Date, timeMax: Date): Promise<ListedEvent[]>
+  /** Cancelled events stay readable with `status: 'cancelled'` for a while; null once they are gone. */
+  getEvent(eventId: string): Promise<CalendarEvent | null>
+  patchEvent(eventId: string, input: PatchEventInput): Promise<CalendarEvent>
+  /** Replaces the guest list and leaves the time alone, as seats in a group session fill and free up. */
+  setAttendees(eventId: string, attendees: EventAttendee[]): Promise<CalendarEvent>
+  /** Deleting an event that is already gone is not an error. */
+  deleteEvent(eventId: string): Promise<void>
+}
+
+/** The agency calendar from `GOOGLE_CALENDAR_ID`, tolerating the quotes a pasted `.env` value brings. */
+export function calendarId(env: Pick<Env, 'GOOGLE_CALENDAR_ID'>): string {
+  let id = env.GOOGLE_CALENDAR_ID?.trim() ?? ''
+  if (
+    (id.startsWith('"') && id.endsWith('"')) ||
+    (id.startsWith("'") && id.endsWith("'"))
+  ) {
+    id = id.slice(1, -1).trim()
+  }
+  return id.includes('@') ? id.toLowerCase() : id
+}
@@ -3,7 +3,66 @@ export type MeetingType = {
   label: string
   durationMinutes: number
   description: string
-  virtual: boolean
+  /** Where the visitor may choose to meet; the first is preselected. */
+  locations: LocationKind[]
+  /** Overrides for this type only; anything left out comes from `availability`. */
+  availability?: Partial<AvailabilityConfig>
+  /** Host ids from `hosts`. Without any, the type books straight onto `GOOGLE_CALENDAR_ID`. */
+  hosts?: string[]
+  /** How `hosts` share the type; defaults to `any`. */
+  hostStrategy?: HostStrategy
+  /** Extra questions on the booking form; the answers go into the invite for triage. */
+  questions?: IntakeQuestion[]
+  /**
+   * Seats in one session. Above 1 the type is a group session: the first booking creates the
+   * event and later ones join it as attendees until it is full.
+   */
+  capacity?: number
+}
+
+/**
+ * How a meeting happens. `video` is a Google Meet call (Teams on Microsoft calendars), `phone` is
+ * us calling the number the visitor gives, `whatsapp` a call through `contact.whatsapp_link` and
+ * `in-person` a visit to the office at `contact.address`, both from `links.json`.
+ */
+export type LocationKind = 'video' | 'phone' | 'whatsapp' | 'in-person'
+
+export const locationKinds: LocationKind[] = ['video', 'phone', 'whatsapp', 'in-person']
+
+export type IntakeKind = 'select' | 'multi-select' | 'budget' | 'stage' | 'url' | 'long-text'
+
+export type IntakeOption = { value: string; label: string }
+
+/**
+ * `label` and option labels are the English text written into the invite. The widget shows
+ * `booking_q_<id>` and `booking_q_<id>_<value>` from the locale files instead, so ids must be
+ * unique across meeting types. `budget` and `stage` are single choices, like `select`.
+ */
+export type IntakeQuestion = {
+  id: string
+  kind: IntakeKind
+  label: string
+  required?: boolean
+  /** Choices for every kind except `url` and `long-text`. */
+  options?: IntakeOption[]
+  /** `long-text` only; defaults to 1000 characters. */
+  maxLength?: number
+}
+
+/**
+ * - `collective`: every host must be free and every host is invited.
+ * - `round-robin`: one free host, whoever was booked least recently for this type.
+ * - `any`: one free host, the first in `hosts` order.
+ */
+export type HostStrategy = 'collective' | 'round-robin' | 'any'
+
+/**
+ * Someone from the team page (`src/content/data/team.json`) who can take meetings. Calendar ids
+ * are not kept here because this file ships to the site; they come from `HOST_CALENDAR_IDS`.
+ */
+export type Host = {
+  id: string
+  name: string
 }
 
 export type HoursWindow = { start: string; end: string }
@@ -15,36 +74,141 @@ export type AvailabilityConfig = {
   /** Sat–Sun window. Falls back to workingHours when omitted. */
   weekendHours: HoursWindow
   bufferMinutes: number
+  /** Buffer around in-person meetings, for getting to and from the office. Falls back to bufferMinutes. */
+  inPersonBufferMinutes?: number
   minNoticeHours: number
   maxDaysAhead: number
+  /** Minutes between slot starts. Falls back to the meeting duration when omitted. */
+  slotStepMinutes?: number
+  /**
+   * Minutes past the hour that starts snap to once a busy block or the notice period has
+   * pushed them off the step grid, e.g. 15 for quarter hours. Off when omitted.
+   */
+  slotAlignMinutes?: number
 }
 
+/**
+ * A date-specific exception to the weekly rules. `date`/`until` are either both
+ * `YYYY-MM-DD` (one-off) or both `MM-DD` (every year); `until` is inclusive and
+ * may wrap past the new year for yearly entries.
+ */
+export type DateOverride = {
+  label: string
+  date: string
+  until?: string
+  /** No slots at all that day. Wins over `hours`. */
+  closed?: boolean
+  /** Replaces the day's window, and opens the day even if it is not a working day. */
+  hours?: HoursWindow
+  /** Local windows with no slots, on top of the calendar's own busy time. */
+  blackouts?: HoursWindow[]
+  /** Limit to these meeting type ids. Applies to every type when omitted. */
+  meetingTypes?: string[]
+}
+
+export const budgetRanges: IntakeOption[] = [
+  { value: 'under_5k', label: 'Under $5k' },
+  { value: '5k_15k', label: '$5k–15k' },
+  { value: '15k_50k', label: '$15k–50k' },
+  { value: '50k_plus', label: '$50k+' },
+  { value: 'unsure', label: 'Not sure yet' },
+]
+
+export const projectStages: IntakeOption[] = [
+  { value: 'idea', label: 'Idea' },
+  { value: 'design', label: 'Designs or specs' },
+  { value: 'mvp', label: 'Building an MVP' },
+  { value: 'live', label: 'Live product' },
+  { value: 'scaling', label: 'Scaling' },
+]
+
 export const meetingTypes: MeetingType[] = [
   {
     id: 'consultation',
     label: 'Consultation Call',
     durationMinutes: 30,
     description: 'A 30-minute call to talk through what you are building.',
-    virtual: true,
+    locations: ['video', 'phone', 'whatsapp', 'in-person'],
+    questions: [
+      {
+        id: 'services',
+        kind: 'multi-select',
+        label: 'Services',
+        required: true,
+        options: [
+          { value: 'web', label: 'Web' },
+          { value: 'mobile', label: 'Mobile app' },
+          { value: 'internal', label: 'Internal tools' },
+          { value: 'seo', label: 'SEO & marketing' },
+          { value: 'design', label: 'UI/UX design' },
+          { value: 'cloud', label: 'Cloud & DevOps' },
+        ],
+      },
+      { id: 'stage', kind: 'stage', label: 'Project stage', required: true, options: projectStages },
+      { id: 'budget', kind: 'budget', label: 'Budget', options: budgetRanges },
+    ],
   },
   {
     id: 'demo',
     label: 'Product Demo',
     durationMinutes: 45,
     description: 'A 45-minute walkthrough of a product or idea.',
-    virtual: true,
+    locations: ['video', 'in-person'],
+    availability: {
+      bufferMinutes: 30,
+      minNoticeHours: 24,
+    },
+    questions: [
+      { id: 'product_url', kind: 'url', label: 'Product link' },
+      { id: 'focus', kind: 'long-text', label: 'What the demo should cover', required: true, maxLength: 1000 },
+    ],
   },
 ]
 
+export const hosts: Host[] = [
+  { id: 'mohamed', name: 'Mohamed Abdallah' },
+  { id: 'asadur', name: 'Asadur Rahman' },
+  { id: 'ariyan', name: 'Ariyan Rehman' },
+  { id: 'dibakar', name: 'Dibakar Sutra Dhar' },
+]
+
 export const availability: AvailabilityConfig = {
   workingDays: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
   workingHours: { start: '17:00', end: '22:00' },
   weekendHours: { start: '09:00', end: '22:00' },
   bufferMinutes: 15,
+  inPersonBufferMinutes: 60,
   minNoticeHours: 4,
   maxDaysAhead: 30,
 }
 
+export const dateOverrides: DateOverride[] = []
+
 export function getMeetingType(id: string): MeetingType | undefined {
   return meetingTypes.find((type) => type.id === id)
 }
+
+/** Seats in one session of the type; 1 for an ordinary one-to-one booking. */
+export function capacityOf(meetingType: MeetingType): number {
+  return Math.max(1, meetingType.capacity ?? 1)
+}
+
+export function getHost(id: string): Host | undefined {
+  return hosts.find((host) => host.id === id)
+}
+
+/** The type's rules; an in-person meeting keeps its longer buffer clear of everything around it. */
+export function availabilityFor(meetingType: MeetingType, location?: LocationKind): AvailabilityConfig {
+  const rules = { ...availability, ...meetingType.availability }
+  if (location !== 'in-person' || rules.inPersonBufferMinutes === undefined) return rules
+  return { ...rules, bufferMinutes: Math.max(rules.bufferMinutes, rules.inPersonBufferMinutes) }
+}
+
+/** Whether the visitor may pick `location` for the type. */
+export function offersLocation(meetingType: MeetingType, location: string): location is LocationKind {
+  return (meetingType.locations as string[]).includes(location)
+}
+
+export function dateOverridesFor(meetingType: MeetingType): DateOverride[] {
+  return dateOverrides.filter((entry) => !entry.meetingTypes || entry.meetingTypes.includes(meetingType.id))
+}
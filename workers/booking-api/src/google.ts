@@ -1,17 +1,39 @@
+import {
+  calendarId,
+  CalendarError,
+  type CalendarEvent,
+  type CalendarProvider,
+  type EventAttendee,
+  type EventLocation,
+  type InsertEventInput,
+  type ListedEvent,
+  type PatchEventInput,
+} from './calendar'
+import { locationKinds, type LocationKind } from './config'
 import type { Env } from './env'
 import type { BusyBlock } from './slots'
 
-export class GoogleError extends Error {
-  constructor(
-    message: string,
-    public readonly status = 502,
-  ) {
-    super(message)
+export class GoogleError extends CalendarError {
+  constructor(message: string, status?: number) {
+    super(message, status)
     this.name = 'GoogleError'
   }
 }
 
-export async function mintAccessToken(env: Env): Promise<string> {
+/** Refreshed a minute early so a token never expires mid-request. */
+const TOKEN_MARGIN_MS = 60 * 1000
+
+type CachedToken = { refreshToken: string; token: string; expiresAt: number }
+
+/** Per isolate. The Durable Object, which makes most calls, keeps one for its whole lifetime. */
+let cachedToken: CachedToken | null = null
+
+/** An access token for the connected account, minted again only when the cached one runs out. */
+export async function mintAccessToken(env: Env, now = Date.now()): Promise<string> {
+  if (cachedToken && cachedToken.refreshToken === env.GOOGLE_REFRESH_TOKEN && cachedToken.expiresAt > now) {
+    return cachedToken.token
+  }
+
   const response = await fetch('https://oauth2.googleapis.com/token', {
     method: 'POST',
     headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
@@ -24,11 +46,14 @@ export async function mintAccessToken(env: Env): Promise<string> {
   })
   const body = await response.json().catch(() => null)
   if (!response.ok) {
-    throw new GoogleError('Could not refresh the Google Calendar token.', 502)
+    throw new GoogleError('Could not refresh the Google Calendar token.', response.status)
   }
-  const token = (body as { access_token?: string } | null)?.access_token
+  const { access_token: token, expires_in: expiresIn } = (body ?? {}) as { access_token?: string; expires_in?: number }
   if (!token) {
-    throw new GoogleError('Google token response was missing access_token.', 502)
+    throw new GoogleError('Google token response was missing access_token.')
+  }
+  if (expiresIn) {
+    cachedToken = { refreshToken: env.GOOGLE_REFRESH_TOKEN, token, expiresAt: now + expiresIn * 1000 - TOKEN_MARGIN_MS }
   }
   return token
 }
@@ -38,7 +63,7 @@ async function calendarFetch(
   url: string,
   init: RequestInit = {},
 ): Promise<Response> {
-  return fetch(url, {
+  const response = await fetch(url, {
     ...init,
     headers: {
       Authorization: `Bearer ${token}`,
@@ -46,17 +71,9 @@ async function calendarFetch(
       ...init.headers,
     },
   })
-}
-
-export function calendarId(env: Env): string {
-  let id = env.GOOGLE_CALENDAR_ID?.trim() ?? ''
-  if (
-    (id.startsWith('"') && id.endsWith('"')) ||
-    (id.startsWith("'") && id.endsWith("'"))
-  ) {
-    id = id.slice(1, -1).trim()
-  }
-  return id.includes('@') ? id.toLowerCase() : id
+  // A revoked token is dropped so the next request mints a fresh one instead of failing until expiry.
+  if (response.status === 401 && cachedToken?.token === token) cachedToken = null
+  return response
 }
 
 type CalendarBusy = {
@@ -74,20 +91,21 @@ function pickCalendar(
   return match?.[1]
 }
 
-export async function queryFreeBusy(
+/** One freeBusy request for several calendars; the map is keyed by the ids passed in. */
+async function queryFreeBusyFor(
   env: Env,
   token: string,
+  ids: readonly string[],
   timeMin: Date,
   timeMax: Date,
-): Promise<BusyBlock[]> {
-  const id = calendarId(env)
+): Promise<Map<string, BusyBlock[]>> {
   const response = await calendarFetch(token, 'https://www.googleapis.com/calendar/v3/freeBusy', {
     method: 'POST',
     body: JSON.stringify({
       timeMin: timeMin.toISOString(),
       timeMax: timeMax.toISOString(),
       timeZone: 'UTC',
-      items: [{ id }],
+      items: [...new Set(ids)].map((id) => ({ id })),
     }),
   })
   const body = (await response.json().catch(() => null)) as {
@@ -96,44 +114,34 @@ export async function queryFreeBusy(
   } | null
 
   if (!response.ok) {
-    throw new GoogleError(body?.error?.message ?? 'Google Calendar free/busy lookup failed.', 502)
-  }
-
-  const calendar = pickCalendar(body?.calendars, id)
-  const reason = calendar?.errors?.[0]?.reason || calendar?.errors?.[0]?.message
-  if (reason) {
-    console.error('[booking-api] freeBusy calendar error', reason)
-    throw new GoogleError(
-      reason === 'notFound'
-        ? 'Google Calendar was not found. Check GOOGLE_CALENDAR_ID matches the connected Google account.'
-        : 'Google Calendar free/busy returned an error for this calendar.',
-      502,
-    )
+    throw new GoogleError(body?.error?.message ?? 'Google Calendar free/busy lookup failed.', response.status)
   }
 
-  return (calendar?.busy ?? []).map((block) => ({
-    start: new Date(block.start),
-    end: new Date(block.end),
-  }))
-}
-
-export type InsertEventInput = {
-  summary: string
-  description: string
-  start: Date
-  end: Date
-  attendeeEmail: string
-  virtual: boolean
-}
-
-export type CalendarEvent = {
-  id: string
-  htmlLink?: string
-  hangoutLink?: string
-  meetUrl?: string
-  summary: string
-  start: string
-  end: string
+  const busy = new Map<string, BusyBlock[]>()
+  for (const id of ids) {
+    const calendar = pickCalendar(body?.calendars, id)
+    const reason = calendar?.errors?.[0]?.reason || calendar?.errors?.[0]?.message
+    if (reason) {
+      console.error('[booking-api] freeBusy calendar error', id, reason)
+      const hint =
+        id === calendarId(env)
+          ? 'Check GOOGLE_CALENDAR_ID matches the connected Google account.'
+          : 'Check HOST_CALENDAR_IDS and that the calendar is shared with the connected Google account.'
+      throw new GoogleError(
+        reason === 'notFound'
+          ? `Google Calendar was not found. ${hint}`
+          : 'Google Calendar free/busy returned an error for this calendar.',
+      )
+    }
+    busy.set(
+      id,
+      (calendar?.busy ?? []).map((block) => ({
+        start: new Date(block.start),
+        end: new Date(block.end),
+      })),
+    )
+  }
+  return busy
 }
 
 type GoogleEvent = {
@@ -141,9 +149,16 @@ type GoogleEvent = {
   htmlLink?: string
   hangoutLink?: string
   summary?: string
+  description?: string
+  location?: string
   start?: { dateTime?: string }
   end?: { dateTime?: string }
   status?: string
+  iCalUID?: string
+  sequence?: number
+  organizer?: { email?: string; displayName?: string }
+  attendees?: Array<{ email?: string; displayName?: string }>
+  extendedProperties?: { private?: Record<string, string> }
   conferenceData?: { entryPoints?: Array<{ entryPointType?: string; uri?: string }> }
 }
 
@@ -152,21 +167,60 @@ function meetUrlFromEvent(event: GoogleEvent): string | undefined {
   return entry?.uri ?? event.hangoutLink
 }
 
+function toAttendee(person: { email?: string; displayName?: string }): EventAttendee[] {
+  return person.email ? [{ email: person.email, ...(person.displayName ? { name: person.displayName } : {}) }] : []
+}
+
+function hostIdsFromEvent(event: GoogleEvent): string[] {
+  return (event.extendedProperties?.private?.hosts ?? '').split(',').filter(Boolean)
+}
+
+function hostProperties(hostIds: string[]): { private: { hosts: string } } {
+  return { private: { hosts: hostIds.join(',') } }
+}
+
+function sessionFromEvent(event: GoogleEvent): string | undefined {
+  return event.extendedProperties?.private?.session || undefined
+}
+
+function toGoogleAttendees(attendees: EventAttendee[]): Array<{ email: string; displayName?: string }> {
+  return attendees.map((attendee) => ({
+    email: attendee.email,
+    ...(attendee.name ? { displayName: attendee.name } : {}),
+  }))
+}
+
+/** The kind is kept in a private property; the text is the event's own location field. */
+function locationFromEvent(event: GoogleEvent): EventLocation | undefined {
+  const kind = event.extendedProperties?.private?.location
+  if (!locationKinds.includes(kind as LocationKind)) return undefined
+  return { kind: kind as LocationKind, ...(event.location ? { text: event.location } : {}) }
+}
+
 function toCalendarEvent(event: GoogleEvent): CalendarEvent {
   const id = event.id
-  if (!id) throw new GoogleError('Google Calendar did not return an event id.', 502)
+  if (!id) throw new GoogleError('Google Calendar did not return an event id.')
   return {
     id,
     htmlLink: event.htmlLink,
     hangoutLink: event.hangoutLink,
     meetUrl: meetUrlFromEvent(event),
     summary: event.summary ?? '',
+    description: event.description ?? '',
     start: event.start?.dateTime ?? '',
     end: event.end?.dateTime ?? '',
+    status: event.status ?? 'confirmed',
+    iCalUID: event.iCalUID ?? `${id}@google.com`,
+    sequence: event.sequence ?? 0,
+    organizer: event.organizer ? toAttendee(event.organizer)[0] : undefined,
+    location: locationFromEvent(event),
+    hosts: hostIdsFromEvent(event),
+    attendees: (event.attendees ?? []).flatMap(toAttendee),
+    session: sessionFromEvent(event),
   }
 }
 
-export async function insertEvent(
+async function insertEvent(
   env: Env,
   token: string,
   input: InsertEventInput,
@@ -174,14 +228,28 @@ export async function insertEvent(
   const id = calendarId(env)
   const url = `https://www.googleapis.com/calendar/v3/calendars/${encodeURIComponent(id)}/events?conferenceDataVersion=1&sendUpdates=all`
   const body: Record<string, unknown> = {
+    ...(input.id ? { id: input.id } : {}),
     summary: input.summary,
     description: input.description,
     start: { dateTime: input.start.toISOString(), timeZone: 'UTC' },
     end: { dateTime: input.end.toISOString(), timeZone: 'UTC' },
-    attendees: [{ email: id }, { email: input.attendeeEmail }],
+    attendees: [
+      { email: id },
+      ...(input.hosts ?? []).map((host) => ({ email: host.calendarId })),
+      { email: input.attendeeEmail, ...(input.attendeeName ? { displayName: input.attendeeName } : {}) },
+    ],
     guestsCanModify: false,
+    // Seats in a group session are booked by strangers, who should not see each other's addresses.
+    ...(input.session ? { guestsCanSeeOtherGuests: false } : {}),
+    ...(input.location?.text ? { location: input.location.text } : {}),
   }
-  if (input.virtual) {
+  const properties = {
+    ...(input.hosts?.length ? hostProperties(input.hosts.map((host) => host.id)).private : {}),
+    ...(input.location ? { location: input.location.kind } : {}),
+    ...(input.session ? { session: input.session } : {}),
+  }
+  if (Object.keys(properties).length) body.extendedProperties = { private: properties }
+  if (input.location?.kind === 'video') {
     body.conferenceData = {
       createRequest: {
         requestId: crypto.randomUUID(),
@@ -196,17 +264,12 @@ export async function insertEvent(
   })
   const event = (await response.json().catch(() => null)) as GoogleEvent & { error?: { message?: string } } | null
   if (!response.ok || !event || event.error) {
-    throw new GoogleError(event?.error?.message ?? 'Could not create the calendar event.', 502)
+    throw new GoogleError(event?.error?.message ?? 'Could not create the calendar event.', response.status)
   }
   return toCalendarEvent(event)
 }
 
-export async function listEvents(
-  env: Env,
-  token: string,
-  timeMin: Date,
-  timeMax: Date,
-): Promise<Array<{ id: string; start: Date; end: Date }>> {
+async function listEvents(env: Env, token: string, timeMin: Date, timeMax: Date): Promise<ListedEvent[]> {
   const encodedCalendarId = encodeURIComponent(calendarId(env))
   const params = new URLSearchParams({
     timeMin: timeMin.toISOString(),
@@ -223,7 +286,7 @@ export async function listEvents(
     error?: { message?: string }
   } | null
   if (!response.ok) {
-    throw new GoogleError(body?.error?.message ?? 'Could not list calendar events.', 502)
+    throw new GoogleError(body?.error?.message ?? 'Could not list calendar events.', response.status)
   }
   return (body?.items ?? [])
     .filter((item) => item.id && item.status !== 'cancelled' && item.start?.dateTime && item.end?.dateTime)
@@ -231,18 +294,94 @@ export async function listEvents(
       id: item.id as string,
       start: new Date(item.start!.dateTime!),
       end: new Date(item.end!.dateTime!),
+      hosts: hostIdsFromEvent(item),
+      session: sessionFromEvent(item),
+      attendees: (item.attendees ?? []).flatMap((person) => (person.email ? [person.email.toLowerCase()] : [])),
+      location: locationFromEvent(item)?.kind,
     }))
 }
 
-export async function deleteEvent(env: Env, token: string, eventId: string): Promise<void> {
+function eventUrl(env: Env, eventId: string): string {
   const encodedCalendarId = encodeURIComponent(calendarId(env))
-  const encodedEvent = encodeURIComponent(eventId)
-  const response = await calendarFetch(
-    token,
-    `https://www.googleapis.com/calendar/v3/calendars/${encodedCalendarId}/events/${encodedEvent}?sendUpdates=all`,
-    { method: 'DELETE' },
-  )
-  if (!response.ok && response.status !== 404) {
-    throw new GoogleError('Could not roll back a conflicting calendar event.', 502)
+  return `https://www.googleapis.com/calendar/v3/calendars/${encodedCalendarId}/events/${encodeURIComponent(eventId)}`
+}
+
+async function deleteEvent(env: Env, token: string, eventId: string): Promise<void> {
+  const response = await calendarFetch(token, `${eventUrl(env, eventId)}?sendUpdates=all`, { method: 'DELETE' })
+  if (!response.ok && response.status !== 404 && response.status !== 410) {
+    throw new GoogleError('Could not delete the calendar event.', response.status)
+  }
+}
+
+async function getEvent(env: Env, token: string, eventId: string): Promise<CalendarEvent | null> {
+  const response = await calendarFetch(token, eventUrl(env, eventId))
+  if (response.status === 404 || response.status === 410) return null
+  const event = (await response.json().catch(() => null)) as GoogleEvent & { error?: { message?: string } } | null
+  if (!response.ok || !event || event.error) {
+    throw new GoogleError(event?.error?.message ?? 'Could not load the calendar event.', response.status)
+  }
+  return toCalendarEvent(event)
+}
+
+async function patchEvent(
+  env: Env,
+  token: string,
+  eventId: string,
+  input: PatchEventInput,
+): Promise<CalendarEvent> {
+  const response = await calendarFetch(token, `${eventUrl(env, eventId)}?conferenceDataVersion=1&sendUpdates=all`, {
+    method: 'PATCH',
+    body: JSON.stringify({
+      start: { dateTime: input.start.toISOString(), timeZone: 'UTC' },
+      end: { dateTime: input.end.toISOString(), timeZone: 'UTC' },
+      sequence: input.sequence,
+      ...(input.hostIds
+        ? {
+            attendees: toGoogleAttendees(input.attendees ?? []),
+            extendedProperties: hostProperties(input.hostIds),
+          }
+        : {}),
+    }),
+  })
+  const event = (await response.json().catch(() => null)) as GoogleEvent & { error?: { message?: string } } | null
+  if (!response.ok || !event || event.error) {
+    throw new GoogleError(event?.error?.message ?? 'Could not move the calendar event.', response.status)
+  }
+  return toCalendarEvent(event)
+}
+
+/**
+ * Sends no update: with `all`, every seat holder would get an email each time someone joins or
+ * leaves. The joining visitor hears from our own confirmation email instead.
+ */
+async function setAttendees(
+  env: Env,
+  token: string,
+  eventId: string,
+  attendees: EventAttendee[],
+): Promise<CalendarEvent> {
+  const response = await calendarFetch(token, `${eventUrl(env, eventId)}?sendUpdates=none`, {
+    method: 'PATCH',
+    body: JSON.stringify({ attendees: toGoogleAttendees(attendees) }),
+  })
+  const event = (await response.json().catch(() => null)) as GoogleEvent & { error?: { message?: string } } | null
+  if (!response.ok || !event || event.error) {
+    throw new GoogleError(event?.error?.message ?? 'Could not update the guest list.', response.status)
+  }
+  return toCalendarEvent(event)
+}
+
+/** Google Calendar through the connected account; each call mints or reuses the cached token. */
+export function googleCalendar(env: Env): CalendarProvider {
+  const token = () => mintAccessToken(env)
+  return {
+    calendarId: calendarId(env),
+    freeBusy: async (ids, timeMin, timeMax) => queryFreeBusyFor(env, await token(), ids, timeMin, timeMax),
+    insertEvent: async (input) => insertEvent(env, await token(), input),
+    listEvents: async (timeMin, timeMax) => listEvents(env, await token(), timeMin, timeMax),
+    getEvent: async (eventId) => getEvent(env, await token(), eventId),
+    patchEvent: async (eventId, input) => patchEvent(env, await token(), eventId, input),
+    setAttendees: async (eventId, attendees) => setAttendees(env, await token(), eventId, attendees),
+    deleteEvent: async (eventId) => deleteEvent(env, await token(), eventId),
   }
 }
@@ -0,0 +1,37 @@
+import type { BusyBlock } from './slots'
+
+/** How long a waitlist offer keeps its slot before it moves on to the next person. */
+export const WAITLIST_HOLD_MS = 30 * 60 * 1000
+
+/** How long picking a slot in the widget keeps it while the visitor fills in the form. */
+export const VISITOR_HOLD_MS = 5 * 60 * 1000
+
+/** A slot kept aside in `BookingLock`; it counts as busy for everyone without its id. */
+export type SlotHold = {
+  id: string
+  meetingTypeId: string
+  start: string
+  end: string
+  expiresAt: number
+  /** Set when the hold is a waitlist offer. */
+  waitlistId?: string
+  /** Waitlist entries already offered this slot, in order. */
+  offered?: string[]
+}
+
+export function isLive(hold: SlotHold, now: number): boolean {
+  return hold.expiresAt > now
+}
+
+/** Live holds as busy time, leaving out the one the caller holds. */
+export function heldBlocks(holds: readonly SlotHold[], now: number, holdToken?: string): BusyBlock[] {
+  return holds
+    .filter((hold) => isLive(hold, now) && hold.id !== holdToken)
+    .map((hold) => ({ start: new Date(hold.start), end: new Date(hold.end) }))
+}
+
+/** The caller's live hold, when the token names one. */
+export function findHold(holds: readonly SlotHold[], holdToken: string | undefined, now: number): SlotHold | undefined {
+  if (!holdToken) return undefined
+  return holds.find((hold) => hold.id === holdToken && isLive(hold, now))
+}
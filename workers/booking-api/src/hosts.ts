@@ -0,0 +1,60 @@
+import type { Host, HostStrategy, MeetingType } from './config'
+
+export type CalendarHost = Host & { calendarId: string }
+
+/** `HOST_CALENDAR_IDS` is `hostId=calendarId` pairs separated by commas. */
+export function parseHostCalendars(value: string | undefined): Map<string, string> {
+  const calendars = new Map<string, string>()
+  for (const pair of (value ?? '').split(',')) {
+    const [id, calendarId] = pair.split('=').map((part) => part.trim())
+    if (id && calendarId) calendars.set(id, calendarId.includes('@') ? calendarId.toLowerCase() : calendarId)
+  }
+  return calendars
+}
+
+/**
+ * The type's hosts that have a calendar, in config order. Hosts without one are left out, so a
+ * type whose hosts are not set up yet keeps booking onto the agency calendar.
+ */
+export function teamFor(
+  meetingType: MeetingType,
+  roster: readonly Host[],
+  calendars: Map<string, string>,
+): CalendarHost[] {
+  return (meetingType.hosts ?? []).flatMap((id) => {
+    const host = roster.find((entry) => entry.id === id)
+    const calendarId = calendars.get(id)
+    return host && calendarId ? [{ ...host, calendarId }] : []
+  })
+}
+
+/** Whether a slot needs every host free (`all`) or just one of them (`any`). */
+export function needsEveryHost(strategy: HostStrategy): boolean {
+  return strategy === 'collective'
+}
+
+/**
+ * Picks who takes a slot, or null when nobody can. `current` is the booking's existing
+ * assignment on a reschedule; it is kept when still free so moving does not reshuffle hosts.
+ * `lastBooked` maps host ids to their latest booking time as sortable strings.
+ */
+export function pickHosts(
+  strategy: HostStrategy,
+  team: readonly string[],
+  free: ReadonlySet<string>,
+  lastBooked: ReadonlyMap<string, string> = new Map(),
+  current: readonly string[] = [],
+): string[] | null {
+  if (needsEveryHost(strategy)) {
+    return team.length > 0 && team.every((id) => free.has(id)) ? [...team] : null
+  }
+
+  const available = team.filter((id) => free.has(id))
+  const kept = current.find((id) => available.includes(id))
+  if (kept) return [kept]
+  if (strategy === 'any') return available[0] ? [available[0]] : null
+
+  // Never booked sorts first; ties keep config order because the sort is stable.
+  const [next] = [...available].sort((a, b) => (lastBooked.get(a) ?? '').localeCompare(lastBooked.get(b) ?? ''))
+  return next ? [next] : null
+}
@@ -41,6 +41,18 @@ export function json(request: Request, body: unknown, status = 200): Response {
   })
 }
 
+/** Calendar apps re-fetch this URL, so it must never be served stale. */
+export function calendarFile(request: Request, body: string): Response {
+  return new Response(body, {
+    headers: {
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'attachment; filename="baseet-studio-booking.ics"',
+      'Cache-Control': 'no-store',
+      ...corsHeaders(request),
+    },
+  })
+}
+
 export function jsonError(
   request: Request,
   status: number,
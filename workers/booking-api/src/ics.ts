@@ -0,0 +1,184 @@
+import type { CalendarEvent } from './calendar'
+
+const PRODID = '-//Baseet Studio//Booking//EN'
+const ORGANIZER_NAME = 'Baseet Studio'
+const REMINDER_MINUTES = 15
+
+export type CalendarLinks = {
+  /** Served by this Worker; subscribing to it keeps the entry in step with later changes. */
+  ics: string
+  google: string
+  outlook: string
+}
+
+export function icsDate(iso: string): string {
+  return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+function escapeText(value: string): string {
+  return value
+    .replace(/\\/g, '\\\\')
+    .replace(/\r?\n/g, '\\n')
+    .replace(/[,;]/g, '\\$&')
+}
+
+function paramValue(value: string): string {
+  const clean = value.replace(/["\r\n]/g, '')
+  return /[:;,]/.test(clean) ? `"${clean}"` : clean
+}
+
+/** Content lines longer than 75 octets continue on the next line after a space (RFC 5545 §3.1). */
+function fold(line: string): string {
+  const encoder = new TextEncoder()
+  if (encoder.encode(line).length <= 75) return line
+  const parts: string[] = []
+  let current = ''
+  let size = 0
+  for (const char of line) {
+    const charSize = encoder.encode(char).length
+    // Continuation lines spend one octet on the leading space.
+    if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current)
+      current = ''
+      size = 0
+    }
+    current += char
+    size += charSize
+  }
+  parts.push(current)
+  return parts.join('\r\n ')
+}
+
+/** A Google Maps search for an address; `links.json` keeps the office address but no map link. */
+export function mapUrl(address: string): string {
+  return `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(address)}`
+}
+
+type MeetingLocation = { text: string; url?: string }
+
+/** The LOCATION line and the link that goes with it: the call, the WhatsApp chat or the office on a map. */
+function meetingLocation(event: CalendarEvent): MeetingLocation | undefined {
+  const kind = event.location?.kind ?? 'video'
+  const text = event.location?.text
+  if (kind === 'video') {
+    const call = event.meetUrl || event.hangoutLink
+    return call ? { text: call, url: call } : undefined
+  }
+  if (!text) return undefined
+  if (kind === 'in-person') return { text, url: mapUrl(text) }
+  return kind === 'whatsapp' ? { text, url: text } : { text }
+}
+
+/** The VEVENT properties shared by the feed and the copy a CalDAV server stores. */
+function eventLines(event: CalendarEvent, now: Date): string[] {
+  const cancelled = event.status === 'cancelled'
+  const location = meetingLocation(event)
+  const organizer = event.organizer
+  return [
+    `UID:${event.iCalUID}`,
+    `SEQUENCE:${event.sequence}`,
+    `DTSTAMP:${icsDate(now.toISOString())}`,
+    `DTSTART:${icsDate(event.start)}`,
+    `DTEND:${icsDate(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+    event.description ? `DESCRIPTION:${escapeText(event.description)}` : '',
+    location ? `LOCATION:${escapeText(location.text)}` : '',
+    location?.url ? `URL:${location.url}` : '',
+    organizer ? `ORGANIZER;CN=${paramValue(organizer.name || ORGANIZER_NAME)}:mailto:${organizer.email}` : '',
+    ...event.attendees
+      .filter((attendee) => attendee.email !== organizer?.email)
+      .map(
+        (attendee) =>
+          `ATTENDEE;${attendee.name ? `CN=${paramValue(attendee.name)};` : ''}ROLE=REQ-PARTICIPANT:mailto:${attendee.email}`,
+      ),
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+  ]
+}
+
+function serialize(lines: string[]): string {
+  return `${lines.filter(Boolean).map(fold).join('\r\n')}\r\n`
+}
+
+/** A single VEVENT: PUBLISH while the booking stands, CANCEL once it has been cancelled. */
+export function buildIcs(event: CalendarEvent, now = new Date()): string {
+  const cancelled = event.status === 'cancelled'
+  return serialize([
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${cancelled ? 'CANCEL' : 'PUBLISH'}`,
+    'BEGIN:VEVENT',
+    ...eventLines(event, now),
+    ...(cancelled
+      ? []
+      : [
+          'BEGIN:VALARM',
+          'ACTION:DISPLAY',
+          `DESCRIPTION:${escapeText(event.summary)}`,
+          `TRIGGER:-PT${REMINDER_MINUTES}M`,
+          'END:VALARM',
+        ]),
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ])
+}
+
+/** Carries the assigned host ids on events stored over CalDAV, as Google's extended properties do. */
+export const HOSTS_PROPERTY = 'X-BASEET-HOSTS'
+
+/** Carries the location kind the same way; LOCATION holds its text. */
+export const LOCATION_PROPERTY = 'X-BASEET-LOCATION'
+
+/** Marks a group session with its meeting type id. */
+export const SESSION_PROPERTY = 'X-BASEET-SESSION'
+
+/**
+ * The event as a CalDAV calendar object. Servers refuse one with a METHOD, and the ones that
+ * schedule (RFC 6638) send the ATTENDEEs their invites from it.
+ */
+export function calendarResource(event: CalendarEvent, now = new Date()): string {
+  return serialize([
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'BEGIN:VEVENT',
+    ...eventLines(event, now),
+    event.hosts.length ? `${HOSTS_PROPERTY}:${event.hosts.join(',')}` : '',
+    event.location ? `${LOCATION_PROPERTY}:${event.location.kind}` : '',
+    event.session ? `${SESSION_PROPERTY}:${event.session}` : '',
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ])
+}
+
+export function calendarLinks(apiOrigin: string, manageToken: string, event: CalendarEvent): CalendarLinks {
+  const location = meetingLocation(event)
+
+  const google = new URL('https://calendar.google.com/calendar/render')
+  google.search = new URLSearchParams({
+    action: 'TEMPLATE',
+    text: event.summary,
+    dates: `${icsDate(event.start)}/${icsDate(event.end)}`,
+    details: event.description,
+    ...(location ? { location: location.text } : {}),
+  }).toString()
+
+  const outlook = new URL('https://outlook.live.com/calendar/0/deeplink/compose')
+  outlook.search = new URLSearchParams({
+    path: '/calendar/action/compose',
+    rru: 'addevent',
+    subject: event.summary,
+    startdt: new Date(event.start).toISOString(),
+    enddt: new Date(event.end).toISOString(),
+    body: event.description,
+    ...(location ? { location: location.text } : {}),
+  }).toString()
+
+  return {
+    ics: `${apiOrigin}/booking/${encodeURIComponent(manageToken)}.ics`,
+    google: google.toString(),
+    outlook: outlook.toString(),
+  }
+}
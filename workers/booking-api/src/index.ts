@@ -1,47 +1,295 @@
-import { dateAvailability, executeBook, monthAvailability, SlotTakenError } from './booking'
+import {
+  agencyTimeZone,
+  AlreadySeatedError,
+  BookingGoneError,
+  dateAvailability,
+  executeBook,
+  executeCancel,
+  executeReschedule,
+  isBookable,
+  loadBooking,
+  loadBookingCalendar,
+  monthAvailability,
+  SlotTakenError,
+} from './booking'
+import { parseAttribution } from './attribution'
+import { utcDays, type BusyCache } from './cache'
+import { CalendarError, type CalendarEvent } from './calendar'
 import type { Env } from './env'
-import { GoogleError } from './google'
-import { corsHeaders, json, jsonError, preflight } from './http'
-import { consumeBookLimit } from './rate-limit'
-import { isYearMonth, isYearMonthDay } from './slots'
-import { getMeetingType } from './config'
-import { validateBookBody, type BookPayload } from './validate'
+import { findHold, heldBlocks, VISITOR_HOLD_MS, type SlotHold } from './holds'
+import { calendarFile, corsHeaders, json, jsonError, preflight } from './http'
+import { buildIcs, calendarLinks } from './ics'
+import { consumeBookLimit, consumeHoldLimit } from './rate-limit'
+import { notifyBooking, runTeamAction } from './notify'
+import { dropHold, expireHolds, offerFreedSlot } from './offers'
+import { sendDueMessages } from './reminders'
+import { eventsOverlap, isYearMonth, isYearMonthDay, ymdInZone } from './slots'
+import { storageBusyCache } from './storage-cache'
+import { storageHolds, type HoldStore } from './storage-holds'
+import { insertWaitlistEntry, markWaitlistBooked, type BookingActor } from './store'
+import { hasWebhookSecret, type CallbackQuery } from './telegram'
+import { getMeetingType, offersLocation, type LocationKind } from './config'
+import { verifyManageToken, type ManageClaims } from './token'
+import {
+  validateBookBody,
+  validateHoldBody,
+  validateManageBody,
+  validateWaitlistBody,
+  type BookPayload,
+  type HoldPayload,
+} from './validate'
 
+type RescheduleJob = { claims: ManageClaims; startTime: string }
+type CancelJob = { claims: ManageClaims; actor?: BookingActor }
+/** `location` only matters for its buffer: in-person meetings keep more time clear. */
+type AvailabilityJob = { meetingType: string; month?: string; date?: string; location?: LocationKind }
+type HoldJob = { holdToken: string }
+
+/** Cached days an event's busy block falls on. */
+function eventDays(event: CalendarEvent): string[] {
+  return utcDays(new Date(event.start), new Date(event.end))
+}
+
+/** Lock paths that only read; everything else changes bookings or holds and waits its turn. */
+const READ_ONLY_PATHS = new Set(['/availability', '/hold/get'])
+
+/**
+ * Every booking change goes through this one instance, so it also holds the availability
+ * cache: a change clears the days it touches before replying, and the next view is fresh.
+ * Slot holds live here too, so every view and booking sees them.
+ */
 export class BookingLock {
-  constructor(
-    readonly ctx: DurableObjectState,
-    readonly env: Env,
-  ) {}
+  readonly ctx: DurableObjectState
+  readonly env: Env
+  readonly cache: BusyCache
+  readonly holds: HoldStore
+  private queue: Promise<unknown> = Promise.resolve()
+
+  constructor(ctx: DurableObjectState, env: Env) {
+    this.ctx = ctx
+    this.env = env
+    this.cache = storageBusyCache(ctx.storage)
+    this.holds = storageHolds(ctx.storage)
+  }
+
+  /**
+   * Runs changes one after another. The runtime lets the next request in whenever this one
+   * waits on the calendar, so two visitors could otherwise both pass the free/busy check for
+   * one slot, and the post-insert check would then take both events back out.
+   */
+  private serialize<T>(task: () => Promise<T>): Promise<T> {
+    const run = this.queue.then(task, task)
+    this.queue = run.catch(() => undefined)
+    return run
+  }
+
+  async alarm(): Promise<void> {
+    const now = Date.now()
+    await this.cache.prune(now)
+    await expireHolds(this.env, this.holds, this.cache, now)
+    await this.holds.armFor(now)
+  }
+
+  /** Offers a slot a booking just left to the waitlist, after the response has gone out. */
+  offer(meetingTypeId: string, event: CalendarEvent): void {
+    const slot = { meetingTypeId, start: new Date(event.start), end: new Date(event.end) }
+    this.ctx.waitUntil(offerFreedSlot(this.env, this.holds, this.cache, slot))
+  }
+
+  /** A failed clear is logged, not thrown: the booking itself has already gone through. */
+  async forget(events: CalendarEvent[]): Promise<void> {
+    try {
+      await this.cache.invalidate(events.flatMap(eventDays), Date.now())
+    } catch (err) {
+      console.error('[booking-api] could not clear cached availability', err)
+    }
+  }
+
+  /** A used hold is dropped and its waitlist entry taken off the list. */
+  async release(holdId: string, waitlistId: string | undefined, googleEventId: string): Promise<void> {
+    await this.holds.delete(holdId)
+    if (!waitlistId) return
+    try {
+      await markWaitlistBooked(this.env, waitlistId, googleEventId)
+    } catch (err) {
+      console.error('[booking-api] could not close waitlist entry', waitlistId, err)
+    }
+  }
+
+  /**
+   * Holds a slot for the visitor filling in the form, in place of the hold whose token they send
+   * as `replaces`. The slot is checked against Google first; the holds are read again afterwards,
+   * so two visitors racing for one slot cannot both get it.
+   */
+  async place(job: HoldPayload, holds: SlotHold[], now: Date): Promise<SlotHold> {
+    const meetingType = getMeetingType(job.meetingTypeId)
+    if (!meetingType) throw new Error('unknown_meeting_type')
+    const start = new Date(job.startTime)
+    const end = new Date(start.getTime() + meetingType.durationMinutes * 60 * 1000)
+    const others = (list: SlotHold[]) => list.filter((hold) => hold.id !== job.replaces)
+
+    const held = heldBlocks(others(holds), now.getTime())
+    if (!(await isBookable(this.env, meetingType.id, start, now, this.cache, held))) throw new SlotTakenError()
+
+    const latest = await this.holds.list()
+    const clash = heldBlocks(others(latest), now.getTime()).some((block) =>
+      eventsOverlap(start, end, block.start, block.end),
+    )
+    if (clash) throw new SlotTakenError()
+
+    const hold: SlotHold = {
+      id: crypto.randomUUID(),
+      meetingTypeId: meetingType.id,
+      start: start.toISOString(),
+      end: end.toISOString(),
+      expiresAt: now.getTime() + VISITOR_HOLD_MS,
+    }
+    await this.holds.put(hold)
+    const previous = findHold(latest, job.replaces, now.getTime())
+    if (previous) await dropHold(this.env, this.holds, this.cache, previous, now.getTime())
+    return hold
+  }
 
   async fetch(request: Request): Promise<Response> {
-    let payload: BookPayload
+    const { pathname } = new URL(request.url)
+    let payload: unknown
     try {
-      payload = (await request.json()) as BookPayload
+      payload = await request.json()
     } catch {
       return jsonError(request, 400, 'validation', 'Request body must be JSON.')
     }
 
+    const handle = () => this.handle(request, pathname, payload)
+    return READ_ONLY_PATHS.has(pathname) ? handle() : this.serialize(handle)
+  }
+
+  private async handle(request: Request, pathname: string, payload: unknown): Promise<Response> {
     try {
-      const event = await executeBook(this.env, payload)
-      return json(request, { event }, 201)
-    } catch (err) {
-      if (err instanceof SlotTakenError) {
-        return jsonError(request, 409, 'slot_taken', err.message)
+      const now = new Date()
+      const holds = await this.holds.list()
+      if (pathname === '/availability') {
+        const job = payload as AvailabilityJob
+        const held = heldBlocks(holds, now.getTime())
+        const result = job.month
+          ? await monthAvailability(this.env, job.month, job.meetingType, now, this.cache, held, job.location)
+          : await dateAvailability(this.env, job.date ?? '', job.meetingType, now, this.cache, held, job.location)
+        return json(request, result)
       }
-      if (err instanceof Error && err.message === 'unknown_meeting_type') {
-        return jsonError(request, 400, 'validation', 'Unknown meeting type.')
+      if (pathname === '/hold/place') {
+        const hold = await this.place(payload as HoldPayload, holds, now)
+        return json(request, { holdToken: hold.id, ...holdExpiry(hold, now) }, 201)
       }
-      if (err instanceof Error && err.message === 'invalid_slot') {
-        return jsonError(request, 400, 'validation', 'That time is not an available slot.')
+      if (pathname === '/hold/release') {
+        const hold = findHold(holds, (payload as HoldJob).holdToken, now.getTime())
+        if (hold) await dropHold(this.env, this.holds, this.cache, hold, now.getTime())
+        return json(request, { released: true })
       }
-      if (err instanceof GoogleError) {
-        return jsonError(request, 502, 'google_failure', err.message)
+      if (pathname === '/hold/get') {
+        const hold = findHold(holds, (payload as HoldJob).holdToken, now.getTime())
+        if (!hold) return jsonError(request, 410, 'hold_expired', 'This hold has expired or was already used.')
+        return json(request, {
+          hold: {
+            meetingTypeId: hold.meetingTypeId,
+            date: ymdInZone(new Date(hold.start), agencyTimeZone(this.env)),
+            startTime: hold.start,
+            endTime: hold.end,
+            ...holdExpiry(hold, now),
+          },
+        })
+      }
+      if (pathname === '/reschedule') {
+        const job = payload as RescheduleJob
+        const held = heldBlocks(holds, now.getTime())
+        const { event, previous } = await executeReschedule(this.env, job.claims, job.startTime, now, held)
+        await this.forget([previous, event])
+        this.ctx.waitUntil(notifyBooking(this.env, 'rescheduled', job.claims.eventId))
+        if (previous.start !== event.start) this.offer(job.claims.meetingTypeId, previous)
+        return json(request, { event })
       }
-      return jsonError(request, 502, 'google_failure', 'Booking failed. Please try another time.')
+      if (pathname === '/cancel') {
+        const job = payload as CancelJob
+        const cancelled = await executeCancel(this.env, job.claims, now, job.actor)
+        await this.forget([cancelled])
+        // A cancel from the chat is reported in the chat by the button handler.
+        if (job.actor !== 'team') {
+          this.ctx.waitUntil(notifyBooking(this.env, 'cancelled', job.claims.eventId, job.claims.attendee))
+        }
+        this.offer(job.claims.meetingTypeId, cancelled)
+        return json(request, { cancelled: true })
+      }
+      const book = payload as BookPayload
+      const own = findHold(holds, book.holdToken, now.getTime())
+      // A hold only lets its holder book the exact slot and type it was made for.
+      const used =
+        own && own.meetingTypeId === book.meetingTypeId && Date.parse(own.start) === Date.parse(book.startTime)
+          ? own
+          : undefined
+      const result = await executeBook(this.env, book, now, heldBlocks(holds, now.getTime(), used?.id))
+      await this.forget([result.event])
+      if (used) await this.release(used.id, used.waitlistId, result.event.id)
+      this.ctx.waitUntil(notifyBooking(this.env, 'booked', result.event.id, book.email))
+      return json(request, result, 201)
+    } catch (err) {
+      return lockError(request, err)
     }
   }
 }
 
+/** `expiresIn` (seconds) lets the widget count down without trusting the visitor's clock. */
+function holdExpiry(hold: SlotHold, now: Date): { expiresAt: string; expiresIn: number } {
+  return {
+    expiresAt: new Date(hold.expiresAt).toISOString(),
+    expiresIn: Math.floor((hold.expiresAt - now.getTime()) / 1000),
+  }
+}
+
+/** Tokens arrive URL-encoded in the path; one that does not decode (`%E0`) names nothing. */
+function pathToken(segment: string): string | null {
+  try {
+    return decodeURIComponent(segment)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Booking signs a manage token and managing reads one. Without the secret, say so up front
+ * rather than as a calendar failure after the event is already being written.
+ */
+function missingTokenSecret(request: Request, env: Env): Response | null {
+  if (env.BOOKING_TOKEN_SECRET) return null
+  console.error('[booking-api] BOOKING_TOKEN_SECRET is not set')
+  return jsonError(request, 500, 'misconfigured', 'Booking is not set up yet. Please try again later.')
+}
+
+function lockError(request: Request, err: unknown): Response {
+  if (err instanceof SlotTakenError) {
+    return jsonError(request, 409, 'slot_taken', err.message)
+  }
+  if (err instanceof BookingGoneError) {
+    return jsonError(request, 410, 'booking_gone', err.message)
+  }
+  if (err instanceof AlreadySeatedError) {
+    return jsonError(request, 409, 'already_seated', err.message)
+  }
+  if (err instanceof Error && err.message === 'unknown_meeting_type') {
+    return jsonError(request, 400, 'validation', 'Unknown meeting type.')
+  }
+  if (err instanceof Error && err.message === 'invalid_slot') {
+    return jsonError(request, 400, 'invalid_slot', 'That time is not an available slot.')
+  }
+  if (err instanceof Error && err.message === 'booking_started') {
+    return jsonError(request, 409, 'booking_started', 'This booking has already started and can no longer be changed.')
+  }
+  if (err instanceof Error && err.message === 'seat_reschedule') {
+    return jsonError(request, 409, 'seat_reschedule', 'A seat in a group session cannot be moved. Cancel it instead.')
+  }
+  if (err instanceof CalendarError) {
+    return jsonError(request, 502, 'google_failure', err.message)
+  }
+  return jsonError(request, 502, 'google_failure', 'Booking failed. Please try another time.')
+}
+
 export default {
   async fetch(request: Request, env: Env): Promise<Response> {
     if (request.method === 'OPTIONS') return preflight(request)
@@ -53,24 +301,68 @@ export default {
         return await handleAvailability(request, env, url)
       }
       if (url.pathname === '/book' && request.method === 'POST') {
-        return await handleBook(request, env)
+        return missingTokenSecret(request, env) ?? (await handleBook(request, env))
+      }
+      if (url.pathname === '/waitlist' && request.method === 'POST') {
+        return await handleWaitlist(request, env)
+      }
+      if (url.pathname === '/hold' && request.method === 'POST') {
+        return await handlePlaceHold(request, env)
+      }
+      if (url.pathname.startsWith('/hold/')) {
+        const rest = url.pathname.slice('/hold/'.length)
+        if (rest.endsWith('/release') && request.method === 'POST') {
+          const holdToken = pathToken(rest.slice(0, -'/release'.length))
+          if (holdToken === null) return jsonError(request, 404, 'not_found', 'Unknown endpoint.')
+          const job: HoldJob = { holdToken }
+          return await forwardToLock(request, env, '/hold/release', job)
+        }
+        if (request.method === 'GET') {
+          const holdToken = pathToken(rest)
+          if (holdToken === null) return jsonError(request, 404, 'not_found', 'Unknown endpoint.')
+          const job: HoldJob = { holdToken }
+          return await forwardToLock(request, env, '/hold/get', job)
+        }
+      }
+      if (url.pathname === '/telegram/webhook' && request.method === 'POST') {
+        return await handleTelegramWebhook(request, env)
+      }
+      if (url.pathname.startsWith('/booking/')) {
+        const missing = missingTokenSecret(request, env)
+        if (missing) return missing
+        const rest = url.pathname.slice('/booking/'.length)
+        const feed = rest.endsWith('.ics') && request.method === 'GET'
+        const manageToken = pathToken(feed ? rest.slice(0, -'.ics'.length) : rest)
+        if (manageToken === null) return jsonError(request, 404, 'not_found', 'Unknown endpoint.')
+        if (feed) return await handleBookingCalendar(request, env, manageToken)
+        if (request.method === 'GET') return await handleGetBooking(request, env, manageToken)
+        if (request.method === 'POST') return await handleManageBooking(request, env, manageToken)
       }
       return jsonError(request, 404, 'not_found', 'Unknown endpoint.')
     } catch (err) {
-      if (err instanceof GoogleError) {
+      if (err instanceof CalendarError) {
         return jsonError(request, 502, 'google_failure', err.message)
       }
       console.error('[booking-api]', err)
       return jsonError(request, 502, 'google_failure', 'Something went wrong talking to the calendar.')
     }
   },
+
+  async scheduled(controller: ScheduledController, env: Env, ctx: ExecutionContext): Promise<void> {
+    ctx.waitUntil(sendDueMessages(env, new Date(controller.scheduledTime)))
+  },
 }
 
 async function handleAvailability(request: Request, env: Env, url: URL): Promise<Response> {
   const meetingType = url.searchParams.get('meetingType') ?? ''
-  if (!getMeetingType(meetingType)) {
+  const type = getMeetingType(meetingType)
+  if (!type) {
     return jsonError(request, 400, 'validation', 'Unknown or missing meetingType.')
   }
+  const location = url.searchParams.get('location') || undefined
+  if (location !== undefined && !offersLocation(type, location)) {
+    return jsonError(request, 400, 'validation', 'That meeting type is not offered at this location.')
+  }
 
   const month = url.searchParams.get('month')
   const date = url.searchParams.get('date')
@@ -79,16 +371,16 @@ async function handleAvailability(request: Request, env: Env, url: URL): Promise
     if (!isYearMonth(month)) {
       return jsonError(request, 400, 'validation', 'month must be YYYY-MM.')
     }
-    const result = await monthAvailability(env, month, meetingType)
-    return json(request, result)
+    const job: AvailabilityJob = { meetingType, month, location }
+    return forwardToLock(request, env, '/availability', job)
   }
 
   if (date) {
     if (!isYearMonthDay(date)) {
       return jsonError(request, 400, 'validation', 'date must be YYYY-MM-DD.')
     }
-    const result = await dateAvailability(env, date, meetingType)
-    return json(request, result)
+    const job: AvailabilityJob = { meetingType, date, location }
+    return forwardToLock(request, env, '/availability', job)
   }
 
   return jsonError(request, 400, 'validation', 'Provide month=YYYY-MM or date=YYYY-MM-DD.')
@@ -107,21 +399,194 @@ async function handleBook(request: Request, env: Env): Promise<Response> {
     return jsonError(request, 429, 'rate_limit', 'Too many booking attempts. Try again in an hour.')
   }
 
-  const parsed = validateBookBody(raw)
+  const parsed = validateBookBody(
+    raw,
+    (id) => getMeetingType(id)?.questions ?? [],
+    (id) => getMeetingType(id)?.locations ?? [],
+  )
+  if (!parsed.ok) {
+    return jsonError(request, 400, 'validation', parsed.message)
+  }
+
+  const attribution = parseAttribution((raw as Record<string, unknown>).attribution)
+  return forwardToLock(request, env, '/book', { ...parsed.value, attribution })
+}
+
+/**
+ * Holds are keyed by their token, not the client address, so visitors behind one address cannot
+ * take each other's. The hourly limit keeps one client from holding a whole day.
+ */
+async function handlePlaceHold(request: Request, env: Env): Promise<Response> {
+  let raw: unknown
+  try {
+    raw = await request.json()
+  } catch {
+    return jsonError(request, 400, 'validation', 'Request body must be JSON.')
+  }
+
+  const parsed = validateHoldBody(raw)
+  if (!parsed.ok) {
+    return jsonError(request, 400, 'validation', parsed.message)
+  }
+  if (!getMeetingType(parsed.value.meetingTypeId)) {
+    return jsonError(request, 400, 'validation', 'Unknown meeting type.')
+  }
+
+  // Moving a live hold to another slot gives the old one up, so only new holds count.
+  const moving = parsed.value.replaces !== undefined && (await isLiveHold(request, env, parsed.value.replaces))
+  if (!moving && (await consumeHoldLimit(env, request)) === 'limited') {
+    return jsonError(request, 429, 'rate_limit', 'Too many slots held. Try again in an hour.')
+  }
+
+  return forwardToLock(request, env, '/hold/place', parsed.value)
+}
+
+async function isLiveHold(request: Request, env: Env, holdToken: string): Promise<boolean> {
+  const job: HoldJob = { holdToken }
+  return (await forwardToLock(request, env, '/hold/get', job)).ok
+}
+
+async function handleWaitlist(request: Request, env: Env): Promise<Response> {
+  let raw: unknown
+  try {
+    raw = await request.json()
+  } catch {
+    return jsonError(request, 400, 'validation', 'Request body must be JSON.')
+  }
+
+  const limited = await consumeBookLimit(env, request)
+  if (limited === 'limited') {
+    return jsonError(request, 429, 'rate_limit', 'Too many booking attempts. Try again in an hour.')
+  }
+
+  const parsed = validateWaitlistBody(raw)
   if (!parsed.ok) {
     return jsonError(request, 400, 'validation', parsed.message)
   }
+  if (!getMeetingType(parsed.value.meetingTypeId)) {
+    return jsonError(request, 400, 'validation', 'Unknown meeting type.')
+  }
+
+  const { value } = parsed
+  await insertWaitlistEntry(env, {
+    id: crypto.randomUUID(),
+    meetingTypeId: value.meetingTypeId,
+    name: value.name,
+    email: value.email,
+    lang: value.lang,
+    visitorTimeZone: value.timeZone,
+    dates: value.dates,
+    partOfDay: value.partOfDay,
+  })
+  return json(request, { waitlisted: true }, 201)
+}
+
+async function readClaims(env: Env, manageToken: string): Promise<ManageClaims | null> {
+  if (!manageToken) return null
+  return verifyManageToken(env.BOOKING_TOKEN_SECRET, manageToken)
+}
+
+async function handleGetBooking(request: Request, env: Env, manageToken: string): Promise<Response> {
+  const claims = await readClaims(env, manageToken)
+  if (!claims) {
+    return jsonError(request, 404, 'invalid_token', 'This booking link is not valid.')
+  }
 
+  try {
+    const event = await loadBooking(env, claims)
+    const calendar = calendarLinks(new URL(request.url).origin, manageToken, event)
+    // `seat` tells the widget to offer cancelling only: a seat cannot be moved on its own.
+    const seat = Boolean(claims.attendee)
+    return json(request, { booking: { meetingTypeId: claims.meetingTypeId, event, calendar, seat } })
+  } catch (err) {
+    if (err instanceof BookingGoneError) {
+      return jsonError(request, 410, 'booking_gone', err.message)
+    }
+    throw err
+  }
+}
+
+/** Not rate limited: calendar apps that subscribed to the feed poll it on their own schedule. */
+async function handleBookingCalendar(request: Request, env: Env, manageToken: string): Promise<Response> {
+  const claims = await readClaims(env, manageToken)
+  if (!claims) {
+    return jsonError(request, 404, 'invalid_token', 'This booking link is not valid.')
+  }
+
+  try {
+    const event = await loadBookingCalendar(env, claims)
+    return calendarFile(request, buildIcs(event))
+  } catch (err) {
+    if (err instanceof BookingGoneError) {
+      return jsonError(request, 410, 'booking_gone', err.message)
+    }
+    throw err
+  }
+}
+
+async function handleManageBooking(request: Request, env: Env, manageToken: string): Promise<Response> {
+  let raw: unknown
+  try {
+    raw = await request.json()
+  } catch {
+    return jsonError(request, 400, 'validation', 'Request body must be JSON.')
+  }
+
+  const claims = await readClaims(env, manageToken)
+  if (!claims) {
+    return jsonError(request, 404, 'invalid_token', 'This booking link is not valid.')
+  }
+
+  const limited = await consumeBookLimit(env, request)
+  if (limited === 'limited') {
+    return jsonError(request, 429, 'rate_limit', 'Too many booking attempts. Try again in an hour.')
+  }
+
+  const parsed = validateManageBody(raw)
+  if (!parsed.ok) {
+    return jsonError(request, 400, 'validation', parsed.message)
+  }
+
+  if (parsed.value.action === 'cancel') {
+    const job: CancelJob = { claims }
+    return forwardToLock(request, env, '/cancel', job)
+  }
+  const job: RescheduleJob = { claims, startTime: parsed.value.startTime }
+  return forwardToLock(request, env, '/reschedule', job, manageToken)
+}
+
+/** Button presses from booking notices. Always 200 once authenticated, or Telegram retries the update. */
+async function handleTelegramWebhook(request: Request, env: Env): Promise<Response> {
+  if (!hasWebhookSecret(request, env.TELEGRAM_WEBHOOK_SECRET)) {
+    return jsonError(request, 401, 'unauthorized', 'Missing or wrong webhook secret.')
+  }
+  const update = (await request.json().catch(() => null)) as { callback_query?: CallbackQuery } | null
+  if (update?.callback_query) {
+    await runTeamAction(env, update.callback_query, (claims) => {
+      const job: CancelJob = { claims, actor: 'team' }
+      return forwardToLock(request, env, '/cancel', job)
+    })
+  }
+  return json(request, { ok: true })
+}
+
+async function forwardToLock(
+  request: Request,
+  env: Env,
+  path: string,
+  payload: unknown,
+  manageToken?: string,
+): Promise<Response> {
   const id = env.BOOKING_LOCK.idFromName('global')
   const stub = env.BOOKING_LOCK.get(id)
-  const locked = await stub.fetch(new Request('https://booking-lock/book', {
+  const locked = await stub.fetch(new Request(`https://booking-lock${path}`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(parsed.value),
+    body: JSON.stringify(payload),
   }))
 
   const body = await locked.text()
-  return new Response(body, {
+  return new Response(locked.ok ? withCalendarLinks(request, body, manageToken) : body, {
     status: locked.status,
     headers: {
       'Content-Type': 'application/json; charset=utf-8',
@@ -129,3 +594,11 @@ async function handleBook(request: Request, env: Env): Promise<Response> {
     },
   })
 }
+
+/** The lock only sees its internal URL, so links back to this Worker are added on the way out. */
+function withCalendarLinks(request: Request, body: string, manageToken?: string): string {
+  const result = JSON.parse(body) as { event?: CalendarEvent; manageToken?: string }
+  const token = result.manageToken ?? manageToken
+  if (!result.event || !token) return body
+  return JSON.stringify({ ...result, calendar: calendarLinks(new URL(request.url).origin, token, result.event) })
+}
@@ -0,0 +1,22 @@
+import uiEn from '../../../src/content/locales/en/ui.json'
+import uiAr from '../../../src/content/locales/ar/ui.json'
+import uiUr from '../../../src/content/locales/ur/ui.json'
+import uiHi from '../../../src/content/locales/hi/ui.json'
+import uiFil from '../../../src/content/locales/fil/ui.json'
+import type { Lang } from './validate'
+
+type UiDict = Record<string, string>
+
+/** The site's own `ui.json` files, bundled in so emails read the same copy as the pages. */
+const dictionaries: Record<Lang, UiDict> = {
+  en: uiEn as UiDict,
+  ar: uiAr as UiDict,
+  ur: uiUr as UiDict,
+  hi: uiHi as UiDict,
+  fil: uiFil as UiDict,
+}
+
+/** One locale's strings with English filling any gaps, like `t()` on the site. */
+export function uiCopy(lang: Lang): UiDict {
+  return { ...dictionaries.en, ...(dictionaries[lang] ?? {}) }
+}
@@ -0,0 +1,166 @@
+import type { MailMessage } from '../../shared/mail'
+import type { EventLocation } from './calendar'
+import type { Lang } from './validate'
+
+export type MessageKind = 'confirmation' | 'reminder_24h' | 'reminder_1h' | 'follow_up'
+
+export const messageKinds: readonly MessageKind[] = ['confirmation', 'reminder_24h', 'reminder_1h', 'follow_up']
+
+const HOUR_MS = 60 * 60 * 1000
+
+/** Gives the team time to mark a no-show before the thank-you goes out. */
+export const FOLLOW_UP_DELAY_MS = 2 * HOUR_MS
+
+/** Follow-ups older than this are dropped rather than sent late after an outage. */
+const FOLLOW_UP_WINDOW_MS = 2 * 24 * HOUR_MS
+
+export type MessageTiming = {
+  start: Date
+  end: Date
+  /** When the current time was booked. */
+  scheduledAt: Date
+  sent: ReadonlySet<MessageKind>
+}
+
+/** Earliest `end` a cron run still has to look at. */
+export function messageHorizon(now: Date): Date {
+  return new Date(now.getTime() - FOLLOW_UP_DELAY_MS - FOLLOW_UP_WINDOW_MS)
+}
+
+/**
+ * A reminder only goes out if the booking existed before its window opened; otherwise the
+ * confirmation already said the same thing moments ago.
+ */
+function reminderDue(timing: MessageTiming, now: Date, before: number, until: number): boolean {
+  const opens = timing.start.getTime() - before
+  return timing.scheduledAt.getTime() <= opens && now.getTime() >= opens && now.getTime() < timing.start.getTime() - until
+}
+
+export function dueMessages(timing: MessageTiming, now: Date): MessageKind[] {
+  const due: Record<MessageKind, boolean> = {
+    confirmation: now < timing.start,
+    reminder_24h: reminderDue(timing, now, 24 * HOUR_MS, HOUR_MS),
+    reminder_1h: reminderDue(timing, now, HOUR_MS, 0),
+    follow_up:
+      now.getTime() >= timing.end.getTime() + FOLLOW_UP_DELAY_MS &&
+      now.getTime() < timing.end.getTime() + FOLLOW_UP_DELAY_MS + FOLLOW_UP_WINDOW_MS,
+  }
+  return messageKinds.filter((kind) => due[kind] && !timing.sent.has(kind))
+}
+
+export type MessageContext = {
+  lang: Lang
+  name: string
+  email: string
+  /** Localized meeting type name. */
+  meeting: string
+  start: Date
+  timeZone: string
+  meetUrl?: string
+  /** Left out for a video call. */
+  location?: EventLocation
+  manageUrl: string
+  projectsUrl: string
+}
+
+const RTL: readonly Lang[] = ['ar', 'ur']
+
+function fill(template: string, vars: Record<string, string>): string {
+  return template.replace(/\{(\w+)\}/g, (match, name: string) => vars[name] ?? match)
+}
+
+function escapeHtml(value: string): string {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+function toHtml(paragraphs: string[], lang: Lang): string {
+  const body = paragraphs
+    .map((paragraph) =>
+      escapeHtml(paragraph).replace(/https?:\/\/[^\s<]+/g, (url) => `<a href="${url}">${url}</a>`),
+    )
+    .map((paragraph) => `<p>${paragraph}</p>`)
+    .join('\n')
+  return `<div lang="${lang}" dir="${RTL.includes(lang) ? 'rtl' : 'ltr'}">\n${body}\n</div>`
+}
+
+/** Where to be: the Meet link, the number we call, our WhatsApp or the office. Empty when unknown. */
+function whereKey(context: MessageContext): string {
+  const kind = context.location?.kind ?? 'video'
+  if (kind === 'video') return context.meetUrl ? 'email_join' : ''
+  if (!context.location?.text) return ''
+  return `email_where_${kind.replace('-', '_')}`
+}
+
+export function formatWhen(start: Date, lang: Lang, timeZone: string): string {
+  const when = new Intl.DateTimeFormat(lang, { dateStyle: 'full', timeStyle: 'short', timeZone }).format(start)
+  return `${when} (${timeZone})`
+}
+
+/**
+ * Builds one email from `copy`, a locale's `ui.json`. Keys are `email_<kind>_subject` and
+ * `email_<kind>_body` plus the shared greeting, where-to-meet, manage and sign-off lines.
+ */
+export function composeMessage(kind: MessageKind, context: MessageContext, copy: Record<string, string>): MailMessage {
+  const vars = {
+    name: context.name,
+    meeting: context.meeting,
+    when: formatWhen(context.start, context.lang, context.timeZone),
+    meetUrl: context.meetUrl ?? '',
+    location: context.location?.text ?? '',
+    manageUrl: context.manageUrl,
+    projectsUrl: context.projectsUrl,
+  }
+  const upcoming = kind !== 'follow_up'
+  const paragraphs = [
+    copy.email_greeting,
+    copy[`email_${kind}_body`],
+    upcoming ? (copy[whereKey(context)] ?? '') : '',
+    upcoming ? copy.email_manage : '',
+    copy.email_signoff,
+  ]
+    .filter(Boolean)
+    .map((line) => fill(line, vars))
+
+  return {
+    to: context.email,
+    toName: context.name,
+    subject: fill(copy[`email_${kind}_subject`] ?? '', vars),
+    text: paragraphs.join('\n\n'),
+    html: toHtml(paragraphs, context.lang),
+  }
+}
+
+export type WaitlistOfferContext = {
+  lang: Lang
+  name: string
+  email: string
+  /** Localized meeting type name. */
+  meeting: string
+  start: Date
+  timeZone: string
+  /** When the hold runs out. */
+  until: Date
+  holdUrl: string
+}
+
+/** The email a waitlisted visitor gets when a slot they asked for opens up. */
+export function composeWaitlistOffer(context: WaitlistOfferContext, copy: Record<string, string>): MailMessage {
+  const vars = {
+    name: context.name,
+    meeting: context.meeting,
+    when: formatWhen(context.start, context.lang, context.timeZone),
+    until: new Intl.DateTimeFormat(context.lang, { timeStyle: 'short', timeZone: context.timeZone }).format(context.until),
+    holdUrl: context.holdUrl,
+  }
+  const paragraphs = [copy.email_greeting, copy.email_waitlist_offer_body, copy.email_signoff]
+    .filter(Boolean)
+    .map((line) => fill(line, vars))
+
+  return {
+    to: context.email,
+    toName: context.name,
+    subject: fill(copy.email_waitlist_offer_subject ?? '', vars),
+    text: paragraphs.join('\n\n'),
+    html: toHtml(paragraphs, context.lang),
+  }
+}
@@ -0,0 +1,394 @@
+import {
+  calendarId,
+  CalendarError,
+  type CalendarEvent,
+  type CalendarProvider,
+  type EventAttendee,
+  type EventLocation,
+  type InsertEventInput,
+  type ListedEvent,
+  type PatchEventInput,
+} from './calendar'
+import { locationKinds, type LocationKind } from './config'
+import type { Env } from './env'
+import type { BusyBlock } from './slots'
+
+const GRAPH = 'https://graph.microsoft.com/v1.0'
+
+/** Refreshed a minute early so a token never expires mid-request. */
+const TOKEN_MARGIN_MS = 60 * 1000
+
+/** Named properties in the public-strings set, so any mailbox can hold them. */
+const PROPERTY_SET = '{00020329-0000-0000-C000-000000000046}'
+/** Our event id: Graph picks its own, and manage links are signed before the insert. */
+const BOOKING_ID = `String ${PROPERTY_SET} Name baseetBookingId`
+const HOSTS = `String ${PROPERTY_SET} Name baseetHosts`
+/** Graph keeps no SEQUENCE we can set, and our .ics feed needs one that grows with each move. */
+const SEQUENCE = `String ${PROPERTY_SET} Name baseetSequence`
+/** The location kind; its text is the event's own location. */
+const LOCATION = `String ${PROPERTY_SET} Name baseetLocation`
+/** The meeting type id of a group session. */
+const SESSION = `String ${PROPERTY_SET} Name baseetSession`
+
+const EXPAND_PROPERTIES = `singleValueExtendedProperties($filter=id eq '${BOOKING_ID}' or id eq '${HOSTS}' or id eq '${SEQUENCE}' or id eq '${LOCATION}' or id eq '${SESSION}')`
+
+/** Schedule statuses that block a slot; `free`, `workingElsewhere` and `unknown` do not. */
+const BUSY_STATUSES = new Set(['busy', 'tentative', 'oof'])
+
+/** `MICROSOFT_CALENDARS` lists mailboxes separated by commas. */
+export function parseMicrosoftCalendars(value: string | undefined): Set<string> {
+  return new Set(
+    (value ?? '')
+      .split(',')
+      .map((address) => address.trim().toLowerCase())
+      .filter(Boolean),
+  )
+}
+
+type CachedToken = { clientId: string; token: string; expiresAt: number }
+
+/** Per isolate, like the Google token. */
+let cachedToken: CachedToken | null = null
+
+/** An app-only token for the tenant (client credentials), minted again only when the cached one runs out. */
+async function graphToken(env: Env, now = Date.now()): Promise<string> {
+  const { MICROSOFT_TENANT_ID: tenant, MICROSOFT_CLIENT_ID: clientId, MICROSOFT_CLIENT_SECRET: secret } = env
+  if (!tenant || !clientId || !secret) {
+    throw new CalendarError(
+      'Microsoft Graph is not set up. Set MICROSOFT_TENANT_ID, MICROSOFT_CLIENT_ID and MICROSOFT_CLIENT_SECRET.',
+    )
+  }
+  if (cachedToken && cachedToken.clientId === clientId && cachedToken.expiresAt > now) return cachedToken.token
+
+  const response = await fetch(`https://login.microsoftonline.com/${encodeURIComponent(tenant)}/oauth2/v2.0/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      client_id: clientId,
+      client_secret: secret,
+      scope: 'https://graph.microsoft.com/.default',
+      grant_type: 'client_credentials',
+    }),
+  })
+  const body = (await response.json().catch(() => null)) as { access_token?: string; expires_in?: number } | null
+  if (!response.ok) throw new CalendarError('Could not get a Microsoft Graph token.', response.status)
+  if (!body?.access_token) throw new CalendarError('Microsoft token response was missing access_token.')
+  if (body.expires_in) {
+    cachedToken = { clientId, token: body.access_token, expiresAt: now + body.expires_in * 1000 - TOKEN_MARGIN_MS }
+  }
+  return body.access_token
+}
+
+type GraphError = { error?: { code?: string; message?: string } }
+
+async function graphFetch(env: Env, path: string, init: RequestInit = {}): Promise<Response> {
+  const token = await graphToken(env)
+  const response = await fetch(path.startsWith('https://') ? path : `${GRAPH}${path}`, {
+    ...init,
+    headers: {
+      Authorization: `Bearer ${token}`,
+      // Times in UTC rather than each mailbox's own zone, and descriptions as the text we sent.
+      Prefer: 'outlook.timezone="UTC", outlook.body-content-type="text"',
+      ...(init.body ? { 'Content-Type': 'application/json' } : {}),
+      ...init.headers,
+    },
+  })
+  if (response.status === 401 && cachedToken?.token === token) cachedToken = null
+  return response
+}
+
+async function graphJson<T>(response: Response, failure: string): Promise<T> {
+  const body = (await response.json().catch(() => null)) as (T & GraphError) | null
+  if (!response.ok || !body || body.error) {
+    throw new CalendarError(body?.error?.message ?? failure, response.status)
+  }
+  return body
+}
+
+type GraphDateTime = { dateTime?: string; timeZone?: string }
+
+/** Graph writes UTC as `2026-10-20T10:00:00.0000000`, without a zone designator. */
+function graphDate(value: GraphDateTime | undefined): Date | null {
+  if (!value?.dateTime) return null
+  const date = new Date(/[zZ]|[+-]\d\d:\d\d$/.test(value.dateTime) ? value.dateTime : `${value.dateTime}Z`)
+  return Number.isNaN(date.getTime()) ? null : date
+}
+
+function utc(date: Date): GraphDateTime {
+  return { dateTime: date.toISOString(), timeZone: 'UTC' }
+}
+
+function mailboxPath(mailbox: string): string {
+  return `/users/${encodeURIComponent(mailbox)}`
+}
+
+type ScheduleInformation = {
+  scheduleId?: string
+  scheduleItems?: Array<{ status?: string; start?: GraphDateTime; end?: GraphDateTime }>
+  error?: { message?: string; responseCode?: string }
+}
+
+/** One getSchedule call for every mailbox, asked as the first of them. */
+async function queryFreeBusy(
+  env: Env,
+  ids: readonly string[],
+  timeMin: Date,
+  timeMax: Date,
+): Promise<Map<string, BusyBlock[]>> {
+  const schedules = [...new Set(ids)]
+  const response = await graphFetch(env, `${mailboxPath(schedules[0])}/calendar/getSchedule`, {
+    method: 'POST',
+    body: JSON.stringify({ schedules, startTime: utc(timeMin), endTime: utc(timeMax), availabilityViewInterval: 15 }),
+  })
+  const body = await graphJson<{ value?: ScheduleInformation[] }>(response, 'Microsoft free/busy lookup failed.')
+
+  const busy = new Map<string, BusyBlock[]>()
+  for (const id of ids) {
+    const schedule = body.value?.find((entry) => entry.scheduleId?.toLowerCase() === id.toLowerCase())
+    if (!schedule || schedule.error) {
+      console.error('[booking-api] getSchedule error', id, schedule?.error?.message)
+      throw new CalendarError(`Microsoft free/busy returned no schedule for ${id}. Check MICROSOFT_CALENDARS.`)
+    }
+    busy.set(
+      id,
+      (schedule.scheduleItems ?? []).flatMap((item) => {
+        const start = graphDate(item.start)
+        const end = graphDate(item.end)
+        return start && end && BUSY_STATUSES.has(item.status ?? '') ? [{ start, end }] : []
+      }),
+    )
+  }
+  return busy
+}
+
+type GraphEvent = {
+  id?: string
+  iCalUId?: string
+  webLink?: string
+  subject?: string
+  body?: { contentType?: string; content?: string }
+  start?: GraphDateTime
+  end?: GraphDateTime
+  location?: { displayName?: string }
+  isCancelled?: boolean
+  organizer?: { emailAddress?: { address?: string; name?: string } }
+  attendees?: Array<{ emailAddress?: { address?: string; name?: string } }>
+  onlineMeeting?: { joinUrl?: string } | null
+  singleValueExtendedProperties?: Array<{ id?: string; value?: string }>
+}
+
+function extended(event: GraphEvent, id: string): string | undefined {
+  return event.singleValueExtendedProperties?.find((entry) => entry.id?.toLowerCase() === id.toLowerCase())?.value
+}
+
+function toAttendee(person: { emailAddress?: { address?: string; name?: string } } | undefined): EventAttendee[] {
+  const address = person?.emailAddress?.address?.toLowerCase()
+  const name = person?.emailAddress?.name
+  return address ? [{ email: address, ...(name && name !== address ? { name } : {}) }] : []
+}
+
+function locationOf(event: GraphEvent): EventLocation | undefined {
+  const kind = extended(event, LOCATION) as LocationKind | undefined
+  if (!kind || !locationKinds.includes(kind)) return undefined
+  const text = event.location?.displayName
+  return text ? { kind, text } : { kind }
+}
+
+function toCalendarEvent(event: GraphEvent): CalendarEvent {
+  const id = extended(event, BOOKING_ID) ?? event.id
+  if (!id) throw new CalendarError('Microsoft Graph did not return an event id.')
+  return {
+    id,
+    htmlLink: event.webLink,
+    meetUrl: event.onlineMeeting?.joinUrl,
+    summary: event.subject ?? '',
+    description: event.body?.content ?? '',
+    start: graphDate(event.start)?.toISOString() ?? '',
+    end: graphDate(event.end)?.toISOString() ?? '',
+    status: event.isCancelled ? 'cancelled' : 'confirmed',
+    iCalUID: event.iCalUId ?? `${id}@outlook.com`,
+    sequence: Number(extended(event, SEQUENCE) ?? 0) || 0,
+    organizer: toAttendee(event.organizer)[0],
+    location: locationOf(event),
+    hosts: (extended(event, HOSTS) ?? '').split(',').filter(Boolean),
+    attendees: [...toAttendee(event.organizer), ...(event.attendees ?? []).flatMap(toAttendee)],
+    session: extended(event, SESSION),
+  }
+}
+
+function attendeeList(attendees: EventAttendee[]): Array<{ emailAddress: { address: string; name?: string }; type: string }> {
+  return attendees.map((attendee) => ({
+    emailAddress: { address: attendee.email, ...(attendee.name ? { name: attendee.name } : {}) },
+    type: 'required',
+  }))
+}
+
+/** The Graph event behind one of our ids, found through the property set at insert. */
+async function findEvent(env: Env, mailbox: string, eventId: string): Promise<GraphEvent | null> {
+  const params = new URLSearchParams({
+    $filter: `singleValueExtendedProperties/any(ep: ep/id eq '${BOOKING_ID}' and ep/value eq '${eventId.replace(/'/g, "''")}')`,
+    $expand: EXPAND_PROPERTIES,
+  })
+  const response = await graphFetch(env, `${mailboxPath(mailbox)}/calendar/events?${params}`)
+  const body = await graphJson<{ value?: GraphEvent[] }>(response, 'Could not load the calendar event.')
+  return body.value?.[0] ?? null
+}
+
+async function listEvents(env: Env, mailbox: string, timeMin: Date, timeMax: Date): Promise<ListedEvent[]> {
+  const params = new URLSearchParams({
+    startDateTime: timeMin.toISOString(),
+    endDateTime: timeMax.toISOString(),
+    $select: 'id,start,end,isCancelled,attendees',
+    $expand: EXPAND_PROPERTIES,
+    $top: '100',
+  })
+  const events: ListedEvent[] = []
+  let next: string | undefined = `${mailboxPath(mailbox)}/calendar/calendarView?${params}`
+  while (next) {
+    const response = await graphFetch(env, next)
+    const body: { value?: GraphEvent[]; '@odata.nextLink'?: string } = await graphJson(
+      response,
+      'Could not list calendar events.',
+    )
+    for (const item of body.value ?? []) {
+      const start = graphDate(item.start)
+      const end = graphDate(item.end)
+      if (!item.id || item.isCancelled || !start || !end) continue
+      events.push({
+        id: extended(item, BOOKING_ID) ?? item.id,
+        start,
+        end,
+        hosts: (extended(item, HOSTS) ?? '').split(',').filter(Boolean),
+        session: extended(item, SESSION),
+        attendees: (item.attendees ?? []).flatMap(toAttendee).map((attendee) => attendee.email),
+        location: locationOf(item)?.kind,
+      })
+    }
+    next = body['@odata.nextLink']
+  }
+  return events.sort((a, b) => a.start.getTime() - b.start.getTime())
+}
+
+/**
+ * Microsoft 365 calendars through Graph with an app registration (`Calendars.ReadWrite`
+ * application permission). Events go on the `GOOGLE_CALENDAR_ID` mailbox and Exchange sends
+ * the invites; video calls get a Teams link.
+ */
+export function microsoftCalendar(env: Env): CalendarProvider {
+  const agency = calendarId(env)
+
+  return {
+    calendarId: agency,
+
+    freeBusy: (ids, timeMin, timeMax) => queryFreeBusy(env, ids, timeMin, timeMax),
+
+    async insertEvent(input: InsertEventInput) {
+      const id = input.id ?? crypto.randomUUID().replace(/-/g, '')
+      const hosts = input.hosts ?? []
+      const response = await graphFetch(env, `${mailboxPath(agency)}/calendar/events`, {
+        method: 'POST',
+        body: JSON.stringify({
+          subject: input.summary,
+          body: { contentType: 'text', content: input.description },
+          start: utc(input.start),
+          end: utc(input.end),
+          attendees: attendeeList([
+            ...hosts.map((host) => ({ email: host.calendarId })),
+            { email: input.attendeeEmail, ...(input.attendeeName ? { name: input.attendeeName } : {}) },
+          ]),
+          ...(input.location?.text ? { location: { displayName: input.location.text } } : {}),
+          ...(input.location?.kind === 'video' ? { isOnlineMeeting: true, onlineMeetingProvider: 'teamsForBusiness' } : {}),
+          // Each guest of a group session sees only themselves in the invite.
+          ...(input.session ? { hideAttendees: true } : {}),
+          // Graph drops a repeated create with the same transactionId instead of making a second event.
+          transactionId: id,
+          singleValueExtendedProperties: [
+            { id: BOOKING_ID, value: id },
+            { id: SEQUENCE, value: '0' },
+            ...(hosts.length ? [{ id: HOSTS, value: hosts.map((host) => host.id).join(',') }] : []),
+            ...(input.location ? [{ id: LOCATION, value: input.location.kind }] : []),
+            ...(input.session ? [{ id: SESSION, value: input.session }] : []),
+          ],
+        }),
+      })
+      const created = await graphJson<GraphEvent>(response, 'Could not create the calendar event.')
+      // The reply leaves out extended properties, so ours are filled in from what was sent.
+      return {
+        ...toCalendarEvent(created),
+        id,
+        sequence: 0,
+        location: input.location,
+        hosts: hosts.map((host) => host.id),
+        session: input.session,
+      }
+    },
+
+    listEvents: (timeMin, timeMax) => listEvents(env, agency, timeMin, timeMax),
+
+    async getEvent(eventId) {
+      const event = await findEvent(env, agency, eventId)
+      return event ? toCalendarEvent(event) : null
+    },
+
+    async patchEvent(eventId, input: PatchEventInput) {
+      const current = await findEvent(env, agency, eventId)
+      if (!current?.id) throw new CalendarError('Not Found', 404)
+      const response = await graphFetch(env, `${mailboxPath(agency)}/events/${encodeURIComponent(current.id)}`, {
+        method: 'PATCH',
+        body: JSON.stringify({
+          start: utc(input.start),
+          end: utc(input.end),
+          ...(input.hostIds
+            ? { attendees: attendeeList((input.attendees ?? []).filter((attendee) => attendee.email !== agency)) }
+            : {}),
+          singleValueExtendedProperties: [
+            { id: SEQUENCE, value: String(input.sequence) },
+            ...(input.hostIds ? [{ id: HOSTS, value: input.hostIds.join(',') }] : []),
+          ],
+        }),
+      })
+      const moved = await graphJson<GraphEvent>(response, 'Could not move the calendar event.')
+      const before = toCalendarEvent(current)
+      return {
+        ...toCalendarEvent(moved),
+        id: eventId,
+        sequence: input.sequence,
+        location: before.location,
+        hosts: input.hostIds ?? before.hosts,
+        session: before.session,
+      }
+    },
+
+    async setAttendees(eventId, attendees) {
+      const current = await findEvent(env, agency, eventId)
+      if (!current?.id) throw new CalendarError('Not Found', 404)
+      const response = await graphFetch(env, `${mailboxPath(agency)}/events/${encodeURIComponent(current.id)}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ attendees: attendeeList(attendees.filter((attendee) => attendee.email !== agency)) }),
+      })
+      const updated = await graphJson<GraphEvent>(response, 'Could not update the guest list.')
+      const before = toCalendarEvent(current)
+      return {
+        ...toCalendarEvent(updated),
+        id: eventId,
+        sequence: before.sequence,
+        location: before.location,
+        hosts: before.hosts,
+        session: before.session,
+      }
+    },
+
+    /** `cancel` rather than DELETE, so Exchange sends the attendees a cancellation. */
+    async deleteEvent(eventId) {
+      const current = await findEvent(env, agency, eventId)
+      if (!current?.id) return
+      const response = await graphFetch(env, `${mailboxPath(agency)}/events/${encodeURIComponent(current.id)}/cancel`, {
+        method: 'POST',
+        body: JSON.stringify({ comment: '' }),
+      })
+      if (!response.ok && response.status !== 404) {
+        throw new CalendarError('Could not delete the calendar event.', response.status)
+      }
+    },
+  }
+}
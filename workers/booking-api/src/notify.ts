@@ -0,0 +1,143 @@
+import { agencyTimeZone, isGroup } from './booking'
+import { getHost, getMeetingType } from './config'
+import type { Env } from './env'
+import type { ErrorBody } from './http'
+import { findBooking, findSeat, transitionBooking, type StoredBooking } from './store'
+import {
+  answerCallback,
+  bookingKeyboard,
+  escapeHtml,
+  formatBookingNotice,
+  parseCallbackData,
+  recordTeamAction,
+  sendTelegram,
+  teamActionError,
+  type ButtonTarget,
+  type CallbackQuery,
+  type NoticeKind,
+  type TeamAction,
+  type TelegramConfig,
+} from './telegram'
+import type { ManageClaims } from './token'
+
+const DONE: Record<TeamAction, string> = {
+  confirm: '✅ Confirmed',
+  cancel: '❌ Cancelled',
+  'no-show': '🙈 Marked as a no-show',
+}
+
+/** Null until the bot token and chat id are set; booking-api then stays silent as before. */
+export function telegramConfig(env: Env): TelegramConfig | null {
+  if (!env.TELEGRAM_BOT_TOKEN || !env.TELEGRAM_CHAT_ID) return null
+  return { botToken: env.TELEGRAM_BOT_TOKEN, chatId: env.TELEGRAM_CHAT_ID }
+}
+
+function noticeText(env: Env, kind: NoticeKind, booking: StoredBooking): string {
+  return formatBookingNotice({
+    kind,
+    eventId: booking.googleEventId,
+    meeting: getMeetingType(booking.meetingTypeId)?.label ?? booking.meetingTypeId,
+    name: booking.name,
+    email: booking.email,
+    phone: booking.phone,
+    notes: booking.notes,
+    hosts: booking.hostIds.map((id) => getHost(id)?.name ?? id),
+    start: booking.start,
+    end: booking.end,
+    agencyTimeZone: agencyTimeZone(env),
+    visitorTimeZone: booking.visitorTimeZone,
+    meetUrl: booking.meetUrl,
+    location: booking.location,
+    source: booking.source,
+  })
+}
+
+/** A group session's notices are per seat, so their buttons act on that seat alone. */
+function buttonTarget(booking: StoredBooking): ButtonTarget {
+  const meetingType = getMeetingType(booking.meetingTypeId)
+  return meetingType && isGroup(meetingType) ? { seatId: booking.id } : { eventId: booking.googleEventId }
+}
+
+/**
+ * Posts a booking change to the team chat; `attendee` picks the seat in a group session. Never
+ * throws: the booking has already happened.
+ */
+export async function notifyBooking(
+  env: Env,
+  kind: NoticeKind,
+  googleEventId: string,
+  attendee?: string,
+): Promise<void> {
+  const config = telegramConfig(env)
+  if (!config) return
+  try {
+    const booking = await findBooking(env, googleEventId, attendee)
+    if (!booking) throw new Error(`no booking for event ${googleEventId}`)
+    const keyboard = kind === 'cancelled' ? undefined : bookingKeyboard(buttonTarget(booking))
+    const error = await sendTelegram(config, noticeText(env, kind, booking), keyboard)
+    if (error) console.error('[booking-api] Telegram notification failed:', error)
+  } catch (err) {
+    console.error('[booking-api] Telegram notification failed:', err)
+  }
+}
+
+/**
+ * Runs a button press from a booking notice. Cancels go through `cancel` so they take the
+ * booking lock like a visitor's would; confirm and no-show only change our D1 record. A seat's
+ * buttons act on that visitor alone, as their own manage link would.
+ */
+export async function runTeamAction(
+  env: Env,
+  query: CallbackQuery,
+  cancel: (claims: ManageClaims) => Promise<Response>,
+  now = new Date(),
+): Promise<void> {
+  const config = telegramConfig(env)
+  if (!config) return
+
+  const pressed = parseCallbackData(query.data)
+  const messageId = query.message?.message_id
+  if (!pressed || !messageId || String(query.message?.chat.id) !== config.chatId) {
+    await answerCallback(config, query.id, 'This button is not from a booking notice.')
+    return
+  }
+
+  const seat = 'seatId' in pressed
+  const booking = seat ? await findSeat(env, pressed.seatId) : await findBooking(env, pressed.eventId)
+  if (!booking) {
+    await answerCallback(config, query.id, 'Booking not found.')
+    return
+  }
+  const refused = teamActionError(pressed.action, booking.status, booking.start, now)
+  if (refused) {
+    await answerCallback(config, query.id, refused)
+    return
+  }
+
+  const attendee = seat ? booking.email : undefined
+  if (pressed.action === 'cancel') {
+    const response = await cancel({
+      eventId: booking.googleEventId,
+      meetingTypeId: booking.meetingTypeId,
+      ...(attendee ? { attendee } : {}),
+    })
+    if (!response.ok) {
+      const body = (await response.json().catch(() => null)) as ErrorBody | null
+      await answerCallback(config, query.id, body?.error.message ?? 'Could not cancel the booking.')
+      return
+    }
+  } else {
+    const status = pressed.action === 'confirm' ? 'confirmed' : 'no-show'
+    await transitionBooking(env, booking.googleEventId, status, 'team', undefined, attendee)
+  }
+
+  const who = query.from.username ? `@${query.from.username}` : (query.from.first_name ?? 'the team')
+  await answerCallback(config, query.id, DONE[pressed.action])
+  const error = await recordTeamAction(
+    config,
+    messageId,
+    bookingKeyboard(pressed, pressed.action),
+    `${DONE[pressed.action]} by ${escapeHtml(who)}`,
+  )
+  if (error) console.error('[booking-api] Telegram update failed:', error)
+}
@@ -0,0 +1,123 @@
+import { mailTransport, type MailTransport } from '../../shared/mail'
+import { agencyTimeZone, holdUrl, isBookable } from './booking'
+import type { BusyCache } from './cache'
+import { getMeetingType } from './config'
+import type { Env } from './env'
+import { heldBlocks, isLive, WAITLIST_HOLD_MS, type SlotHold } from './holds'
+import { uiCopy } from './locales'
+import { composeWaitlistOffer } from './messages'
+import { ymdInZone } from './slots'
+import type { HoldStore } from './storage-holds'
+import { listWaitlist, markWaitlistOffered, type WaitlistEntry } from './store'
+import { nextInLine } from './waitlist'
+
+export type FreedSlot = { meetingTypeId: string; start: Date; end: Date }
+
+async function sendOffer(env: Env, transport: MailTransport, entry: WaitlistEntry, hold: SlotHold): Promise<void> {
+  const copy = uiCopy(entry.lang)
+  await transport.send(
+    composeWaitlistOffer(
+      {
+        lang: entry.lang,
+        name: entry.name,
+        email: entry.email,
+        meeting: copy[`booking_type_${hold.meetingTypeId}`] ?? getMeetingType(hold.meetingTypeId)?.label ?? hold.meetingTypeId,
+        start: new Date(hold.start),
+        timeZone: entry.visitorTimeZone ?? agencyTimeZone(env),
+        until: new Date(hold.expiresAt),
+        holdUrl: holdUrl(env, hold.id),
+      },
+      copy,
+    ),
+  )
+}
+
+/**
+ * Holds a freed slot for the next person on the waitlist who wants it and emails them a link
+ * to book it. The hold goes in before the slot is re-checked, so a booking that lands in
+ * between sees it. `offered` carries the entries that already had their turn at this slot.
+ */
+export async function offerSlot(
+  env: Env,
+  holds: HoldStore,
+  cache: BusyCache,
+  slot: FreedSlot,
+  offered: string[] = [],
+  now = Date.now(),
+  transport: MailTransport = mailTransport(env),
+): Promise<void> {
+  const timeZone = agencyTimeZone(env)
+  const day = ymdInZone(slot.start, timeZone)
+  const entries = await listWaitlist(env, slot.meetingTypeId, day)
+
+  let tried = offered
+  let entry = nextInLine(entries, slot.start, day, timeZone, tried)
+  while (entry) {
+    const hold: SlotHold = {
+      id: crypto.randomUUID(),
+      meetingTypeId: slot.meetingTypeId,
+      start: slot.start.toISOString(),
+      end: slot.end.toISOString(),
+      expiresAt: now + WAITLIST_HOLD_MS,
+      waitlistId: entry.id,
+      offered: [...tried, entry.id],
+    }
+    await holds.put(hold)
+
+    const held = heldBlocks(await holds.list(), now, hold.id)
+    if (!(await isBookable(env, slot.meetingTypeId, slot.start, new Date(now), cache, held))) {
+      await holds.delete(hold.id)
+      return
+    }
+
+    try {
+      await sendOffer(env, transport, entry, hold)
+      await markWaitlistOffered(env, entry.id).catch((err) =>
+        console.error('[booking-api] could not record waitlist offer', err),
+      )
+      return
+    } catch (err) {
+      // Nobody can take up an offer they never got; pass the slot straight on.
+      console.error('[booking-api] could not send waitlist offer to', entry.id, err)
+      await holds.delete(hold.id)
+      tried = hold.offered ?? []
+      entry = nextInLine(entries, slot.start, day, timeZone, tried)
+    }
+  }
+}
+
+/** Best effort, like the other side effects of a cancel: the cancel itself has gone through. */
+export async function offerFreedSlot(env: Env, holds: HoldStore, cache: BusyCache, slot: FreedSlot): Promise<void> {
+  try {
+    await offerSlot(env, holds, cache, slot)
+  } catch (err) {
+    console.error('[booking-api] waitlist offer failed', err)
+  }
+}
+
+/**
+ * Drops a hold that ran out or was let go. An unanswered or declined waitlist offer moves on
+ * to the next person in line.
+ */
+export async function dropHold(env: Env, holds: HoldStore, cache: BusyCache, hold: SlotHold, now = Date.now()): Promise<void> {
+  await holds.delete(hold.id)
+  if (!hold.waitlistId || new Date(hold.start).getTime() <= now) return
+  try {
+    await offerSlot(
+      env,
+      holds,
+      cache,
+      { meetingTypeId: hold.meetingTypeId, start: new Date(hold.start), end: new Date(hold.end) },
+      hold.offered,
+      now,
+    )
+  } catch (err) {
+    console.error('[booking-api] could not pass on waitlist offer', hold.id, err)
+  }
+}
+
+export async function expireHolds(env: Env, holds: HoldStore, cache: BusyCache, now = Date.now()): Promise<void> {
+  for (const hold of await holds.list()) {
+    if (!isLive(hold, now)) await dropHold(env, holds, cache, hold, now)
+  }
+}
@@ -0,0 +1,63 @@
+import { caldavCalendar, parseCaldavCalendars } from './caldav'
+import { calendarId, type CalendarProvider } from './calendar'
+import { sharedFakeCalendar } from './calendar-fake'
+import type { Env } from './env'
+import { googleCalendar } from './google'
+import { microsoftCalendar, parseMicrosoftCalendars } from './microsoft'
+import type { BusyBlock } from './slots'
+
+/** Stands in for `GOOGLE_CALENDAR_ID` when the fake runs without one. */
+const FAKE_CALENDAR_ID = 'bookings@calendar.example'
+
+type ProviderKind = 'google' | 'caldav' | 'microsoft'
+
+const providers: Record<ProviderKind, (env: Env) => CalendarProvider> = {
+  google: googleCalendar,
+  caldav: caldavCalendar,
+  microsoft: microsoftCalendar,
+}
+
+/**
+ * Which backend answers free/busy for a calendar: those listed in `CALDAV_CALENDARS` or
+ * `MICROSOFT_CALENDARS` go there, everything else to the one bookings are written to.
+ */
+export function providerKindFor(env: Env, id: string): ProviderKind {
+  const address = id.toLowerCase()
+  if (parseCaldavCalendars(env.CALDAV_CALENDARS).has(address)) return 'caldav'
+  if (parseMicrosoftCalendars(env.MICROSOFT_CALENDARS).has(address)) return 'microsoft'
+  return bookingKind(env)
+}
+
+function bookingKind(env: Env): ProviderKind {
+  const kind = env.CALENDAR_PROVIDER
+  return kind === 'caldav' || kind === 'microsoft' ? kind : 'google'
+}
+
+/**
+ * The calendar bookings go on, from `CALENDAR_PROVIDER`. Its free/busy also reads host
+ * calendars kept elsewhere, one request per backend, so the slot maths never sees the difference.
+ * `CALENDAR_PROVIDER=fake` books into the in-memory calendar instead.
+ */
+export function calendarFor(env: Env): CalendarProvider {
+  if (env.CALENDAR_PROVIDER === 'fake') return sharedFakeCalendar(calendarId(env) || FAKE_CALENDAR_ID)
+  const calendar = providers[bookingKind(env)](env)
+
+  return {
+    ...calendar,
+    async freeBusy(ids, timeMin, timeMax) {
+      const byKind = new Map<ProviderKind, string[]>()
+      for (const id of ids) {
+        const kind = providerKindFor(env, id)
+        byKind.set(kind, [...(byKind.get(kind) ?? []), id])
+      }
+      const answers = await Promise.all(
+        [...byKind].map(([kind, kindIds]) =>
+          kind === bookingKind(env)
+            ? calendar.freeBusy(kindIds, timeMin, timeMax)
+            : providers[kind](env).freeBusy(kindIds, timeMin, timeMax),
+        ),
+      )
+      return new Map<string, BusyBlock[]>(answers.flatMap((answer) => [...answer]))
+    },
+  }
+}
@@ -1,20 +1,36 @@
 import type { Env } from './env'
 
-const LIMIT = 5
 const WINDOW_MS = 60 * 60 * 1000
 
+/**
+ * Attempts per client address per hour. Moving a live hold to another slot does not count, so
+ * `hold` is new holds only: room for a few visitors behind one address, not for a whole day.
+ */
+const LIMITS = { book: 5, hold: 10 } as const
+
 type Counter = { count: number; reset: number }
 
-export async function consumeBookLimit(env: Env, request: Request): Promise<'ok' | 'limited'> {
-  const ip = request.headers.get('CF-Connecting-IP') || request.headers.get('CF-Connecting-IPv6') || 'unknown'
-  const key = `book:${ip}`
+function clientIp(request: Request): string {
+  return request.headers.get('CF-Connecting-IP') || request.headers.get('CF-Connecting-IPv6') || 'unknown'
+}
+
+async function consumeLimit(env: Env, request: Request, kind: keyof typeof LIMITS): Promise<'ok' | 'limited'> {
+  const key = `${kind}:${clientIp(request)}`
   const now = Date.now()
   const raw = await env.BOOKING_LIMITS.get(key)
   let data: Counter = raw ? (JSON.parse(raw) as Counter) : { count: 0, reset: now + WINDOW_MS }
   if (now >= data.reset) data = { count: 0, reset: now + WINDOW_MS }
-  if (data.count >= LIMIT) return 'limited'
+  if (data.count >= LIMITS[kind]) return 'limited'
   data.count += 1
   const ttl = Math.max(60, Math.ceil((data.reset - now) / 1000))
   await env.BOOKING_LIMITS.put(key, JSON.stringify(data), { expirationTtl: ttl })
   return 'ok'
 }
+
+export function consumeBookLimit(env: Env, request: Request): Promise<'ok' | 'limited'> {
+  return consumeLimit(env, request, 'book')
+}
+
+export function consumeHoldLimit(env: Env, request: Request): Promise<'ok' | 'limited'> {
+  return consumeLimit(env, request, 'hold')
+}
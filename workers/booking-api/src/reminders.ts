@@ -0,0 +1,70 @@
+import { mailTransport, type MailTransport } from '../../shared/mail'
+import { agencyTimeZone, manageUrl } from './booking'
+import { capacityOf, getMeetingType } from './config'
+import type { Env } from './env'
+import { uiCopy } from './locales'
+import { composeMessage, dueMessages, messageHorizon, type MessageContext } from './messages'
+import { claimMessage, listMessageCandidates, releaseMessage, type MessageCandidate } from './store'
+import { signManageToken } from './token'
+import type { Lang } from './validate'
+
+/** Same origin as the manage page, so staging sends people to staging. */
+function projectsUrl(env: Env, lang: Lang): string {
+  const { origin } = new URL(env.BOOKING_MANAGE_URL || 'https://baseetstudio.com/contact/')
+  return `${origin}${lang === 'en' ? '' : `/${lang}`}/projects/`
+}
+
+async function contextFor(env: Env, booking: MessageCandidate, copy: Record<string, string>): Promise<MessageContext> {
+  const meetingType = getMeetingType(booking.meetingTypeId)
+  // A seat in a group session manages only itself.
+  const seat = meetingType && capacityOf(meetingType) > 1
+  const manageToken = await signManageToken(env.BOOKING_TOKEN_SECRET, {
+    eventId: booking.googleEventId,
+    meetingTypeId: booking.meetingTypeId,
+    ...(seat ? { attendee: booking.email.toLowerCase() } : {}),
+  })
+  return {
+    lang: booking.lang,
+    name: booking.name,
+    email: booking.email,
+    meeting:
+      copy[`booking_type_${booking.meetingTypeId}`] ?? meetingType?.label ?? booking.meetingTypeId,
+    start: booking.start,
+    timeZone: booking.visitorTimeZone ?? agencyTimeZone(env),
+    meetUrl: booking.meetUrl,
+    location: booking.location,
+    manageUrl: manageUrl(env, manageToken),
+    projectsUrl: projectsUrl(env, booking.lang),
+  }
+}
+
+/**
+ * Runs from the Cron Trigger and sends every booking email that has come due. Each message is
+ * claimed in D1 first and released again if the send fails, so it goes out once and is retried
+ * on the next run. Returns how many were sent.
+ */
+export async function sendDueMessages(
+  env: Env,
+  now = new Date(),
+  transport: MailTransport = mailTransport(env),
+): Promise<number> {
+  const bookings = await listMessageCandidates(env, messageHorizon(now))
+  let sent = 0
+  for (const booking of bookings) {
+    const due = dueMessages(booking, now)
+    if (due.length === 0) continue
+    const copy = uiCopy(booking.lang)
+    const context = await contextFor(env, booking, copy)
+    for (const kind of due) {
+      if (!(await claimMessage(env, booking.id, kind, booking.start))) continue
+      try {
+        await transport.send(composeMessage(kind, context, copy))
+        sent += 1
+      } catch (err) {
+        console.error('[booking-api] could not send', kind, 'for booking', booking.id, err)
+        await releaseMessage(env, booking.id, kind, booking.start)
+      }
+    }
+  }
+  return sent
+}
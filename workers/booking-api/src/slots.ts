@@ -1,3 +1,5 @@
+import type { DateOverride } from './config'
+
 export type BusyBlock = {
   start: Date
   end: Date
@@ -17,6 +19,18 @@ export type SlotInput = {
   bufferMinutes: number
   minNoticeHours: number
   maxDaysAhead: number
+  /** Minutes between slot starts; defaults to `durationMinutes`. */
+  slotStepMinutes?: number
+  /** Realign to this many minutes past the hour after a busy block, e.g. 15 for quarter hours. */
+  slotAlignMinutes?: number
+  overrides?: readonly DateOverride[]
+}
+
+/** What the date overrides say about one calendar day. */
+export type DayOverride = {
+  closed: boolean
+  hours?: HoursWindow
+  blackouts: HoursWindow[]
 }
 
 const WEEKEND_DAYS = new Set(['Sat', 'Sun'])
@@ -26,15 +40,45 @@ export function hoursForDate(
   timeZone: string,
   workingHours: HoursWindow,
   weekendHours?: HoursWindow,
+  overrides?: readonly DateOverride[],
 ): HoursWindow {
+  const override = resolveDateOverrides(date, overrides)
+  if (override.hours) return override.hours
   if (weekendHours && WEEKEND_DAYS.has(weekdayShort(date, timeZone))) return weekendHours
   return workingHours
 }
 
 const MONTH_RE = /^(\d{4})-(\d{2})$/
 const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/
+const MONTH_DAY_RE = /^(\d{2})-(\d{2})$/
 const TIME_RE = /^(\d{2}):(\d{2})$/
 
+function overrideMatches(date: string, override: DateOverride): boolean {
+  const from = override.date
+  const until = override.until ?? override.date
+  if (DATE_RE.test(from)) {
+    return DATE_RE.test(until) && date >= from && date <= until
+  }
+  if (MONTH_DAY_RE.test(from) && MONTH_DAY_RE.test(until)) {
+    const monthDay = date.slice(5)
+    return from <= until
+      ? monthDay >= from && monthDay <= until
+      : monthDay >= from || monthDay <= until
+  }
+  return false
+}
+
+/** Later entries win for `hours`; any `closed` match closes the day; blackouts add up. */
+export function resolveDateOverrides(date: string, overrides: readonly DateOverride[] = []): DayOverride {
+  const matching = overrides.filter((override) => overrideMatches(date, override))
+  const withHours = matching.filter((override) => override.hours)
+  return {
+    closed: matching.some((override) => override.closed),
+    hours: withHours[withHours.length - 1]?.hours,
+    blackouts: matching.flatMap((override) => override.blackouts ?? []),
+  }
+}
+
 export function isYearMonth(value: string): boolean {
   if (!MONTH_RE.test(value)) return false
   const month = Number(value.slice(5, 7))
@@ -141,6 +185,21 @@ export function overlapsBusy(
   return busy.some((block) => block.start.getTime() < paddedEnd && block.end.getTime() > paddedStart)
 }
 
+/** Cuts one range out of the busy list, e.g. the booking that is being moved. */
+export function subtractBusy(busy: BusyBlock[], start: Date, end: Date): BusyBlock[] {
+  const cutStart = start.getTime()
+  const cutEnd = end.getTime()
+  return busy.flatMap((block) => {
+    const blockStart = block.start.getTime()
+    const blockEnd = block.end.getTime()
+    if (blockEnd <= cutStart || blockStart >= cutEnd) return [block]
+    const pieces: BusyBlock[] = []
+    if (blockStart < cutStart) pieces.push({ start: block.start, end: new Date(cutStart) })
+    if (blockEnd > cutEnd) pieces.push({ start: new Date(cutEnd), end: block.end })
+    return pieces
+  })
+}
+
 export function eventsOverlap(aStart: Date, aEnd: Date, bStart: Date, bEnd: Date): boolean {
   return aStart.getTime() < bEnd.getTime() && aEnd.getTime() > bStart.getTime()
 }
@@ -158,42 +217,124 @@ function isBeyondHorizon(date: string, timeZone: string, now: Date, maxDaysAhead
   return date > addCalendarDays(today, maxDaysAhead)
 }
 
-export function slotsForDate(input: SlotInput): Date[] {
-  const {
-    date,
-    durationMinutes,
-    timeZone,
-    now,
-    busy,
-    workingDays,
-    workingHours,
-    weekendHours,
-    bufferMinutes,
-    minNoticeHours,
-    maxDaysAhead,
-  } = input
-
-  if (!isYearMonthDay(date)) return []
-  if (!isWorkingDay(date, timeZone, workingDays)) return []
-  if (isPastDay(date, timeZone, now)) return []
-  if (isBeyondHorizon(date, timeZone, now, maxDaysAhead)) return []
-
-  const hours = hoursForDate(date, timeZone, workingHours, weekendHours)
-  const windowStart = zonedLocalToUtc(date, hours.start, timeZone)
-  const windowEnd = zonedLocalToUtc(date, hours.end, timeZone)
-  const minStart = new Date(now.getTime() + minNoticeHours * 60 * 60 * 1000)
-  const durationMs = durationMinutes * 60 * 1000
-  const bufferMs = bufferMinutes * 60 * 1000
+type DayWindow = {
+  start: number
+  end: number
+  /** Local midnight, the origin for `slotAlignMinutes`. */
+  midnight: number
+  minStart: number
+  blackouts: BusyBlock[]
+}
+
+function dayWindow(input: SlotInput): DayWindow | null {
+  const { date, timeZone, now, workingDays, workingHours, weekendHours, minNoticeHours, maxDaysAhead, overrides } =
+    input
+
+  if (!isYearMonthDay(date)) return null
+  const override = resolveDateOverrides(date, overrides)
+  if (override.closed) return null
+  if (!override.hours && !isWorkingDay(date, timeZone, workingDays)) return null
+  if (isPastDay(date, timeZone, now)) return null
+  if (isBeyondHorizon(date, timeZone, now, maxDaysAhead)) return null
+
+  const hours = override.hours ?? hoursForDate(date, timeZone, workingHours, weekendHours)
+  return {
+    start: zonedLocalToUtc(date, hours.start, timeZone).getTime(),
+    end: zonedLocalToUtc(date, hours.end, timeZone).getTime(),
+    midnight: zonedLocalToUtc(date, '00:00', timeZone).getTime(),
+    minStart: now.getTime() + minNoticeHours * 60 * 60 * 1000,
+    blackouts: override.blackouts.map((window) => ({
+      start: zonedLocalToUtc(date, window.start, timeZone),
+      end: zonedLocalToUtc(date, window.end, timeZone),
+    })),
+  }
+}
+
+function roundUp(ms: number, origin: number, stepMs: number): number {
+  return origin + Math.ceil((ms - origin) / stepMs) * stepMs
+}
+
+/** Latest end (plus padding) among the blocks that overlap the slot, or null when it is clear. */
+function blockedUntil(start: number, end: number, busy: BusyBlock[], bufferMs: number): number | null {
+  let until: number | null = null
+  for (const block of busy) {
+    if (block.start.getTime() < end + bufferMs && block.end.getTime() > start - bufferMs) {
+      until = Math.max(until ?? 0, block.end.getTime() + bufferMs)
+    }
+  }
+  return until
+}
+
+type GridStart = { start: number; free: boolean }
+
+/**
+ * Walks the window in `slotStepMinutes` steps from the opening time. The notice period moves with
+ * the clock, so it skips whole steps rather than moving the grid: a start offered a few minutes
+ * ago is still on it. With `slotAlignMinutes`, a start that lands in a busy block or a blackout
+ * jumps to the next aligned time after it, and the grid carries on from there.
+ */
+function walkGrid(input: SlotInput): GridStart[] {
+  const window = dayWindow(input)
+  if (!window) return []
+
+  const durationMs = input.durationMinutes * 60 * 1000
+  const bufferMs = input.bufferMinutes * 60 * 1000
+  const stepMs = (input.slotStepMinutes || input.durationMinutes) * 60 * 1000
+  const alignMs = (input.slotAlignMinutes ?? 0) * 60 * 1000
 
-  const slots: Date[] = []
-  for (let t = windowStart.getTime(); t + durationMs <= windowEnd.getTime(); t += durationMs) {
-    const start = new Date(t)
-    const end = new Date(t + durationMs)
-    if (start < minStart) continue
-    if (overlapsBusy(start, end, busy, bufferMs)) continue
-    slots.push(start)
+  const starts: GridStart[] = []
+  let t = Math.max(window.start, roundUp(window.minStart, window.start, stepMs))
+  while (t + durationMs <= window.end) {
+    const until =
+      blockedUntil(t, t + durationMs, input.busy, bufferMs) ?? blockedUntil(t, t + durationMs, window.blackouts, 0)
+    starts.push({ start: t, free: until === null })
+    if (until === null || !alignMs) {
+      t += stepMs
+    } else {
+      t = roundUp(until, window.midnight, alignMs)
+    }
   }
-  return slots
+  return starts
+}
+
+export function slotsForDate(input: SlotInput): Date[] {
+  return walkGrid(input)
+    .filter((step) => step.free)
+    .map((step) => new Date(step.start))
+}
+
+/**
+ * Whether `start` could be a slot on some calendar: inside the window, past the notice period and
+ * on the step grid or, with `slotAlignMinutes`, on an aligned time. A cheap check before the busy
+ * list is read; `slotStatus` settles it.
+ */
+export function isOnSlotGrid(input: Omit<SlotInput, 'busy'>, start: Date): boolean {
+  const window = dayWindow({ ...input, busy: [] })
+  if (!window) return false
+
+  const t = start.getTime()
+  const durationMs = input.durationMinutes * 60 * 1000
+  const stepMs = (input.slotStepMinutes || input.durationMinutes) * 60 * 1000
+  const alignMs = (input.slotAlignMinutes ?? 0) * 60 * 1000
+  if (t < window.start || t + durationMs > window.end || t < window.minStart) return false
+  return (t - window.start) % stepMs === 0 || (alignMs > 0 && (t - window.midnight) % alignMs === 0)
+}
+
+/**
+ * `open` when `slotsForDate` offers `start`; `taken` when the grid reaches it but busy time or a
+ * blackout covers it; `off-grid` when the grid never reaches it, so no picker could have shown it.
+ * A busy block earlier in the day can move the grid, so `busy` has to cover the whole day.
+ */
+export function slotStatus(input: SlotInput, start: Date): 'open' | 'taken' | 'off-grid' {
+  if (!isOnSlotGrid(input, start)) return 'off-grid'
+  const step = walkGrid(input).find((candidate) => candidate.start === start.getTime())
+  if (!step) return 'off-grid'
+  return step.free ? 'open' : 'taken'
+}
+
+/** Whether `start` is one of the slots `slotsForDate` offers. */
+export function isSlotStart(input: SlotInput, start: Date): boolean {
+  return slotStatus(input, start) === 'open'
 }
 
 export function openDaysForMonth(month: string, input: Omit<SlotInput, 'date'>): string[] {
@@ -220,8 +361,9 @@ export function dayUtcRange(
   workingHours: HoursWindow,
   bufferMinutes: number,
   weekendHours?: HoursWindow,
+  overrides?: readonly DateOverride[],
 ): { timeMin: Date; timeMax: Date } {
-  const hours = hoursForDate(date, timeZone, workingHours, weekendHours)
+  const hours = hoursForDate(date, timeZone, workingHours, weekendHours, overrides)
   const start = zonedLocalToUtc(date, hours.start, timeZone)
   const end = zonedLocalToUtc(date, hours.end, timeZone)
   const bufferMs = bufferMinutes * 60 * 1000
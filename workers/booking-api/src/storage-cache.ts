@@ -0,0 +1,50 @@
+import { BUSY_TTL_MS, type BusyCache, type CachedDay } from './cache'
+
+const dayOf = (key: string) => key.split(':')[1]
+
+const invalidatedKey = (day: string) => `invalidated:${day}`
+
+/** Cache kept in the `BookingLock` Durable Object, which also runs every booking that invalidates it. */
+export function storageBusyCache(storage: DurableObjectStorage): BusyCache {
+  return {
+    async get(keys) {
+      const found = new Map<string, CachedDay>()
+      for (let i = 0; i < keys.length; i += 128) {
+        const chunk = await storage.get<CachedDay>(keys.slice(i, i + 128))
+        for (const [key, value] of chunk) found.set(key, value)
+      }
+      return found
+    },
+
+    async put(entries, startedAt) {
+      const days = [...new Set([...entries.keys()].map((key) => dayOf(key)))]
+      const invalidated = await storage.get<number>(days.map(invalidatedKey))
+      const writes = [...entries].filter(([key]) => (invalidated.get(invalidatedKey(dayOf(key))) ?? 0) < startedAt)
+      for (let i = 0; i < writes.length; i += 128) {
+        await storage.put(Object.fromEntries(writes.slice(i, i + 128)))
+      }
+      if ((await storage.getAlarm()) === null) await storage.setAlarm(Date.now() + 2 * BUSY_TTL_MS)
+    },
+
+    async invalidate(days, at) {
+      for (const day of new Set(days)) {
+        const cached = await storage.list({ prefix: `busy:${day}:` })
+        await storage.delete([...cached.keys()])
+        await storage.put(invalidatedKey(day), at)
+      }
+    },
+
+    async prune(now) {
+      const expired: string[] = []
+      for (const [key, value] of await storage.list<CachedDay | number>({ prefix: 'busy:' })) {
+        if (typeof value === 'object' && now - value.fetchedAt >= BUSY_TTL_MS) expired.push(key)
+      }
+      for (const [key, at] of await storage.list<number>({ prefix: 'invalidated:' })) {
+        if (now - at >= BUSY_TTL_MS) expired.push(key)
+      }
+      for (let i = 0; i < expired.length; i += 128) await storage.delete(expired.slice(i, i + 128))
+      const left = await storage.list({ limit: 1 })
+      if (left.size > 0) await storage.setAlarm(now + 2 * BUSY_TTL_MS)
+    },
+  }
+}
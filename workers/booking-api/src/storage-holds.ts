@@ -0,0 +1,39 @@
+import type { SlotHold } from './holds'
+
+const holdKey = (id: string) => `hold:${id}`
+
+export interface HoldStore {
+  list(): Promise<SlotHold[]>
+  put(hold: SlotHold): Promise<void>
+  delete(id: string): Promise<void>
+  /** Moves the alarm up to the next expiry, if one comes sooner. */
+  armFor(now: number): Promise<void>
+}
+
+/** Holds kept in `BookingLock` storage next to the availability cache; the alarm expires them. */
+export function storageHolds(storage: DurableObjectStorage): HoldStore {
+  async function armAt(at: number): Promise<void> {
+    const alarm = await storage.getAlarm()
+    if (alarm === null || alarm > at) await storage.setAlarm(at)
+  }
+
+  return {
+    async list() {
+      return [...(await storage.list<SlotHold>({ prefix: 'hold:' })).values()]
+    },
+
+    async put(hold) {
+      await storage.put(holdKey(hold.id), hold)
+      await armAt(hold.expiresAt)
+    },
+
+    async delete(id) {
+      await storage.delete(holdKey(id))
+    },
+
+    async armFor(now) {
+      const next = Math.min(...(await this.list()).map((hold) => hold.expiresAt))
+      if (Number.isFinite(next)) await armAt(Math.max(next, now))
+    },
+  }
+}
@@ -0,0 +1,397 @@
+import { touchJson, type Attribution } from './attribution'
+import type { EventLocation } from './calendar'
+import type { LocationKind } from './config'
+import type { Env } from './env'
+import type { MessageKind } from './messages'
+import type { Lang, PartOfDay } from './validate'
+
+export type BookingStatus = 'confirmed' | 'rescheduled' | 'cancelled' | 'no-show'
+
+/** Who caused a transition: the visitor through a manage link, the team, or the Worker itself. */
+export type BookingActor = 'visitor' | 'team' | 'system'
+
+export type BookingRecord = {
+  id: string
+  meetingTypeId: string
+  googleEventId: string
+  name: string
+  email: string
+  phone?: string
+  notes?: string
+  visitorTimeZone?: string
+  lang: Lang
+  meetUrl?: string
+  location: EventLocation
+  hostIds: string[]
+  start: Date
+  end: Date
+  attribution?: Attribution
+  source?: string
+}
+
+export async function insertBooking(env: Env, record: BookingRecord, actor: BookingActor): Promise<void> {
+  await env.DB.batch([
+    env.DB.prepare(
+      `INSERT INTO bookings
+         (id, meeting_type_id, google_event_id, name, email, phone, notes, visitor_timezone, lang, meet_url,
+          location, location_text, host_ids, start_time, end_time, first_touch, last_touch, source, status)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'confirmed')`,
+    ).bind(
+      record.id,
+      record.meetingTypeId,
+      record.googleEventId,
+      record.name,
+      record.email,
+      record.phone ?? null,
+      record.notes ?? null,
+      record.visitorTimeZone ?? null,
+      record.lang,
+      record.meetUrl ?? null,
+      record.location.kind,
+      record.location.text ?? null,
+      record.hostIds.join(',') || null,
+      record.start.toISOString(),
+      record.end.toISOString(),
+      touchJson(record.attribution?.firstTouch),
+      touchJson(record.attribution?.lastTouch),
+      record.source ?? null,
+    ),
+    env.DB.prepare(
+      `INSERT INTO booking_events (booking_id, from_status, to_status, start_time, end_time, actor)
+       VALUES (?, NULL, 'confirmed', ?, ?, ?)`,
+    ).bind(record.id, record.start.toISOString(), record.end.toISOString(), actor),
+  ])
+}
+
+/**
+ * Moves every booking on a Google event to `to`, or only `attendee`'s seat in a group session.
+ * The audit row is written first so it can read the previous status; both statements run in
+ * one D1 batch (a single transaction).
+ */
+export async function transitionBooking(
+  env: Env,
+  googleEventId: string,
+  to: BookingStatus,
+  actor: BookingActor,
+  slot?: { start: Date; end: Date; hostIds?: string[] },
+  attendee?: string,
+): Promise<void> {
+  const start = slot?.start.toISOString() ?? null
+  const end = slot?.end.toISOString() ?? null
+  const hostIds = slot?.hostIds?.join(',') || null
+  const email = attendee ?? null
+  await env.DB.batch([
+    env.DB.prepare(
+      `INSERT INTO booking_events (booking_id, from_status, to_status, start_time, end_time, actor)
+       SELECT id, status, ?, COALESCE(?, start_time), COALESCE(?, end_time), ?
+       FROM bookings WHERE google_event_id = ? AND (? IS NULL OR lower(email) = ?)`,
+    ).bind(to, start, end, actor, googleEventId, email, email),
+    env.DB.prepare(
+      `UPDATE bookings
+       SET status = ?, start_time = COALESCE(?, start_time), end_time = COALESCE(?, end_time),
+           host_ids = COALESCE(?, host_ids), updated_at = datetime('now')
+       WHERE google_event_id = ? AND (? IS NULL OR lower(email) = ?)`,
+    ).bind(to, start, end, hostIds, googleEventId, email, email),
+  ])
+}
+
+/**
+ * Keeps the cancelled invite's UID and sequence, so the `.ics` feed can still cancel it after
+ * a calendar that deletes outright (Graph, CalDAV) has dropped the event.
+ */
+export async function recordCancelledInvite(
+  env: Env,
+  googleEventId: string,
+  invite: CancelledInvite,
+  attendee?: string,
+): Promise<void> {
+  const email = attendee ?? null
+  await env.DB.prepare(
+    `UPDATE bookings SET ical_uid = ?, ical_sequence = ?
+     WHERE google_event_id = ? AND (? IS NULL OR lower(email) = ?)`,
+  )
+    .bind(invite.iCalUID, invite.sequence, googleEventId, email, email)
+    .run()
+}
+
+/** Latest booking time per host for one meeting type, for round-robin. Cancelled bookings do not count. */
+export async function lastBookedByHost(env: Env, meetingTypeId: string): Promise<Map<string, string>> {
+  const { results } = await env.DB.prepare(
+    `SELECT host_ids, MAX(created_at) AS last_booked
+     FROM bookings
+     WHERE meeting_type_id = ? AND host_ids IS NOT NULL AND status != 'cancelled'
+     GROUP BY host_ids`,
+  )
+    .bind(meetingTypeId)
+    .all<{ host_ids: string; last_booked: string }>()
+  const lastBooked = new Map<string, string>()
+  for (const row of results) {
+    for (const id of row.host_ids.split(',')) {
+      const previous = lastBooked.get(id)
+      if (!previous || row.last_booked > previous) lastBooked.set(id, row.last_booked)
+    }
+  }
+  return lastBooked
+}
+
+export type StoredBooking = {
+  id: string
+  meetingTypeId: string
+  googleEventId: string
+  name: string
+  email: string
+  phone?: string
+  notes?: string
+  visitorTimeZone?: string
+  meetUrl?: string
+  location: EventLocation
+  hostIds: string[]
+  start: Date
+  end: Date
+  status: BookingStatus
+  source?: string
+  /** The invite as it was cancelled; set once the booking is. */
+  invite?: CancelledInvite
+}
+
+/** What a calendar app needs to match a cancellation to the invite it has. */
+export type CancelledInvite = { iCalUID: string; sequence: number }
+
+type StoredBookingRow = {
+  id: string
+  meeting_type_id: string
+  google_event_id: string
+  name: string
+  email: string
+  phone: string | null
+  notes: string | null
+  visitor_timezone: string | null
+  meet_url: string | null
+  location: LocationKind | null
+  location_text: string | null
+  host_ids: string | null
+  start_time: string
+  end_time: string
+  status: BookingStatus
+  source: string | null
+  ical_uid: string | null
+  ical_sequence: number | null
+}
+
+/** Bookings from before locations were all video calls. */
+function rowLocation(row: { location: LocationKind | null; location_text: string | null }): EventLocation {
+  return { kind: row.location ?? 'video', ...(row.location_text ? { text: row.location_text } : {}) }
+}
+
+const STORED_BOOKING_COLUMNS = `id, meeting_type_id, google_event_id, name, email, phone, notes, visitor_timezone,
+  meet_url, location, location_text, host_ids, start_time, end_time, status, source, ical_uid, ical_sequence`
+
+function toStoredBooking(row: StoredBookingRow): StoredBooking {
+  return {
+    id: row.id,
+    meetingTypeId: row.meeting_type_id,
+    googleEventId: row.google_event_id,
+    name: row.name,
+    email: row.email,
+    phone: row.phone ?? undefined,
+    notes: row.notes ?? undefined,
+    visitorTimeZone: row.visitor_timezone ?? undefined,
+    meetUrl: row.meet_url ?? undefined,
+    location: rowLocation(row),
+    hostIds: row.host_ids ? row.host_ids.split(',') : [],
+    start: new Date(row.start_time),
+    end: new Date(row.end_time),
+    status: row.status,
+    source: row.source ?? undefined,
+    ...(row.ical_uid ? { invite: { iCalUID: row.ical_uid, sequence: row.ical_sequence ?? 0 } } : {}),
+  }
+}
+
+/** The latest booking on a Google event; in a group session, the latest seat or `attendee`'s. */
+export async function findBooking(env: Env, googleEventId: string, attendee?: string): Promise<StoredBooking | null> {
+  const email = attendee ?? null
+  const row = await env.DB.prepare(
+    `SELECT ${STORED_BOOKING_COLUMNS}
+     FROM bookings WHERE google_event_id = ? AND (? IS NULL OR lower(email) = ?)
+     ORDER BY created_at DESC LIMIT 1`,
+  )
+    .bind(googleEventId, email, email)
+    .first<StoredBookingRow>()
+  return row ? toStoredBooking(row) : null
+}
+
+/** One seat in a group session, by its booking id. */
+export async function findSeat(env: Env, id: string): Promise<StoredBooking | null> {
+  const row = await env.DB.prepare(`SELECT ${STORED_BOOKING_COLUMNS} FROM bookings WHERE id = ?`)
+    .bind(id)
+    .first<StoredBookingRow>()
+  return row ? toStoredBooking(row) : null
+}
+
+export type MessageCandidate = {
+  id: string
+  meetingTypeId: string
+  googleEventId: string
+  name: string
+  email: string
+  lang: Lang
+  visitorTimeZone?: string
+  meetUrl?: string
+  location: EventLocation
+  start: Date
+  end: Date
+  /** When the current time was booked; a reschedule resets it. */
+  scheduledAt: Date
+  /** Messages already sent for the current start time. */
+  sent: Set<MessageKind>
+}
+
+type MessageCandidateRow = {
+  id: string
+  meeting_type_id: string
+  google_event_id: string
+  name: string
+  email: string
+  lang: string | null
+  visitor_timezone: string | null
+  meet_url: string | null
+  location: LocationKind | null
+  location_text: string | null
+  start_time: string
+  end_time: string
+  scheduled_at: string | null
+  sent: string | null
+}
+
+/** D1 `datetime('now')` values are UTC without a zone marker. */
+function fromSqliteTime(value: string): Date {
+  return new Date(`${value.replace(' ', 'T')}Z`)
+}
+
+/** Live bookings that end after `since`, with the messages already sent for their current time. */
+export async function listMessageCandidates(env: Env, since: Date): Promise<MessageCandidate[]> {
+  const { results } = await env.DB.prepare(
+    `SELECT b.id, b.meeting_type_id, b.google_event_id, b.name, b.email, b.lang, b.visitor_timezone,
+            b.meet_url, b.location, b.location_text, b.start_time, b.end_time,
+            (SELECT MIN(e.created_at) FROM booking_events e
+             WHERE e.booking_id = b.id AND e.start_time = b.start_time) AS scheduled_at,
+            (SELECT group_concat(m.kind) FROM booking_messages m
+             WHERE m.booking_id = b.id AND m.start_time = b.start_time) AS sent
+     FROM bookings b
+     WHERE b.status IN ('confirmed', 'rescheduled') AND b.end_time > ?
+     ORDER BY b.start_time`,
+  )
+    .bind(since.toISOString())
+    .all<MessageCandidateRow>()
+  return results.map((row: MessageCandidateRow) => ({
+    id: row.id,
+    meetingTypeId: row.meeting_type_id,
+    googleEventId: row.google_event_id,
+    name: row.name,
+    email: row.email,
+    lang: (row.lang ?? 'en') as Lang,
+    visitorTimeZone: row.visitor_timezone ?? undefined,
+    meetUrl: row.meet_url ?? undefined,
+    location: rowLocation(row),
+    start: new Date(row.start_time),
+    end: new Date(row.end_time),
+    scheduledAt: row.scheduled_at ? fromSqliteTime(row.scheduled_at) : new Date(0),
+    sent: new Set((row.sent ?? '').split(',').filter(Boolean) as MessageKind[]),
+  }))
+}
+
+/**
+ * Records a message before it goes out, so overlapping cron runs cannot both send it.
+ * False when it was already claimed.
+ */
+export async function claimMessage(env: Env, bookingId: string, kind: MessageKind, start: Date): Promise<boolean> {
+  const result = await env.DB.prepare(
+    `INSERT OR IGNORE INTO booking_messages (booking_id, kind, start_time) VALUES (?, ?, ?)`,
+  )
+    .bind(bookingId, kind, start.toISOString())
+    .run()
+  return result.meta.changes > 0
+}
+
+/** Undoes a claim whose send failed, so the next run retries it. */
+export async function releaseMessage(env: Env, bookingId: string, kind: MessageKind, start: Date): Promise<void> {
+  await env.DB.prepare(`DELETE FROM booking_messages WHERE booking_id = ? AND kind = ? AND start_time = ?`)
+    .bind(bookingId, kind, start.toISOString())
+    .run()
+}
+
+export type WaitlistEntry = {
+  id: string
+  meetingTypeId: string
+  name: string
+  email: string
+  lang: Lang
+  visitorTimeZone?: string
+  /** Agency-timezone days the visitor could make. */
+  dates: string[]
+  partOfDay: PartOfDay
+}
+
+type WaitlistRow = {
+  id: string
+  meeting_type_id: string
+  name: string
+  email: string
+  lang: string | null
+  visitor_timezone: string | null
+  dates: string
+  part_of_day: PartOfDay
+}
+
+export async function insertWaitlistEntry(env: Env, entry: WaitlistEntry): Promise<void> {
+  await env.DB.prepare(
+    `INSERT INTO waitlist (id, meeting_type_id, name, email, lang, visitor_timezone, dates, part_of_day)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+  )
+    .bind(
+      entry.id,
+      entry.meetingTypeId,
+      entry.name,
+      entry.email,
+      entry.lang,
+      entry.visitorTimeZone ?? null,
+      entry.dates.join(','),
+      entry.partOfDay,
+    )
+    .run()
+}
+
+/** Entries still waiting for a slot of this type on `day`, first sign-up first. */
+export async function listWaitlist(env: Env, meetingTypeId: string, day: string): Promise<WaitlistEntry[]> {
+  const { results } = await env.DB.prepare(
+    `SELECT id, meeting_type_id, name, email, lang, visitor_timezone, dates, part_of_day
+     FROM waitlist
+     WHERE meeting_type_id = ? AND status = 'waiting' AND (',' || dates || ',') LIKE ?
+     ORDER BY created_at, rowid`,
+  )
+    .bind(meetingTypeId, `%,${day},%`)
+    .all<WaitlistRow>()
+  return results.map((row: WaitlistRow) => ({
+    id: row.id,
+    meetingTypeId: row.meeting_type_id,
+    name: row.name,
+    email: row.email,
+    lang: (row.lang ?? 'en') as Lang,
+    visitorTimeZone: row.visitor_timezone ?? undefined,
+    dates: row.dates.split(','),
+    partOfDay: row.part_of_day,
+  }))
+}
+
+export async function markWaitlistOffered(env: Env, id: string): Promise<void> {
+  await env.DB.prepare(`UPDATE waitlist SET offers = offers + 1, last_offered_at = datetime('now') WHERE id = ?`)
+    .bind(id)
+    .run()
+}
+
+/** Takes the entry off the list once its offer has been booked. */
+export async function markWaitlistBooked(env: Env, id: string, googleEventId: string): Promise<void> {
+  await env.DB.prepare(`UPDATE waitlist SET status = 'booked', google_event_id = ? WHERE id = ?`)
+    .bind(googleEventId, id)
+    .run()
+}
@@ -0,0 +1,209 @@
+import type { EventLocation } from './calendar'
+import type { LocationKind } from './config'
+import type { BookingStatus } from './store'
+
+export type NoticeKind = 'booked' | 'rescheduled' | 'cancelled'
+
+export type TeamAction = 'confirm' | 'cancel' | 'no-show'
+
+export type BookingNotice = {
+  kind: NoticeKind
+  eventId: string
+  meeting: string
+  name: string
+  email: string
+  phone?: string
+  notes?: string
+  hosts: string[]
+  start: Date
+  end: Date
+  agencyTimeZone: string
+  visitorTimeZone?: string
+  meetUrl?: string
+  location?: EventLocation
+  /** The page the booking started from, as `project:<slug>` or `service:<slug>`. */
+  source?: string
+}
+
+export type TelegramConfig = { botToken: string; chatId: string }
+
+export type InlineButton = { text: string; callback_data: string }
+
+export type InlineKeyboard = { inline_keyboard: InlineButton[][] }
+
+export type CallbackQuery = {
+  id: string
+  data?: string
+  from: { first_name?: string; username?: string }
+  message?: { message_id: number; chat: { id: number | string } }
+}
+
+const HEADINGS: Record<NoticeKind, string> = {
+  booked: '📅 <b>New booking</b>',
+  rescheduled: '🔁 <b>Booking rescheduled</b>',
+  cancelled: '🚫 <b>Booking cancelled</b>',
+}
+
+const PLACES: Record<LocationKind, string> = {
+  video: 'Video call',
+  phone: 'Phone call, we call them',
+  whatsapp: 'WhatsApp call',
+  'in-person': 'At the office',
+}
+
+const BUTTONS: Record<TeamAction, string> = {
+  confirm: '✅ Confirm',
+  cancel: '❌ Cancel',
+  'no-show': '🙈 Mark no-show',
+}
+
+const teamActions: readonly TeamAction[] = ['confirm', 'cancel', 'no-show']
+
+export function escapeHtml(value: string): string {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+function formatDay(date: Date, timeZone: string): string {
+  return new Intl.DateTimeFormat('en-GB', { weekday: 'short', day: 'numeric', month: 'short', timeZone }).format(date)
+}
+
+function formatTime(date: Date, timeZone: string): string {
+  return new Intl.DateTimeFormat('en-GB', { hour: '2-digit', minute: '2-digit', timeZone }).format(date)
+}
+
+/** Video calls have the Meet line instead. */
+function placeLine(location: EventLocation): string {
+  const address = location.kind === 'in-person' && location.text ? ` (${escapeHtml(location.text)})` : ''
+  return `📍 <b>Where:</b> ${PLACES[location.kind]}${address}`
+}
+
+export function formatBookingNotice(notice: BookingNotice): string {
+  const zone = notice.agencyTimeZone
+  const when = `${formatDay(notice.start, zone)}, ${formatTime(notice.start, zone)}–${formatTime(notice.end, zone)}`
+  const visitorZone = notice.visitorTimeZone
+  const visitorWhen =
+    visitorZone && visitorZone !== zone
+      ? `${formatDay(notice.start, visitorZone)}, ${formatTime(notice.start, visitorZone)} (${visitorZone})`
+      : null
+  return [
+    HEADINGS[notice.kind],
+    ``,
+    `🗂 <b>Type:</b> ${escapeHtml(notice.meeting)}`,
+    `🕒 <b>When:</b> ${escapeHtml(when)} (${escapeHtml(zone)})`,
+    visitorWhen ? `🌍 <b>Their time:</b> ${escapeHtml(visitorWhen)}` : null,
+    `👤 <b>Name:</b> ${escapeHtml(notice.name)}`,
+    `📧 <b>Email:</b> ${escapeHtml(notice.email)}`,
+    notice.phone ? `📞 <b>Phone:</b> ${escapeHtml(notice.phone)}` : null,
+    notice.hosts.length > 0 ? `🧑‍💻 <b>Hosts:</b> ${escapeHtml(notice.hosts.join(', '))}` : null,
+    notice.location && notice.location.kind !== 'video' ? placeLine(notice.location) : null,
+    notice.meetUrl && notice.kind !== 'cancelled' ? `🎥 <b>Meet:</b> ${escapeHtml(notice.meetUrl)}` : null,
+    notice.source ? `🔖 <b>From:</b> ${escapeHtml(notice.source)}` : null,
+    notice.notes ? `💬 <b>Notes:</b>\n${escapeHtml(notice.notes)}` : null,
+  ]
+    .filter((line) => line !== null)
+    .join('\n')
+}
+
+/**
+ * What a notice's buttons act on: the booking on an event, or one seat in a group session by its
+ * booking id, so a press there leaves the other seats alone.
+ */
+export type ButtonTarget = { eventId: string } | { seatId: string }
+
+/** Buttons for a booking notice; once the team has acted, only the moves still open to them. */
+export function bookingKeyboard(target: ButtonTarget, after?: TeamAction): InlineKeyboard {
+  const offered = after === undefined ? teamActions : after === 'confirm' ? teamActions.slice(1) : []
+  const id = 'seatId' in target ? target.seatId : target.eventId
+  const row = offered.map((action) => ({ text: BUTTONS[action], callback_data: `${action}:${id}` }))
+  return { inline_keyboard: row.length > 0 ? [row] : [] }
+}
+
+/**
+ * `callback_data` is `<action>:<google event id>`, or `<action>:<booking id>` for a seat, well
+ * under Telegram's 64-byte limit. Booking ids are UUIDs; their dashes never appear in event ids.
+ */
+export function parseCallbackData(data: string | undefined): ({ action: TeamAction } & ButtonTarget) | null {
+  const match = /^(confirm|cancel|no-show):(?:([a-z0-9]{5,56})|([0-9a-f]{8}(?:-[0-9a-f]{4}){3}-[0-9a-f]{12}))$/.exec(
+    data ?? '',
+  )
+  if (!match) return null
+  const action = match[1] as TeamAction
+  return match[2] ? { action, eventId: match[2] } : { action, seatId: match[3] }
+}
+
+/** Why the team cannot take `action` on the booking right now, or null when they can. */
+export function teamActionError(action: TeamAction, status: BookingStatus, start: Date, now: Date): string | null {
+  if (status === 'cancelled') return 'This booking is already cancelled.'
+  if (action === 'cancel' && start.getTime() <= now.getTime()) return 'This call has already started.'
+  if (action === 'no-show' && start.getTime() > now.getTime()) return 'This call has not started yet.'
+  if (action === 'no-show' && status === 'no-show') return 'Already marked as a no-show.'
+  return null
+}
+
+/**
+ * Telegram echoes the `secret_token` set with `setWebhook` in this header. Compared in
+ * constant time; an unset secret rejects everything.
+ */
+export function hasWebhookSecret(request: Request, secret: string | undefined): boolean {
+  const header = request.headers.get('X-Telegram-Bot-Api-Secret-Token') ?? ''
+  if (!secret || header.length !== secret.length) return false
+  let diff = 0
+  for (let i = 0; i < secret.length; i += 1) diff |= secret.charCodeAt(i) ^ header.charCodeAt(i)
+  return diff === 0
+}
+
+async function callTelegram(config: TelegramConfig, method: string, body: Record<string, unknown>): Promise<string | null> {
+  try {
+    const res = await fetch(`https://api.telegram.org/bot${config.botToken}/${method}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    })
+    if (!res.ok) {
+      return `HTTP ${res.status}: ${await res.text()}`
+    }
+    return null
+  } catch (err) {
+    return err instanceof Error ? err.message : String(err)
+  }
+}
+
+/** Like form-handler's `sendTelegram`: resolves to an error string instead of throwing. */
+export function sendTelegram(config: TelegramConfig, text: string, keyboard?: InlineKeyboard): Promise<string | null> {
+  return callTelegram(config, 'sendMessage', {
+    chat_id: config.chatId,
+    text,
+    parse_mode: 'HTML',
+    disable_web_page_preview: true,
+    ...(keyboard ? { reply_markup: keyboard } : {}),
+  })
+}
+
+export function answerCallback(config: TelegramConfig, callbackId: string, text: string): Promise<string | null> {
+  return callTelegram(config, 'answerCallbackQuery', { callback_query_id: callbackId, text })
+}
+
+/** Swaps the buttons on a notice and posts who did what underneath it. */
+export async function recordTeamAction(
+  config: TelegramConfig,
+  messageId: number,
+  keyboard: InlineKeyboard,
+  text: string,
+): Promise<string | null> {
+  const edited = await callTelegram(config, 'editMessageReplyMarkup', {
+    chat_id: config.chatId,
+    message_id: messageId,
+    reply_markup: keyboard,
+  })
+  const replied = await callTelegram(config, 'sendMessage', {
+    chat_id: config.chatId,
+    text,
+    parse_mode: 'HTML',
+    reply_to_message_id: messageId,
+  })
+  return edited ?? replied
+}
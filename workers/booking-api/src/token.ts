@@ -0,0 +1,70 @@
+export type ManageClaims = {
+  eventId: string
+  meetingTypeId: string
+  /** The visitor's email on a seat in a group session, where the event is shared. */
+  attendee?: string
+}
+
+type WireClaims = { e: string; m: string; a?: string }
+
+const encoder = new TextEncoder()
+const decoder = new TextDecoder()
+
+function toBase64Url(bytes: Uint8Array): string {
+  let binary = ''
+  for (const byte of bytes) binary += String.fromCharCode(byte)
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function fromBase64Url(value: string): Uint8Array<ArrayBuffer> | null {
+  if (!/^[A-Za-z0-9_-]+$/.test(value)) return null
+  const padded = value.replace(/-/g, '+').replace(/_/g, '/') + '='.repeat((4 - (value.length % 4)) % 4)
+  try {
+    const binary = atob(padded)
+    return Uint8Array.from(binary, (char) => char.charCodeAt(0))
+  } catch {
+    return null
+  }
+}
+
+async function hmacKey(secret: string): Promise<CryptoKey> {
+  if (!secret) throw new Error('missing_token_secret')
+  return crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, [
+    'sign',
+    'verify',
+  ])
+}
+
+/** `<claims>.<signature>`, both base64url. Safe to drop into a URL path or query. */
+export async function signManageToken(secret: string, claims: ManageClaims): Promise<string> {
+  const wire: WireClaims = {
+    e: claims.eventId,
+    m: claims.meetingTypeId,
+    ...(claims.attendee ? { a: claims.attendee } : {}),
+  }
+  const payload = toBase64Url(encoder.encode(JSON.stringify(wire)))
+  const key = await hmacKey(secret)
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(payload))
+  return `${payload}.${toBase64Url(new Uint8Array(signature))}`
+}
+
+export async function verifyManageToken(secret: string, token: string): Promise<ManageClaims | null> {
+  const [payload, signature, extra] = token.split('.')
+  if (!payload || !signature || extra !== undefined) return null
+  const signatureBytes = fromBase64Url(signature)
+  const payloadBytes = fromBase64Url(payload)
+  if (!signatureBytes || !payloadBytes) return null
+
+  const key = await hmacKey(secret)
+  const valid = await crypto.subtle.verify('HMAC', key, signatureBytes, encoder.encode(payload))
+  if (!valid) return null
+
+  try {
+    const wire = JSON.parse(decoder.decode(payloadBytes)) as Partial<WireClaims>
+    if (typeof wire.e !== 'string' || typeof wire.m !== 'string' || !wire.e || !wire.m) return null
+    if (wire.a !== undefined && (typeof wire.a !== 'string' || !wire.a)) return null
+    return { eventId: wire.e, meetingTypeId: wire.m, ...(wire.a ? { attendee: wire.a } : {}) }
+  } catch {
+    return null
+  }
+}
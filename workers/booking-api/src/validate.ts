@@ -1,6 +1,25 @@
+import type { Attribution } from './attribution'
+import type { IntakeQuestion, LocationKind } from './config'
+
 const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/
 const PHONE_RE = /^\+?[0-9\s().-]{7,20}$/
 const ISO_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d{3})?Z$/
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/
+const HOLD_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
+const SOURCE_RE = /^[a-z0-9][a-z0-9:_-]{0,63}$/
+
+/** Most days one waitlist entry can ask for. */
+const MAX_WAITLIST_DATES = 14
+
+/** Site locales; the visitor's one picks the language of booking emails. */
+export const languages = ['en', 'ar', 'ur', 'hi', 'fil'] as const
+
+export type Lang = (typeof languages)[number]
+
+/** When in the visitor's day a waitlisted slot has to start; `any` takes whatever opens. */
+export const partsOfDay = ['any', 'morning', 'afternoon', 'evening'] as const
+
+export type PartOfDay = (typeof partsOfDay)[number]
 
 export type BookPayload = {
   meetingTypeId: string
@@ -9,8 +28,28 @@ export type BookPayload = {
   email: string
   phone?: string
   notes?: string
+  /** One the meeting type allows; defaults to its first. A phone call needs `phone`. */
+  location: LocationKind
+  /** Visitor's IANA zone, kept for reporting and localized follow-ups. */
+  timeZone?: string
+  /** Language of the page the visitor booked from; defaults to `en`. */
+  lang: Lang
+  /** Intake answers by question id, already checked against the meeting type. */
+  answers?: IntakeAnswers
+  /** Hold from a waitlist offer; lets the visitor book the slot it keeps from everyone else. */
+  holdToken?: string
+  /** How the visitor found the site; added by `handleBook`, never a reason to refuse. */
+  attribution?: Attribution
+  /** Where on the site the booking started, such as `project:geeb`; dropped when malformed. */
+  source?: string
 }
 
+export type IntakeAnswers = Record<string, string | string[]>
+
+export type AnswersResult =
+  | { ok: true; value: IntakeAnswers }
+  | { ok: false; errors: string[] }
+
 export type ValidateResult =
   | { ok: true; value: BookPayload; honeypot: boolean }
   | { ok: false; message: string; honeypot: boolean }
@@ -19,7 +58,70 @@ function asString(value: unknown): string {
   return typeof value === 'string' ? value.trim() : ''
 }
 
-export function validateBookBody(raw: unknown): ValidateResult {
+function isLang(value: string): value is Lang {
+  return (languages as readonly string[]).includes(value)
+}
+
+function isTimeZone(value: string): boolean {
+  if (!value || value.length > 64) return false
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value })
+    return true
+  } catch {
+    return false
+  }
+}
+
+function normalizeUrl(value: string): string | null {
+  if (value.length > 2048) return null
+  try {
+    const url = new URL(/^[a-z][a-z0-9+.-]*:/i.test(value) ? value : `https://${value}`)
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return null
+    return url.hostname.includes('.') ? url.href : null
+  } catch {
+    return null
+  }
+}
+
+/** `undefined` for a blank answer, `null` for one that is filled in but not acceptable. */
+function readAnswer(question: IntakeQuestion, raw: unknown): string | string[] | null | undefined {
+  const allowed = (question.options ?? []).map((option) => option.value)
+
+  if (question.kind === 'multi-select') {
+    const list = Array.isArray(raw) ? raw : raw === undefined || raw === null ? [] : [raw]
+    if (!list.every((item) => typeof item === 'string')) return null
+    const picked = new Set(list.map((item) => asString(item)).filter(Boolean))
+    if (picked.size === 0) return undefined
+    if (![...picked].every((item) => allowed.includes(item))) return null
+    return allowed.filter((item) => picked.has(item))
+  }
+
+  if (raw !== undefined && raw !== null && typeof raw !== 'string') return null
+  const answer = asString(raw)
+  if (!answer) return undefined
+  if (question.kind === 'url') return normalizeUrl(answer)
+  if (question.kind === 'long-text') return answer.length <= (question.maxLength ?? 1000) ? answer : null
+  return allowed.includes(answer) ? answer : null
+}
+
+/** Checks answers against one meeting type's questions. Answers to unknown questions are dropped. */
+export function validateAnswers(questions: readonly IntakeQuestion[], raw: unknown): AnswersResult {
+  const input = raw && typeof raw === 'object' && !Array.isArray(raw) ? (raw as Record<string, unknown>) : {}
+  const value: IntakeAnswers = {}
+  const errors: string[] = []
+  for (const question of questions) {
+    const answer = readAnswer(question, input[question.id])
+    if (answer === null || (answer === undefined && question.required)) errors.push(question.id)
+    else if (answer !== undefined) value[question.id] = answer
+  }
+  return errors.length > 0 ? { ok: false, errors } : { ok: true, value }
+}
+
+export function validateBookBody(
+  raw: unknown,
+  questionsFor: (meetingTypeId: string) => readonly IntakeQuestion[] = () => [],
+  locationsFor: (meetingTypeId: string) => readonly LocationKind[] = () => ['video'],
+): ValidateResult {
   if (!raw || typeof raw !== 'object') {
     return { ok: false, message: 'Request body must be a JSON object.', honeypot: false }
   }
@@ -32,6 +134,11 @@ export function validateBookBody(raw: unknown): ValidateResult {
   const email = asString(body.email).toLowerCase()
   const phone = asString(body.phone)
   const notes = asString(body.notes)
+  const requestedLocation = asString(body.location)
+  const timeZone = asString(body.timeZone)
+  const lang = asString(body.lang)
+  const holdToken = asString(body.holdToken).toLowerCase()
+  const source = asString(body.source).toLowerCase()
 
   if (honeypot) {
     return { ok: false, message: 'Invalid request.', honeypot: true }
@@ -55,6 +162,20 @@ export function validateBookBody(raw: unknown): ValidateResult {
   if (notes.length > 2000) {
     return { ok: false, message: 'Notes are too long.', honeypot: false }
   }
+  const locations = locationsFor(meetingTypeId)
+  const location = locations.find((kind) => kind === (requestedLocation || locations[0]))
+  if (!location) {
+    return { ok: false, message: 'Choose one of the offered ways to meet.', honeypot: false }
+  }
+  if (location === 'phone' && !phone) {
+    return { ok: false, message: 'Enter the phone number we should call.', honeypot: false }
+  }
+  const questions = questionsFor(meetingTypeId)
+  const answers = validateAnswers(questions, body.answers)
+  if (!answers.ok) {
+    const question = questions.find((entry) => entry.id === answers.errors[0])
+    return { ok: false, message: `Check your answer to "${question?.label}".`, honeypot: false }
+  }
 
   return {
     ok: true,
@@ -66,6 +187,138 @@ export function validateBookBody(raw: unknown): ValidateResult {
       email,
       phone: phone || undefined,
       notes: notes || undefined,
+      location,
+      timeZone: isTimeZone(timeZone) ? timeZone : undefined,
+      lang: isLang(lang) ? lang : 'en',
+      answers: Object.keys(answers.value).length > 0 ? answers.value : undefined,
+      holdToken: HOLD_RE.test(holdToken) ? holdToken : undefined,
+      source: SOURCE_RE.test(source) ? source : undefined,
+    },
+  }
+}
+
+export type ManageAction =
+  | { action: 'reschedule'; startTime: string }
+  | { action: 'cancel' }
+
+export type ValidateManageResult =
+  | { ok: true; value: ManageAction }
+  | { ok: false; message: string }
+
+export function validateManageBody(raw: unknown): ValidateManageResult {
+  if (!raw || typeof raw !== 'object') {
+    return { ok: false, message: 'Request body must be a JSON object.' }
+  }
+  const body = raw as Record<string, unknown>
+  const action = asString(body.action)
+
+  if (action === 'cancel') {
+    return { ok: true, value: { action } }
+  }
+  if (action === 'reschedule') {
+    const startTime = asString(body.startTime)
+    if (!ISO_RE.test(startTime) || Number.isNaN(Date.parse(startTime))) {
+      return { ok: false, message: 'Start time must be a UTC ISO 8601 timestamp.' }
+    }
+    return { ok: true, value: { action, startTime } }
+  }
+  return { ok: false, message: 'Action must be reschedule or cancel.' }
+}
+
+export type WaitlistPayload = {
+  meetingTypeId: string
+  name: string
+  email: string
+  /** Agency-timezone days (`YYYY-MM-DD`) the visitor could make, sorted. */
+  dates: string[]
+  partOfDay: PartOfDay
+  timeZone?: string
+  lang: Lang
+}
+
+export type ValidateWaitlistResult =
+  | { ok: true; value: WaitlistPayload; honeypot: boolean }
+  | { ok: false; message: string; honeypot: boolean }
+
+function isPartOfDay(value: string): value is PartOfDay {
+  return (partsOfDay as readonly string[]).includes(value)
+}
+
+function isDate(value: string): boolean {
+  return DATE_RE.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`))
+}
+
+export function validateWaitlistBody(raw: unknown): ValidateWaitlistResult {
+  if (!raw || typeof raw !== 'object') {
+    return { ok: false, message: 'Request body must be a JSON object.', honeypot: false }
+  }
+  const body = raw as Record<string, unknown>
+  if (asString(body.website).length > 0) {
+    return { ok: false, message: 'Invalid request.', honeypot: true }
+  }
+
+  const meetingTypeId = asString(body.meetingTypeId)
+  const name = asString(body.name)
+  const email = asString(body.email).toLowerCase()
+  const partOfDay = asString(body.partOfDay) || 'any'
+  const timeZone = asString(body.timeZone)
+  const lang = asString(body.lang)
+  const rawDates = Array.isArray(body.dates) ? body.dates : []
+  const dates = [...new Set(rawDates.map((date) => asString(date)))].sort()
+
+  if (!meetingTypeId) {
+    return { ok: false, message: 'Choose a meeting type.', honeypot: false }
+  }
+  if (name.length < 2 || name.length > 120) {
+    return { ok: false, message: 'Enter your name.', honeypot: false }
+  }
+  if (!EMAIL_RE.test(email) || email.length > 254) {
+    return { ok: false, message: 'Enter a valid email address.', honeypot: false }
+  }
+  if (dates.length === 0 || dates.length > MAX_WAITLIST_DATES || !dates.every(isDate)) {
+    return { ok: false, message: `Pick between 1 and ${MAX_WAITLIST_DATES} days.`, honeypot: false }
+  }
+  if (!isPartOfDay(partOfDay)) {
+    return { ok: false, message: 'Time of day must be any, morning, afternoon or evening.', honeypot: false }
+  }
+
+  return {
+    ok: true,
+    honeypot: false,
+    value: {
+      meetingTypeId,
+      name,
+      email,
+      dates,
+      partOfDay,
+      timeZone: isTimeZone(timeZone) ? timeZone : undefined,
+      lang: isLang(lang) ? lang : 'en',
     },
   }
 }
+
+export type HoldPayload = {
+  meetingTypeId: string
+  startTime: string
+  /** The visitor's current hold, given up for this one. */
+  replaces?: string
+}
+
+export type ValidateHoldResult = { ok: true; value: HoldPayload } | { ok: false; message: string }
+
+export function validateHoldBody(raw: unknown): ValidateHoldResult {
+  if (!raw || typeof raw !== 'object') {
+    return { ok: false, message: 'Request body must be a JSON object.' }
+  }
+  const body = raw as Record<string, unknown>
+  const meetingTypeId = asString(body.meetingTypeId)
+  const startTime = asString(body.startTime)
+  const replaces = asString(body.replaces).toLowerCase()
+  if (!meetingTypeId) {
+    return { ok: false, message: 'Choose a meeting type.' }
+  }
+  if (!ISO_RE.test(startTime) || Number.isNaN(Date.parse(startTime))) {
+    return { ok: false, message: 'Start time must be a UTC ISO 8601 timestamp.' }
+  }
+  return { ok: true, value: { meetingTypeId, startTime, ...(HOLD_RE.test(replaces) ? { replaces } : {}) } }
+}
@@ -0,0 +1,38 @@
+import type { WaitlistEntry } from './store'
+import type { PartOfDay } from './validate'
+
+type DayPart = Exclude<PartOfDay, 'any'>
+
+/** Hours in the visitor's own zone; afternoon starts at noon and evening at five. */
+export function partOfDay(start: Date, timeZone: string): DayPart {
+  const hour = Number(
+    new Intl.DateTimeFormat('en-GB', { hour: '2-digit', hourCycle: 'h23', timeZone }).format(start),
+  )
+  if (hour < 12) return 'morning'
+  if (hour < 17) return 'afternoon'
+  return 'evening'
+}
+
+/** Whether a slot starting at `start`, on agency day `day`, is one the entry asked for. */
+export function wantsSlot(entry: WaitlistEntry, start: Date, day: string, agencyTimeZone: string): boolean {
+  if (!entry.dates.includes(day)) return false
+  return entry.partOfDay === 'any' || partOfDay(start, entry.visitorTimeZone ?? agencyTimeZone) === entry.partOfDay
+}
+
+/**
+ * The first entry, in sign-up order, that wants the slot and has not been offered it yet.
+ * Someone who signed up twice is skipped once either entry has had the offer.
+ */
+export function nextInLine(
+  entries: readonly WaitlistEntry[],
+  start: Date,
+  day: string,
+  agencyTimeZone: string,
+  offered: readonly string[] = [],
+): WaitlistEntry | undefined {
+  const offeredEmails = new Set(entries.filter((entry) => offered.includes(entry.id)).map((entry) => entry.email))
+  return entries.find(
+    (entry) =>
+      !offered.includes(entry.id) && !offeredEmails.has(entry.email) && wantsSlot(entry, start, day, agencyTimeZone),
+  )
+}
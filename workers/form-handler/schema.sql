@@ -7,5 +7,65 @@ CREATE TABLE IF NOT EXISTS submissions (
   phone TEXT,
   message TEXT NOT NULL,
   ip_address TEXT,
+  -- See src/spam.ts. At or above SPAM_THRESHOLD the row was not sent to Telegram.
+  spam_score INTEGER NOT NULL DEFAULT 0,
+  -- Comma-separated: honeypot, no_token, bad_token, too_fast, links.
+  spam_reasons TEXT,
+  -- Derived on arrival (src/enrich.ts). email_domain is NULL for phone-only senders.
+  email_domain TEXT,
+  free_mail INTEGER NOT NULL DEFAULT 0,
+  phone_country TEXT,
+  -- phone_country, or CF-IPCountry when there is no valid phone.
+  country TEXT,
+  -- From src/routing.ts: the route the Telegram message took, and every matching rule id, comma-separated.
+  route TEXT,
+  tags TEXT,
+  utm_source TEXT,
+  utm_medium TEXT,
+  utm_campaign TEXT,
+  utm_term TEXT,
+  utm_content TEXT,
+  -- JSON from src/attribution.ts (utm_*, referrer, landing_page, at); NULL when the browser sent none.
+  first_touch TEXT,
+  last_touch TEXT,
   created_at TEXT DEFAULT (datetime('now'))
 );
+
+-- Admin console (workers/admin). A submission without a row here is a `new` lead.
+CREATE TABLE IF NOT EXISTS submission_leads (
+  submission_id INTEGER PRIMARY KEY REFERENCES submissions (id),
+  status TEXT NOT NULL DEFAULT 'new'
+    CHECK (status IN ('new', 'qualified', 'won', 'lost')),
+  updated_by TEXT,
+  updated_at TEXT DEFAULT (datetime('now'))
+);
+
+-- Internal notes; never shown to the visitor.
+CREATE TABLE IF NOT EXISTS submission_notes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  submission_id INTEGER NOT NULL REFERENCES submissions (id),
+  body TEXT NOT NULL,
+  author TEXT NOT NULL,
+  created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS submission_notes_submission_id ON submission_notes (submission_id);
+
+-- Files sent with a submission; the bytes are in R2 (src/storage-attachments.ts).
+-- `url` is the signed download link, good until `expires_at`. The daily cron
+-- deletes the object then and sets `deleted_at`.
+CREATE TABLE IF NOT EXISTS submission_attachments (
+  id TEXT PRIMARY KEY,
+  submission_id INTEGER NOT NULL REFERENCES submissions (id),
+  r2_key TEXT NOT NULL,
+  filename TEXT NOT NULL,
+  content_type TEXT NOT NULL,
+  size INTEGER NOT NULL,
+  url TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  deleted_at TEXT,
+  created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS submission_attachments_submission_id ON submission_attachments (submission_id);
+CREATE INDEX IF NOT EXISTS submission_attachments_expires_at ON submission_attachments (expires_at) WHERE deleted_at IS NULL;
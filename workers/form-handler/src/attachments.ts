@@ -0,0 +1,65 @@
+/** Files are deleted this long after upload, and their links stop working at the same time. */
+export const RETENTION_DAYS = 90
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const ATTACHMENT_ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
+
+const encoder = new TextEncoder()
+
+function toBase64Url(bytes: Uint8Array): string {
+  let binary = ''
+  for (const byte of bytes) binary += String.fromCharCode(byte)
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+async function hmacKey(secret: string): Promise<CryptoKey> {
+  return crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+}
+
+async function signature(secret: string, id: string, expires: number): Promise<string> {
+  const signed = await crypto.subtle.sign('HMAC', await hmacKey(secret), encoder.encode(`${id}.${expires}`))
+  return toBase64Url(new Uint8Array(signed))
+}
+
+export function attachmentExpiry(now = Date.now()): Date {
+  return new Date(now + RETENTION_DAYS * DAY_MS)
+}
+
+/** One folder per file, so two files with the same name never collide. */
+export function attachmentKey(id: string, filename: string): string {
+  return `attachments/${id}/${filename}`
+}
+
+/** `<origin>/attachments/<id>?expires=<unix seconds>&sig=<hmac>`. Anyone with the link can download until it expires. */
+export async function signDownloadUrl(origin: string, secret: string, id: string, expiresAt: Date): Promise<string> {
+  const expires = Math.floor(expiresAt.getTime() / 1000)
+  const url = new URL(`/attachments/${id}`, origin)
+  url.searchParams.set('expires', String(expires))
+  url.searchParams.set('sig', await signature(secret, id, expires))
+  return url.href
+}
+
+export async function verifyDownloadUrl(secret: string, url: URL, now = Date.now()): Promise<string | null> {
+  const id = url.pathname.slice('/attachments/'.length)
+  const expires = Number(url.searchParams.get('expires'))
+  if (!ATTACHMENT_ID_RE.test(id) || !Number.isInteger(expires) || expires * 1000 <= now) return null
+  const expected = await signature(secret, id, expires)
+  const given = url.searchParams.get('sig') ?? ''
+  if (given.length !== expected.length) return null
+  let diff = 0
+  for (let i = 0; i < given.length; i += 1) diff |= given.charCodeAt(i) ^ expected.charCodeAt(i)
+  return diff === 0 ? id : null
+}
+
+/** `attachment` keeps browsers from rendering what was uploaded on our origin. */
+export function contentDisposition(filename: string): string {
+  const ascii = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_')
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(filename)}`
+}
+
+export function formatBytes(bytes: number): string {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
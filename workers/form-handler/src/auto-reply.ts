@@ -0,0 +1,84 @@
+import type { MailMessage } from '../../shared/mail'
+
+/** Site locales; the form sends the page's one as `lang`. */
+export const languages = ['en', 'ar', 'ur', 'hi', 'fil'] as const
+
+export type Lang = (typeof languages)[number]
+
+const RTL: readonly Lang[] = ['ar', 'ur']
+
+/** Addresses the form makes up for visitors who only left a phone number. */
+const PLACEHOLDER_EMAIL_DOMAIN = 'hehadnoemail.com'
+
+export function replyLanguage(value: string): Lang {
+  const base = value.toLowerCase().split(/[-_]/)[0]
+  return (languages as readonly string[]).includes(base) ? (base as Lang) : 'en'
+}
+
+export function canAutoReply(email: string): boolean {
+  return !email.toLowerCase().endsWith(`@${PLACEHOLDER_EMAIL_DOMAIN}`)
+}
+
+/** The booking widget on the contact page in the sender's language. */
+export function bookingUrl(siteUrl: string, lang: Lang): string {
+  const { origin } = new URL(siteUrl)
+  return `${origin}${lang === 'en' ? '' : `/${lang}`}/contact/#contact-meeting`
+}
+
+export type AutoReplyContext = {
+  lang: Lang
+  name: string
+  email: string
+  subject: string
+  /** Intent values as the form sends them, e.g. `branding`. */
+  intent: string[]
+  bookingUrl: string
+}
+
+function fill(template: string, vars: Record<string, string>): string {
+  return template.replace(/\{(\w+)\}/g, (match, name: string) => vars[name] ?? match)
+}
+
+function escapeHtml(value: string): string {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+function toHtml(paragraphs: string[], lang: Lang): string {
+  const body = paragraphs
+    .map((paragraph) =>
+      escapeHtml(paragraph).replace(/https?:\/\/[^\s<]+/g, (url) => `<a href="${url}">${url}</a>`),
+    )
+    .map((paragraph) => `<p>${paragraph}</p>`)
+    .join('\n')
+  return `<div lang="${lang}" dir="${RTL.includes(lang) ? 'rtl' : 'ltr'}">\n${body}\n</div>`
+}
+
+/**
+ * The acknowledgement a sender gets, built from `copy`, a locale's `ui.json`. Keys are
+ * `email_contact_reply_*` plus booking-api's shared greeting and sign-off. Only the subject and
+ * intents are echoed back, never the message, so the form cannot be used to mail arbitrary text.
+ */
+export function composeAutoReply(context: AutoReplyContext, copy: Record<string, string>): MailMessage {
+  const intent = context.intent
+    .map((value) => copy[`email_contact_reply_intent_${value}`] ?? value)
+    .join(context.lang === 'ar' || context.lang === 'ur' ? '، ' : ', ')
+  const vars = { name: context.name, subject: context.subject, intent, bookingUrl: context.bookingUrl }
+  const paragraphs = [
+    copy.email_greeting,
+    copy.email_contact_reply_body,
+    context.subject ? copy.email_contact_reply_subject_line : '',
+    intent ? copy.email_contact_reply_intent_line : '',
+    copy.email_contact_reply_book,
+    copy.email_signoff,
+  ]
+    .filter(Boolean)
+    .map((line) => fill(line, vars))
+
+  return {
+    to: context.email,
+    toName: context.name,
+    subject: fill(copy.email_contact_reply_subject ?? '', vars),
+    text: paragraphs.join('\n\n'),
+    html: toHtml(paragraphs, context.lang),
+  }
+}
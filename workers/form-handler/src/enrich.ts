@@ -0,0 +1,116 @@
+import parsePhoneNumberFromString from 'libphonenumber-js/max'
+
+/** Addresses the form makes up for visitors who only left a phone number. */
+const PLACEHOLDER_EMAIL_DOMAIN = 'hehadnoemail.com'
+
+/** Mailbox providers anyone can sign up to; an address on one says nothing about the company. */
+export const freeMailDomains = new Set([
+  'gmail.com',
+  'googlemail.com',
+  'yahoo.com',
+  'ymail.com',
+  'hotmail.com',
+  'outlook.com',
+  'live.com',
+  'msn.com',
+  'icloud.com',
+  'me.com',
+  'mac.com',
+  'aol.com',
+  'proton.me',
+  'protonmail.com',
+  'gmx.com',
+  'gmx.de',
+  'mail.com',
+  'mail.ru',
+  'yandex.com',
+  'yandex.ru',
+  'zoho.com',
+  'qq.com',
+  '163.com',
+  'rediffmail.com',
+])
+
+export const utmKeys = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'] as const
+
+export type UtmKey = (typeof utmKeys)[number]
+
+export type Utm = Partial<Record<UtmKey, string>>
+
+/** Longest UTM value kept; campaign links are short, anything longer is noise. */
+const UTM_MAX = 200
+
+export type LeadEnrichment = {
+  /** Null for the placeholder address of a phone-only sender. */
+  emailDomain: string | null
+  freeMail: boolean
+  /** Where the phone number is registered, when it is a valid E.164 number. */
+  phoneCountry: string | null
+  /** `phoneCountry`, or Cloudflare's guess from the IP when there is no phone. */
+  country: string | null
+  utm: Utm
+}
+
+export function emailDomain(email: string): string | null {
+  const domain = email.toLowerCase().split('@')[1]?.trim()
+  return domain && domain !== PLACEHOLDER_EMAIL_DOMAIN ? domain : null
+}
+
+/** Covers regional variants such as `yahoo.co.uk` and `hotmail.fr`. */
+export function isFreeMail(domain: string): boolean {
+  if (freeMailDomains.has(domain)) return true
+  const [name] = domain.split('.')
+  return ['yahoo', 'hotmail', 'outlook', 'live'].includes(name)
+}
+
+export function phoneCountry(phone: string): string | null {
+  if (!phone.startsWith('+')) return null
+  const parsed = parsePhoneNumberFromString(phone)
+  return parsed?.isValid() ? parsed.country ?? null : null
+}
+
+/** `CF-IPCountry` is `XX` when Cloudflare does not know and `T1` for Tor. */
+export function ipCountry(value: string | null): string | null {
+  const country = (value ?? '').toUpperCase()
+  return /^[A-Z]{2}$/.test(country) && country !== 'XX' ? country : null
+}
+
+/** The `utm_*` parameters of the page the visitor arrived on. Anything unparseable gives none. */
+export function utmParameters(landingUrl: string): Utm {
+  let params: URLSearchParams
+  try {
+    params = new URL(landingUrl, 'https://baseetstudio.com').searchParams
+  } catch {
+    return {}
+  }
+  const utm: Utm = {}
+  for (const key of utmKeys) {
+    const value = params.get(key)?.trim()
+    if (value) utm[key] = value.slice(0, UTM_MAX)
+  }
+  return utm
+}
+
+/** The last touch's campaign wins; the page the form was sent from only fills in when it has none. */
+export function enrichLead(lead: {
+  email: string
+  phone: string
+  landingUrl: string
+  lastTouch?: Utm | null
+  ipCountry: string | null
+}): LeadEnrichment {
+  const domain = emailDomain(lead.email)
+  const fromPhone = phoneCountry(lead.phone)
+  const fromTouch: Utm = {}
+  for (const key of utmKeys) {
+    const value = lead.lastTouch?.[key]
+    if (value) fromTouch[key] = value
+  }
+  return {
+    emailDomain: domain,
+    freeMail: domain ? isFreeMail(domain) : false,
+    phoneCountry: fromPhone,
+    country: fromPhone ?? lead.ipCountry,
+    utm: Object.keys(fromTouch).length ? fromTouch : utmParameters(lead.landingUrl),
+  }
+}
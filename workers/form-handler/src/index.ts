@@ -1,112 +1,284 @@
+import { mailTransport } from '../../shared/mail'
+import { bookingUrl, canAutoReply, composeAutoReply, replyLanguage } from './auto-reply'
+import { contentDisposition, formatBytes, RETENTION_DAYS, verifyDownloadUrl } from './attachments'
+import { parseAttribution, touchJson } from './attribution'
+import { enrichLead, ipCountry, utmKeys, type LeadEnrichment } from './enrich'
+import { json, jsonError, preflight } from './http'
+import { uiCopy } from './locales'
+import { consumeContactLimits } from './rate-limit'
+import { parseTelegramRoutes, routeSubmission, telegramDestination, type Routing } from './routing'
+import { checkFormToken, signFormToken, SPAM_THRESHOLD, spamScore } from './spam'
+import {
+  discardAttachments,
+  expireAttachments,
+  findAttachment,
+  recordAttachments,
+  uploadAttachments,
+  type StoredAttachment,
+} from './storage-attachments'
+import { turnstileVerifier } from './turnstile'
+import {
+  MAX_ATTACHMENT_BYTES,
+  MAX_ATTACHMENTS,
+  validateContact,
+  type ContactInput,
+  type Submission,
+} from './validate'
+
 export interface Env {
   DB: D1Database
+  FORM_LIMITS: KVNamespace
   TELEGRAM_BOT_TOKEN: string
+  /** Where submissions go when no routing rule names a configured route. */
   TELEGRAM_CHAT_ID: string
+  /** Chats for the routes in `src/routing.ts`; see `parseTelegramRoutes`. */
+  TELEGRAM_ROUTES?: string
+  /** Signs the fill-time token; without it the timing check is skipped. */
+  FORM_TOKEN_SECRET?: string
+  TURNSTILE_SECRET_KEY?: string
+  TURNSTILE_MODE?: 'siteverify' | 'stub'
+  ATTACHMENTS: R2Bucket
+  /** Signs attachment download links; without it submissions with files are refused. */
+  ATTACHMENT_SECRET?: string
+  /** `on` sends senders a localized acknowledgement; anything else leaves them waiting for us. */
+  AUTO_REPLY?: string
+  MAIL_TRANSPORT?: 'console' | 'resend'
+  MAIL_FROM?: string
+  RESEND_API_KEY?: string
+  /** Where the auto-reply's booking link points; defaults to the live site. */
+  SITE_URL?: string
 }
 
-type Submission = {
-  name: string
-  email: string
-  phone: string
-  message: string
-  page: string
-  language: string
-  subject: string
-  intent: string
-}
-
-const CORS = {
-  'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'POST',
-  'Access-Control-Allow-Headers': 'Content-Type, Accept',
-}
+/** Room for every file at its limit plus the text fields; anything bigger is refused unread. */
+const MAX_BODY_BYTES = MAX_ATTACHMENTS * MAX_ATTACHMENT_BYTES + 1024 * 1024
 
 export default {
-  async fetch(request: Request, env: Env): Promise<Response> {
-    if (request.method === 'OPTIONS') {
-      return new Response(null, { headers: CORS })
+  async fetch(request: Request, env: Env, ctx: ExecutionContext): Promise<Response> {
+    if (request.method === 'OPTIONS') return preflight(request)
+
+    const url = new URL(request.url)
+
+    // The form asks for this when the visitor starts filling it in.
+    if (request.method === 'GET' && url.pathname === '/token') {
+      const token = env.FORM_TOKEN_SECRET ? await signFormToken(env.FORM_TOKEN_SECRET) : null
+      return json(request, { token }, 200, { 'Cache-Control': 'no-store' })
+    }
+
+    if (request.method === 'GET' && url.pathname.startsWith('/attachments/')) {
+      return downloadAttachment(request, env, url)
     }
 
     if (request.method !== 'POST') {
-      return new Response('Method not allowed', { status: 405 })
+      return jsonError(request, 405, 'method_not_allowed', 'Send the form with POST.')
     }
 
-    const jsonHeaders = {
-      ...CORS,
-      'Content-Type': 'application/json',
+    if (Number(request.headers.get('content-length')) > MAX_BODY_BYTES) {
+      return jsonError(request, 413, 'too_large', 'The files are too large to send together.')
     }
 
     try {
-      const submission = await readSubmission(request)
-      if (!submission) {
-        return new Response(
-          JSON.stringify({ success: false, error: `Unsupported content-type: ${request.headers.get('content-type') || ''}` }),
-          { status: 415, headers: jsonHeaders },
+      const input = await readSubmission(request)
+      if (!input) {
+        return jsonError(
+          request,
+          415,
+          'unsupported_media_type',
+          `Unsupported content-type: ${request.headers.get('content-type') || ''}`,
         )
       }
+      if (input === 'malformed') {
+        return jsonError(request, 400, 'bad_request', 'The form could not be read. Please send it again.')
+      }
+
+      const checked = validateContact(input)
+      if (!checked.ok) {
+        return jsonError(request, 400, 'validation', 'Some fields need another look.', checked.fields)
+      }
+      const submission = checked.value
 
-      const { name, email, message } = submission
-      if (!name || !email || !message) {
-        return new Response(
-          JSON.stringify({ success: false, error: 'Missing required fields' }),
-          { status: 400, headers: jsonHeaders },
+      if (submission.attachments.length && !env.ATTACHMENT_SECRET) {
+        console.error('ATTACHMENT_SECRET is not set; refusing a submission with files.')
+        return jsonError(
+          request,
+          503,
+          'attachments_unavailable',
+          'Attachments are not available right now. Send the message without them, or email us the files.',
         )
       }
 
       const ip = request.headers.get('CF-Connecting-IP') || 'unknown'
+
+      if (!(await passesTurnstile(env, submission.turnstileToken, ip))) {
+        return jsonError(request, 403, 'turnstile_failed', 'We could not verify this browser. Please try again.')
+      }
+
+      if ((await consumeContactLimits(env.FORM_LIMITS, ip, submission.email)) === 'limited') {
+        return jsonError(request, 429, 'rate_limit', 'Too many messages. Please try again in an hour or email us directly.')
+      }
+
       const storedMessage = composeStoredMessage(submission)
+      const spam = spamScore({
+        honeypot: submission.website,
+        token: await checkFormToken(env.FORM_TOKEN_SECRET, submission.formToken),
+        message: storedMessage,
+      })
+
+      // Suspected spam is kept for review but nobody gets pinged about it, and its files are dropped.
+      const isSpam = spam.score >= SPAM_THRESHOLD
+      const lead = enrichLead({
+        email: submission.email,
+        phone: submission.phone,
+        landingUrl: submission.landingUrl,
+        lastTouch: submission.attribution.lastTouch,
+        ipCountry: ipCountry(request.headers.get('CF-IPCountry')),
+      })
+      const routing = routeSubmission({
+        intent: submission.intent ? submission.intent.split(', ') : [],
+        page: submission.page,
+        language: submission.language,
+        country: lead.country,
+      })
+      const stored =
+        isSpam || !env.ATTACHMENT_SECRET
+          ? []
+          : await uploadAttachments(env.ATTACHMENTS, env.ATTACHMENT_SECRET, url.origin, submission.attachments)
 
-      const telegramError = await sendTelegram(env, { ...submission, message: storedMessage, ip })
-      if (telegramError) {
-        console.error('Telegram notification failed:', telegramError)
+      if (!isSpam) {
+        const telegramError = await sendTelegram(env, { ...submission, message: storedMessage, ip }, stored, lead, routing)
+        if (telegramError) {
+          console.error('Telegram notification failed:', telegramError)
+        }
       }
 
-      await env.DB.prepare(
-        `INSERT INTO submissions (page, language, name, email, phone, message, ip_address)
-         VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      )
-        .bind(
-          submission.page,
-          submission.language,
-          name,
-          email,
-          submission.phone || null,
-          storedMessage,
-          ip,
+      try {
+        const row = await env.DB.prepare(
+          `INSERT INTO submissions (page, language, name, email, phone, message, ip_address, spam_score, spam_reasons,
+             email_domain, free_mail, phone_country, country, route, tags,
+             utm_source, utm_medium, utm_campaign, utm_term, utm_content, first_touch, last_touch)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING id`,
         )
-        .run()
+          .bind(
+            submission.page,
+            submission.language,
+            submission.name,
+            submission.email,
+            submission.phone || null,
+            storedMessage,
+            ip,
+            spam.score,
+            spam.reasons.join(',') || null,
+            lead.emailDomain,
+            lead.freeMail ? 1 : 0,
+            lead.phoneCountry,
+            lead.country,
+            routing.route,
+            routing.tags.join(',') || null,
+            ...utmKeys.map((key) => lead.utm[key] ?? null),
+            touchJson(submission.attribution.firstTouch),
+            touchJson(submission.attribution.lastTouch),
+          )
+          .first<{ id: number }>()
+        if (row) await recordAttachments(env.DB, row.id, stored)
+      } catch (err) {
+        await discardAttachments(env.ATTACHMENTS, stored).catch((cleanupErr) =>
+          console.error('Could not remove uploaded attachments:', cleanupErr),
+        )
+        throw err
+      }
+
+      if (env.AUTO_REPLY === 'on' && !isSpam && canAutoReply(submission.email)) {
+        ctx.waitUntil(
+          sendAutoReply(env, submission).catch((err) => console.error('Auto-reply failed:', err)),
+        )
+      }
 
-      return new Response(JSON.stringify({ success: true }), { status: 200, headers: jsonHeaders })
+      return json(request, { success: true })
     } catch (err) {
-      const message = err instanceof Error ? err.message : String(err)
-      return new Response(JSON.stringify({ success: false, error: message }), {
-        status: 500,
-        headers: jsonHeaders,
-      })
+      console.error('Contact submission failed:', err)
+      return jsonError(request, 500, 'server_error', 'Something went wrong saving your message.')
     }
   },
+
+  async scheduled(controller: ScheduledController, env: Env, ctx: ExecutionContext): Promise<void> {
+    ctx.waitUntil(
+      expireAttachments(env.ATTACHMENTS, env.DB, new Date(controller.scheduledTime)).catch((err) =>
+        console.error('Expiring attachments failed:', err),
+      ),
+    )
+  },
+}
+
+async function sendAutoReply(env: Env, submission: Submission): Promise<void> {
+  const lang = replyLanguage(submission.language)
+  const message = composeAutoReply(
+    {
+      lang,
+      name: submission.name,
+      email: submission.email,
+      subject: submission.subject,
+      intent: submission.intent ? submission.intent.split(', ') : [],
+      bookingUrl: bookingUrl(env.SITE_URL || 'https://baseetstudio.com', lang),
+    },
+    uiCopy(lang),
+  )
+  await mailTransport(env).send(message)
+}
+
+/** Signed links only, from the Telegram message or the D1 row. */
+async function downloadAttachment(request: Request, env: Env, url: URL): Promise<Response> {
+  const id = env.ATTACHMENT_SECRET ? await verifyDownloadUrl(env.ATTACHMENT_SECRET, url) : null
+  if (!id) return jsonError(request, 403, 'link_expired', 'This download link is not valid or has expired.')
+  const row = await findAttachment(env.DB, id)
+  const object = row ? await env.ATTACHMENTS.get(row.r2_key) : null
+  if (!row || !object) return jsonError(request, 404, 'not_found', 'This file is no longer available.')
+  return new Response(object.body, {
+    headers: {
+      'Content-Type': row.content_type,
+      'Content-Length': String(object.size),
+      'Content-Disposition': contentDisposition(row.filename),
+      'Cache-Control': 'private, no-store',
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': "default-src 'none'; sandbox",
+    },
+  })
+}
+
+/** A siteverify outage lets submissions through; the other checks still apply. */
+async function passesTurnstile(env: Env, token: string, ip: string): Promise<boolean> {
+  const turnstile = turnstileVerifier(env)
+  if (!turnstile) return true
+  try {
+    return await turnstile.verify(token, ip)
+  } catch (err) {
+    console.error('Turnstile check failed, letting the submission through:', err)
+    return true
+  }
 }
 
-async function readSubmission(request: Request): Promise<Submission | null> {
+/** `null` for a content type the form never sends; `malformed` for a body that is not a form. */
+async function readSubmission(request: Request): Promise<ContactInput | 'malformed' | null> {
   const contentType = request.headers.get('content-type') || ''
   let raw: Record<string, unknown>
+  let files: File[] = []
 
   if (contentType.includes('application/json')) {
-    const body = (await request.json()) as Record<string, unknown>
-    raw = body
+    const body: unknown = await request.json().catch(() => null)
+    if (!body || typeof body !== 'object' || Array.isArray(body)) return 'malformed'
+    raw = body as Record<string, unknown>
   } else if (contentType.includes('application/x-www-form-urlencoded')) {
     const params = new URLSearchParams(await request.text())
-    raw = Object.fromEntries(params.entries())
+    raw = { ...Object.fromEntries(params.entries()), intent: params.getAll('intent') }
   } else if (contentType.includes('multipart/form-data')) {
-    const formData = await request.formData()
-    raw = Object.fromEntries(
-      [...formData.entries()].map(([key, value]) => [key, typeof value === 'string' ? value : value.name]),
-    )
+    const formData = await request.formData().catch(() => null)
+    if (!formData) return 'malformed'
+    raw = Object.fromEntries([...formData.entries()].filter(([, value]) => typeof value === 'string'))
+    raw.intent = formData.getAll('intent').filter((value) => typeof value === 'string')
+    files = formData.getAll('attachments').filter((value): value is File => typeof value !== 'string')
   } else {
     return null
   }
 
-  const intent = Array.isArray(raw.intent) ? raw.intent.map(String).join(', ') : str(raw.intent)
+  const intent = Array.isArray(raw.intent) ? raw.intent.map(str) : str(raw.intent).split(',').map((value) => value.trim())
   const pageFromReferer = refererPath(request)
 
   return {
@@ -118,6 +290,12 @@ async function readSubmission(request: Request): Promise<Submission | null> {
     language: str(raw.language) || str(raw.lang) || 'unknown',
     subject: str(raw.subject),
     intent,
+    website: str(raw.website),
+    formToken: str(raw.form_token),
+    landingUrl: str(raw.landing_url),
+    attribution: parseAttribution(raw.attribution),
+    turnstileToken: str(raw.turnstile_token) || str(raw['cf-turnstile-response']),
+    attachments: files,
   }
 }
 
@@ -133,20 +311,42 @@ function composeStoredMessage(submission: Submission): string {
 async function sendTelegram(
   env: Env,
   data: Submission & { ip: string },
+  attachments: StoredAttachment[],
+  lead: LeadEnrichment,
+  routing: Routing,
 ): Promise<string | null> {
+  const campaign = utmKeys
+    .filter((key) => lead.utm[key])
+    .map((key) => `${key.slice(4)}=${lead.utm[key]}`)
+    .join(', ')
+  const destination = telegramDestination(routing.route, parseTelegramRoutes(env.TELEGRAM_ROUTES), env.TELEGRAM_CHAT_ID)
+
   const text = [
     `📬 <b>New Contact Form Submission</b>`,
     ``,
     `👤 <b>Name:</b> ${escapeHtml(data.name)}`,
-    `📧 <b>Email:</b> ${escapeHtml(data.email)}`,
+    `📧 <b>Email:</b> ${escapeHtml(data.email)}${lead.freeMail ? ' (free mail)' : ''}`,
     data.phone ? `📞 <b>Phone:</b> ${escapeHtml(data.phone)}` : null,
     data.subject ? `📝 <b>Subject:</b> ${escapeHtml(data.subject)}` : null,
     data.intent ? `🎯 <b>Intent:</b> ${escapeHtml(data.intent)}` : null,
     `💬 <b>Message:</b>`,
     escapeHtml(data.message),
+    ...(attachments.length
+      ? [
+          ``,
+          `📎 <b>Attachments</b> (links work for ${RETENTION_DAYS} days):`,
+          ...attachments.map(
+            (file) =>
+              `• <a href="${escapeHtml(file.url)}">${escapeHtml(file.filename)}</a> (${formatBytes(file.size)})`,
+          ),
+        ]
+      : []),
     ``,
     `🌐 <b>Page:</b> ${escapeHtml(data.page)}`,
     `🗣 <b>Language:</b> ${escapeHtml(data.language)}`,
+    lead.country ? `🌍 <b>Country:</b> ${lead.country}${lead.phoneCountry ? '' : ' (from IP)'}` : null,
+    campaign ? `📣 <b>Campaign:</b> ${escapeHtml(campaign)}` : null,
+    routing.tags.length ? `🏷 <b>Tags:</b> ${escapeHtml(routing.tags.join(', '))}` : null,
     `🔌 <b>IP:</b> ${data.ip}`,
   ]
     .filter((line) => line !== null)
@@ -157,7 +357,8 @@ async function sendTelegram(
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
-        chat_id: env.TELEGRAM_CHAT_ID,
+        chat_id: destination.chatId,
+        ...(destination.topicId ? { message_thread_id: destination.topicId } : {}),
         text,
         parse_mode: 'HTML',
       }),
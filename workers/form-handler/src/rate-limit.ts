@@ -0,0 +1,47 @@
+/** The part of `KVNamespace` the limiter needs. */
+export interface LimitStore {
+  get(key: string): Promise<string | null>
+  put(key: string, value: string, options: { expirationTtl: number }): Promise<void>
+}
+
+type Counter = { count: number; reset: number }
+
+const WINDOW_MS = 60 * 60 * 1000
+
+/** Per hour. A shared office IP can send a few; one address rarely needs more than two. */
+export const IP_LIMIT = 5
+export const EMAIL_LIMIT = 3
+
+/** Fixed window, the same as booking-api's `/book` limiter. */
+export async function consumeLimit(
+  store: LimitStore,
+  key: string,
+  limit: number,
+  now = Date.now(),
+): Promise<'ok' | 'limited'> {
+  const raw = await store.get(key)
+  let data: Counter = raw ? (JSON.parse(raw) as Counter) : { count: 0, reset: now + WINDOW_MS }
+  if (now >= data.reset) data = { count: 0, reset: now + WINDOW_MS }
+  if (data.count >= limit) return 'limited'
+  data.count += 1
+  const ttl = Math.max(60, Math.ceil((data.reset - now) / 1000))
+  await store.put(key, JSON.stringify(data), { expirationTtl: ttl })
+  return 'ok'
+}
+
+/** Email addresses are hashed so the KV keys do not hold them. */
+async function emailKey(email: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(email.trim().toLowerCase()))
+  return [...new Uint8Array(digest).slice(0, 16)].map((byte) => byte.toString(16).padStart(2, '0')).join('')
+}
+
+/** Counts the submission against both its IP and its email; either running out refuses it. */
+export async function consumeContactLimits(
+  store: LimitStore,
+  ip: string,
+  email: string,
+  now = Date.now(),
+): Promise<'ok' | 'limited'> {
+  if ((await consumeLimit(store, `contact:ip:${ip}`, IP_LIMIT, now)) === 'limited') return 'limited'
+  return consumeLimit(store, `contact:email:${await emailKey(email)}`, EMAIL_LIMIT, now)
+}
@@ -0,0 +1,95 @@
+/**
+ * Decides where a submission's Telegram message goes and how its D1 row is tagged. Every rule a
+ * submission matches adds its `id` to the row's tags; the first matching rule with a `route`
+ * picks the chat. Within a rule every condition given must match, and a condition matches when
+ * any of its values does.
+ */
+export type RoutingRule = {
+  id: string
+  /** Intent values as the form sends them, e.g. `mobile`. */
+  intents?: string[]
+  /** Page paths without the locale prefix; `/projects/geeb` also matches `/ar/projects/geeb/pro`. */
+  pages?: string[]
+  /** Page languages, e.g. `ar`. */
+  languages?: string[]
+  /** ISO 3166 codes, from the phone number or else Cloudflare's guess from the IP. */
+  countries?: string[]
+  /** A name from `TELEGRAM_ROUTES`. Rules without one only tag. */
+  route?: string
+}
+
+/** What the rules look at; a slice of the submission plus its derived country. */
+export type RoutingLead = {
+  intent: string[]
+  page: string
+  language: string
+  country: string | null
+}
+
+export type Routing = { tags: string[]; route: string | null }
+
+/** A Telegram chat, and the forum topic inside it when there is one. */
+export type TelegramDestination = { chatId: string; topicId?: number }
+
+export const routingRules: RoutingRule[] = [
+  { id: 'geeb', pages: ['/projects/geeb'], route: 'geeb' },
+  { id: 'mobile', intents: ['mobile'], route: 'mobile' },
+  { id: 'branding', intents: ['branding'], route: 'design' },
+  { id: 'gcc', countries: ['AE', 'SA', 'QA', 'KW', 'BH', 'OM'] },
+  { id: 'arabic', languages: ['ar'] },
+]
+
+const LOCALE_PREFIX = /^\/(ar|ur|hi|fil)(?=\/|$)/
+
+/** The page path the rules compare against: no locale prefix, query or trailing slash. */
+export function routingPath(page: string): string {
+  const path = page.split(/[?#]/)[0].replace(LOCALE_PREFIX, '').replace(/\/+$/, '')
+  return path || '/'
+}
+
+function pageMatches(page: string, prefix: string): boolean {
+  const path = routingPath(page)
+  const wanted = routingPath(prefix)
+  return wanted === '/' ? path === '/' : path === wanted || path.startsWith(`${wanted}/`)
+}
+
+function matches(rule: RoutingRule, lead: RoutingLead): boolean {
+  if (rule.intents && !rule.intents.some((intent) => lead.intent.includes(intent))) return false
+  if (rule.pages && !rule.pages.some((page) => pageMatches(lead.page, page))) return false
+  if (rule.languages && !rule.languages.includes(lead.language.toLowerCase().split(/[-_]/)[0])) return false
+  if (rule.countries && !(lead.country && rule.countries.includes(lead.country))) return false
+  return true
+}
+
+export function routeSubmission(lead: RoutingLead, rules: readonly RoutingRule[] = routingRules): Routing {
+  const matched = rules.filter((rule) => matches(rule, lead))
+  return {
+    tags: matched.map((rule) => rule.id),
+    route: matched.find((rule) => rule.route)?.route ?? null,
+  }
+}
+
+/**
+ * `TELEGRAM_ROUTES` is `route=chatId` pairs separated by commas. `chatId:topicId` posts into a
+ * forum topic, e.g. `geeb=-1001234567890:12,mobile=-1009876543210`.
+ */
+export function parseTelegramRoutes(value: string | undefined): Map<string, TelegramDestination> {
+  const routes = new Map<string, TelegramDestination>()
+  for (const pair of (value ?? '').split(',')) {
+    const [name, target] = pair.split('=').map((part) => part.trim())
+    const [chatId, topic] = (target ?? '').split(':')
+    if (!name || !chatId) continue
+    const topicId = Number(topic)
+    routes.set(name, Number.isInteger(topicId) && topicId > 0 ? { chatId, topicId } : { chatId })
+  }
+  return routes
+}
+
+/** Routes that are not configured fall back to `TELEGRAM_CHAT_ID`, so a new rule never loses a lead. */
+export function telegramDestination(
+  route: string | null,
+  routes: Map<string, TelegramDestination>,
+  fallbackChatId: string,
+): TelegramDestination {
+  return (route && routes.get(route)) || { chatId: fallbackChatId }
+}
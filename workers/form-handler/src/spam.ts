@@ -0,0 +1,98 @@
+/** At or above this, a submission is stored but not sent to Telegram. */
+export const SPAM_THRESHOLD = 5
+
+/** Quicker than this from first touching the form to sending it is a script, not a person. */
+export const MIN_FILL_MS = 3_000
+
+/** Tokens are fetched when the visitor starts on the form; a day is plenty of time to finish. */
+export const MAX_TOKEN_AGE_MS = 24 * 60 * 60 * 1000
+
+/** `unchecked` when the Worker has no `FORM_TOKEN_SECRET`. */
+export type TokenCheck = 'ok' | 'missing' | 'invalid' | 'too_fast' | 'unchecked'
+
+export type SpamSignals = {
+  /** The hidden `website` field; people never see it, so never fill it in. */
+  honeypot: string
+  token: TokenCheck
+  message: string
+}
+
+export type SpamVerdict = { score: number; reasons: string[] }
+
+const encoder = new TextEncoder()
+
+function toBase64Url(bytes: Uint8Array): string {
+  let binary = ''
+  for (const byte of bytes) binary += String.fromCharCode(byte)
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function fromBase64Url(value: string): Uint8Array<ArrayBuffer> | null {
+  if (!/^[A-Za-z0-9_-]+$/.test(value)) return null
+  const padded = value.replace(/-/g, '+').replace(/_/g, '/') + '='.repeat((4 - (value.length % 4)) % 4)
+  try {
+    return Uint8Array.from(atob(padded), (char) => char.charCodeAt(0))
+  } catch {
+    return null
+  }
+}
+
+async function hmacKey(secret: string): Promise<CryptoKey> {
+  return crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, [
+    'sign',
+    'verify',
+  ])
+}
+
+/** `<issued at, base 36>.<signature>`. Says when the form was started and nothing else. */
+export async function signFormToken(secret: string, now = Date.now()): Promise<string> {
+  const issued = now.toString(36)
+  const signature = await crypto.subtle.sign('HMAC', await hmacKey(secret), encoder.encode(issued))
+  return `${issued}.${toBase64Url(new Uint8Array(signature))}`
+}
+
+export async function checkFormToken(secret: string | undefined, token: string, now = Date.now()): Promise<TokenCheck> {
+  if (!secret) return 'unchecked'
+  if (!token) return 'missing'
+  const [issued, signature, extra] = token.split('.')
+  const signatureBytes = fromBase64Url(signature ?? '')
+  if (!issued || !signatureBytes || extra !== undefined || !/^[0-9a-z]+$/.test(issued)) return 'invalid'
+  if (!(await crypto.subtle.verify('HMAC', await hmacKey(secret), signatureBytes, encoder.encode(issued)))) {
+    return 'invalid'
+  }
+  const age = now - parseInt(issued, 36)
+  if (age < 0 || age > MAX_TOKEN_AGE_MS) return 'invalid'
+  return age < MIN_FILL_MS ? 'too_fast' : 'ok'
+}
+
+export function countLinks(text: string): number {
+  return text.match(/https?:\/\/|www\./gi)?.length ?? 0
+}
+
+/**
+ * Adds up the signals. The honeypot alone is enough; a missing token alone is not, since a
+ * real visitor's token request can fail on a bad connection.
+ */
+export function spamScore(signals: SpamSignals): SpamVerdict {
+  const reasons: string[] = []
+  let score = 0
+  if (signals.honeypot) {
+    score += 10
+    reasons.push('honeypot')
+  }
+  if (signals.token === 'missing') {
+    score += 3
+    reasons.push('no_token')
+  } else if (signals.token === 'invalid') {
+    score += 5
+    reasons.push('bad_token')
+  } else if (signals.token === 'too_fast') {
+    score += 5
+    reasons.push('too_fast')
+  }
+  if (countLinks(signals.message) >= 3) {
+    score += 3
+    reasons.push('links')
+  }
+  return { score, reasons }
+}
@@ -0,0 +1,94 @@
+import { attachmentExpiry, attachmentKey, signDownloadUrl } from './attachments'
+import type { Attachment } from './validate'
+
+export type StoredAttachment = {
+  id: string
+  key: string
+  filename: string
+  contentType: string
+  size: number
+  url: string
+  expiresAt: Date
+}
+
+/** Most expired files one cron run deletes; `R2Bucket.delete` takes up to 1000 keys. */
+const EXPIRE_BATCH = 500
+
+/** Runs before the submission row exists, so the Telegram message can carry the links. */
+export async function uploadAttachments(
+  bucket: R2Bucket,
+  secret: string,
+  origin: string,
+  attachments: Attachment[],
+  now = Date.now(),
+): Promise<StoredAttachment[]> {
+  const expiresAt = attachmentExpiry(now)
+  return Promise.all(
+    attachments.map(async ({ file, filename, contentType }) => {
+      const id = crypto.randomUUID()
+      const key = attachmentKey(id, filename)
+      await bucket.put(key, file, { httpMetadata: { contentType } })
+      return {
+        id,
+        key,
+        filename,
+        contentType,
+        size: file.size,
+        url: await signDownloadUrl(origin, secret, id, expiresAt),
+        expiresAt,
+      }
+    }),
+  )
+}
+
+/** For when the submission could not be saved; nothing would ever point at these. */
+export async function discardAttachments(bucket: R2Bucket, stored: StoredAttachment[]): Promise<void> {
+  if (stored.length) await bucket.delete(stored.map((attachment) => attachment.key))
+}
+
+export async function recordAttachments(db: D1Database, submissionId: number, stored: StoredAttachment[]): Promise<void> {
+  if (!stored.length) return
+  const insert = db.prepare(
+    `INSERT INTO submission_attachments (id, submission_id, r2_key, filename, content_type, size, url, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+  )
+  await db.batch(
+    stored.map((attachment) =>
+      insert.bind(
+        attachment.id,
+        submissionId,
+        attachment.key,
+        attachment.filename,
+        attachment.contentType,
+        attachment.size,
+        attachment.url,
+        attachment.expiresAt.toISOString(),
+      ),
+    ),
+  )
+}
+
+export type AttachmentRow = { r2_key: string; filename: string; content_type: string }
+
+export async function findAttachment(db: D1Database, id: string): Promise<AttachmentRow | null> {
+  return db
+    .prepare(`SELECT r2_key, filename, content_type FROM submission_attachments WHERE id = ? AND deleted_at IS NULL`)
+    .bind(id)
+    .first<AttachmentRow>()
+}
+
+/** Daily cron. Keeps the rows, so the console can still say a file was sent, but not the bytes. */
+export async function expireAttachments(bucket: R2Bucket, db: D1Database, now: Date): Promise<number> {
+  const { results } = await db
+    .prepare(
+      `SELECT id, r2_key FROM submission_attachments
+       WHERE deleted_at IS NULL AND expires_at <= ? ORDER BY expires_at LIMIT ?`,
+    )
+    .bind(now.toISOString(), EXPIRE_BATCH)
+    .all<{ id: string; r2_key: string }>()
+  if (!results.length) return 0
+  await bucket.delete(results.map((row) => row.r2_key))
+  const mark = db.prepare(`UPDATE submission_attachments SET deleted_at = ? WHERE id = ?`)
+  await db.batch(results.map((row) => mark.bind(now.toISOString(), row.id)))
+  return results.length
+}
@@ -0,0 +1,44 @@
+/** The settings that pick a verifier; a slice of `Env`. */
+export type TurnstileConfig = { TURNSTILE_SECRET_KEY?: string; TURNSTILE_MODE?: 'siteverify' | 'stub' }
+
+export interface TurnstileVerifier {
+  /** True when Cloudflare vouches for the token the widget put in the form. */
+  verify(token: string, ip: string): Promise<boolean>
+}
+
+const SITEVERIFY_URL = 'https://challenges.cloudflare.com/turnstile/v0/siteverify'
+
+/** For `wrangler dev` and tests: any token passes except an empty one or `fail`. */
+export function stubVerifier(): TurnstileVerifier {
+  return {
+    async verify(token) {
+      return token !== '' && token !== 'fail'
+    },
+  }
+}
+
+export function siteverifyVerifier(secret: string, fetcher: typeof fetch = fetch): TurnstileVerifier {
+  return {
+    async verify(token, ip) {
+      if (!token) return false
+      const body = new FormData()
+      body.set('secret', secret)
+      body.set('response', token)
+      if (ip !== 'unknown') body.set('remoteip', ip)
+      const res = await fetcher(SITEVERIFY_URL, { method: 'POST', body })
+      if (!res.ok) throw new Error(`siteverify returned ${res.status}`)
+      const result = (await res.json()) as { success?: boolean }
+      return result.success === true
+    },
+  }
+}
+
+/**
+ * Turnstile is off until `TURNSTILE_SECRET_KEY` is set. `TURNSTILE_MODE=stub` swaps in the
+ * stub without calling Cloudflare.
+ */
+export function turnstileVerifier(env: TurnstileConfig): TurnstileVerifier | null {
+  if (env.TURNSTILE_MODE === 'stub') return stubVerifier()
+  if (!env.TURNSTILE_SECRET_KEY) return null
+  return siteverifyVerifier(env.TURNSTILE_SECRET_KEY)
+}
@@ -0,0 +1,179 @@
+import parsePhoneNumberFromString from 'libphonenumber-js/max'
+import type { Attribution } from './attribution'
+
+/** The intent chips in `ContactForm.astro`. */
+export const intents = ['branding', 'digital', 'mobile', 'strategy'] as const
+
+export const NAME_MIN = 2
+export const NAME_MAX = 120
+export const EMAIL_MAX = 254
+export const SUBJECT_MAX = 200
+export const MESSAGE_MIN = 10
+export const MESSAGE_MAX = 5000
+
+/** Per submission and per file. The form checks the same before uploading. */
+export const MAX_ATTACHMENTS = 5
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024
+
+/** By extension. This is what the file is stored and served as; the browser's own claim is ignored. */
+export const attachmentTypes: Record<string, string> = {
+  pdf: 'application/pdf',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  txt: 'text/plain; charset=utf-8',
+  md: 'text/markdown; charset=utf-8',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  ppt: 'application/vnd.ms-powerpoint',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+}
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/
+
+/** What the site's `buildPlaceholderEmail` uses when the visitor only left a phone number. */
+const PLACEHOLDER_EMAIL_DOMAIN = 'hehadnoemail.com'
+
+export type ContactField = 'name' | 'email' | 'phone' | 'subject' | 'message' | 'intent' | 'attachments'
+
+/** `contact_missing` sits on `email` when neither email nor phone was given. */
+export type ContactFieldError =
+  | 'name_invalid'
+  | 'email_invalid'
+  | 'phone_invalid'
+  | 'contact_missing'
+  | 'subject_too_long'
+  | 'message_too_short'
+  | 'message_too_long'
+  | 'intent_invalid'
+  | 'attachments_too_many'
+  | 'attachment_too_large'
+  | 'attachment_type'
+
+export type ContactFieldErrors = Partial<Record<ContactField, ContactFieldError>>
+
+/** The request body, trimmed but not yet checked. */
+export type ContactInput = {
+  name: string
+  email: string
+  phone: string
+  subject: string
+  message: string
+  intent: string[]
+  page: string
+  language: string
+  /** The address of the page the visitor arrived on, for its `utm_*` parameters. */
+  landingUrl: string
+  /** First and last touch from the site's own storage; see `attribution.ts`. */
+  attribution: Attribution
+  /** Honeypot; see `spam.ts`. */
+  website: string
+  formToken: string
+  turnstileToken: string
+  attachments: File[]
+}
+
+/** A file that passed the checks, with a name that is safe in a header and an R2 key. */
+export type Attachment = { file: File; filename: string; contentType: string }
+
+export type Submission = Omit<ContactInput, 'intent' | 'attachments'> & {
+  /** Comma-separated, as the admin console reads it back off the Intent line. */
+  intent: string
+  attachments: Attachment[]
+}
+
+export type ContactValidation = { ok: true; value: Submission } | { ok: false; fields: ContactFieldErrors }
+
+function isEmail(value: string): boolean {
+  return value.length <= EMAIL_MAX && EMAIL_RE.test(value)
+}
+
+function isIntent(value: string): value is (typeof intents)[number] {
+  return (intents as readonly string[]).includes(value)
+}
+
+/**
+ * E.164, or null when libphonenumber cannot make a valid number of it. National numbers are
+ * read as UAE; a long run of digits that is not one is tried with a `+` in front, as the form does.
+ */
+export function normalizePhone(raw: string): string | null {
+  const compact = raw.replace(/[\s\-().]/g, '')
+  const international = compact.startsWith('00') ? `+${compact.slice(2)}` : compact
+  const parsed = parsePhoneNumberFromString(international, 'AE')
+  if (parsed?.isValid()) return parsed.number
+  if (!/^[1-9]\d{6,}$/.test(international)) return null
+  const prefixed = parsePhoneNumberFromString(`+${international}`)
+  return prefixed?.isValid() ? prefixed.number : null
+}
+
+export function attachmentType(filename: string): string | null {
+  const dot = filename.lastIndexOf('.')
+  if (dot < 0) return null
+  return attachmentTypes[filename.slice(dot + 1).toLowerCase()] ?? null
+}
+
+/** Keeps letters, digits and `._-` from any script; everything else becomes `_`. */
+export function safeFilename(filename: string): string {
+  const cleaned = filename
+    .normalize('NFC')
+    .replace(/[^\p{L}\p{N}._-]+/gu, '_')
+    .replace(/^[._]+/, '')
+  return cleaned.slice(-120) || 'attachment'
+}
+
+function checkAttachments(files: File[]): ContactFieldError | null {
+  if (files.length > MAX_ATTACHMENTS) return 'attachments_too_many'
+  if (files.some((file) => !attachmentType(file.name))) return 'attachment_type'
+  if (files.some((file) => file.size > MAX_ATTACHMENT_BYTES)) return 'attachment_too_large'
+  return null
+}
+
+/**
+ * The server side of the site's `validateContactFields`: one working way to reach the visitor
+ * is enough. A bad email next to a good number becomes the placeholder address, and a number
+ * we cannot read next to a good email is kept as typed, just as the form sends them.
+ */
+export function validateContact(input: ContactInput): ContactValidation {
+  const fields: ContactFieldErrors = {}
+
+  if (input.name.length < NAME_MIN || input.name.length > NAME_MAX) fields.name = 'name_invalid'
+  if (input.subject.length > SUBJECT_MAX) fields.subject = 'subject_too_long'
+  if (input.message.length < MESSAGE_MIN) fields.message = 'message_too_short'
+  else if (input.message.length > MESSAGE_MAX) fields.message = 'message_too_long'
+
+  const intent = [...new Set(input.intent.map((value) => value.toLowerCase()).filter(Boolean))]
+  if (!intent.every(isIntent)) fields.intent = 'intent_invalid'
+
+  const attachments = input.attachments.filter((file) => file.size > 0)
+  const attachmentError = checkAttachments(attachments)
+  if (attachmentError) fields.attachments = attachmentError
+
+  const emailOk = isEmail(input.email)
+  const phone = input.phone ? normalizePhone(input.phone) : null
+  if (!emailOk && !phone) {
+    if (input.email) fields.email = 'email_invalid'
+    if (input.phone) fields.phone = 'phone_invalid'
+    if (!input.email && !input.phone) fields.email = 'contact_missing'
+  }
+
+  if (Object.keys(fields).length) return { ok: false, fields }
+
+  return {
+    ok: true,
+    value: {
+      ...input,
+      email: emailOk ? input.email.toLowerCase() : `${phone!.replace(/\D/g, '')}@${PLACEHOLDER_EMAIL_DOMAIN}`,
+      phone: phone ?? input.phone,
+      intent: intent.join(', '),
+      attachments: attachments.map((file) => ({
+        file,
+        filename: safeFilename(file.name),
+        contentType: attachmentType(file.name)!,
+      })),
+    },
+  }
+}
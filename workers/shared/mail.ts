@@ -0,0 +1,101 @@
+// Mail for both Workers: booking-api's booking emails and form-handler's auto-reply. Each
+// bundles this file through a relative import, so the two send and log mail the same way.
+
+export type MailMessage = {
+  to: string
+  toName?: string
+  subject: string
+  text: string
+  html: string
+}
+
+export interface MailTransport {
+  send(message: MailMessage): Promise<void>
+}
+
+export class MailError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'MailError'
+  }
+}
+
+/** The settings that pick a transport; a slice of `Env`. */
+export type MailConfig = { MAIL_TRANSPORT?: 'console' | 'resend'; MAIL_FROM?: string; RESEND_API_KEY?: string }
+
+const DEFAULT_FROM = 'Baseet Studio <hello@baseetstudio.com>'
+
+/** Prints messages instead of sending them; `wrangler dev` output can be piped to a file. */
+export function consoleTransport(): MailTransport {
+  return {
+    async send(message) {
+      const to = message.toName ? `${message.toName} <${message.to}>` : message.to
+      console.log(['[mail]', `To: ${to}`, `Subject: ${message.subject}`, '', message.text, ''].join('\n'))
+    },
+  }
+}
+
+export function resendTransport(apiKey: string, from: string, fetcher: typeof fetch = fetch): MailTransport {
+  return {
+    async send(message) {
+      const response = await fetcher('https://api.resend.com/emails', {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          from,
+          to: [message.toName ? `${message.toName.replace(/[<>"]/g, '')} <${message.to}>` : message.to],
+          subject: message.subject,
+          text: message.text,
+          html: message.html,
+        }),
+      })
+      if (!response.ok) {
+        const detail = await response.text().catch(() => '')
+        throw new MailError(`Resend rejected the message (${response.status}): ${detail.slice(0, 200)}`)
+      }
+    },
+  }
+}
+
+/** A readable `.eml`: headers, then the text part. Open it in any mail client to check a template. */
+export function toEml(message: MailMessage, from = DEFAULT_FROM): string {
+  const to = message.toName ? `${message.toName.replace(/[<>"]/g, '')} <${message.to}>` : message.to
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${message.subject}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    message.text,
+    '',
+  ].join('\r\n')
+}
+
+/**
+ * The local file sink: each message becomes `<n>-<address>.eml` under `directory`. The Worker
+ * runtime has no disk, so `write` is passed in; tests hand it Node's `writeFile`.
+ */
+export function fileTransport(
+  directory: string,
+  write: (path: string, contents: string) => Promise<void>,
+): MailTransport {
+  let count = 0
+  return {
+    async send(message) {
+      count += 1
+      const name = `${String(count).padStart(3, '0')}-${message.to.replace(/[^\w.@-]/g, '_')}.eml`
+      await write(`${directory.replace(/\/$/, '')}/${name}`, toEml(message))
+    },
+  }
+}
+
+/** `MAIL_TRANSPORT` picks one explicitly; otherwise Resend when it has a key, else the console. */
+export function mailTransport(env: MailConfig): MailTransport {
+  const kind = env.MAIL_TRANSPORT || (env.RESEND_API_KEY ? 'resend' : 'console')
+  if (kind === 'resend') {
+    if (!env.RESEND_API_KEY) throw new MailError('MAIL_TRANSPORT is resend but RESEND_API_KEY is not set.')
+    return resendTransport(env.RESEND_API_KEY, env.MAIL_FROM || DEFAULT_FROM)
+  }
+  return consoleTransport()
+}